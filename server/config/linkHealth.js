@@ -0,0 +1,17 @@
+// Link health check configuration is read lazily so that dotenv has loaded the .env file first.
+//
+// LINK_CHECK_ENABLED:        'false' turns the background checker off (links can still be checked by hand)
+// LINK_CHECK_INTERVAL_HOURS: how old a link's last check may get before it is checked again (default: 24)
+// LINK_CHECK_BATCH_SIZE:     links checked per run (default: 50)
+const getLinkHealthConfig = () => ({
+    enabled: process.env.LINK_CHECK_ENABLED !== 'false',
+
+    intervalMs: (parseFloat(process.env.LINK_CHECK_INTERVAL_HOURS) || 24) * 60 * 60 * 1000,
+
+    batchSize: parseInt(process.env.LINK_CHECK_BATCH_SIZE, 10) || 50,
+
+    // How often the checker looks for links that are due
+    pollIntervalMs: parseInt(process.env.LINK_CHECK_POLL_INTERVAL_MS, 10) || 10 * 60 * 1000,
+});
+
+module.exports = getLinkHealthConfig;
@@ -0,0 +1,32 @@
+const path = require('path');
+
+// Storage configuration is read lazily so that dotenv has loaded the .env file first.
+//
+// STORAGE_DRIVER: 'local' | 's3' | 'cloudinary'
+//   Defaults to 'cloudinary' when Cloudinary credentials are present, otherwise 'local'.
+const getStorageConfig = () => ({
+    driver: process.env.STORAGE_DRIVER
+        || (process.env.CLOUDINARY_CLOUD_NAME ? 'cloudinary' : 'local'),
+
+    // Redirect /stream requests to the backend's own signed URL when it has one (S3; Cloudinary has no expiring URLs)
+    directStreams: process.env.STORAGE_DIRECT_STREAMS === 'true',
+
+    local: {
+        rootDir: process.env.LOCAL_STORAGE_DIR || path.join(__dirname, '..', 'uploads'),
+    },
+
+    s3: {
+        endpoint: process.env.S3_ENDPOINT, // e.g. http://localhost:9000 for MinIO
+        region: process.env.S3_REGION || 'us-east-1',
+        bucket: process.env.S3_BUCKET,
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE !== 'false', // MinIO needs path-style URLs
+    },
+
+    cloudinary: {
+        folder: process.env.CLOUDINARY_FOLDER || 'user_uploads',
+    },
+});
+
+module.exports = getStorageConfig;
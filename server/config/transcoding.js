@@ -0,0 +1,21 @@
+// Transcoding configuration is read lazily so that dotenv has loaded the .env file first.
+//
+// TRANSCODE_ENABLED:  'false' turns the queue off; uploads are then marked ready and streamed as-is
+// FFMPEG_PATH:        ffmpeg binary (default: 'ffmpeg' from PATH)
+// TRANSCODE_BITRATES: comma-separated MP3 bitrates in kbps, one rendition each (default: '128,256')
+const getTranscodingConfig = () => ({
+    enabled: process.env.TRANSCODE_ENABLED !== 'false',
+
+    ffmpegPath: process.env.FFMPEG_PATH || 'ffmpeg',
+
+    bitrates: (process.env.TRANSCODE_BITRATES || '128,256')
+        .split(',')
+        .map(value => parseInt(value, 10))
+        .filter(value => value > 0)
+        .sort((a, b) => a - b),
+
+    // How often the worker looks for pending tracks it was not told about (e.g. after a restart)
+    pollIntervalMs: parseInt(process.env.TRANSCODE_POLL_INTERVAL_MS, 10) || 30000,
+});
+
+module.exports = getTranscodingConfig;
@@ -0,0 +1,11 @@
+// Trash configuration is read lazily so that dotenv has loaded the .env file first.
+//
+// TRASH_RETENTION_DAYS:     how long trashed tracks and playlists can be restored before they are purged (default: 30)
+// TRASH_PURGE_INTERVAL_MS:  how often the purge job looks for expired items (default: 1 hour)
+const getTrashConfig = () => ({
+    retentionDays: parseFloat(process.env.TRASH_RETENTION_DAYS) || 30,
+
+    purgeIntervalMs: parseInt(process.env.TRASH_PURGE_INTERVAL_MS, 10) || 60 * 60 * 1000,
+});
+
+module.exports = getTrashConfig;
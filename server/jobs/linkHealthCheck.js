@@ -0,0 +1,97 @@
+const Media = require('../models/Media');
+const Track = require('../models/Track');
+const getLinkHealthConfig = require('../config/linkHealth');
+const { LINK_SOURCE_TYPES, checkMediaLink, checkTrackLink } = require('../utils/linkHealth');
+
+// ==========================================================
+//                 BACKGROUND LINK HEALTH CHECK
+// ==========================================================
+//
+// Every few minutes the checker takes the links whose last check is older
+// than LINK_CHECK_INTERVAL_HOURS (never checked first) and probes them one at a
+// time (see utils/linkHealth.js). Links are checked through their shared Media
+// record, so a link in many libraries costs one request; tracks without one
+// (duplicates left unlinked by scripts/canonicalizeLinks.js) are checked alone.
+//
+// Like the transcode queue, it assumes a single API process.
+
+let isRunning = false;
+let pollTimer = null;
+
+const dueQuery = (intervalMs) => ({
+    sourceType: { $in: LINK_SOURCE_TYPES },
+    $or: [
+        { linkCheckedAt: null },
+        { linkCheckedAt: { $lt: new Date(Date.now() - intervalMs) } },
+    ],
+});
+
+/**
+ * Checks one batch of links that are due.
+ * @returns {Promise<{checked: number, broken: number}>}
+ */
+const runLinkChecks = async () => {
+    const counts = { checked: 0, broken: 0 };
+    if (isRunning) return counts;
+    isRunning = true;
+
+    const count = (update) => {
+        counts.checked += 1;
+        if (update && update.linkStatus === 'broken') counts.broken += 1;
+    };
+
+    try {
+        const { intervalMs, batchSize } = getLinkHealthConfig();
+
+        const mediaDue = await Media.find(dueQuery(intervalMs))
+            .sort({ linkCheckedAt: 1 })
+            .limit(batchSize)
+            .lean();
+        for (const media of mediaDue) {
+            try {
+                count(await checkMediaLink(media));
+            } catch (err) {
+                console.error(`❌ Link check failed for ${media.sourceUrl}:`, err.message);
+            }
+        }
+
+        const remaining = batchSize - mediaDue.length;
+        const tracksDue = remaining > 0
+            ? await Track.find({ ...dueQuery(intervalMs), media: null })
+                .select('_id sourceType sourceUrl videoId media linkStatus linkFailures')
+                .sort({ linkCheckedAt: 1 })
+                .limit(remaining)
+                .lean()
+            : [];
+        for (const track of tracksDue) {
+            try {
+                count(await checkTrackLink(track));
+            } catch (err) {
+                console.error(`❌ Link check failed for track ${track._id}:`, err.message);
+            }
+        }
+
+        if (counts.checked > 0) {
+            console.log(`🩺 Checked ${counts.checked} link(s), ${counts.broken} broken`);
+        }
+    } catch (err) {
+        console.error('❌ Link health check error:', err.message);
+    } finally {
+        isRunning = false;
+    }
+    return counts;
+};
+
+/**
+ * Starts the background checker. Call once the database connection is open.
+ */
+const startLinkHealthWorker = () => {
+    const { enabled, pollIntervalMs } = getLinkHealthConfig();
+    if (!enabled || pollTimer) return;
+
+    pollTimer = setInterval(runLinkChecks, pollIntervalMs);
+    pollTimer.unref();
+    runLinkChecks();
+};
+
+module.exports = { runLinkChecks, startLinkHealthWorker };
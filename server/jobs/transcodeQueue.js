@@ -0,0 +1,223 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs/promises');
+const { createWriteStream } = require('fs');
+const { pipeline } = require('stream/promises');
+const Track = require('../models/Track');
+const Waveform = require('../models/Waveform');
+const { getStorage, buildStorageKey } = require('../storage');
+const getTranscodingConfig = require('../config/transcoding');
+const { RENDITION_FORMAT, transcodeToMp3 } = require('../utils/transcoder');
+const { analyzeLoudness } = require('../utils/loudness');
+const { extractWaveform } = require('../utils/waveform');
+const { saveMediaLoudness } = require('../utils/sharedMedia');
+
+// ==========================================================
+//                 BACKGROUND TRANSCODE QUEUE
+// ==========================================================
+//
+// The queue lives in MongoDB: every track with processingStatus 'pending' is a
+// job. One in-process worker handles one track at a time (ffmpeg is CPU
+// heavy), so jobs survive restarts and need no extra infrastructure.
+//
+// Uploads are measured for loudness, get waveform peaks and are transcoded;
+// external links are only measured (ffmpeg reads them over HTTP).
+//
+// Assumes a single API process. Jobs claimed by a process that died are
+// released again when the worker starts.
+
+// Progress is written at most this often to keep MongoDB writes low
+const PROGRESS_WRITE_INTERVAL_MS = 2000;
+
+let isDraining = false;
+let drainRequested = false;
+let pollTimer = null;
+
+// Claims the oldest pending track that no worker owns yet
+const claimNextTrack = () => Track.findOneAndUpdate(
+    { processingStatus: 'pending', processingStartedAt: null },
+    { $set: { processingStartedAt: new Date(), processingProgress: 0, processingError: null } },
+    { sort: { createdAt: 1 }, new: true }
+);
+
+const deleteKeys = (storage, keys) => Promise.all(
+    keys.map(key => storage.delete(key).catch(err => console.error(`❌ Could not delete rendition ${key}:`, err.message)))
+);
+
+/**
+ * Measures the loudness of one claimed track and, for uploads, computes its
+ * waveform and transcodes it into every configured bitrate, storing the
+ * renditions next to the original. Marks the track ready or failed.
+ */
+const processTrack = async (track) => {
+    const { ffmpegPath, bitrates } = getTranscodingConfig();
+    const isUpload = track.sourceType === 'local';
+    const storage = isUpload ? getStorage(track.storageDriver) : null;
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'tunewave-transcode-'));
+    const storedKeys = [];
+    // Loudness analysis and the waveform count as one step each, like each rendition
+    const stepCount = isUpload ? bitrates.length + 2 : 1;
+
+    let lastProgressWrite = 0;
+    const reportProgress = (ratio) => {
+        const now = Date.now();
+        if (now - lastProgressWrite < PROGRESS_WRITE_INTERVAL_MS) return;
+        lastProgressWrite = now;
+        Track.updateOne({ _id: track._id }, { $set: { processingProgress: Math.floor(ratio * 100) } })
+            .catch(err => console.error('❌ Could not save transcode progress:', err.message));
+    };
+
+    try {
+        console.log(`🎛️ Processing track ${track._id}${isUpload ? ` (${bitrates.join(', ')} kbps)` : ''}`);
+
+        let input = track.sourceUrl;
+        if (isUpload) {
+            // ffmpeg needs a seekable input for some containers (e.g. MP4), so copy the original to disk
+            input = path.join(workDir, `source${path.extname(track.filePath)}`);
+            await pipeline(await storage.getStream(track.filePath), createWriteStream(input));
+        }
+
+        const { loudness, trackGain, trackPeak } = await analyzeLoudness({
+            ffmpegPath,
+            input,
+            duration: track.duration,
+            onProgress: ratio => reportProgress(ratio / stepCount),
+        });
+
+        const waveform = isUpload ? await extractWaveform({
+            ffmpegPath,
+            inputPath: input,
+            workDir,
+            duration: track.duration,
+            onProgress: ratio => reportProgress((1 + ratio) / stepCount),
+        }) : null;
+
+        const renditions = [];
+        for (const [index, bitrate] of (isUpload ? bitrates : []).entries()) {
+            const outputPath = path.join(workDir, `${bitrate}k${RENDITION_FORMAT.extension}`);
+            await transcodeToMp3({
+                ffmpegPath,
+                inputPath: input,
+                outputPath,
+                bitrate,
+                duration: track.duration,
+                onProgress: ratio => reportProgress((index + 2 + ratio) / stepCount),
+            });
+
+            const data = await fs.readFile(outputPath);
+            const { key } = await storage.put(
+                buildStorageKey('audio', track.user.toString(), `${bitrate}k${RENDITION_FORMAT.extension}`),
+                data,
+                { contentType: RENDITION_FORMAT.mimeType }
+            );
+            storedKeys.push(key);
+            renditions.push({ key, bitrate, mimeType: RENDITION_FORMAT.mimeType, size: data.length });
+        }
+
+        const result = await Track.updateOne({ _id: track._id }, {
+            $set: {
+                ...(isUpload ? { renditions } : {}),
+                loudness,
+                trackGain,
+                trackPeak,
+                loudnessSource: 'ebur128',
+                processingStatus: 'ready',
+                processingProgress: 100,
+                processingError: null,
+                processingStartedAt: null,
+            },
+        });
+
+        if (result.matchedCount === 0) {
+            // The track was deleted while it was being transcoded
+            await deleteKeys(storage, storedKeys);
+            return;
+        }
+
+        // Other libraries with the same link reuse the measurement
+        if (!isUpload && track.media) {
+            await saveMediaLoudness(track.media, { loudness, trackGain, trackPeak, loudnessSource: 'ebur128' });
+        }
+
+        if (waveform) {
+            await Waveform.updateOne(
+                { track: track._id },
+                { $set: { peaks: waveform.peaks, duration: waveform.duration } },
+                { upsert: true }
+            );
+        }
+
+        // Renditions from an earlier run (reprocessing) are replaced
+        if (isUpload) {
+            await deleteKeys(storage, (track.renditions || []).map(rendition => rendition.key));
+        }
+        console.log(`✅ Track ${track._id} processed (${loudness} LUFS, gain ${trackGain} dB)`);
+
+    } catch (err) {
+        console.error(`❌ Processing failed for track ${track._id}:`, err.message);
+        if (storage) await deleteKeys(storage, storedKeys);
+        await Track.updateOne({ _id: track._id }, {
+            $set: {
+                processingStatus: 'failed',
+                processingError: err.message.slice(0, 500),
+                processingStartedAt: null,
+            },
+        });
+    } finally {
+        await fs.rm(workDir, { recursive: true, force: true });
+    }
+};
+
+// Works through pending tracks until none are left
+const drainQueue = async () => {
+    if (isDraining) {
+        drainRequested = true;
+        return;
+    }
+    isDraining = true;
+
+    try {
+        do {
+            drainRequested = false;
+            let track;
+            while ((track = await claimNextTrack())) {
+                await processTrack(track);
+            }
+        } while (drainRequested);
+    } catch (err) {
+        console.error('❌ Transcode queue error:', err.message);
+    } finally {
+        isDraining = false;
+    }
+};
+
+/**
+ * Wakes the worker after tracks were marked pending (upload, reprocess).
+ */
+const enqueueTranscode = () => {
+    if (!getTranscodingConfig().enabled) return;
+    setImmediate(drainQueue);
+};
+
+/**
+ * Starts the background worker. Call once the database connection is open.
+ */
+const startTranscodeWorker = async () => {
+    const { enabled, pollIntervalMs } = getTranscodingConfig();
+    if (!enabled || pollTimer) return;
+
+    // Release jobs claimed by a previous process that stopped mid-transcode
+    const released = await Track.updateMany(
+        { processingStatus: 'pending', processingStartedAt: { $ne: null } },
+        { $set: { processingStartedAt: null } }
+    );
+    if (released.modifiedCount > 0) {
+        console.log(`🎛️ Re-queued ${released.modifiedCount} interrupted transcode job(s)`);
+    }
+
+    pollTimer = setInterval(drainQueue, pollIntervalMs);
+    pollTimer.unref();
+    drainQueue();
+};
+
+module.exports = { enqueueTranscode, startTranscodeWorker };
@@ -0,0 +1,72 @@
+const Track = require('../models/Track');
+const Playlist = require('../models/Playlist');
+const getTrashConfig = require('../config/trash');
+const { deleteTrackCascade } = require('../utils/trackCleanup');
+
+// ==========================================================
+//                       TRASH PURGE
+// ==========================================================
+//
+// Tracks and playlists stay in the Trash for TRASH_RETENTION_DAYS (see
+// utils/softDelete.js). Every TRASH_PURGE_INTERVAL_MS this job deletes the ones
+// that expired for good: tracks through deleteTrackCascade, so their stored
+// audio, covers, history and playlist entries go with them.
+//
+// Like the transcode queue, it assumes a single API process.
+
+let isRunning = false;
+let pollTimer = null;
+
+/**
+ * Deletes the trashed tracks and playlists whose retention ran out.
+ * @returns {Promise<{tracks: number, playlists: number}>}
+ */
+const runTrashPurge = async () => {
+    const counts = { tracks: 0, playlists: 0 };
+    if (isRunning) return counts;
+    isRunning = true;
+
+    try {
+        const { retentionDays } = getTrashConfig();
+        const expired = { deletedAt: { $lt: new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000) } };
+
+        const tracks = await Track.find(expired);
+        for (const track of tracks) {
+            try {
+                const result = await deleteTrackCascade(track);
+                counts.tracks += 1;
+                for (const failure of result.failures) {
+                    console.error(`❌ Purged track ${track._id}, but its ${failure.asset} (${failure.key}) could not be deleted:`, failure.error);
+                }
+            } catch (err) {
+                console.error(`❌ Could not purge track ${track._id}:`, err.message);
+            }
+        }
+
+        const playlists = await Playlist.deleteMany(expired);
+        counts.playlists = playlists.deletedCount;
+
+        if (counts.tracks > 0 || counts.playlists > 0) {
+            console.log(`🗑️ Purged ${counts.tracks} track(s) and ${counts.playlists} playlist(s) from the Trash`);
+        }
+    } catch (err) {
+        console.error('❌ Trash purge error:', err.message);
+    } finally {
+        isRunning = false;
+    }
+    return counts;
+};
+
+/**
+ * Starts the purge job. Call once the database connection is open.
+ */
+const startTrashPurgeWorker = () => {
+    if (pollTimer) return;
+    const { purgeIntervalMs } = getTrashConfig();
+
+    pollTimer = setInterval(runTrashPurge, purgeIntervalMs);
+    pollTimer.unref();
+    runTrashPurge();
+};
+
+module.exports = { runTrashPurge, startTrashPurgeWorker };
@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { verifyStreamToken } = require('../utils/streamTokens');
 
 const protect = async (req, res, next) => {
   let token;
@@ -16,6 +17,11 @@ const protect = async (req, res, next) => {
       // Verify token
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+      // Stream tokens travel in URLs (logs, history, Referer): they only open /stream
+      if (decoded.purpose === 'stream') {
+        return res.status(401).json({ message: 'Not authorized, token failed' });
+      }
+
       // Attach user data to the request object (excluding the password)
       req.user = await User.findById(decoded.id).select('-password');
       
@@ -35,4 +41,27 @@ const protect = async (req, res, next) => {
   }
 };
 
-module.exports = { protect };
+// Used by the media stream route: the <audio> element cannot send an
+// Authorization header, so a short-lived signed token in ?token= is accepted too.
+const protectStream = async (req, res, next) => {
+  if (!req.query.token) {
+    return protect(req, res, next);
+  }
+
+  try {
+    const decoded = verifyStreamToken(req.query.token, req.params.id);
+
+    req.user = await User.findById(decoded.id).select('-password');
+
+    if (!req.user) {
+      return res.status(401).json({ message: 'User not found, token invalid' });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Stream token verification failed:', error.message);
+    return res.status(401).json({ message: 'Not authorized, stream token invalid or expired' });
+  }
+};
+
+module.exports = { protect, protectStream };
@@ -1,15 +1,25 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const multer = require('multer');
-const cloudinary = require('../config/cloudinary');
+const { MAX_STATION_FILE_BYTES } = require('../utils/stationFiles');
 
 const storage = multer.memoryStorage();
 
+const IMAGE_TYPES = ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp'];
+const AUDIO_TYPES = [
+    'audio/mpeg', 'audio/mp3', 'audio/wav', 'audio/wave', 
+    'audio/ogg', 'audio/aac', 'audio/flac', 'audio/m4a', 
+    'audio/webm', 'audio/x-m4a', 'video/mp4'
+];
+
+// Most files a single batch upload request may carry
+const MAX_BATCH_FILES = 50;
+// Most bytes a single batch upload request may carry, all files together
+const MAX_BATCH_BYTES = 1024 * 1024 * 1024;
+
 const fileFilter = (req, file, cb) => {
-    const allowedTypes = [
-        'image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp',
-        'audio/mpeg', 'audio/mp3', 'audio/wav', 'audio/wave', 
-        'audio/ogg', 'audio/aac', 'audio/flac', 'audio/m4a', 
-        'audio/webm', 'audio/x-m4a', 'video/mp4'
-    ];
+    const allowedTypes = [...IMAGE_TYPES, ...AUDIO_TYPES];
     
     if (allowedTypes.includes(file.mimetype)) {
         cb(null, true);
@@ -27,30 +37,60 @@ const upload = multer({
     }
 });
 
-const uploadToCloudinary = (file) => {
-    return new Promise((resolve, reject) => {
-        const uploadStream = cloudinary.uploader.upload_stream(
-            {
-                resource_type: 'auto',
-                folder: 'user_uploads'
-            },
-            (error, result) => {
-                if (error) return reject(error);
-                resolve({
-                    url: result.secure_url,
-                    public_id: result.public_id,
-                    format: result.format,
-                    resource_type: result.resource_type
-                });
-            }
-        );
-        
-        const { Readable } = require('stream');
-        const bufferStream = new Readable();
-        bufferStream.push(file.buffer);
-        bufferStream.push(null);
-        bufferStream.pipe(uploadStream);
+// Batch uploads accept every file so that an unsupported one is reported
+// per file by the route instead of failing the whole request. A batch can be
+// large, so its files are written to the OS temp dir instead of memory; the
+// route reads them one at a time.
+const batchMulter = multer({
+    storage: multer.diskStorage({ destination: path.join(os.tmpdir(), 'tunewave-batch') }),
+    limits: {
+        fileSize: 100 * 1024 * 1024,
+        files: MAX_BATCH_FILES
+    }
+});
+
+// Refuses a batch bigger than MAX_BATCH_BYTES before anything is written to disk
+const limitBatchSize = (req, res, next) => {
+    const length = Number(req.headers['content-length']);
+    if (!length) {
+        return res.status(411).json({ msg: 'Batch uploads need a Content-Length header.' });
+    }
+    if (length > MAX_BATCH_BYTES) {
+        return res.status(413).json({ msg: `A batch upload may carry at most ${MAX_BATCH_BYTES / (1024 * 1024)} MB.` });
+    }
+    next();
+};
+
+// Deletes the batch's temp files once the response is done, whatever the route did with them
+const removeBatchFiles = (req, res, next) => {
+    res.on('close', () => {
+        for (const file of req.files || []) {
+            fs.promises.unlink(file.path).catch(err => {
+                if (err.code !== 'ENOENT') console.error(`Could not delete temp upload ${file.path}:`, err.message);
+            });
+        }
     });
+    next();
 };
 
-module.exports = { upload, uploadToCloudinary };
+// Use as route middleware: form field `audioFiles`, files in req.files with a `path` on disk
+const batchUpload = [limitBatchSize, batchMulter.array('audioFiles', MAX_BATCH_FILES), removeBatchFiles];
+
+// Radio station files (.pls/.m3u) for POST /api/tracks/stations/import; the route checks the content
+const stationUpload = multer({
+    storage: storage,
+    fileFilter: (req, file, cb) => {
+        if (/\.(pls|m3u)$/i.test(file.originalname)) {
+            cb(null, true);
+        } else {
+            cb(new Error('Invalid file type. Only .pls and .m3u station files are allowed.'), false);
+        }
+    },
+    limits: {
+        fileSize: MAX_STATION_FILE_BYTES,
+        files: 1
+    }
+});
+
+// Files are kept in memory (batches on disk) and handed to the configured storage driver (see storage/index.js)
+module.exports = { upload, batchUpload, stationUpload, AUDIO_TYPES, MAX_BATCH_FILES, MAX_BATCH_BYTES };
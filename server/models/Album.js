@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// An album in one user's library, identified by its title and album artist.
+// Tracks link to it through Track.albumId (see utils/credits.js); the album's
+// cover and length come from its tracks.
+const albumSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  title: { // Display title: the first spelling seen
+    type: String,
+    required: [true, 'Please add an album title'],
+    trim: true,
+  },
+  titleKey: { // Folded title that spelling variants share
+    type: String,
+    required: true,
+  },
+  artist: { // Album artist (the track's albumArtist, else its main artist)
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Artist',
+    required: true,
+  },
+  year: { // Year of the first track linked with one
+    type: Number,
+    min: 0,
+    default: null,
+  },
+}, {
+  timestamps: true
+});
+
+albumSchema.index({ user: 1, artist: 1, titleKey: 1 }, { unique: true });
+albumSchema.index({ user: 1, titleKey: 1 });
+
+const Album = mongoose.model('Album', albumSchema);
+
+module.exports = Album;
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// A performer in one user's library. Tracks link to their artists through
+// Track.artistIds (see utils/credits.js), so spelling variants of the same
+// name share one record.
+const artistSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  name: { // Display name: the first spelling seen, or the one chosen when renaming
+    type: String,
+    required: [true, 'Please add an artist name'],
+    trim: true,
+  },
+  nameKey: { // Folded name that spelling variants share: "Daft Punk", "daft punk" -> "daft punk"
+    type: String,
+    required: true,
+  },
+  aliases: { // Name keys of artists merged into this one, so later tracks by them link here
+    type: [String],
+    default: [],
+  },
+}, {
+  timestamps: true
+});
+
+artistSchema.index({ user: 1, nameKey: 1 }, { unique: true });
+artistSchema.index({ user: 1, aliases: 1 });
+
+const Artist = mongoose.model('Artist', artistSchema);
+
+module.exports = Artist;
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const { HISTORY_CONTEXT_TYPES } = require('../utils/listening');
+
+// One song announced by a live stream while it was playing (ICY "now playing", see utils/icyMetadata.js)
+const streamTitleSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+  },
+  artist: {
+    type: String,
+    default: null,
+  },
+  at: { // When the station announced it
+    type: Date,
+    required: true,
+  },
+}, { _id: false });
+
+const listeningHistorySchema = new mongoose.Schema({
+  // ** Who listened to what **
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  track: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Track',
+    required: true,
+  },
+
+  // ** Play Session Data **
+  startedAt: {
+    type: Date,
+    required: true,
+    default: Date.now,
+  },
+  secondsListened: {
+    type: Number,
+    required: true,
+    min: 0,
+    default: 0,
+  },
+  duration: { // Track duration reported by the player at the time of the play (0 if unknown)
+    type: Number,
+    min: 0,
+    default: 0,
+  },
+  completed: { // The player reached the end of the track
+    type: Boolean,
+    default: false,
+  },
+  skipped: { // The listener moved on before the play counted
+    type: Boolean,
+    default: false,
+  },
+  counted: { // Whether this entry counts towards the track's play_count
+    type: Boolean,
+    default: false,
+  },
+
+  // ** Live Streams ** (what the station played during this session, oldest first)
+  streamTitles: {
+    type: [streamTitleSchema],
+    default: [],
+  },
+
+  // ** Playback Context ** (where the play was started from)
+  context: {
+    source: {
+      type: String,
+      enum: HISTORY_CONTEXT_TYPES,
+      default: 'unknown',
+    },
+    id: { // e.g. the playlist ID when source is 'playlist'
+      type: String,
+      default: null,
+    },
+  },
+}, {
+  timestamps: true
+});
+
+// Most queries read a user's history newest first
+listeningHistorySchema.index({ user: 1, startedAt: -1 });
+listeningHistorySchema.index({ track: 1 });
+
+const ListeningHistory = mongoose.model('ListeningHistory', listeningHistorySchema);
+
+module.exports = ListeningHistory;
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// One synced line: where it starts and what is sung
+const lyricsLineSchema = new mongoose.Schema({
+  time: { // Seconds from the start of the track
+    type: Number,
+    min: 0,
+    required: true,
+  },
+  text: {
+    type: String,
+    default: '',
+  },
+}, { _id: false });
+
+// Lyrics of a track, plain or time-synced (LRC), shown in the player's lyrics panel.
+// Kept out of Track so listings never carry the text.
+const lyricsSchema = new mongoose.Schema({
+  track: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Track',
+    required: true,
+    unique: true,
+  },
+  format: { // 'lrc' when the lines have timestamps
+    type: String,
+    enum: ['plain', 'lrc'],
+    required: true,
+  },
+  text: { // As provided: LRC text for synced lyrics
+    type: String,
+    required: true,
+  },
+  lines: { // Parsed LRC lines in time order (empty for plain lyrics)
+    type: [lyricsLineSchema],
+    default: [],
+  },
+  language: { // ISO 639-2 code from the file tags, when known
+    type: String,
+    default: null,
+  },
+  source: { // Where the lyrics came from
+    type: String,
+    enum: ['upload', 'manual', 'tags'],
+    required: true,
+  },
+}, {
+  timestamps: true
+});
+
+const Lyrics = mongoose.model('Lyrics', lyricsSchema);
+
+module.exports = Lyrics;
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+// A YouTube video, external link or live stream, shared by every library that added it
+// (see utils/sharedMedia.js). Each user's Track keeps its own title, artist and
+// cover; this record holds what is the same for everyone: the canonical link,
+// the first title/artist/cover (used when another user adds the link without
+// their own), the measured loudness and the link's health, so a link is only
+// analyzed and checked once.
+const mediaSchema = new mongoose.Schema({
+  key: { // 'youtube:<video ID>', 'url:<normalized URL>' or 'stream:<normalized URL>' (see utils/sourceUrls.js)
+    type: String,
+    required: true,
+    unique: true,
+  },
+  sourceType: {
+    type: String,
+    enum: ['youtube', 'external_url', 'stream'],
+    required: true,
+  },
+  sourceUrl: { // Canonical link
+    type: String,
+    required: true,
+  },
+  videoId: { // YouTube only
+    type: String,
+    default: null,
+  },
+  title: {
+    type: String,
+    trim: true,
+    default: null,
+  },
+  artist: {
+    type: String,
+    trim: true,
+    default: null,
+  },
+  cover_photo: { // Only a linked image (uploaded covers belong to one user's track)
+    type: String,
+    default: null,
+  },
+
+  // ** Loudness ** (measured once by jobs/transcodeQueue.js, copied to new tracks)
+  loudness: {
+    type: Number,
+    default: null,
+  },
+  trackGain: {
+    type: Number,
+    default: null,
+  },
+  trackPeak: {
+    type: Number,
+    min: 0,
+    default: null,
+  },
+  loudnessSource: {
+    type: String,
+    enum: ['ebur128', null],
+    default: null,
+  },
+
+  // ** Link Health ** (checked once for every library, copied to the tracks; see utils/linkHealth.js)
+  linkStatus: {
+    type: String,
+    enum: ['ok', 'broken', null],
+    default: null,
+  },
+  linkCheckedAt: {
+    type: Date,
+    default: null,
+  },
+  linkError: {
+    type: String,
+    default: null,
+  },
+  linkFailures: {
+    type: Number,
+    min: 0,
+    default: 0,
+  },
+}, {
+  timestamps: true
+});
+
+// The link checker takes the links checked longest ago first
+mediaSchema.index({ linkCheckedAt: 1 });
+
+const Media = mongoose.model('Media', mediaSchema);
+
+module.exports = Media;
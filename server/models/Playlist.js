@@ -1,4 +1,28 @@
 const mongoose = require('mongoose');
+const { softDeletePlugin } = require('../utils/softDelete');
+
+// One rule of a smart playlist, e.g. { field: 'rating', operator: 'gte', value: 4 }
+const SmartRuleSchema = new mongoose.Schema({
+    field: String,
+    operator: String,
+    value: mongoose.Schema.Types.Mixed, // Number, string or boolean depending on the field
+}, { _id: false });
+
+// Validated by parseSmartRules in utils/smartPlaylists.js
+const SmartRulesSchema = new mongoose.Schema({
+    match: {
+        type: String,
+        enum: ['all', 'any'],
+        default: 'all',
+    },
+    rules: [SmartRuleSchema],
+    limit: Number,
+    sort: String, // A sort field of utils/trackFilters.js
+    order: {
+        type: String,
+        enum: ['asc', 'desc'],
+    },
+}, { _id: false });
 
 const PlaylistSchema = new mongoose.Schema({
     name: {
@@ -22,9 +46,24 @@ const PlaylistSchema = new mongoose.Schema({
     is_public: {
         type: Boolean,
         default: false, // Playlists are private by default
+    },
+    // 'smart' playlists are filled by their rules each time they are read; `tracks` stays empty
+    type: {
+        type: String,
+        enum: ['manual', 'smart'],
+        default: 'manual',
+    },
+    smartRules: {
+        type: SmartRulesSchema,
+        default: null,
     }
 }, {
     timestamps: true
 });
 
+// Trashed playlists (deletedAt) are hidden from reads until they are restored or purged
+PlaylistSchema.plugin(softDeletePlugin);
+
+PlaylistSchema.index({ user: 1, deletedAt: -1 }, { partialFilterExpression: { deletedAt: { $type: 'date' } } });
+
 module.exports = mongoose.model('Playlist', PlaylistSchema);
\ No newline at end of file
@@ -1,4 +1,22 @@
 const mongoose = require('mongoose');
+const { SEARCH_FIELDS, buildSearchIndex } = require('../utils/search');
+const { CREDIT_FIELDS, resolveCredits, pruneCredits } = require('../utils/credits');
+const { softDeletePlugin } = require('../utils/softDelete');
+
+// One stored cover rendition (see utils/coverArt.js for the sizes)
+const coverImageSchema = new mongoose.Schema({
+  url: String,
+  key: String, // Storage key, used to delete the file
+  width: Number,
+}, { _id: false });
+
+// One browser-safe transcode of an uploaded file (see jobs/transcodeQueue.js)
+const renditionSchema = new mongoose.Schema({
+  key: String, // Storage key, in the same driver as the original (storageDriver)
+  bitrate: Number, // kbps
+  mimeType: String,
+  size: Number, // Bytes
+}, { _id: false });
 
 const trackSchema = new mongoose.Schema({
   // ** Core Data **
@@ -25,16 +43,27 @@ const trackSchema = new mongoose.Schema({
           type: Date,
           default: null // Will be updated when the track is played
       },
+  play_count: { // Number of listening history entries that counted as a play
+    type: Number,
+    default: 0,
+  },
+  skip_count: { // Number of listening history entries that were skipped
+    type: Number,
+    default: 0,
+  },
   sourceType: {
     type: String,
-    enum: ['local', 'youtube', 'external_url'], // Define possible sources
+    enum: ['local', 'youtube', 'external_url', 'stream'], // 'stream': live radio (Icecast/Shoutcast or HLS), no duration
     required: true,
   },
-  sourceUrl: { 
+  sourceUrl: { // Canonical link (see utils/sourceUrls.js); unique per user through `media`
     type: String,
     required: function() { return this.sourceType !== 'local'; }, // Required if not a local file
-    unique: true, // Still good practice for external links
-    sparse: true, // Allows nulls (for local files) while enforcing uniqueness
+  },
+  media: { // Shared record of the link (YouTube, external links and streams); title, artist and cover here are the owner's own
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Media',
+    default: null,
   },
   videoId: { // Specific to YouTube
     type: String,
@@ -42,19 +71,314 @@ const trackSchema = new mongoose.Schema({
     sparse: true,
   },
   filePath: {
-    type: String, // The path on the server (e.g., 'uploads/123456-audio.mp3')
+    type: String, // The storage key when storageDriver is set, otherwise a legacy path/URL (e.g., 'uploads/123456-audio.mp3')
     required: function() { return this.sourceType === 'local'; }, // Required if a local file
     sparse: true,
   },
+  storageDriver: { // Storage driver that holds the uploaded audio and cover (null for legacy tracks)
+    type: String,
+    enum: ['local', 's3', 'cloudinary', null],
+    default: null,
+  },
+  coverStorageKey: { // Storage key of the full-size cover rendition
+    type: String,
+    default: null,
+  },
+  coverStorageDriver: { // Storage driver that holds the cover files (falls back to storageDriver)
+    type: String,
+    enum: ['local', 's3', 'cloudinary', null],
+    default: null,
+  },
+  coverSizes: { // Cover thumbnails; cover_photo is the full-size URL
+    player: { type: coverImageSchema, default: null },
+    card: { type: coverImageSchema, default: null },
+    full: { type: coverImageSchema, default: null },
+  },
   mimeType: {
     type: String,
     required: false,
   },
+  contentHash: { // SHA-256 of the uploaded file, used to detect re-uploads of the same content
+    type: String,
+    default: null,
+  },
+
+  // ** Processing ** (uploads are transcoded in the background; links are ready at once)
+  processingStatus: {
+    type: String,
+    enum: ['pending', 'ready', 'failed'],
+    default: 'ready',
+  },
+  processingProgress: { // 0-100 while pending
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 100,
+  },
+  processingError: { // Why the last transcode failed
+    type: String,
+    default: null,
+  },
+  processingStartedAt: { // Set while a worker owns the job
+    type: Date,
+    default: null,
+  },
+  renditions: {
+    type: [renditionSchema],
+    default: [],
+  },
+
+  // ** Link Health ** (YouTube and external links, checked in the background by jobs/linkHealthCheck.js)
+  linkStatus: { // 'ok' or 'broken' once checked, null until then (uploads and streams are not checked)
+    type: String,
+    enum: ['ok', 'broken', null],
+    default: null,
+  },
+  linkCheckedAt: {
+    type: Date,
+    default: null,
+  },
+  linkError: { // Why the last check failed (null when it passed)
+    type: String,
+    default: null,
+  },
+  linkFailures: { // Failed checks in a row
+    type: Number,
+    min: 0,
+    default: 0,
+  },
+
+  // ** Tags ** (read from the file at ingest, editable via PUT /api/tracks/:id)
+  album: {
+    type: String,
+    trim: true,
+    default: null,
+  },
+  albumArtist: {
+    type: String,
+    trim: true,
+    default: null,
+  },
+  trackNumber: {
+    type: Number,
+    min: 0,
+    default: null,
+  },
+  discNumber: {
+    type: Number,
+    min: 0,
+    default: null,
+  },
+  year: {
+    type: Number,
+    min: 0,
+    default: null,
+  },
+  genres: {
+    type: [String],
+    default: [],
+  },
+  composer: {
+    type: String,
+    trim: true,
+    default: null,
+  },
+
+  // ** Credits ** (linked from artist, album artist and album on save, see utils/credits.js)
+  artistIds: { // Main artist first, then featured artists
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Artist' }],
+    default: [],
+  },
+  albumId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Album',
+    default: null,
+  },
+
+  // ** Organization ** (the owner's own tags, normalized by utils/tags.js)
+  tags: {
+    type: [String],
+    default: [],
+  },
+  likedAt: { // When the owner liked the track (null when not liked); orders Liked Songs
+    type: Date,
+    default: null,
+  },
+  rating: { // The owner's 1-5 star rating (null when unrated)
+    type: Number,
+    min: 1,
+    max: 5,
+    default: null,
+  },
+
+  // ** Audio Format ** (null when unknown, e.g. YouTube links)
+  duration: { // Seconds
+    type: Number,
+    min: 0,
+    default: null,
+  },
+  bitrate: { // Bits per second
+    type: Number,
+    min: 0,
+    default: null,
+  },
+  sampleRate: { // Hz
+    type: Number,
+    min: 0,
+    default: null,
+  },
+  codec: { // e.g. 'MPEG 1 Layer 3', 'FLAC'
+    type: String,
+    default: null,
+  },
+
+  // ** Loudness ** (see utils/loudness.js; the player applies trackGain + gainOffset)
+  loudness: { // Integrated loudness in LUFS (EBU R128)
+    type: Number,
+    default: null,
+  },
+  trackGain: { // dB to reach the reference level (-18 LUFS)
+    type: Number,
+    default: null,
+  },
+  trackPeak: { // True peak, linear (1 = full scale); limits positive gain
+    type: Number,
+    min: 0,
+    default: null,
+  },
+  loudnessSource: { // 'tags' (ReplayGain tags in the file) or 'ebur128' (measured by the worker)
+    type: String,
+    enum: ['tags', 'ebur128', null],
+    default: null,
+  },
+  gainOffset: { // Manual per-track adjustment in dB, applied even when normalization is off
+    type: Number,
+    min: -12,
+    max: 12,
+    default: 0,
+  },
+
+  // ** Cue points ** (trimmed playback: the player starts at startTime and moves on at endTime)
+  startTime: { // Seconds into the audio (null = from the beginning); read from YouTube t=/start= links
+    type: Number,
+    min: 0,
+    default: null,
+    validate: {
+      validator: function (value) {
+        return !value || this.endTime === null || value < this.endTime;
+      },
+      message: 'startTime must be before endTime.',
+    },
+  },
+  endTime: { // Seconds into the audio (null = to the end)
+    type: Number,
+    min: 0,
+    default: null,
+    validate: {
+      validator: function (value) {
+        return value === null || !this.startTime || value > this.startTime;
+      },
+      message: 'endTime must be after startTime.',
+    },
+  },
+
+  // ** Lyrics ** (text and lines live in the Lyrics collection, see GET /api/tracks/:id/lyrics)
+  lyricsFormat: { // 'plain' or 'lrc' (time-synced) when the track has lyrics, else null
+    type: String,
+    enum: ['plain', 'lrc', null],
+    default: null,
+  },
+
+  // ** Search ** (derived from the searchable fields on save, see utils/search.js)
+  searchTokens: { // Folded words of title, artist, album, album artist, composer and genres
+    type: [String],
+    default: [],
+    select: false,
+  },
+  searchGrams: { // Trigrams of those words, for prefix and typo-tolerant lookups
+    type: [String],
+    default: [],
+    select: false,
+  },
 
 }, {
   timestamps: true 
 });
 
+// Trashed tracks (deletedAt) are hidden from reads until they are restored or purged
+trackSchema.plugin(softDeletePlugin);
+
+// Keeps the search data in step with the fields it is built from
+trackSchema.pre('save', function (next) {
+  if (this.isNew || Object.keys(SEARCH_FIELDS).some(field => this.isModified(field))) {
+    Object.assign(this, buildSearchIndex(this));
+  }
+  next();
+});
+
+// Links new tracks, and tracks whose credits changed, to their Artist and Album records.
+// Records the old links no longer need are removed after the save.
+trackSchema.pre('save', async function () {
+  if (!this.isNew && !CREDIT_FIELDS.some(field => this.isModified(field))) return;
+  if (!this.isNew) {
+    this.$locals.previousCredits = { artistIds: [...this.artistIds], albumIds: [this.albumId] };
+  }
+  this.set(await resolveCredits(this));
+});
+
+trackSchema.post('save', async function () {
+  const previous = this.$locals.previousCredits;
+  if (!previous) return;
+  delete this.$locals.previousCredits;
+  try {
+    await pruneCredits(this.user, previous);
+  } catch (err) {
+    console.error(`❌ Could not clean up the old credits of track ${this._id}:`, err.message);
+  }
+});
+
+// Library listings (GET /api/tracks, /sorted, /my-tracks): one index per sort field of
+// utils/trackFilters.js, ending in _id like the cursor pagination in utils/pagination.js.
+// MongoDB walks them backwards for the other sort order.
+trackSchema.index({ user: 1, createdAt: -1, _id: -1 });
+trackSchema.index({ user: 1, title: 1, _id: 1 });
+trackSchema.index({ user: 1, recently_listened: -1, createdAt: -1, _id: -1 });
+trackSchema.index({ user: 1, play_count: -1, recently_listened: -1, _id: -1 });
+trackSchema.index({ user: 1, skip_count: -1, createdAt: -1, _id: -1 });
+trackSchema.index({ user: 1, artist: 1, title: 1, _id: 1 });
+trackSchema.index({ user: 1, album: 1, discNumber: 1, trackNumber: 1, _id: 1 });
+trackSchema.index({ user: 1, year: -1, _id: -1 });
+trackSchema.index({ user: 1, duration: -1, _id: -1 });
+trackSchema.index({ user: 1, likedAt: -1, _id: -1 });
+trackSchema.index({ user: 1, rating: -1, _id: -1 });
+
+// The transcode worker picks the oldest pending track first
+trackSchema.index({ processingStatus: 1, createdAt: 1 });
+
+// The Library health view lists a user's broken links
+trackSchema.index({ user: 1, linkStatus: 1 });
+
+// Duplicate checks on upload and the library duplicate scan
+trackSchema.index({ user: 1, contentHash: 1 }, { partialFilterExpression: { contentHash: { $type: 'string' } } });
+
+// A link is in each library at most once (see utils/sharedMedia.js)
+trackSchema.index({ user: 1, media: 1 }, { unique: true, partialFilterExpression: { media: { $type: 'objectId' } } });
+
+// Artist and album pages (routes/artists.js, routes/albums.js)
+trackSchema.index({ user: 1, artistIds: 1 });
+trackSchema.index({ user: 1, albumId: 1, discNumber: 1, trackNumber: 1 });
+
+// Tag filters and the tag list (GET /api/tags)
+trackSchema.index({ user: 1, tags: 1 });
+
+// Library search looks tracks up by word and trigram within the user's library
+trackSchema.index({ user: 1, searchGrams: 1 });
+trackSchema.index({ user: 1, searchTokens: 1 });
+
+// The Trash lists a user's trashed tracks; the purge job finds expired ones
+trackSchema.index({ user: 1, deletedAt: -1 }, { partialFilterExpression: { deletedAt: { $type: 'date' } } });
+trackSchema.index({ deletedAt: 1 }, { partialFilterExpression: { deletedAt: { $type: 'date' } } });
+
 const Track = mongoose.model('Track', trackSchema);
 
 module.exports = Track;
\ No newline at end of file
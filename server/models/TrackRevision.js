@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// One field an edit changed
+const revisionChangeSchema = new mongoose.Schema({
+  field: { // Track field, one of REVISION_FIELDS (utils/trackRevisions.js)
+    type: String,
+    required: true,
+  },
+  from: { // Value before the edit (null when it was empty)
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+  to: { // Value after the edit
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+}, { _id: false });
+
+// An edit of a track's metadata (PUT /api/tracks/:id or a revert): who made it, when,
+// and each changed field with its old and new value. Reverting restores the old values.
+const trackRevisionSchema = new mongoose.Schema({
+  track: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Track',
+    required: true,
+  },
+  user: { // Who made the edit
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  changes: {
+    type: [revisionChangeSchema],
+    default: [],
+  },
+  previousCover: { // Stored files of a replaced uploaded cover, kept so a revert can bring it back
+    coverStorageKey: { type: String, default: null },
+    coverStorageDriver: { type: String, default: null },
+    coverSizes: { type: mongoose.Schema.Types.Mixed, default: () => ({}) },
+  },
+  revertOf: { // The revision this edit reverted, for reverts
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TrackRevision',
+    default: null,
+  },
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// A track's revisions, newest first
+trackRevisionSchema.index({ track: 1, createdAt: -1, _id: -1 });
+
+const TrackRevision = mongoose.model('TrackRevision', trackRevisionSchema);
+
+module.exports = TrackRevision;
@@ -28,6 +28,12 @@ const userSchema = new mongoose.Schema({
   profile_image: { 
     type: String,
     default: '/images/default_avatar.png' // Set a default image path
+  },
+  settings: { // Playback preferences, changed via PUT /api/auth/settings
+    normalizeVolume: { // Apply each track's loudness gain in the player
+      type: Boolean,
+      default: true
+    }
   }
 }, {
   timestamps: true
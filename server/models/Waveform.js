@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// Downsampled peaks of an uploaded track, drawn by the player's seek bar.
+// Kept out of Track so listings never carry the peaks.
+const waveformSchema = new mongoose.Schema({
+  track: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Track',
+    required: true,
+    unique: true,
+  },
+  peaks: { // One byte per point: the loudest sample in that slice, 0-255 (255 = loudest point of the track)
+    type: Buffer,
+    required: true,
+  },
+  duration: { // Seconds of audio the peaks cover
+    type: Number,
+    min: 0,
+    default: null,
+  },
+}, {
+  timestamps: true
+});
+
+const Waveform = mongoose.model('Waveform', waveformSchema);
+
+module.exports = Waveform;
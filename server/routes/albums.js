@@ -0,0 +1,77 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Album = require('../models/Album');
+const Track = require('../models/Track');
+const { protect } = require('../middleware/auth');
+const { TRACK_LIST_PROJECTION } = require('../utils/trackFilters');
+const { nameKey, summarizeAlbums } = require('../utils/credits');
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// ==========================================================
+//                      ALBUM ENDPOINTS
+// ==========================================================
+
+// @route   GET /api/albums?q=...&artistId=...&sort=title|year
+// @desc    The user's albums with their artist, track count, length and cover,
+//          by title (or newest first with sort=year). `q` keeps the titles containing
+//          it, `artistId` the albums of one album artist.
+// @access  Private
+router.get('/', protect, async (req, res) => {
+    try {
+        const filter = { user: new mongoose.Types.ObjectId(req.user.id) };
+        const key = req.query.q ? nameKey(req.query.q) : '';
+        if (key) {
+            filter.titleKey = new RegExp(escapeRegex(key));
+        }
+        if (req.query.artistId) {
+            if (!mongoose.Types.ObjectId.isValid(req.query.artistId)) {
+                return res.status(400).json({ msg: 'Invalid artist ID.' });
+            }
+            filter.artist = new mongoose.Types.ObjectId(req.query.artistId);
+        }
+
+        const sort = req.query.sort === 'year' ? { year: -1, titleKey: 1 } : { titleKey: 1, year: -1 };
+        const albums = await Album.find(filter).select('-__v').sort(sort).lean();
+        const summaries = await summarizeAlbums(req.user.id, albums);
+
+        res.json({ albums: summaries.filter(({ trackCount }) => trackCount > 0) });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server Error: Could not retrieve albums.');
+    }
+});
+
+// @route   GET /api/albums/:id
+// @desc    An album with its tracks in disc and track order
+// @access  Private
+router.get('/:id', protect, async (req, res) => {
+    try {
+        const album = await Album.findById(req.params.id).select('-__v').lean();
+        if (!album) {
+            return res.status(404).json({ msg: 'Album not found.' });
+        }
+        if (album.user.toString() !== req.user.id) {
+            return res.status(401).json({ msg: 'Not authorized to view this album.' });
+        }
+
+        const [[summary], tracks] = await Promise.all([
+            summarizeAlbums(req.user.id, [album]),
+            Track.find({ user: album.user, albumId: album._id })
+                .select(TRACK_LIST_PROJECTION)
+                .sort({ discNumber: 1, trackNumber: 1, title: 1, _id: 1 })
+                .lean(),
+        ]);
+
+        res.json({ album: summary, tracks });
+    } catch (err) {
+        console.error(err.message);
+        if (err.kind === 'ObjectId') {
+            return res.status(404).json({ msg: 'Album not found (Invalid ID format).' });
+        }
+        res.status(500).send('Server Error: Could not retrieve album.');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,254 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Artist = require('../models/Artist');
+const Album = require('../models/Album');
+const Track = require('../models/Track');
+const { protect } = require('../middleware/auth');
+const { TRACK_LIST_PROJECTION } = require('../utils/trackFilters');
+const { nameKey, mergeArtists, summarizeAlbums, findMergeSuggestions } = require('../utils/credits');
+
+// Artists one merge may fold into another
+const MAX_MERGE_ARTISTS = 50;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * The user's artists that still have tracks or albums, with their counts and the
+ * cover of their latest track. `q` keeps the names (or merged names) containing it.
+ */
+const listArtists = async (userId, q) => {
+    const user = new mongoose.Types.ObjectId(userId);
+    const filter = { user };
+    const key = q ? nameKey(q) : '';
+    if (key) {
+        const pattern = new RegExp(escapeRegex(key));
+        filter.$or = [{ nameKey: pattern }, { aliases: pattern }];
+    }
+
+    const [artists, trackStats, albumStats] = await Promise.all([
+        Artist.find(filter).select('name nameKey aliases').sort({ nameKey: 1 }).lean(),
+        Track.aggregate([
+            { $match: { user, 'artistIds.0': { $exists: true } } },
+            { $sort: { createdAt: -1 } },
+            { $unwind: { path: '$artistIds', includeArrayIndex: 'position' } },
+            {
+                $group: {
+                    _id: '$artistIds',
+                    trackCount: { $sum: 1 },
+                    featuredCount: { $sum: { $cond: [{ $gt: ['$position', 0] }, 1, 0] } },
+                    cover_photo: { $first: '$cover_photo' },
+                    coverSizes: { $first: '$coverSizes' },
+                },
+            },
+        ]),
+        Album.aggregate([
+            { $match: { user } },
+            { $group: { _id: '$artist', albumCount: { $sum: 1 } } },
+        ]),
+    ]);
+
+    const tracksById = new Map(trackStats.map(({ _id, ...rest }) => [String(_id), rest]));
+    const albumsById = new Map(albumStats.map(({ _id, albumCount }) => [String(_id), albumCount]));
+    return artists
+        .map((artist) => ({
+            ...artist,
+            trackCount: 0,
+            featuredCount: 0,
+            cover_photo: null,
+            coverSizes: null,
+            ...tracksById.get(String(artist._id)),
+            albumCount: albumsById.get(String(artist._id)) || 0,
+        }))
+        .filter(({ trackCount, albumCount }) => trackCount > 0 || albumCount > 0);
+};
+
+// ==========================================================
+//                     ARTIST ENDPOINTS
+// ==========================================================
+
+// @route   GET /api/artists?q=...&sort=name|tracks
+// @desc    The user's artists with their track and album counts, by name
+//          (or most tracks first with sort=tracks). `q` keeps the names containing it.
+// @access  Private
+router.get('/', protect, async (req, res) => {
+    try {
+        const artists = await listArtists(req.user.id, req.query.q);
+        if (req.query.sort === 'tracks') {
+            artists.sort((a, b) => b.trackCount - a.trackCount);
+        }
+        res.json({ artists });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server Error: Could not retrieve artists.');
+    }
+});
+
+// @route   GET /api/artists/suggestions
+// @desc    Groups of artists that are probably one artist spelled differently
+//          ("The Beatles" / "Beatles", "AC/DC" / "ACDC"), to merge
+// @access  Private
+router.get('/suggestions', protect, async (req, res) => {
+    try {
+        const artists = await listArtists(req.user.id);
+        const suggestions = findMergeSuggestions(artists).map(group => ({
+            artists: group
+                .sort((a, b) => b.trackCount - a.trackCount)
+                .map(({ _id, name, trackCount }) => ({ _id, name, trackCount })),
+        }));
+        res.json({ suggestions });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server Error: Could not retrieve merge suggestions.');
+    }
+});
+
+// @route   GET /api/artists/:id
+// @desc    An artist's discography: their albums, the albums of others they appear on,
+//          and every track crediting them (main or featured), by album and track number
+// @access  Private
+router.get('/:id', protect, async (req, res) => {
+    try {
+        const artist = await Artist.findById(req.params.id).select('-__v').lean();
+        if (!artist) {
+            return res.status(404).json({ msg: 'Artist not found.' });
+        }
+        if (artist.user.toString() !== req.user.id) {
+            return res.status(401).json({ msg: 'Not authorized to view this artist.' });
+        }
+
+        const [albums, tracks] = await Promise.all([
+            Album.find({ user: artist.user, artist: artist._id }).select('-__v').lean(),
+            Track.find({ user: artist.user, artistIds: artist._id })
+                .select(TRACK_LIST_PROJECTION)
+                .sort({ year: -1, album: 1, discNumber: 1, trackNumber: 1, _id: 1 })
+                .lean(),
+        ]);
+
+        // Albums of other artists that feature this one
+        const ownAlbumIds = new Set(albums.map(({ _id }) => String(_id)));
+        const otherAlbumIds = [...new Set(tracks.map(({ albumId }) => albumId && String(albumId)))]
+            .filter(id => id && !ownAlbumIds.has(id));
+        const appearsOn = otherAlbumIds.length > 0
+            ? await Album.find({ _id: { $in: otherAlbumIds }, user: artist.user }).select('-__v').lean()
+            : [];
+
+        // Newest first; albums without a year last
+        const byYear = (a, b) => (b.year ?? -1) - (a.year ?? -1) || a.titleKey.localeCompare(b.titleKey);
+        const [albumSummaries, appearsOnSummaries] = await Promise.all([
+            summarizeAlbums(req.user.id, albums.sort(byYear)),
+            summarizeAlbums(req.user.id, appearsOn.sort(byYear)),
+        ]);
+
+        res.json({
+            artist: {
+                ...artist,
+                trackCount: tracks.length,
+                featuredCount: tracks.filter(({ artistIds }) => !artistIds[0].equals(artist._id)).length,
+                albumCount: albums.length,
+            },
+            albums: albumSummaries,
+            appearsOn: appearsOnSummaries,
+            tracks,
+        });
+    } catch (err) {
+        console.error(err.message);
+        if (err.kind === 'ObjectId') {
+            return res.status(404).json({ msg: 'Artist not found (Invalid ID format).' });
+        }
+        res.status(500).send('Server Error: Could not retrieve artist.');
+    }
+});
+
+// @route   PUT /api/artists/:id
+// @desc    Rename an artist (its display name). The tracks keep their artist tags;
+//          later tracks tagged with the new spelling link to this artist too.
+//          Body: { name: 'Daft Punk' }
+// @access  Private
+router.put('/:id', protect, async (req, res) => {
+    try {
+        const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+        const key = nameKey(name);
+        if (!key) {
+            return res.status(400).json({ msg: 'Artist name is required.' });
+        }
+
+        const artist = await Artist.findById(req.params.id);
+        if (!artist) {
+            return res.status(404).json({ msg: 'Artist not found.' });
+        }
+        if (artist.user.toString() !== req.user.id) {
+            return res.status(401).json({ msg: 'Not authorized to update this artist.' });
+        }
+
+        if (key !== artist.nameKey && !artist.aliases.includes(key)) {
+            const other = await Artist.findOne({ user: artist.user, _id: { $ne: artist._id }, $or: [{ nameKey: key }, { aliases: key }] })
+                .select('name')
+                .lean();
+            if (other) {
+                return res.status(400).json({ msg: `Another artist is called "${other.name}". Merge the two instead.`, artistId: other._id });
+            }
+            artist.aliases.push(key);
+        }
+        artist.name = name;
+        await artist.save();
+
+        res.json({ artist });
+    } catch (err) {
+        console.error(err.message);
+        if (err.kind === 'ObjectId') {
+            return res.status(404).json({ msg: 'Artist not found (Invalid ID format).' });
+        }
+        res.status(500).send('Server Error: Could not rename artist.');
+    }
+});
+
+// @route   POST /api/artists/:id/merge
+// @desc    Merge other artists (spelling variants) into this one: their tracks and
+//          albums move here and their names become aliases of this artist
+//          Body: { artistIds: [...] }
+// @access  Private
+router.post('/:id/merge', protect, async (req, res) => {
+    try {
+        const artistIds = Array.isArray(req.body.artistIds) ? [...new Set(req.body.artistIds.map(String))] : [];
+        if (artistIds.length === 0 || artistIds.length > MAX_MERGE_ARTISTS) {
+            return res.status(400).json({ msg: `Send between 1 and ${MAX_MERGE_ARTISTS} artist IDs to merge.` });
+        }
+        if (!artistIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+            return res.status(400).json({ msg: 'Invalid artist ID.' });
+        }
+        if (artistIds.includes(req.params.id)) {
+            return res.status(400).json({ msg: 'An artist cannot be merged into itself.' });
+        }
+
+        const target = await Artist.findById(req.params.id);
+        if (!target) {
+            return res.status(404).json({ msg: 'Artist not found.' });
+        }
+        if (target.user.toString() !== req.user.id) {
+            return res.status(401).json({ msg: 'Not authorized to merge into this artist.' });
+        }
+
+        const sources = await Artist.find({ _id: { $in: artistIds }, user: target.user }).lean();
+        if (sources.length !== artistIds.length) {
+            return res.status(404).json({ msg: 'Some of the artists to merge were not found.' });
+        }
+
+        const result = await mergeArtists(target.user, target, sources);
+        const artist = await Artist.findById(target._id).select('-__v').lean();
+
+        res.json({
+            msg: `Merged ${sources.map(({ name }) => `"${name}"`).join(', ')} into "${target.name}".`,
+            artist,
+            ...result,
+        });
+    } catch (err) {
+        console.error(err.message);
+        if (err.kind === 'ObjectId') {
+            return res.status(404).json({ msg: 'Artist not found (Invalid ID format).' });
+        }
+        res.status(500).send('Server Error: Could not merge artists.');
+    }
+});
+
+module.exports = router;
@@ -35,6 +35,7 @@ router.post('/register', async (req, res) => {
       username: user.username,
       email: user.email,
       profile_image: user.profile_image,
+      settings: user.settings,
       token: generateToken(user._id),
     });
 
@@ -87,6 +88,7 @@ router.post('/login', async (req, res) => {
         username: user.username,
         email: user.email,
         profile_image: user.profile_image,
+        settings: user.settings,
         token: generateToken(user._id),
       });
     } else {
@@ -138,4 +140,33 @@ router.put('/profile', protect, async (req, res) => {
   }
 });
 
+// @route   PUT /api/auth/settings
+// @desc    Update playback settings (e.g. { normalizeVolume: false })
+// @access  Private
+router.put('/settings', protect, async (req, res) => {
+  const { normalizeVolume } = req.body;
+
+  if (normalizeVolume !== undefined && typeof normalizeVolume !== 'boolean') {
+    return res.status(400).json({ msg: 'normalizeVolume must be true or false.' });
+  }
+
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({ msg: 'User not found' });
+    }
+
+    if (normalizeVolume !== undefined) {
+      user.settings.normalizeVolume = normalizeVolume;
+    }
+    await user.save();
+
+    res.json({ settings: user.settings });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error: Could not update settings.');
+  }
+});
+
 module.exports = router;
\ No newline at end of file
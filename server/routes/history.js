@@ -0,0 +1,39 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const ListeningHistory = require('../models/ListeningHistory');
+const { protect } = require('../middleware/auth');
+
+// ==========================================================
+//                LISTENING HISTORY ENDPOINTS
+// ==========================================================
+
+// @route   GET /api/history?limit=50&trackId=...
+// @desc    Get the logged-in user's listening history (newest first)
+// @access  Private
+router.get('/', protect, async (req, res) => {
+    try {
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+        const filter = { user: req.user.id };
+
+        if (req.query.trackId) {
+            if (!mongoose.Types.ObjectId.isValid(req.query.trackId)) {
+                return res.status(400).json({ msg: 'Invalid track ID.' });
+            }
+            filter.track = req.query.trackId;
+        }
+
+        const history = await ListeningHistory.find(filter)
+            .populate('track', 'title artist sourceType cover_photo')
+            .sort({ startedAt: -1 })
+            .limit(limit);
+
+        // Plays of trashed tracks are kept for a restore, but not listed
+        res.json({ history: history.filter(entry => entry.track) });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server Error: Could not retrieve listening history.');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,37 @@
+const express = require('express');
+const router = express.Router();
+const { getStorage } = require('../storage');
+const { sendStorageRange } = require('../utils/mediaStream');
+
+// ==========================================================
+//                   MEDIA ENDPOINTS
+// ==========================================================
+
+// @route   GET /api/media/:driver/covers/*
+// @desc    Serve a cover image stored by a driver that has no public URLs (local, S3)
+// @access  Public (cover art only; audio goes through GET /api/tracks/:id/stream)
+router.get('/:driver/covers/*path', async (req, res) => {
+    try {
+        // Express decodes `%2F` inside a segment, so `..%2Faudio%2F...` must not reach the driver as a path
+        const segments = req.params.path;
+        if (segments.some(segment => !segment || segment === '.' || segment === '..' || /[/\\]/.test(segment))) {
+            return res.status(404).json({ msg: 'Image not found.' });
+        }
+
+        const storage = getStorage(req.params.driver);
+        const key = `covers/${segments.join('/')}`;
+
+        // Cover keys are unique per upload, so a stored file never changes
+        res.setHeader('Cache-Control', 'public, max-age=31536000, immutable');
+        await sendStorageRange(req, res, storage, key);
+    } catch (err) {
+        console.error(err.message);
+        if (res.headersSent) return res.destroy(err);
+        if (err.code === 'ENOENT' || err.name === 'NotFound' || err.message.startsWith('Unknown storage driver')) {
+            return res.status(404).json({ msg: 'Image not found.' });
+        }
+        res.status(500).send('Server Error: Could not load image.');
+    }
+});
+
+module.exports = router;
@@ -4,13 +4,33 @@ const Playlist = require('../models/Playlist');
 const Track = require('../models/Track');
 const { protect } = require('../middleware/auth'); 
 const mongoose = require('mongoose'); 
+const { LIKED_SONGS_ID, LIKED_SONGS_NAME, likedSongsSummary, likedSongsPlaylist } = require('../utils/systemPlaylists');
+const { parseSmartRules, describeRule, evaluateSmartRules } = require('../utils/smartPlaylists');
+const { purgeDate } = require('../utils/softDelete');
+
+// Track fields sent with a populated playlist
+const PLAYLIST_TRACK_FIELDS = 'title artist sourceType sourceUrl videoId filePath cover_photo coverSizes album albumArtist trackNumber discNumber year genres duration rating artistIds albumId lyricsFormat startTime endTime';
+
+const BUILT_IN_MSG = `${LIKED_SONGS_NAME} is a built-in collection and cannot be renamed or deleted.`;
+
+// A smart playlist with its tracks evaluated now: each track has `matchedRules`
+// (indexes into `ruleDescriptions`)
+const withSmartTracks = async (playlist, userId) => {
+    const tracks = await evaluateSmartRules(userId, playlist.smartRules, PLAYLIST_TRACK_FIELDS);
+    return {
+        ...playlist.toObject(),
+        tracks,
+        ruleDescriptions: playlist.smartRules.rules.map(describeRule),
+    };
+};
 
 // ==========================================================
 //                   PLAYLIST API ENDPOINTS
 // ==========================================================
 
 // @route   POST /api/playlists
-// @desc    Create a new playlist
+// @desc    Create a new playlist. Sending `smartRules` creates a smart playlist,
+//          filled by its rules instead of a track list.
 // @access  Private
 router.post('/', protect, async (req, res) => {
     try {
@@ -21,12 +41,23 @@ router.post('/', protect, async (req, res) => {
             return res.status(400).json({ msg: 'Playlist name is required.' });
         }
 
+        let smartRules = null;
+        if (req.body.smartRules !== undefined) {
+            const parsed = parseSmartRules(req.body.smartRules);
+            if (parsed.error) {
+                return res.status(400).json({ msg: parsed.error });
+            }
+            smartRules = parsed.smartRules;
+        }
+
         const newPlaylist = new Playlist({
             name,
             description,
             is_public: is_public !== undefined ? is_public : true, // Default to true
             user: req.user.id, // Assign the logged-in user as the owner
             tracks: [], 
+            type: smartRules ? 'smart' : 'manual',
+            smartRules,
         });
 
         const playlist = await newPlaylist.save();
@@ -37,6 +68,24 @@ router.post('/', protect, async (req, res) => {
     }
 });
 
+// @route   POST /api/playlists/smart/preview
+// @desc    Evaluate smart playlist rules without saving them (rule builder preview)
+//          Body: { smartRules: { match, rules, limit, sort, order } }
+// @access  Private
+router.post('/smart/preview', protect, async (req, res) => {
+    try {
+        const { smartRules, error } = parseSmartRules(req.body.smartRules);
+        if (error) {
+            return res.status(400).json({ msg: error });
+        }
+        const tracks = await evaluateSmartRules(req.user.id, smartRules, PLAYLIST_TRACK_FIELDS);
+        res.json({ smartRules, tracks, trackCount: tracks.length, ruleDescriptions: smartRules.rules.map(describeRule) });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server Error: Could not preview smart playlist.');
+    }
+});
+
 // // @route   GET /api/playlists/my-playlists
 // // @desc    Get all playlists owned by the logged-in user
 // // @access  Private
@@ -56,16 +105,33 @@ router.post('/', protect, async (req, res) => {
 
 
 // @route   GET /api/playlists/my-playlists
-// @desc    Get all playlists owned by the logged-in user (with track IDs)
+// @desc    Get all playlists owned by the logged-in user (with track IDs).
+//          The built-in Liked Songs collection comes first, marked with `system: true`.
+//          Smart playlists list the IDs their rules match right now; trashed tracks are left out.
 // @access  Private
 router.get('/my-playlists', protect, async (req, res) => {
   try {
-    const playlists = await Playlist.find({ user: req.user.id })
-      // include tracks so frontend can know membership
-      .select('name tracks is_public createdAt updatedAt') 
-      .sort({ createdAt: -1 });
-
-    res.json(playlists);
+    const [liked, playlists, trashedIds] = await Promise.all([
+      likedSongsSummary(req.user.id),
+      Playlist.find({ user: req.user.id })
+        // include tracks so frontend can know membership
+        .select('name tracks is_public type smartRules createdAt updatedAt') 
+        .sort({ createdAt: -1 }),
+      Track.distinct('_id', { user: req.user.id, deletedAt: { $ne: null } }),
+    ]);
+    const trashed = new Set(trashedIds.map(String));
+
+    const entries = await Promise.all(playlists.map(async (playlist) => {
+      if (playlist.type !== 'smart') {
+        // Trashed tracks keep their place in the playlist for a restore, but are not listed
+        if (trashed.size === 0) return playlist;
+        return { ...playlist.toObject(), tracks: playlist.tracks.filter(id => !trashed.has(String(id))) };
+      }
+      const tracks = await evaluateSmartRules(req.user.id, playlist.smartRules, '_id');
+      return { ...playlist.toObject(), tracks: tracks.map(track => track._id), trackCount: tracks.length };
+    }));
+
+    res.json([liked, ...entries]);
   } catch (err) {
     console.error(err.message);
     res.status(500).send('Server Error: Could not retrieve user playlists.');
@@ -74,6 +140,63 @@ router.get('/my-playlists', protect, async (req, res) => {
 
 
 
+// ==========================================================
+//                 LIKED SONGS (built-in collection)
+// ==========================================================
+// Registered before the /:id routes, which would otherwise take 'liked' as a playlist ID.
+
+// @route   GET /api/playlists/liked
+// @desc    Liked Songs with its tracks, most recently liked first
+// @access  Private
+router.get(`/${LIKED_SONGS_ID}`, protect, async (req, res) => {
+    try {
+        res.json(await likedSongsPlaylist(req.user.id, PLAYLIST_TRACK_FIELDS));
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server Error: Could not retrieve liked songs.');
+    }
+});
+
+// @route   PUT /api/playlists/liked/tracks
+// @desc    TOGGLE: Like or unlike a track (same response as for a regular playlist)
+// @access  Private
+router.put(`/${LIKED_SONGS_ID}/tracks`, protect, async (req, res) => {
+    const { trackId } = req.body;
+
+    if (!trackId || !mongoose.Types.ObjectId.isValid(trackId)) {
+        return res.status(400).json({ msg: 'Valid track ID is required.' });
+    }
+
+    try {
+        const track = await Track.findOne({ _id: trackId, user: req.user.id }).select('likedAt');
+        if (!track) {
+            return res.status(404).json({ msg: 'Track does not exist.' });
+        }
+
+        const isAdded = !track.likedAt;
+        await Track.updateOne({ _id: track._id }, { $set: { likedAt: isAdded ? new Date() : null } });
+
+        res.json({
+            msg: `Track ${isAdded ? 'added to' : 'removed from'} ${LIKED_SONGS_NAME}.`,
+            isAdded,
+            playlist: await likedSongsPlaylist(req.user.id, PLAYLIST_TRACK_FIELDS),
+        });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server Error: Could not update liked songs.');
+    }
+});
+
+// @route   PUT /api/playlists/liked, DELETE /api/playlists/liked
+// @desc    Always refused: Liked Songs cannot be renamed or deleted
+// @access  Private
+router.put(`/${LIKED_SONGS_ID}`, protect, (req, res) => {
+    res.status(403).json({ msg: BUILT_IN_MSG });
+});
+router.delete(`/${LIKED_SONGS_ID}`, protect, (req, res) => {
+    res.status(403).json({ msg: BUILT_IN_MSG });
+});
+
 // @route   GET /api/playlists/:id
 // @desc    Get a single playlist and populate its tracks
 // @access  Private (Owner only for now)
@@ -86,13 +209,17 @@ router.get('/:id', protect, async (req, res) => {
         })
         .populate({
             path: 'tracks', // Populate the tracks array
-            select: 'title artist sourceType sourceUrl videoId filePath cover_photo' // Added cover_photo
+            select: PLAYLIST_TRACK_FIELDS
         });
 
         if (!playlist) {
             return res.status(404).json({ msg: 'Playlist not found or you do not have permission to view it.' });
         }
 
+        if (playlist.type === 'smart') {
+            return res.json(await withSmartTracks(playlist, req.user.id));
+        }
+
         res.json(playlist);
     } catch (err) {
         console.error(err.message);
@@ -125,6 +252,10 @@ router.put('/:id/tracks', protect, async (req, res) => {
         if (playlist.user.toString() !== req.user.id) {
             return res.status(401).json({ msg: 'Not authorized to modify this playlist.' });
         }
+
+        if (playlist.type === 'smart') {
+            return res.status(400).json({ msg: 'Smart playlists are filled by their rules. Edit the rules instead.' });
+        }
         
         // Ensure the track actually exists before trying to add it
         const trackExists = await Track.findById(trackId);
@@ -142,6 +273,10 @@ router.put('/:id/tracks', protect, async (req, res) => {
             playlist.tracks.splice(trackIndex, 1);
             action = 'removed';
         } else {
+            // Only your own tracks can be added: a public playlist shares its tracks (see canStreamTrack)
+            if (trackExists.user.toString() !== req.user.id) {
+                return res.status(401).json({ msg: 'Not authorized to add this track.' });
+            }
             // Track is not in the playlist, so add it
             playlist.tracks.push(trackId);
             action = 'added';
@@ -152,7 +287,7 @@ router.put('/:id/tracks', protect, async (req, res) => {
         // Populate and return the updated playlist for immediate UI refresh
         const updatedPlaylist = await playlist.populate({
              path: 'tracks',
-             select: 'title artist sourceType sourceUrl videoId filePath cover_photo'
+             select: PLAYLIST_TRACK_FIELDS
         });
 
         res.json({ 
@@ -169,20 +304,25 @@ router.put('/:id/tracks', protect, async (req, res) => {
 
 
 // @route   DELETE /api/playlists/:id
-// @desc    Delete a playlist (Owner only)
+// @desc    Move a playlist to the Trash (Owner only). It can be restored for
+//          TRASH_RETENTION_DAYS (see routes/trash.js)
 // @access  Private
 router.delete('/:id', protect, async (req, res) => {
     try {
-        const result = await Playlist.deleteOne({ 
-            _id: req.params.id, 
-            user: req.user.id // Ensures only the owner can delete
-        });
+        const playlist = await Playlist.findOneAndUpdate(
+            {
+                _id: req.params.id,
+                user: req.user.id, // Ensures only the owner can delete
+            },
+            { $set: { deletedAt: new Date() } },
+            { new: true }
+        ).select('deletedAt');
 
-        if (result.deletedCount === 0) {
+        if (!playlist) {
             return res.status(404).json({ msg: 'Playlist not found or you are not authorized to delete it.' });
         }
 
-        res.json({ msg: 'Playlist successfully deleted.' });
+        res.json({ msg: 'Playlist moved to the Trash.', deletedAt: playlist.deletedAt, purgeAt: purgeDate(playlist.deletedAt) });
     } catch (err) {
         console.error(err.message);
         res.status(500).send('Server Error: Could not delete playlist.');
@@ -193,7 +333,7 @@ router.delete('/:id', protect, async (req, res) => {
 // backend/routes/playlists.js (Add this block)
 
 // @route   PUT /api/playlists/:id
-// @desc    Update playlist details (name, description, is_public)
+// @desc    Update playlist details (name, description, is_public, and smartRules of a smart playlist)
 // @access  Private (Owner only)
 router.put('/:id', protect, async (req, res) => {
     try {
@@ -204,6 +344,17 @@ router.put('/:id', protect, async (req, res) => {
         if (name) updates.name = name;
         if (description !== undefined) updates.description = description; // Allow empty string
         if (is_public !== undefined) updates.is_public = is_public;
+        if (req.body.smartRules !== undefined) {
+            const { smartRules, error } = parseSmartRules(req.body.smartRules);
+            if (error) {
+                return res.status(400).json({ msg: error });
+            }
+            const existing = await Playlist.findOne({ _id: req.params.id, user: req.user.id }).select('type');
+            if (existing && existing.type !== 'smart') {
+                return res.status(400).json({ msg: 'Only smart playlists have rules.' });
+            }
+            updates.smartRules = smartRules;
+        }
 
         // Ensure there is something to update
         if (Object.keys(updates).length === 0) {
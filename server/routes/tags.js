@@ -0,0 +1,170 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Track = require('../models/Track');
+const { protect } = require('../middleware/auth');
+const { normalizeTag, parseTagList, validateTagList } = require('../utils/tags');
+const { recordFieldRevision } = require('../utils/trackRevisions');
+
+// Tracks one bulk tag edit may touch
+const MAX_BULK_TRACKS = 500;
+
+// Pipeline update that removes `remove` from a track's tags, then adds `add`
+const editTagsPipeline = (add, remove) => [
+    { $set: { tags: { $setUnion: [{ $setDifference: [{ $ifNull: ['$tags', []] }, remove] }, add] } } },
+];
+
+/**
+ * Applies a tag update to the user's tracks matching `filter`, and records a
+ * revision on each track whose tags it changed, so the edit can be reverted.
+ * @returns {Promise<{result: object, tracks: Array}>} The update result and the
+ *   matched tracks with their new tags
+ */
+const updateTrackTags = async (userId, filter, update) => {
+    const before = await Track.find(filter).select('tags').lean();
+    const result = await Track.updateMany(filter, update);
+
+    const previousTags = new Map(before.map(({ _id, tags }) => [_id.toString(), tags]));
+    const tracks = await Track.find({ _id: { $in: before.map(({ _id }) => _id) } })
+        .select('tags coverStorageKey')
+        .lean();
+    for (const track of tracks) {
+        try {
+            await recordFieldRevision(track, {
+                user: userId,
+                field: 'tags',
+                from: previousTags.get(track._id.toString()) || [],
+                to: track.tags || [],
+            });
+        } catch (err) {
+            console.error(`❌ Could not record the tag edit of track ${track._id}:`, err.message);
+        }
+    }
+    return { result, tracks };
+};
+
+// ==========================================================
+//                      TAG ENDPOINTS
+// ==========================================================
+
+// @route   GET /api/tags?q=...
+// @desc    The user's tags with the number of tracks carrying each, most used first.
+//          `q` keeps the tags containing it (autocomplete).
+// @access  Private
+router.get('/', protect, async (req, res) => {
+    try {
+        const pipeline = [
+            { $match: { user: new mongoose.Types.ObjectId(req.user.id), tags: { $exists: true, $ne: [] } } },
+            { $unwind: '$tags' },
+            { $group: { _id: '$tags', count: { $sum: 1 } } },
+        ];
+        const q = normalizeTag(req.query.q);
+        if (q) {
+            pipeline.push({ $match: { _id: { $regex: q.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') } } });
+        }
+        pipeline.push({ $sort: { count: -1, _id: 1 } });
+
+        const groups = await Track.aggregate(pipeline);
+        res.json({ tags: groups.map(({ _id, count }) => ({ tag: _id, count })) });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server Error: Could not retrieve tags.');
+    }
+});
+
+// @route   PUT /api/tags/tracks
+// @desc    Add and/or remove tags on one or many of the user's tracks
+//          Body: { trackIds: [...], add: ['focus'], remove: ['gym'] }
+// @access  Private
+router.put('/tracks', protect, async (req, res) => {
+    try {
+        const trackIds = Array.isArray(req.body.trackIds) ? req.body.trackIds : [];
+        if (trackIds.length === 0 || trackIds.length > MAX_BULK_TRACKS) {
+            return res.status(400).json({ msg: `Send between 1 and ${MAX_BULK_TRACKS} track IDs.` });
+        }
+        if (!trackIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+            return res.status(400).json({ msg: 'Invalid track ID.' });
+        }
+
+        const { tags: add, error } = validateTagList(req.body.add);
+        const remove = parseTagList(req.body.remove);
+        if (error) {
+            return res.status(400).json({ msg: error });
+        }
+        if (add.length === 0 && remove.length === 0) {
+            return res.status(400).json({ msg: 'Nothing to add or remove.' });
+        }
+
+        // Only the user's own tracks are touched; the others are reported as not found
+        const filter = { _id: { $in: trackIds }, user: req.user.id };
+        const { result, tracks } = await updateTrackTags(req.user.id, filter, editTagsPipeline(add, remove));
+
+        res.json({
+            msg: `Updated tags on ${result.modifiedCount} track(s).`,
+            matched: result.matchedCount,
+            modified: result.modifiedCount,
+            notFound: trackIds.length - result.matchedCount,
+            tracks: tracks.map(({ _id, tags }) => ({ _id, tags })),
+        });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server Error: Could not update track tags.');
+    }
+});
+
+// @route   PUT /api/tags/:tag
+// @desc    Rename a tag on every track of the user. Renaming to a tag that is
+//          already in use merges the two.
+//          Body: { name: 'new name' }
+// @access  Private
+router.put('/:tag', protect, async (req, res) => {
+    try {
+        const from = normalizeTag(req.params.tag);
+        const to = normalizeTag(req.body.name);
+        if (!from || !to) {
+            return res.status(400).json({ msg: 'Both the tag and its new name are required.' });
+        }
+        if (from === to) {
+            return res.status(400).json({ msg: 'The new name is the same as the old one.' });
+        }
+
+        // Checked before the update, which would otherwise make every rename look like a merge
+        const merged = await Track.exists({ user: req.user.id, tags: to });
+        const { result } = await updateTrackTags(req.user.id, { user: req.user.id, tags: from }, editTagsPipeline([to], [from]));
+        if (result.matchedCount === 0) {
+            return res.status(404).json({ msg: 'Tag not found.' });
+        }
+
+        res.json({
+            msg: merged ? `Merged "${from}" into "${to}".` : `Renamed "${from}" to "${to}".`,
+            tag: to,
+            merged: Boolean(merged),
+            tracks: result.modifiedCount,
+        });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server Error: Could not rename tag.');
+    }
+});
+
+// @route   DELETE /api/tags/:tag
+// @desc    Remove a tag from every track of the user
+// @access  Private
+router.delete('/:tag', protect, async (req, res) => {
+    try {
+        const tag = normalizeTag(req.params.tag);
+        if (!tag) {
+            return res.status(400).json({ msg: 'Tag is required.' });
+        }
+        const { result } = await updateTrackTags(req.user.id, { user: req.user.id, tags: tag }, { $pull: { tags: tag } });
+        if (result.matchedCount === 0) {
+            return res.status(404).json({ msg: 'Tag not found.' });
+        }
+        res.json({ msg: `Removed "${tag}" from ${result.modifiedCount} track(s).`, tracks: result.modifiedCount });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server Error: Could not delete tag.');
+    }
+});
+
+module.exports = router;
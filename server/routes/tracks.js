@@ -1,14 +1,45 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const path = require('path');
 const fs = require('fs/promises');
 const Track = require('../models/Track');
-const { protect } = require('../middleware/auth'); 
+const ListeningHistory = require('../models/ListeningHistory');
+const Playlist = require('../models/Playlist');
+const Waveform = require('../models/Waveform');
+const Lyrics = require('../models/Lyrics');
+const { protect, protectStream } = require('../middleware/auth'); 
 const { parseFile } = require('music-metadata');
-
-// Cloudinary setup
-const { upload, uploadToCloudinary } = require('../middleware/uploadMiddleware');
-const cloudinary = require('../config/cloudinary'); // Add this
+const { classifyPlay, normalizeContext, normalizeStreamTitles } = require('../utils/listening');
+const { createStreamToken } = require('../utils/streamTokens');
+const { sendStorageRange, proxyRemoteRange } = require('../utils/mediaStream');
+const { trashTrack } = require('../utils/trackCleanup');
+const { purgeDate } = require('../utils/softDelete');
+const { parseMetadataUpdates, parseRating } = require('../utils/trackMetadata');
+const { pickRendition } = require('../utils/transcoder');
+const { enqueueTranscode } = require('../jobs/transcodeQueue');
+const { storeCoverPhoto, getRandomDefaultImage, readAudioMetadata, titleFromFileName, discardStoredAssets, ingestLocalAudio, replaceTrackAudio } = require('../utils/ingest');
+const { DUPLICATE_ACTIONS, hashContent, findNearDuplicates } = require('../utils/duplicates');
+const { parseSearchQuery, queryGrams, scoreTrack, highlightTrack } = require('../utils/search');
+const { parsePageParams, paginate, encodeCursor } = require('../utils/pagination');
+const { parseTrackFilters, buildFilterQuery, parseSort, compareBySort, aggregateFacets, countFacets, TRACK_LIST_PROJECTION } = require('../utils/trackFilters');
+const { parseLyricsInput, storeLyrics, removeLyrics, saveIngestedLyrics } = require('../utils/lyrics');
+const { cuePointsFromUrl } = require('../utils/cuePoints');
+const { canonicalizeSource } = require('../utils/sourceUrls');
+const { findOrCreateMedia, sharedTrackFields, pruneMedia } = require('../utils/sharedMedia');
+const { DEFAULT_STATION_ARTIST, parseStationFile, isStationFileUrl, fetchStationList } = require('../utils/stationFiles');
+const { subscribeNowPlaying } = require('../utils/icyMetadata');
+const { LINK_SOURCE_TYPES, EMPTY_LINK_HEALTH, checkTrackLink } = require('../utils/linkHealth');
+const { evaluateSmartRules } = require('../utils/smartPlaylists');
+const { snapshotRevisionFields, diffRevisionFields, replaceCover, recordRevision, recordFieldRevision, getRevertValues } = require('../utils/trackRevisions');
+const TrackRevision = require('../models/TrackRevision');
+
+// Upload + media storage setup
+const { upload, batchUpload, stationUpload, AUDIO_TYPES } = require('../middleware/uploadMiddleware');
+const { getStorage } = require('../storage');
+const getStorageConfig = require('../config/storage');
+const getTranscodingConfig = require('../config/transcoding');
+const createLocalDriver = require('../storage/localDriver');
 
 // --- Configuration & Utility Functions ---
 
@@ -16,126 +47,219 @@ const cloudinary = require('../config/cloudinary'); // Add this
 const UPLOAD_DIR = path.join(__dirname, '..', 'uploads');
 fs.mkdir(UPLOAD_DIR, { recursive: true }).catch(console.error);
 
-// YouTube ID extraction helper
-const getYouTubeId = (url) => {
-    if (!url) return null;
-    const regExp = /^(?:https?:\/\/)?(?:www\.)?(?:youtu\.be\/|youtube\.com\/(?:embed\/|v\/|watch\?v=|watch\?.+&v=))([\w-]{11})(?:\S+)?$/;
-    const match = url.match(regExp);
-    return (match && match[1].length === 11) ? match[1] : null;
-};
-
-// Random default image helper
-const getRandomDefaultImage = async () => {
-    try {
-        const defaultImageDir = path.join(__dirname, '..', 'images', 'default_img_bucket');
-        
-        console.log('🔍 Looking for images in:', defaultImageDir);
-        
-        const files = await fs.readdir(defaultImageDir);
-        console.log('🔍 Files found:', files);
-        
-        const imageFiles = files.filter(file => {
-            const ext = path.extname(file).toLowerCase();
-            return ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.bmp'].includes(ext);
-        });
-        
-        console.log('🔍 Image files filtered:', imageFiles);
-        
-        if (imageFiles.length === 0) {
-            console.log('⚠️ No images in bucket, using default');
-            return '/images/default_cover.png';
-        }
-        
-        const randomIndex = Math.floor(Math.random() * imageFiles.length);
-        const randomImage = imageFiles[randomIndex];
-        const finalPath = `/images/default_img_bucket/${randomImage}`;
-        
-        console.log('✅ Selected random image:', finalPath);
-        return finalPath;
-    } catch (err) {
-        console.error('❌ Error in getRandomDefaultImage:', err);
-        return '/images/default_cover.png';
+// Legacy files (filePath 'uploads/...') are read through a local driver rooted at UPLOAD_DIR
+const legacyUploads = createLocalDriver({ rootDir: UPLOAD_DIR });
+
+// Now playing events (GET /:id/now-playing): reconnect delay for EventSource and keep-alive interval
+const NOW_PLAYING_RETRY_MS = 10000;
+const NOW_PLAYING_KEEP_ALIVE_MS = 25000;
+
+// Finds the user's upload with the same file content (see utils/duplicates.js)
+const findDuplicateUpload = (userId, contentHash) =>
+    Track.findOne({ user: userId, sourceType: 'local', contentHash }).sort({ createdAt: 1 });
+
+// "Song" by Artist
+const describeTrack = (track) => `"${track.title}" by ${track.artist}`;
+
+// Finds the user's track of a shared link record. Trashed tracks count: they keep their
+// link (one per library) until they are purged, and can be restored instead.
+const findLinkTrack = (userId, mediaId, filter = {}) =>
+    Track.findOne({ user: userId, media: mediaId, ...filter }).setOptions({ withDeleted: true });
+
+// Where a duplicate is: "your library" or "your Trash"
+const describePlace = (track) => (track.deletedAt ? 'your Trash' : 'your library');
+
+// Streaming permission helper: owners can always stream their tracks,
+// and anyone signed in can stream a track the owner shared in one of their public playlists.
+// Smart playlists have no track list, so their rules are evaluated to find out.
+const canStreamTrack = async (track, userId) => {
+    if (track.user.toString() === userId) return true;
+    const sharedIn = await Playlist.exists({ tracks: track._id, is_public: true, user: track.user });
+    if (sharedIn) return true;
+
+    const smartPlaylists = await Playlist.find({ user: track.user, is_public: true, type: 'smart' })
+        .select('smartRules')
+        .lean();
+    for (const { smartRules } of smartPlaylists) {
+        const tracks = await evaluateSmartRules(track.user.toString(), smartRules, '_id');
+        if (tracks.some(({ _id }) => _id.equals(track._id))) return true;
     }
+    return false;
 };
 
 // ==========================================================
 //                   API ENDPOINTS
 // ==========================================================
 
-// @route   GET /api/tracks
-// @desc    Get all tracks for the logged-in user
+// Sends one page of the user's tracks: { tracks, total, nextCursor }, plus `facets` with ?facets=true.
+// Filters and sort options are read from the query string (see utils/trackFilters.js);
+// `overrides` replace some of them (e.g. liked=true for Liked Songs).
+const sendTrackPage = async (req, res, overrides = {}) => {
+    const query = { ...req.query, ...overrides };
+    const { limit, cursor, error: pageError } = parsePageParams(query);
+    const { filters, error: filterError } = parseTrackFilters(query);
+    const { sort, error: sortError } = parseSort(query);
+    const error = pageError || filterError || sortError;
+    if (error) {
+        return res.status(400).json({ msg: error });
+    }
+
+    const userId = new mongoose.Types.ObjectId(req.user.id);
+    const wantsFacets = query.facets === 'true' || query.facets === '1';
+    const [{ items, nextCursor, total }, facets] = await Promise.all([
+        paginate(Track, {
+            filter: buildFilterQuery(userId, filters),
+            sort,
+            limit,
+            cursor,
+            select: TRACK_LIST_PROJECTION,
+        }),
+        wantsFacets ? aggregateFacets(Track, userId, filters) : null,
+    ]);
+
+    const body = { tracks: items, total, nextCursor };
+    if (facets) body.facets = facets;
+    res.json(body);
+};
+
+// @route   GET /api/tracks?limit=50&cursor=...&sort=...&order=...&<filters>&facets=true
+// @desc    Get the logged-in user's tracks, newest first unless `sort` is given, one page at a time
 // @access  Private 🆕 CHANGED FROM PUBLIC
 router.get('/', protect, async (req, res) => {
     try {
-        const tracks = await Track.find({ user: req.user.id }) // 🆕 Filter by user
-          .populate('user', 'username profile_image') 
-          .sort({ createdAt: -1 });
-        res.json(tracks);
+        await sendTrackPage(req, res);
     } catch (err) {
         console.error(err.message);
         res.status(500).send('Server Error: Could not retrieve tracks.');
     }
 });
 
-// @route   GET /api/tracks/sorted?sortBy=...
-// @desc    Get user's tracks sorted by a specified field
+// @route   GET /api/tracks/sorted?sortBy=...&limit=50&cursor=...&<filters>&facets=true
+// @desc    Get user's tracks sorted by a specified field, one page at a time (`sort` and `order` also work here)
 // @access  Private 🆕 CHANGED FROM PUBLIC
 router.get('/sorted', protect, async (req, res) => {
     try {
-        const { sortBy } = req.query;
-        const userId = req.user.id; // 🆕 Get user ID
-        let sortCriteria = {};
-
-        switch (sortBy) {
-            case 'alphabetical':
-                sortCriteria = { title: 1 }; 
-                break;
-            case 'recently_added':
-                sortCriteria = { createdAt: -1 }; 
-                break;
-            case 'recently_listened':
-                sortCriteria = { recently_listened: -1, createdAt: -1 }; 
-                break;
-            default:
-                sortCriteria = { createdAt: -1 }; 
-        }
-
-        const tracks = await Track.find({ user: userId }) // 🆕 Filter by user
-          .populate('user', 'username profile_image') 
-          .sort(sortCriteria);
-        
-        res.json({ tracks }); // 🆕 Wrap in object for consistency
+        await sendTrackPage(req, res);
     } catch (err) {
         console.error(err.message);
         res.status(500).send('Server Error: Could not retrieve and sort tracks.');
     }
 });
 
-// @route   GET /api/tracks/search?q=...
-// @desc    Search user's tracks by title or artist
+// Search ranks at most this many candidate tracks (the ones sharing the most trigrams with the query).
+// When more tracks share a trigram, the response says `truncated: true`: total and facets only count the ranked ones.
+const MAX_SEARCH_CANDIDATES = 500;
+const DEFAULT_SEARCH_LIMIT = 50;
+const MAX_SEARCH_LIMIT = 100;
+
+// @route   GET /api/tracks/search?q=...&limit=50&cursor=...
+// @desc    Ranked search of the user's tracks. Matches words by prefix and with typos, ignoring
+//          case and accents, and supports qualifiers: artist:, album:, genre:, title:,
+//          source:youtube and year:1990..1999 (see utils/search.js).
+//          Each track comes with its `score` and highlighted `highlights` fragments.
+//          The cursor is the position in the ranking, which is rebuilt for every page.
+//          Takes the same filters as GET /api/tracks, `sort`/`order` instead of relevance,
+//          and `facets=true` for facet counts of the matching tracks.
+//          `truncated` is true when there were more candidates than MAX_SEARCH_CANDIDATES.
 // @access  Private 🆕 CHANGED FROM PUBLIC
 router.get('/search', protect, async (req, res) => {
     try {
-        const { q } = req.query;
-        const userId = req.user.id; // 🆕 Get user ID
+        const parsed = parseSearchQuery(req.query.q);
+        if (parsed.error) {
+            return res.status(400).json({ msg: parsed.error });
+        }
+        const { filters, error: filterError } = parseTrackFilters(req.query);
+        const { sort, error: sortError } = req.query.sort ? parseSort(req.query) : { sort: null, error: null };
+        if (filterError || sortError) {
+            return res.status(400).json({ msg: filterError || sortError });
+        }
+        const wantsFacets = req.query.facets === 'true' || req.query.facets === '1';
 
-        if (!q || q.length < 2) {
-            return res.status(200).json({ tracks: [] }); // 🆕 Consistent response format
+        const { limit, cursor, error } = parsePageParams(req.query, { defaultLimit: DEFAULT_SEARCH_LIMIT, maxLimit: MAX_SEARCH_LIMIT });
+        const offset = cursor ? cursor[0] : 0;
+        if (error || !Number.isInteger(offset) || offset < 0) {
+            return res.status(400).json({ msg: 'Invalid cursor.' });
         }
 
-        const searchRegex = new RegExp(q, 'i'); 
+        const { grams, shortPrefixes } = queryGrams(parsed);
+        if (grams.length === 0 && shortPrefixes.length === 0 && !parsed.sourceType && !parsed.year) {
+            const empty = { tracks: [], total: 0, nextCursor: null, truncated: false }; // 🆕 Consistent response format
+            if (wantsFacets) empty.facets = countFacets([], filters);
+            return res.status(200).json(empty);
+        }
 
-        const tracks = await Track.find({
-            user: userId, // 🆕 Filter by user
-            $or: [
-                { title: { $regex: searchRegex } },
-                { artist: { $regex: searchRegex } }
-            ]
-        })
-          .populate('user', 'username profile_image')
-          .sort({ createdAt: -1 }); 
+        const match = { user: new mongoose.Types.ObjectId(req.user.id) };
+        if (parsed.sourceType) match.sourceType = parsed.sourceType;
+        if (parsed.year) {
+            match.year = {};
+            if (parsed.year.min !== undefined) match.year.$gte = parsed.year.min;
+            if (parsed.year.max !== undefined) match.year.$lte = parsed.year.max;
+        }
+        // One-letter words have no trigrams and are looked up by word prefix instead
+        // (tokens are only letters and digits, so they are safe inside the pattern)
+        if (grams.length > 0) {
+            match.searchGrams = { $in: grams };
+        } else if (shortPrefixes.length > 0) {
+            match.searchTokens = { $in: shortPrefixes.map(prefix => new RegExp(`^${prefix}`)) };
+        }
 
-        res.json({ tracks }); // 🆕 Wrap in object
+        const fetched = await Track.aggregate([
+            { $match: match },
+            {
+                $project: {
+                    title: 1, artist: 1, album: 1, albumArtist: 1, composer: 1, genres: 1,
+                    artistIds: 1, albumId: 1, // Links to the artist and album pages
+                    // Filter, facet and sort fields
+                    sourceType: 1, tags: 1, year: 1, duration: 1, cover_photo: 1, discNumber: 1, trackNumber: 1,
+                    play_count: 1, skip_count: 1, recently_listened: 1, likedAt: 1, rating: 1, createdAt: 1,
+                    gramHits: grams.length > 0 ? { $size: { $setIntersection: ['$searchGrams', grams] } } : { $literal: 0 },
+                },
+            },
+            { $sort: { gramHits: -1, createdAt: -1 } },
+            // One more than ranked, to tell whether some were left out
+            { $limit: MAX_SEARCH_CANDIDATES + 1 },
+        ]);
+        const truncated = fetched.length > MAX_SEARCH_CANDIDATES;
+        const candidates = truncated ? fetched.slice(0, MAX_SEARCH_CANDIDATES) : fetched;
+
+        // Every query word must match; ties go to the more played, then newer track (then _id, so pages are stable)
+        const hasWords = parsed.terms.length > 0 || Object.keys(parsed.fieldTerms).length > 0;
+        const matches = candidates
+            .map(track => ({ track, score: scoreTrack(track, parsed) }))
+            .filter(({ score }) => score > 0 || !hasWords);
+        // Facets count the matches before the sidebar filters are applied
+        const facets = wantsFacets ? countFacets(matches.map(({ track }) => track), filters) : null;
+
+        const byField = sort && compareBySort(sort);
+        const ranked = matches
+            .filter(({ track }) => filters.every(filter => filter.test(track)))
+            .sort((a, b) => (byField ? byField(a.track, b.track) : b.score - a.score)
+                || (b.track.play_count || 0) - (a.track.play_count || 0)
+                || b.track.createdAt - a.track.createdAt
+                || String(b.track._id).localeCompare(String(a.track._id)));
+        const page = ranked.slice(offset, offset + limit);
+
+        const docs = await Track.find({ _id: { $in: page.map(({ track }) => track._id) } })
+            .select(TRACK_LIST_PROJECTION)
+            .lean();
+        const docsById = new Map(docs.map(doc => [doc._id.toString(), doc]));
+
+        const tracks = page
+            .filter(({ track }) => docsById.has(track._id.toString()))
+            .map(({ track, score }) => ({
+                ...docsById.get(track._id.toString()),
+                score: Math.round(score * 100) / 100,
+                highlights: highlightTrack(track, parsed),
+            }));
+
+        const body = {
+            tracks, // 🆕 Wrap in object
+            total: ranked.length,
+            nextCursor: offset + limit < ranked.length ? encodeCursor([offset + limit]) : null,
+            truncated,
+        };
+        if (facets) body.facets = facets;
+        res.json(body);
 
     } catch (err) {
         console.error(err.message);
@@ -143,22 +267,137 @@ router.get('/search', protect, async (req, res) => {
     }
 });
 
-// @route   GET /api/tracks/my-tracks
+// @route   GET /api/tracks/my-tracks?limit=50&cursor=...&<filters>
 // @desc    Get all tracks uploaded by the currently logged-in user (Alias for GET /)
 // @access  Private
 router.get('/my-tracks', protect, async (req, res) => {
     try {
-        const userTracks = await Track.find({ user: req.user.id })
-          .sort({ createdAt: -1 });
+        await sendTrackPage(req, res);
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server Error: Could not retrieve user tracks.');
+    }
+});
+
+// @route   GET /api/tracks/liked?limit=50&cursor=...&<filters>
+// @desc    The user's liked tracks (Liked Songs), most recently liked first unless `sort` is given
+// @access  Private
+router.get('/liked', protect, async (req, res) => {
+    try {
+        await sendTrackPage(req, res, { liked: 'true', sort: req.query.sort || 'likedAt' });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server Error: Could not retrieve liked tracks.');
+    }
+});
+
+// @route   GET /api/tracks/liked/ids
+// @desc    IDs of all the user's liked tracks, so clients can show the like state anywhere
+// @access  Private
+router.get('/liked/ids', protect, async (req, res) => {
+    try {
+        const tracks = await Track.find({ user: req.user.id, likedAt: { $type: 'date' } })
+            .select('_id')
+            .sort({ likedAt: -1, _id: -1 })
+            .lean();
+        res.json({ ids: tracks.map(track => track._id) });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server Error: Could not retrieve liked tracks.');
+    }
+});
 
-        if (userTracks.length === 0) {
-            return res.status(200).json({ tracks: [], msg: 'No tracks found for this user.' });
+// @route   GET /api/tracks/processing?ids=id1,id2
+// @desc    Transcoding status of the user's tracks (polled by the upload modal)
+// @access  Private
+router.get('/processing', protect, async (req, res) => {
+    try {
+        const ids = String(req.query.ids || '').split(',').filter(id => mongoose.Types.ObjectId.isValid(id));
+
+        if (ids.length === 0) {
+            return res.status(400).json({ msg: 'At least one valid track ID is required.' });
         }
-        
-        res.json({ tracks: userTracks });
+
+        const tracks = await Track.find({ _id: { $in: ids.slice(0, 100) }, user: req.user.id })
+            .select('processingStatus processingProgress processingError renditions.bitrate')
+            .lean();
+
+        res.json({ tracks });
     } catch (err) {
         console.error(err.message);
-        res.status(500).send('Server Error: Could not retrieve user tracks.');
+        res.status(500).send('Server Error: Could not retrieve processing status.');
+    }
+});
+
+// @route   GET /api/tracks/duplicates
+// @desc    Scan the user's library for duplicates: exact (same file content) and near
+//          (same normalized title and artist, durations within a few seconds)
+// @access  Private
+router.get('/duplicates', protect, async (req, res) => {
+    try {
+        const tracks = await Track.find({ user: req.user.id })
+            .select('title artist album duration sourceType contentHash cover_photo coverSizes createdAt')
+            .sort({ createdAt: 1 })
+            .lean();
+
+        const byHash = new Map();
+        for (const track of tracks) {
+            if (!track.contentHash) continue;
+            if (!byHash.has(track.contentHash)) byHash.set(track.contentHash, []);
+            byHash.get(track.contentHash).push(track);
+        }
+        const exact = [...byHash]
+            .filter(([, group]) => group.length > 1)
+            .map(([contentHash, group]) => ({ contentHash, tracks: group }));
+
+        const near = findNearDuplicates(tracks);
+
+        res.json({ exact, near });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server Error: Could not scan for duplicates.');
+    }
+});
+
+// Most tracks the Library health view lists
+const MAX_HEALTH_TRACKS = 500;
+
+// @route   GET /api/tracks/health
+// @desc    Library health: the user's YouTube and external tracks whose link is broken or
+//          failed its last check (broken first), and how many links are ok, broken or not checked yet
+// @access  Private
+router.get('/health', protect, async (req, res) => {
+    try {
+        const linkQuery = { user: req.user.id, sourceType: { $in: LINK_SOURCE_TYPES } };
+
+        const [tracks, statusCounts] = await Promise.all([
+            Track.find({ ...linkQuery, $or: [{ linkStatus: 'broken' }, { linkError: { $ne: null } }] })
+                .select(TRACK_LIST_PROJECTION)
+                .sort({ linkCheckedAt: -1 })
+                .limit(MAX_HEALTH_TRACKS)
+                .lean(),
+            Track.aggregate([
+                { $match: { ...linkQuery, user: new mongoose.Types.ObjectId(req.user.id) } },
+                { $group: { _id: '$linkStatus', count: { $sum: 1 }, lastCheckedAt: { $max: '$linkCheckedAt' } } },
+            ]),
+        ]);
+
+        const summary = { links: 0, ok: 0, broken: 0, unchecked: 0, lastCheckedAt: null };
+        for (const { _id: status, count, lastCheckedAt } of statusCounts) {
+            summary.links += count;
+            summary[status || 'unchecked'] += count;
+            if (lastCheckedAt && (!summary.lastCheckedAt || lastCheckedAt > summary.lastCheckedAt)) {
+                summary.lastCheckedAt = lastCheckedAt;
+            }
+        }
+
+        // Broken links first; links that failed a check but may still recover after them
+        tracks.sort((a, b) => (a.linkStatus === 'broken' ? 0 : 1) - (b.linkStatus === 'broken' ? 0 : 1));
+
+        res.json({ summary, tracks });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server Error: Could not check library health.');
     }
 });
 
@@ -209,16 +448,9 @@ router.get('/:id', protect, async (req, res) => {
         // Format the track data to ensure consistent response
         const trackData = track.toObject();
         
-        // If filePath exists and is a Cloudinary URL, it's ready to use
-        // If it's a local path (old data), you might want to handle differently
-        if (trackData.filePath && !trackData.filePath.startsWith('http')) {
-            // Convert old local paths to full URLs if needed
-            trackData.filePath = `${req.protocol}://${req.get('host')}/${trackData.filePath}`;
-        }
-        
-        if (trackData.cover_photo && !trackData.cover_photo.startsWith('http') && !trackData.cover_photo.startsWith('data:')) {
-            // Convert old local cover paths to full URLs
-            trackData.cover_photo = `${req.protocol}://${req.get('host')}/${trackData.cover_photo}`;
+        // Uploaded audio is only reachable through the authenticated stream endpoint
+        if (trackData.sourceType === 'local') {
+            trackData.streamUrl = `/api/tracks/${trackData._id}/stream`;
         }
 
         res.json({ track: trackData });
@@ -237,6 +469,310 @@ router.get('/:id', protect, async (req, res) => {
 
 
 
+// @route   GET /api/tracks/:id/stream-url
+// @desc    Get a short-lived signed URL for streaming an uploaded track
+//          (for <audio> elements, which cannot send a Bearer header)
+// @access  Private (owner, or track in a public playlist)
+router.get('/:id/stream-url', protect, async (req, res) => {
+    try {
+        const track = await Track.findById(req.params.id);
+
+        if (!track || track.sourceType !== 'local') {
+            return res.status(404).json({ msg: 'No uploaded audio found for this track.' });
+        }
+
+        if (!(await canStreamTrack(track, req.user.id))) {
+            return res.status(403).json({ msg: 'Not authorized to stream this track.' });
+        }
+
+        const { token, expiresAt } = createStreamToken(track._id, req.user.id);
+
+        res.json({
+            url: `/api/tracks/${track._id}/stream?token=${encodeURIComponent(token)}`,
+            expiresAt,
+        });
+    } catch (err) {
+        console.error(err.message);
+        if (err.kind === 'ObjectId') {
+            return res.status(404).json({ msg: 'Track not found (Invalid ID format).' });
+        }
+        res.status(500).send('Server Error: Could not create stream URL.');
+    }
+});
+
+// @route   GET /api/tracks/:id/stream
+// @desc    Stream an uploaded track with HTTP range support (206 Partial Content).
+//          Serves the highest-bitrate transcoded rendition (?maxBitrate=128 caps it), or the
+//          original upload while transcoding is pending or has failed.
+// @access  Private (Bearer token or signed ?token=; owner, or track in a public playlist)
+router.get('/:id/stream', protectStream, async (req, res) => {
+    try {
+        const track = await Track.findById(req.params.id);
+
+        if (!track || track.sourceType !== 'local' || !track.filePath) {
+            return res.status(404).json({ msg: 'No uploaded audio found for this track.' });
+        }
+
+        if (!(await canStreamTrack(track, req.user.id))) {
+            return res.status(403).json({ msg: 'Not authorized to stream this track.' });
+        }
+
+        // Tracks stored by a storage driver: the best transcoded rendition, else the original upload
+        if (track.storageDriver) {
+            const storage = getStorage(track.storageDriver);
+            const rendition = pickRendition(track.renditions, parseInt(req.query.maxBitrate, 10));
+            const key = rendition ? rendition.key : track.filePath;
+            const mimeType = rendition ? rendition.mimeType : track.mimeType;
+
+            if (getStorageConfig().directStreams) {
+                const signedUrl = await storage.getSignedUrl(key);
+                if (signedUrl) return res.redirect(302, signedUrl);
+            }
+            return await sendStorageRange(req, res, storage, key, mimeType);
+        }
+
+        // Legacy remote (cloud) URLs are proxied so they never reach the client
+        if (track.filePath.startsWith('http')) {
+            return await proxyRemoteRange(req, res, track.filePath, track.mimeType);
+        }
+
+        // Legacy tracks stored on disk under uploads/
+        const legacyKey = path.relative(UPLOAD_DIR, path.resolve(__dirname, '..', track.filePath));
+        await sendStorageRange(req, res, legacyUploads, legacyKey, track.mimeType);
+
+    } catch (err) {
+        console.error(err.message);
+        if (res.headersSent) return res.destroy(err);
+        if (err.kind === 'ObjectId') {
+            return res.status(404).json({ msg: 'Track not found (Invalid ID format).' });
+        }
+        if (err.code === 'ENOENT' || err.name === 'NotFound' || err.name === 'NoSuchKey') {
+            return res.status(404).json({ msg: 'Audio file is missing from storage.' });
+        }
+        res.status(err.status || 500).send('Server Error: Could not stream track.');
+    }
+});
+
+// @route   GET /api/tracks/:id/now-playing-url
+// @desc    Get a short-lived signed URL for the now playing events of a live stream
+//          (for EventSource, which cannot send a Bearer header)
+// @access  Private (owner, or track in a public playlist)
+router.get('/:id/now-playing-url', protect, async (req, res) => {
+    try {
+        const track = await Track.findById(req.params.id);
+
+        if (!track || track.sourceType !== 'stream') {
+            return res.status(404).json({ msg: 'No live stream found for this track.' });
+        }
+
+        if (!(await canStreamTrack(track, req.user.id))) {
+            return res.status(403).json({ msg: 'Not authorized to stream this track.' });
+        }
+
+        const { token, expiresAt } = createStreamToken(track._id, req.user.id);
+
+        res.json({
+            url: `/api/tracks/${track._id}/now-playing?token=${encodeURIComponent(token)}`,
+            expiresAt,
+        });
+    } catch (err) {
+        console.error(err.message);
+        if (err.kind === 'ObjectId') {
+            return res.status(404).json({ msg: 'Track not found (Invalid ID format).' });
+        }
+        res.status(500).send('Server Error: Could not create now playing URL.');
+    }
+});
+
+// @route   GET /api/tracks/:id/now-playing
+// @desc    Server-sent events with what a live stream is playing, read from its ICY metadata
+//          (see utils/icyMetadata.js): "station" { name, hasMetadata }, "nowPlaying"
+//          { raw, artist, title, at } on every new song, and "error" { msg } when the station
+//          cannot be read. HLS streams carry no ICY metadata (hasMetadata: false).
+// @access  Private (Bearer token or signed ?token=; owner, or track in a public playlist)
+router.get('/:id/now-playing', protectStream, async (req, res) => {
+    try {
+        const track = await Track.findById(req.params.id);
+
+        if (!track || track.sourceType !== 'stream') {
+            return res.status(404).json({ msg: 'No live stream found for this track.' });
+        }
+
+        if (!(await canStreamTrack(track, req.user.id))) {
+            return res.status(403).json({ msg: 'Not authorized to stream this track.' });
+        }
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive',
+            'X-Accel-Buffering': 'no', // Tells nginx not to hold the events back
+        });
+        res.write(`retry: ${NOW_PLAYING_RETRY_MS}\n\n`);
+
+        const unsubscribe = subscribeNowPlaying(track.sourceUrl, ({ type, data }) => {
+            res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+        });
+        // Comments keep proxies from closing a connection while the song does not change
+        const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), NOW_PLAYING_KEEP_ALIVE_MS);
+
+        req.on('close', () => {
+            clearInterval(keepAlive);
+            unsubscribe();
+        });
+    } catch (err) {
+        console.error(err.message);
+        if (res.headersSent) return res.destroy(err);
+        if (err.kind === 'ObjectId') {
+            return res.status(404).json({ msg: 'Track not found (Invalid ID format).' });
+        }
+        res.status(500).send('Server Error: Could not read now playing.');
+    }
+});
+
+// @route   GET /api/tracks/:id/waveform
+// @desc    Waveform peaks of an uploaded track for the player's seek bar.
+//          404 until the background worker has processed the track.
+// @access  Private (owner, or track in a public playlist)
+router.get('/:id/waveform', protect, async (req, res) => {
+    try {
+        const track = await Track.findById(req.params.id).select('user sourceType');
+
+        if (!track || track.sourceType !== 'local') {
+            return res.status(404).json({ msg: 'No uploaded audio found for this track.' });
+        }
+
+        if (!(await canStreamTrack(track, req.user.id))) {
+            return res.status(403).json({ msg: 'Not authorized to access this track.' });
+        }
+
+        const waveform = await Waveform.findOne({ track: track._id }).lean();
+
+        if (!waveform) {
+            return res.status(404).json({ msg: 'Waveform not generated yet.' });
+        }
+
+        // Stored as bytes; sent as 0..1 so the client does not need to know the encoding
+        // (lean() returns the bytes as a BSON Binary)
+        const bytes = Buffer.isBuffer(waveform.peaks) ? waveform.peaks : waveform.peaks.buffer;
+        const peaks = Array.from(bytes, peak => Math.round((peak / 255) * 1000) / 1000);
+
+        res.json({ trackId: track._id, duration: waveform.duration, points: peaks.length, peaks });
+    } catch (err) {
+        console.error(err.message);
+        if (err.kind === 'ObjectId') {
+            return res.status(404).json({ msg: 'Track not found (Invalid ID format).' });
+        }
+        res.status(500).send('Server Error: Could not retrieve waveform.');
+    }
+});
+
+// ==========================================================
+//                   LYRICS ENDPOINTS
+// ==========================================================
+
+// Lyrics as sent to clients; `lines` is empty for plain lyrics
+const formatLyrics = (lyrics) => ({
+    trackId: lyrics.track,
+    format: lyrics.format,
+    text: lyrics.text,
+    lines: lyrics.lines.map(({ time, text }) => ({ time, text })),
+    language: lyrics.language,
+    source: lyrics.source,
+    updatedAt: lyrics.updatedAt,
+});
+
+// @route   GET /api/tracks/:id/lyrics
+// @desc    Lyrics of a track: plain text, or time-synced lines (format 'lrc', time in seconds)
+//          for the player's lyrics panel. 404 when the track has none.
+// @access  Private (owner, or track in a public playlist)
+router.get('/:id/lyrics', protect, async (req, res) => {
+    try {
+        const track = await Track.findById(req.params.id).select('user');
+
+        if (!track) {
+            return res.status(404).json({ msg: 'Track not found.' });
+        }
+        if (!(await canStreamTrack(track, req.user.id))) {
+            return res.status(403).json({ msg: 'Not authorized to access this track.' });
+        }
+
+        const lyrics = await Lyrics.findOne({ track: track._id }).lean();
+
+        if (!lyrics) {
+            return res.status(404).json({ msg: 'No lyrics for this track.' });
+        }
+
+        res.json(formatLyrics(lyrics));
+    } catch (err) {
+        console.error(err.message);
+        if (err.kind === 'ObjectId') {
+            return res.status(404).json({ msg: 'Track not found (Invalid ID format).' });
+        }
+        res.status(500).send('Server Error: Could not retrieve lyrics.');
+    }
+});
+
+// @route   PUT /api/tracks/:id/lyrics
+// @desc    Set the lyrics of a track, replacing any it had (including lyrics read from the file tags)
+//          Body: { lyrics: "[00:12.00]First line...", format: 'lrc' | 'plain' (optional, detected from the text),
+//                  source: 'upload' (optional, for lyrics read from a file; default 'manual') }
+// @access  Private (owner only)
+router.put('/:id/lyrics', protect, async (req, res) => {
+    try {
+        const { lyrics, error } = parseLyricsInput(req.body.lyrics, req.body.format);
+        if (error) {
+            return res.status(400).json({ msg: error });
+        }
+
+        const track = await Track.findById(req.params.id).select('user');
+
+        if (!track) {
+            return res.status(404).json({ msg: 'Track not found.' });
+        }
+        if (track.user.toString() !== req.user.id) {
+            return res.status(401).json({ msg: 'Not authorized to update this track.' });
+        }
+
+        const saved = await storeLyrics(track._id, lyrics, req.body.source === 'upload' ? 'upload' : 'manual');
+        res.json(formatLyrics(saved));
+    } catch (err) {
+        console.error(err.message);
+        if (err.kind === 'ObjectId') {
+            return res.status(404).json({ msg: 'Track not found (Invalid ID format).' });
+        }
+        res.status(500).send('Server Error: Could not save lyrics.');
+    }
+});
+
+// @route   DELETE /api/tracks/:id/lyrics
+// @desc    Remove the lyrics of a track
+// @access  Private (owner only)
+router.delete('/:id/lyrics', protect, async (req, res) => {
+    try {
+        const track = await Track.findById(req.params.id).select('user');
+
+        if (!track) {
+            return res.status(404).json({ msg: 'Track not found.' });
+        }
+        if (track.user.toString() !== req.user.id) {
+            return res.status(401).json({ msg: 'Not authorized to update this track.' });
+        }
+
+        if (!(await removeLyrics(track._id))) {
+            return res.status(404).json({ msg: 'No lyrics for this track.' });
+        }
+        res.json({ msg: 'Lyrics removed.' });
+    } catch (err) {
+        console.error(err.message);
+        if (err.kind === 'ObjectId') {
+            return res.status(404).json({ msg: 'Track not found (Invalid ID format).' });
+        }
+        res.status(500).send('Server Error: Could not remove lyrics.');
+    }
+});
+
+
 // @route   POST /api/tracks
 // @desc    Add a new track link or upload a local file (Private access)
 // @access  Private
@@ -424,7 +960,14 @@ router.get('/:id', protect, async (req, res) => {
 
 
 
-// Updated route with Cloudinary
+// Stores uploads with the configured storage driver (local, S3 or Cloudinary).
+// An upload whose content is already in the library gets 409 with the existing track,
+// unless the form field onDuplicate says what to do: skip, replace or keep (both).
+// Optional form field lyrics: plain or LRC text (e.g. a .lrc file read by the client);
+// without it, lyrics embedded in the audio file's tags are used.
+// YouTube and external links are stored in canonical form and shared between users
+// (see utils/sharedMedia.js); adding a link that is already in the library gets 409.
+// sourceType 'stream' adds a live radio stream (artist defaults to "Internet Radio").
 router.post('/', protect, upload.fields([
     { name: 'audioFile', maxCount: 1 },
     { name: 'cover_photo', maxCount: 1 }
@@ -434,6 +977,16 @@ router.post('/', protect, upload.fields([
     const coverPhotoFile = req.files && req.files['cover_photo'] ? req.files['cover_photo'][0] : null; 
     
     const { title: bodyTitle, artist: bodyArtist, sourceUrl, sourceType, cover_photo: bodyCoverPhoto } = req.body;
+    const onDuplicate = req.body.onDuplicate || 'ask';
+
+    let uploadLyrics = null;
+    if (req.body.lyrics && req.body.lyrics.trim()) {
+        const { lyrics, error } = parseLyricsInput(req.body.lyrics);
+        if (error) {
+            return res.status(400).json({ msg: error });
+        }
+        uploadLyrics = lyrics;
+    }
     
     console.log('\n=== DEBUG COVER PHOTO ===');
     console.log('bodyCoverPhoto:', bodyCoverPhoto);
@@ -453,90 +1006,95 @@ router.post('/', protect, upload.fields([
         sourceType: finalSourceType, 
         user: req.user.id,
     };
+    // Canonical form of a YouTube or external link (see utils/sourceUrls.js)
+    let linkSource = null;
     
-    // 1. LOCAL FILE UPLOAD WITH CLOUDINARY
+    // 1. LOCAL FILE UPLOAD (stored by the storage driver)
     if (finalSourceType === 'local') {
         console.log('✅ ENTERED LOCAL BLOCK');
         
         if (!audioFile) {
             return res.status(400).json({ msg: 'No audio file was uploaded for a local track.' });
         }
+        if (!DUPLICATE_ACTIONS.includes(onDuplicate)) {
+            return res.status(400).json({ msg: `onDuplicate must be one of: ${DUPLICATE_ACTIONS.join(', ')}.` });
+        }
 
+        // The same file already in the library: ask the client, or apply its answer
+        const contentHash = hashContent(audioFile.buffer);
+        let duplicateOf = null;
         try {
-            // Upload audio file to Cloudinary
-            console.log('📤 Uploading audio to Cloudinary...');
-            const audioUploadResult = await uploadToCloudinary(audioFile);
-            console.log('✅ Audio uploaded:', audioUploadResult.url);
-            
-            newTrackData.filePath = audioUploadResult.url;
-            newTrackData.cloudinary_public_id = audioUploadResult.public_id;
-            newTrackData.mimeType = audioFile.mimetype;
-            
-            // Try to extract metadata from buffer (optional - might need music-metadata library)
-            try {
-                const mm = require('music-metadata');
-                const metadata = await mm.parseBuffer(audioFile.buffer, audioFile.mimetype);
-                
-                newTrackData.title = metadata.common.title || newTrackData.title;
-                newTrackData.artist = metadata.common.artist || newTrackData.artist;
-                
-                console.log('🔍 Checking cover photo sources...');
-                
-                // Priority 1: Uploaded cover file
-                if (coverPhotoFile) {
-                    console.log('✓ Using uploaded cover file - uploading to Cloudinary');
-                    const coverUploadResult = await uploadToCloudinary(coverPhotoFile);
-                    newTrackData.cover_photo = coverUploadResult.url;
-                    newTrackData.cover_cloudinary_public_id = coverUploadResult.public_id;
-                } 
-                // Priority 2: Embedded metadata picture
-                else if (metadata.common.picture && metadata.common.picture.length > 0) {
-                    console.log('✓ Using embedded cover from metadata');
-                    const picture = metadata.common.picture[0];
-                    const mime = picture.format;
-                    const buffer = picture.data.toString('base64');
-                    newTrackData.cover_photo = `data:${mime};base64,${buffer}`;
-                } 
-                // Priority 3: Random default image
-                else {
-                    console.log('✓ No cover found, getting random default...');
-                    newTrackData.cover_photo = await getRandomDefaultImage();
-                }
-                
-            } catch (metaErr) {
-                console.warn(`⚠️ Could not read metadata. Error: ${metaErr.message}`);
-                
-                // Handle cover photo even if metadata fails
-                if (coverPhotoFile) {
-                    console.log('✓ Uploading cover photo to Cloudinary');
-                    const coverUploadResult = await uploadToCloudinary(coverPhotoFile);
-                    newTrackData.cover_photo = coverUploadResult.url;
-                    newTrackData.cover_cloudinary_public_id = coverUploadResult.public_id;
-                } else {
-                    console.log('⚠️ Metadata error - getting random default');
-                    newTrackData.cover_photo = await getRandomDefaultImage();
-                }
-            }
-            
+            duplicateOf = onDuplicate === 'keep' ? null : await findDuplicateUpload(req.user.id, contentHash);
+        } catch (err) {
+            console.error(err.message);
+            return res.status(500).send('Server Error: Could not check for duplicates.');
+        }
+
+        if (duplicateOf && onDuplicate === 'ask') {
+            return res.status(409).json({
+                msg: `This file is already in your library as ${describeTrack(duplicateOf)}.`,
+                duplicate: true,
+                duplicateOf,
+                actions: DUPLICATE_ACTIONS.filter(action => action !== 'ask'),
+            });
+        }
+        if (duplicateOf && onDuplicate === 'skip') {
+            console.log(`⏭️ Skipped duplicate upload of track ${duplicateOf._id}`);
+            return res.json({ msg: `Skipped, duplicate of ${describeTrack(duplicateOf)}.`, skipped: true, track: duplicateOf });
+        }
+
+        // Read once: used for the track fields and the embedded lyrics
+        const metadata = await readAudioMetadata(audioFile);
+
+        try {
+            // Store the audio file, read its tags and pick a cover (see utils/ingest.js)
+            console.log('📤 Storing audio file...');
+            newTrackData = await ingestLocalAudio({
+                audioFile,
+                coverPhotoFile,
+                userId: req.user.id,
+                metadata,
+                title: bodyTitle || (duplicateOf && duplicateOf.title),
+                artist: bodyArtist || (duplicateOf && duplicateOf.artist),
+                contentHash,
+            });
             console.log('✅ Final cover_photo value:', newTrackData.cover_photo);
             
         } catch (uploadErr) {
-            console.error('❌ Cloudinary Upload Error:', uploadErr.message);
-            return res.status(500).json({ msg: 'Failed to upload files to cloud storage.' });
+            console.error('❌ Storage Upload Error:', uploadErr.message);
+            return res.status(500).json({ msg: 'Failed to store uploaded files.' });
         }
         
         console.log('🔍 About to save track with data:', JSON.stringify(newTrackData, null, 2));
         
         if (!newTrackData.title || !newTrackData.artist) {
+            await discardStoredAssets(newTrackData);
             return res.status(400).json({ msg: 'Title and Artist are required, but could not be extracted or provided manually.' });
         }
 
+        if (duplicateOf) {
+            // onDuplicate=replace: the existing track takes the new file and keeps its ID
+            try {
+                const track = await replaceTrackAudio(duplicateOf, newTrackData);
+                console.log(`🔁 Replaced the file of track ${track._id}`);
+                await saveIngestedLyrics(track, { lyrics: uploadLyrics, metadata });
+                enqueueTranscode();
+                return res.json({ msg: `Replaced ${describeTrack(track)}.`, replaced: true, track });
+            } catch (dbErr) {
+                console.error('❌ DB Error:', dbErr.message);
+                return res.status(500).send('Server Error: Could not replace track.');
+            }
+        }
+
         try {
             const newTrack = new Track(newTrackData);
             const track = await newTrack.save();
             console.log('✅ Track saved successfully with cover:', track.cover_photo);
+            await saveIngestedLyrics(track, { lyrics: uploadLyrics, metadata });
+            enqueueTranscode();
             res.status(201).json(track); 
         } catch (dbErr) {
+            await discardStoredAssets(newTrackData);
             if (dbErr.code === 11000) {
                 return res.status(400).json({ msg: 'This link has already been uploaded or is invalid.' });
             }
@@ -553,19 +1111,20 @@ router.post('/', protect, upload.fields([
         if (!sourceUrl) {
             return res.status(400).json({ msg: 'YouTube URL is required.' });
         }
-        const videoId = getYouTubeId(sourceUrl);
-        if (!videoId) {
+        const source = canonicalizeSource('youtube', sourceUrl);
+        if (!source) {
             return res.status(400).json({ msg: 'Invalid or unsupported YouTube URL provided.' });
         }
-        newTrackData.sourceUrl = sourceUrl;
-        newTrackData.videoId = videoId;
+        linkSource = source;
+        newTrackData.sourceUrl = source.sourceUrl;
+        newTrackData.videoId = source.videoId;
+        // The canonical link drops t=/start=/end=; they become the track's cue points
+        Object.assign(newTrackData, cuePointsFromUrl(sourceUrl));
         
         // Handle cover photo for YouTube
         if (coverPhotoFile) {
             try {
-                const coverUploadResult = await uploadToCloudinary(coverPhotoFile);
-                newTrackData.cover_photo = coverUploadResult.url;
-                newTrackData.cover_cloudinary_public_id = coverUploadResult.public_id;
+                Object.assign(newTrackData, await storeCoverPhoto(coverPhotoFile, req.user.id));
             } catch (err) {
                 console.error('Cover upload failed:', err);
                 newTrackData.cover_photo = await getRandomDefaultImage();
@@ -579,21 +1138,28 @@ router.post('/', protect, upload.fields([
         
     } 
     
-    // 3. EXTERNAL URL
-    else if (finalSourceType === 'external_url') {
-        console.log('✅ ENTERED EXTERNAL_URL BLOCK');
+    // 3. EXTERNAL URL or 4. LIVE STREAM (Icecast/Shoutcast or HLS radio)
+    else if (finalSourceType === 'external_url' || finalSourceType === 'stream') {
+        console.log(`✅ ENTERED ${finalSourceType.toUpperCase()} BLOCK`);
         
-        if (!sourceUrl || !sourceUrl.startsWith('http')) {
-            return res.status(400).json({ msg: 'Invalid external URL provided.' });
+        const source = canonicalizeSource(finalSourceType, sourceUrl);
+        if (!source) {
+            return res.status(400).json({ msg: `Invalid ${finalSourceType === 'stream' ? 'stream' : 'external'} URL provided.` });
+        }
+        if (finalSourceType === 'stream' && isStationFileUrl(source.sourceUrl)) {
+            return res.status(400).json({ msg: 'This is a station file (.pls/.m3u). Import it with POST /api/tracks/stations/import.' });
+        }
+        linkSource = source;
+        newTrackData.sourceUrl = source.sourceUrl;
+        // A media fragment (#t=30,120) becomes the track's cue points (streams have no timeline)
+        if (finalSourceType === 'external_url') {
+            Object.assign(newTrackData, cuePointsFromUrl(sourceUrl));
         }
-        newTrackData.sourceUrl = sourceUrl;
         
         // Handle cover photo for External URL
         if (coverPhotoFile) {
             try {
-                const coverUploadResult = await uploadToCloudinary(coverPhotoFile);
-                newTrackData.cover_photo = coverUploadResult.url;
-                newTrackData.cover_cloudinary_public_id = coverUploadResult.public_id;
+                Object.assign(newTrackData, await storeCoverPhoto(coverPhotoFile, req.user.id));
             } catch (err) {
                 console.error('Cover upload failed:', err);
                 newTrackData.cover_photo = await getRandomDefaultImage();
@@ -609,9 +1175,44 @@ router.post('/', protect, upload.fields([
         return res.status(400).json({ msg: 'Invalid source type specified.' });
     }
 
+    // The link may already be known from another library: reuse its shared record
+    let media;
+    try {
+        media = await findOrCreateMedia(linkSource, newTrackData);
+        const existing = await findLinkTrack(req.user.id, media._id);
+        if (existing) {
+            return res.status(409).json({
+                msg: `This link is already in ${describePlace(existing)} as ${describeTrack(existing)}.`,
+                duplicateOf: existing,
+            });
+        }
+    } catch (err) {
+        console.error(err.message);
+        return res.status(500).send('Server Error: Could not check for duplicates.');
+    }
+
+    // Title and artist the user left empty come from whoever added the link first
+    newTrackData.media = media._id;
+    newTrackData.title = newTrackData.title || media.title;
+    newTrackData.artist = newTrackData.artist || media.artist;
+    // Stations have no artist of their own
+    if (finalSourceType === 'stream' && !newTrackData.artist) {
+        newTrackData.artist = DEFAULT_STATION_ARTIST;
+    }
+    if (!coverPhotoFile && !bodyCoverPhoto && media.cover_photo) {
+        newTrackData.cover_photo = media.cover_photo;
+    }
+    Object.assign(newTrackData, sharedTrackFields(media));
+    // Queued for loudness analysis (jobs/transcodeQueue.js) unless another library's copy was measured;
+    // the link plays right away
+    if (finalSourceType === 'external_url' && !newTrackData.loudnessSource && getTranscodingConfig().enabled) {
+        Object.assign(newTrackData, { processingStatus: 'pending', processingProgress: 0 });
+    }
+
     console.log('🔍 Final data for external link:', JSON.stringify(newTrackData, null, 2));
 
     if (!newTrackData.title || !newTrackData.artist) {
+        await pruneMedia(media._id).catch(err => console.error(err.message));
         return res.status(400).json({ msg: 'Title and Artist are required for external links.' });
     }
 
@@ -619,12 +1220,16 @@ router.post('/', protect, upload.fields([
         const newTrack = new Track(newTrackData);
         const track = await newTrack.save();
         console.log('✅ External track saved with cover:', track.cover_photo);
+        if (uploadLyrics) await saveIngestedLyrics(track, { lyrics: uploadLyrics });
+        if (track.processingStatus === 'pending') enqueueTranscode();
         res.status(201).json(track); 
     } catch (dbErr) {
+        // The same link added twice at once
         if (dbErr.code === 11000) {
-            return res.status(400).json({ msg: 'This link has already been uploaded or is invalid.' });
+            return res.status(409).json({ msg: 'This link is already in your library.' });
         }
         console.error('❌ DB Error:', dbErr.message);
+        await pruneMedia(media._id).catch(err => console.error(err.message));
         res.status(500).send('Server Error: Could not save track.');
     }
 });
@@ -635,8 +1240,432 @@ router.post('/', protect, upload.fields([
 
 
 
+// @route   POST /api/tracks/batch
+// @desc    Upload many audio files in one request. Title and artist come from each file's tags
+//          (falling back to the file name). Form data: audioFiles (up to 50 files, 1 GB in all), playlistId (optional),
+//          onDuplicate (optional: skip (default), replace or keep, for files already in the library)
+//          Lyrics embedded in each file's tags are stored with the track.
+//          Returns one result per file, in upload order: created, replaced, duplicate or failed (with a reason).
+// @access  Private
+router.post('/batch', protect, batchUpload, async (req, res) => {
+    const files = req.files || [];
+    const { playlistId } = req.body;
+    const onDuplicate = req.body.onDuplicate || 'skip';
+
+    if (files.length === 0) {
+        return res.status(400).json({ msg: 'No audio files were uploaded.' });
+    }
+    if (!['skip', 'replace', 'keep'].includes(onDuplicate)) {
+        return res.status(400).json({ msg: 'onDuplicate must be one of: skip, replace, keep.' });
+    }
+
+    try {
+        // Validate the target playlist before storing anything
+        let playlist = null;
+        if (playlistId) {
+            if (!mongoose.Types.ObjectId.isValid(playlistId)) {
+                return res.status(400).json({ msg: 'Invalid playlist ID.' });
+            }
+            playlist = await Playlist.findOne({ _id: playlistId, user: req.user.id });
+            if (!playlist) {
+                return res.status(404).json({ msg: 'Target playlist not found.' });
+            }
+        }
+
+        const results = [];
+        const storedInBatch = new Map(); // content hash -> track, catches duplicates inside the batch
+
+        for (const [index, audioFile] of files.entries()) {
+            const result = { index, fileName: audioFile.originalname };
+            results.push(result);
+
+            if (!AUDIO_TYPES.includes(audioFile.mimetype)) {
+                Object.assign(result, { status: 'failed', reason: `Unsupported file type (${audioFile.mimetype}).` });
+                continue;
+            }
+
+            try {
+                // Files wait on disk (see batchUpload); only the one being stored is in memory
+                audioFile.buffer = await fs.readFile(audioFile.path);
+                const metadata = await readAudioMetadata(audioFile);
+                const common = metadata ? metadata.common : {};
+                const title = common.title || titleFromFileName(audioFile.originalname);
+                const artist = common.artist || 'Unknown Artist';
+
+                if (!title) {
+                    Object.assign(result, { status: 'failed', reason: 'No title in the file tags or file name.' });
+                    continue;
+                }
+
+                // A local track with the same file content counts as a duplicate
+                const contentHash = hashContent(audioFile.buffer);
+                const existing = onDuplicate === 'keep'
+                    ? null
+                    : storedInBatch.get(contentHash) || await findDuplicateUpload(req.user.id, contentHash);
+
+                // Replacing a track with a file uploaded earlier in this batch would only repeat the work
+                if (existing && (onDuplicate === 'skip' || storedInBatch.has(contentHash))) {
+                    Object.assign(result, {
+                        status: 'duplicate',
+                        reason: `Duplicate of ${describeTrack(existing)}.`,
+                        trackId: existing._id,
+                    });
+                    continue;
+                }
+
+                const trackData = await ingestLocalAudio({
+                    audioFile,
+                    userId: req.user.id,
+                    metadata,
+                    title,
+                    artist,
+                    contentHash,
+                });
+
+                let track;
+                if (existing) {
+                    track = await replaceTrackAudio(existing, trackData);
+                    Object.assign(result, { status: 'replaced', reason: `Replaced ${describeTrack(track)}.`, track });
+                } else {
+                    try {
+                        track = await new Track(trackData).save();
+                    } catch (dbErr) {
+                        await discardStoredAssets(trackData);
+                        throw dbErr;
+                    }
+                    Object.assign(result, { status: 'created', track });
+                }
+                await saveIngestedLyrics(track, { metadata });
+
+                storedInBatch.set(contentHash, track);
+            } catch (fileErr) {
+                console.error(`❌ Batch upload failed for ${audioFile.originalname}:`, fileErr.message);
+                Object.assign(result, { status: 'failed', reason: fileErr.message });
+            } finally {
+                audioFile.buffer = null; // Let large uploads be collected as soon as they are processed
+                await fs.unlink(audioFile.path).catch(() => {}); // removeBatchFiles catches the rest
+            }
+        }
+
+        const createdIds = results.filter(r => r.status === 'created').map(r => r.track._id);
+        const replacedCount = results.filter(r => r.status === 'replaced').length;
+        if (createdIds.length > 0 || replacedCount > 0) {
+            enqueueTranscode();
+        }
+        if (playlist && createdIds.length > 0) {
+            await Playlist.updateOne({ _id: playlist._id }, { $addToSet: { tracks: { $each: createdIds } } });
+        }
+
+        const summary = {
+            created: createdIds.length,
+            replaced: replacedCount,
+            duplicate: results.filter(r => r.status === 'duplicate').length,
+            failed: results.filter(r => r.status === 'failed').length,
+        };
+        console.log(`📦 Batch upload finished: ${summary.created} created, ${summary.replaced} replaced, ${summary.duplicate} duplicate, ${summary.failed} failed`);
+
+        res.status(summary.created > 0 ? 201 : 200).json({
+            msg: `${summary.created} of ${files.length} tracks uploaded.`,
+            summary,
+            playlistId: playlist ? playlist._id : null,
+            results,
+        });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server Error: Could not process batch upload.');
+    }
+});
+
+
+// @route   POST /api/tracks/stations/import
+// @desc    Add radio stations from a .pls or .m3u station file: uploaded as form field stationFile,
+//          or downloaded from `url` (a link that turns out to be a stream is added as it is).
+//          Each station becomes a 'stream' track named after its entry in the file.
+//          Returns one result per station, in file order: created, duplicate or failed (with a reason).
+// @access  Private
+router.post('/stations/import', protect, stationUpload.single('stationFile'), async (req, res) => {
+    let stations;
+    try {
+        if (req.file) {
+            const { stations: listed, isHls } = parseStationFile(req.file.buffer.toString('utf8'));
+            if (isHls) {
+                return res.status(400).json({ msg: 'This is an HLS playlist, which is a stream itself. Add its URL as a stream instead.' });
+            }
+            stations = listed;
+        } else if (req.body.url) {
+            if (!/^https?:\/\//i.test(req.body.url)) {
+                return res.status(400).json({ msg: 'Invalid station file URL provided.' });
+            }
+            stations = await fetchStationList(req.body.url);
+        } else {
+            return res.status(400).json({ msg: 'Upload a .pls or .m3u file (stationFile) or send its url.' });
+        }
+    } catch (err) {
+        console.error(err.message);
+        return res.status(400).json({ msg: err.message });
+    }
+
+    if (stations.length === 0) {
+        return res.status(400).json({ msg: 'No stations found in this file.' });
+    }
+
+    try {
+        const results = [];
+        for (const station of stations) {
+            const result = { url: station.url, title: station.title, status: 'failed', reason: null, track: null };
+            results.push(result);
+
+            const source = canonicalizeSource('stream', station.url);
+            if (!source) {
+                result.reason = 'Invalid stream URL.';
+                continue;
+            }
+            const title = station.title || new URL(source.sourceUrl).hostname;
+
+            try {
+                // Same shared record and per-library uniqueness as links added one by one
+                const media = await findOrCreateMedia(source, { sourceType: 'stream', title });
+                const existing = await findLinkTrack(req.user.id, media._id);
+                if (existing) {
+                    Object.assign(result, { status: 'duplicate', reason: `Already in ${describePlace(existing)} as ${describeTrack(existing)}.`, track: existing });
+                    continue;
+                }
+
+                const track = await new Track({
+                    title,
+                    artist: media.artist || DEFAULT_STATION_ARTIST,
+                    sourceType: 'stream',
+                    sourceUrl: source.sourceUrl,
+                    media: media._id,
+                    user: req.user.id,
+                    cover_photo: media.cover_photo || await getRandomDefaultImage(),
+                }).save();
+                Object.assign(result, { status: 'created', track });
+            } catch (stationErr) {
+                console.error(`❌ Station import failed for ${station.url}:`, stationErr.message);
+                result.reason = stationErr.message;
+            }
+        }
+
+        const summary = {
+            created: results.filter(r => r.status === 'created').length,
+            duplicate: results.filter(r => r.status === 'duplicate').length,
+            failed: results.filter(r => r.status === 'failed').length,
+        };
+        console.log(`📻 Station import finished: ${summary.created} created, ${summary.duplicate} duplicate, ${summary.failed} failed`);
+
+        res.status(summary.created > 0 ? 201 : 200).json({
+            msg: `${summary.created} of ${stations.length} stations added.`,
+            summary,
+            results,
+        });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server Error: Could not import stations.');
+    }
+});
+
+// @route   POST /api/tracks/:id/reprocess
+// @desc    Queue a track for loudness analysis and transcoding again (e.g. after a failure).
+//          External links are only re-analyzed.
+// @access  Private (owner only)
+router.post('/:id/reprocess', protect, async (req, res) => {
+    try {
+        const track = await Track.findById(req.params.id);
+
+        if (!track) {
+            return res.status(404).json({ msg: 'Track not found.' });
+        }
+        if (track.user.toString() !== req.user.id) {
+            return res.status(401).json({ msg: 'Not authorized to update this track.' });
+        }
+        const isStoredUpload = track.sourceType === 'local' && track.storageDriver;
+        if (!isStoredUpload && track.sourceType !== 'external_url') {
+            return res.status(400).json({ msg: 'Only uploaded tracks stored by a storage driver and external links can be processed.' });
+        }
+        if (!getTranscodingConfig().enabled) {
+            return res.status(400).json({ msg: 'Audio processing is turned off on this server.' });
+        }
+        if (track.processingStatus === 'pending') {
+            return res.status(409).json({ msg: 'Track is already queued for processing.' });
+        }
+
+        track.set({ processingStatus: 'pending', processingProgress: 0, processingError: null, processingStartedAt: null });
+        await track.save();
+        enqueueTranscode();
+
+        res.status(202).json({ msg: 'Track queued for processing.', processingStatus: track.processingStatus });
+    } catch (err) {
+        console.error(err.message);
+        if (err.kind === 'ObjectId') {
+            return res.status(404).json({ msg: 'Track not found (Invalid ID format).' });
+        }
+        res.status(500).send('Server Error: Could not queue track.');
+    }
+});
+
+// @route   POST /api/tracks/:id/check-link
+// @desc    Check the link of a YouTube or external track now (the background checker
+//          only gets to it once a day) and return the track with the result
+// @access  Private (owner only)
+router.post('/:id/check-link', protect, async (req, res) => {
+    try {
+        const track = await Track.findById(req.params.id);
+
+        if (!track) {
+            return res.status(404).json({ msg: 'Track not found.' });
+        }
+        if (track.user.toString() !== req.user.id) {
+            return res.status(401).json({ msg: 'Not authorized to update this track.' });
+        }
+        if (!LINK_SOURCE_TYPES.includes(track.sourceType)) {
+            return res.status(400).json({ msg: 'Only YouTube and external links can be checked.' });
+        }
+
+        await checkTrackLink(track);
+        res.json(await Track.findById(track._id));
+    } catch (err) {
+        console.error(err.message);
+        if (err.kind === 'ObjectId') {
+            return res.status(404).json({ msg: 'Track not found (Invalid ID format).' });
+        }
+        res.status(500).send('Server Error: Could not check link.');
+    }
+});
+
+// @route   PUT /api/tracks/:id/source
+// @desc    Give a YouTube or external track a new source, e.g. to fix a broken link: a new link
+//          (JSON { sourceType: 'youtube' | 'external_url', sourceUrl }; sourceType defaults to the
+//          current one) or an uploaded file (form field audioFile). The track keeps its ID, title,
+//          artist, cue points, playlists and history; a file brings its own cover and other tags,
+//          like a replaced duplicate. A new link is checked right away.
+// @access  Private (owner only)
+router.put('/:id/source', protect, upload.single('audioFile'), async (req, res) => {
+    try {
+        const track = await Track.findById(req.params.id);
+
+        if (!track) {
+            return res.status(404).json({ msg: 'Track not found.' });
+        }
+        if (track.user.toString() !== req.user.id) {
+            return res.status(401).json({ msg: 'Not authorized to update this track.' });
+        }
+        if (!LINK_SOURCE_TYPES.includes(track.sourceType)) {
+            return res.status(400).json({ msg: 'Only YouTube and external tracks can change their source.' });
+        }
+
+        const oldMedia = track.media;
+
+        // 1. UPLOADED FILE: the track becomes a local upload
+        if (req.file) {
+            if (!AUDIO_TYPES.includes(req.file.mimetype)) {
+                return res.status(400).json({ msg: 'Invalid file type. Only audio files are allowed.' });
+            }
+
+            const contentHash = hashContent(req.file.buffer);
+            const duplicateOf = await findDuplicateUpload(req.user.id, contentHash);
+            if (duplicateOf) {
+                return res.status(409).json({
+                    msg: `This file is already in your library as ${describeTrack(duplicateOf)}.`,
+                    duplicateOf,
+                });
+            }
+
+            let trackData;
+            try {
+                trackData = await ingestLocalAudio({ audioFile: req.file, userId: req.user.id, contentHash });
+            } catch (uploadErr) {
+                console.error('❌ Storage Upload Error:', uploadErr.message);
+                return res.status(500).json({ msg: 'Failed to store uploaded files.' });
+            }
+
+            await replaceTrackAudio(track, {
+                ...trackData,
+                // The file replaces the link, not the name the owner gave the track
+                title: track.title,
+                artist: track.artist,
+                sourceUrl: null,
+                videoId: null,
+                media: null,
+                ...EMPTY_LINK_HEALTH,
+            });
+            await pruneMedia(oldMedia).catch(err => console.error(err.message));
+            enqueueTranscode();
+            console.log(`🔁 Track ${track._id} now plays an uploaded file`);
+            return res.json(track);
+        }
+
+        // 2. NEW LINK (YouTube or external)
+        const sourceType = req.body.sourceType || track.sourceType;
+        if (!LINK_SOURCE_TYPES.includes(sourceType)) {
+            return res.status(400).json({ msg: "sourceType must be 'youtube' or 'external_url'." });
+        }
+        const source = canonicalizeSource(sourceType, req.body.sourceUrl);
+        if (!source) {
+            return res.status(400).json({ msg: `Invalid ${sourceType === 'youtube' ? 'YouTube' : 'external'} URL provided.` });
+        }
+
+        const media = await findOrCreateMedia(source, track);
+        const existing = await findLinkTrack(req.user.id, media._id, { _id: { $ne: track._id } });
+        if (existing) {
+            await pruneMedia(media._id).catch(err => console.error(err.message));
+            return res.status(409).json({
+                msg: `This link is already in ${describePlace(existing)} as ${describeTrack(existing)}.`,
+                duplicateOf: existing,
+            });
+        }
+
+        track.set({
+            sourceType,
+            sourceUrl: source.sourceUrl,
+            videoId: source.videoId,
+            media: media._id,
+            // Cue points in the new link win over the track's own
+            ...cuePointsFromUrl(req.body.sourceUrl),
+            // Measured for the old link; the new one's shared values are copied below
+            loudness: null,
+            trackGain: null,
+            trackPeak: null,
+            loudnessSource: null,
+            processingStatus: 'ready',
+            processingProgress: 100,
+            processingError: null,
+            ...EMPTY_LINK_HEALTH,
+            ...sharedTrackFields(media),
+        });
+        if (sourceType === 'external_url' && !track.loudnessSource && getTranscodingConfig().enabled) {
+            track.set({ processingStatus: 'pending', processingProgress: 0 });
+        }
+        await track.save();
+
+        if (oldMedia && !oldMedia.equals(media._id)) {
+            await pruneMedia(oldMedia).catch(err => console.error(err.message));
+        }
+        if (track.processingStatus === 'pending') enqueueTranscode();
+
+        // Checked right away, so the owner sees whether the new link works
+        await checkTrackLink(track).catch(err => console.error(`❌ Link check failed for track ${track._id}:`, err.message));
+        console.log(`🔗 Track ${track._id} now plays ${track.sourceUrl}`);
+        res.json(await Track.findById(track._id));
+    } catch (err) {
+        console.error(err.message);
+        if (err.kind === 'ObjectId') {
+            return res.status(404).json({ msg: 'Track not found (Invalid ID format).' });
+        }
+        if (err.code === 11000) {
+            return res.status(409).json({ msg: 'This link is already in your library.' });
+        }
+        if (err.name === 'ValidationError') {
+            return res.status(400).json({ msg: err.message });
+        }
+        res.status(500).send('Server Error: Could not change the track source.');
+    }
+});
+
+
 // @route   DELETE /api/tracks/:id
-// @desc    Delete a track by ID and its file (if local) (Private access)
+// @desc    Move a track to the Trash (Private access). It can be restored for TRASH_RETENTION_DAYS;
+//          then the purge job deletes it with its files (see routes/trash.js)
 router.delete('/:id', protect, async (req, res) => {
     try {
       const track = await Track.findById(req.params.id);
@@ -650,25 +1679,9 @@ router.delete('/:id', protect, async (req, res) => {
           return res.status(401).json({ msg: 'Not authorized to delete this track.' });
       }
   
-      // ** CRUCIAL STEP: DELETE Local File **
-      if (track.sourceType === 'local' && track.filePath) {
-          // Note: The delete operation uses the path stored in the DB, 
-          // which now correctly uses '/' but path.join still works correctly 
-          // to join the base directory with the file path regardless of separator.
-          const fullPath = path.join(__dirname, '..', track.filePath);
-          try {
-              await fs.unlink(fullPath);
-              console.log(`Successfully deleted file: ${fullPath}`);
-          } catch (fileErr) {
-              if (fileErr.code !== 'ENOENT') {
-                  console.error(`Failed to delete local file: ${fullPath}`, fileErr);
-              }
-          }
-      }
-      
-      await Track.deleteOne({ _id: req.params.id });
-  
-      res.json({ msg: 'Track successfully removed.' });
+      // Hidden everywhere, but keeps its files, history and place in playlists until it is purged
+      const deletedAt = await trashTrack(track);
+      res.json({ msg: 'Track moved to the Trash.', deletedAt, purgeAt: purgeDate(deletedAt) });
     } catch (err) {
       console.error(err.message);
       if (err.kind === 'ObjectId') {
@@ -679,12 +1692,257 @@ router.delete('/:id', protect, async (req, res) => {
 });
 
 
+// Likes (liked = true) or unlikes a track of the user. Both are idempotent: liking a
+// liked track keeps its like date, so its place in Liked Songs does not change.
+const setTrackLiked = async (req, res, liked) => {
+    const track = await Track.findById(req.params.id).select('user likedAt');
+
+    if (!track) {
+        return res.status(404).json({ msg: 'Track not found.' });
+    }
+    if (track.user.toString() !== req.user.id) {
+        return res.status(401).json({ msg: 'Not authorized to like this track.' });
+    }
+
+    if (liked !== Boolean(track.likedAt)) {
+        track.likedAt = liked ? new Date() : null;
+        await Track.updateOne({ _id: track._id }, { $set: { likedAt: track.likedAt } });
+    }
+
+    res.json({ liked, likedAt: track.likedAt });
+};
+
+// @route   PUT /api/tracks/:id/like
+// @desc    Add a track to Liked Songs
+// @access  Private
+router.put('/:id/like', protect, async (req, res) => {
+    try {
+        await setTrackLiked(req, res, true);
+    } catch (err) {
+        console.error(err.message);
+        if (err.kind === 'ObjectId') {
+            return res.status(404).json({ msg: 'Track not found (Invalid ID format).' });
+        }
+        res.status(500).send('Server Error: Could not like track.');
+    }
+});
+
+// @route   DELETE /api/tracks/:id/like
+// @desc    Remove a track from Liked Songs
+// @access  Private
+router.delete('/:id/like', protect, async (req, res) => {
+    try {
+        await setTrackLiked(req, res, false);
+    } catch (err) {
+        console.error(err.message);
+        if (err.kind === 'ObjectId') {
+            return res.status(404).json({ msg: 'Track not found (Invalid ID format).' });
+        }
+        res.status(500).send('Server Error: Could not unlike track.');
+    }
+});
+
+// @route   PUT /api/tracks/:id/rating
+// @desc    Rate a track from 1 to 5 stars; null (or 0) clears the rating
+//          Body: { rating: 4 }
+// @access  Private
+router.put('/:id/rating', protect, async (req, res) => {
+    try {
+        if (req.body.rating === undefined) {
+            return res.status(400).json({ msg: 'rating is required.' });
+        }
+        const { rating, error } = parseRating(req.body.rating);
+        if (error) {
+            return res.status(400).json({ msg: error });
+        }
+
+        const track = await Track.findById(req.params.id).select('user rating coverStorageKey');
+
+        if (!track) {
+            return res.status(404).json({ msg: 'Track not found.' });
+        }
+        if (track.user.toString() !== req.user.id) {
+            return res.status(401).json({ msg: 'Not authorized to rate this track.' });
+        }
+
+        await Track.updateOne({ _id: track._id }, { $set: { rating } });
+        const revision = await recordFieldRevision(track, { user: req.user.id, field: 'rating', from: track.rating, to: rating });
+        res.json({ rating, revisionId: revision ? revision._id : null });
+    } catch (err) {
+        console.error(err.message);
+        if (err.kind === 'ObjectId') {
+            return res.status(404).json({ msg: 'Track not found (Invalid ID format).' });
+        }
+        res.status(500).send('Server Error: Could not rate track.');
+    }
+});
+
+// @route   PUT /api/tracks/:id/listen
+// @desc    Record one play of a track in the listening history
+//          Body: { startedAt, secondsListened, duration, completed, context: { source, id },
+//          streamTitles (live streams: [{ title, artist, at }], the songs announced while listening) }
+//          Only the owner's plays are recorded (they feed the owner's counters and stats);
+//          plays of a track shared in a public playlist are acknowledged with recorded: false.
+// @access  Private
+router.put('/:id/listen', protect, async (req, res) => {
+    try {
+        const track = await Track.findById(req.params.id);
+
+        if (!track || !(await canStreamTrack(track, req.user.id))) {
+            return res.status(404).json({ msg: 'Track not found.' });
+        }
+        if (track.user.toString() !== req.user.id) {
+            return res.json({ msg: 'Plays of shared tracks are not recorded.', recorded: false });
+        }
+
+        const secondsListened = Math.max(0, Number(req.body.secondsListened) || 0);
+        const duration = Math.max(0, Number(req.body.duration) || 0);
+        const completed = req.body.completed === true;
+        const now = new Date();
+        let startedAt = req.body.startedAt ? new Date(req.body.startedAt) : now;
+
+        if (isNaN(startedAt.getTime())) {
+            return res.status(400).json({ msg: 'Invalid startedAt timestamp.' });
+        }
+        // A client clock running ahead must not date plays in the future
+        if (startedAt > now) startedAt = now;
+
+        const { counted, skipped } = classifyPlay({ secondsListened, duration, completed });
+
+        const entry = await ListeningHistory.create({
+            user: req.user.id,
+            track: track._id,
+            startedAt,
+            secondsListened,
+            duration,
+            completed,
+            skipped,
+            counted,
+            context: normalizeContext(req.body.context),
+            streamTitles: track.sourceType === 'stream' ? normalizeStreamTitles(req.body.streamTitles) : [],
+        });
+
+        // Keep the denormalized counters on the track in sync with the history. Plays can be
+        // reported out of order (a page closing sends its last play late), so the latest one wins.
+        const trackUpdate = counted
+            ? { $inc: { play_count: 1 }, $max: { recently_listened: startedAt } }
+            : { $inc: { skip_count: 1 } };
+
+        const updatedTrack = await Track.findByIdAndUpdate(track._id, trackUpdate, { new: true });
+
+        res.json({
+            msg: counted ? 'Track listening timestamp updated.' : 'Track play recorded as skipped.',
+            recently_listened: updatedTrack.recently_listened,
+            play_count: updatedTrack.play_count,
+            skip_count: updatedTrack.skip_count,
+            history: entry,
+            recorded: true,
+        });
+
+    } catch (err) {
+        console.error(err.message);
+        if (err.kind === 'ObjectId') {
+            return res.status(404).json({ msg: 'Track not found (Invalid ID format).' });
+        }
+        res.status(500).send('Server Error: Could not record listening history.');
+    }
+});
+
+
+// @route   GET /api/tracks/:id/revisions
+// @desc    The track's metadata edits, newest first: who made them, when, and each field's old and new value
+// @access  Private (owner only)
+router.get('/:id/revisions', protect, async (req, res) => {
+    try {
+        const track = await Track.findById(req.params.id).select('user');
+
+        if (!track) {
+            return res.status(404).json({ msg: 'Track not found.' });
+        }
+        if (track.user.toString() !== req.user.id) {
+            return res.status(401).json({ msg: 'Not authorized to view this track.' });
+        }
+
+        const revisions = await TrackRevision.find({ track: track._id })
+            .select('-previousCover -__v')
+            .sort({ createdAt: -1, _id: -1 })
+            .populate('user', 'username profile_image')
+            .lean();
+
+        res.json({ revisions });
+    } catch (err) {
+        console.error(err.message);
+        if (err.kind === 'ObjectId') {
+            return res.status(404).json({ msg: 'Track not found (Invalid ID format).' });
+        }
+        res.status(500).send('Server Error: Could not fetch track revisions.');
+    }
+});
+
+// @route   POST /api/tracks/:id/revisions/:revisionId/revert
+// @desc    Take the track back to how it was before a revision (undoing that edit and the later
+//          ones). The revert is recorded as a revision too, so it can be undone in turn.
+// @access  Private (owner only)
+router.post('/:id/revisions/:revisionId/revert', protect, async (req, res) => {
+    try {
+        const track = await Track.findById(req.params.id);
+
+        if (!track) {
+            return res.status(404).json({ msg: 'Track not found.' });
+        }
+        if (track.user.toString() !== req.user.id) {
+            return res.status(401).json({ msg: 'Not authorized to update this track.' });
+        }
+
+        const revision = await TrackRevision.findOne({ _id: req.params.revisionId, track: track._id });
+        if (!revision) {
+            return res.status(404).json({ msg: 'Revision not found.' });
+        }
+
+        const { values: { cover_photo, ...values }, storedCover } = await getRevertValues(revision);
+        const before = snapshotRevisionFields(track);
+
+        track.set(values);
+        let previousCover = null;
+        if (cover_photo !== undefined && cover_photo !== track.cover_photo) {
+            previousCover = replaceCover(track, cover_photo, storedCover);
+        }
+
+        const updatedTrack = await track.save();
+        const revert = await recordRevision(updatedTrack, {
+            user: req.user.id,
+            changes: diffRevisionFields(before, updatedTrack),
+            previousCover,
+            revertOf: revision._id,
+        });
+        res.json({ ...updatedTrack.toJSON(), revisionId: revert ? revert._id : null });
+
+    } catch (err) {
+        console.error(err.message);
+        if (err.kind === 'ObjectId') {
+            return res.status(404).json({ msg: 'Track or revision not found (Invalid ID format).' });
+        }
+        if (err.name === 'ValidationError') {
+            return res.status(400).json({ msg: err.message });
+        }
+        res.status(500).send('Server Error: Could not revert track.');
+    }
+});
+
 // @route   PUT /api/tracks/:id
-// @desc    Update track metadata (title, artist, cover_photo)
+// @desc    Update track metadata (title, artist, cover_photo, album, albumArtist, trackNumber,
+//          discNumber, year, genres, composer, duration, bitrate, sampleRate, codec, rating).
+//          The edit is recorded as a revision; the response carries its revisionId (null when
+//          nothing changed) for an undo.
 // @access  Private
 router.put('/:id', protect, async (req, res) => {
     try {
         const { title, artist, cover_photo } = req.body; 
+        const { updates: metadataUpdates, error: metadataError } = parseMetadataUpdates(req.body);
+
+        if (metadataError) {
+            return res.status(400).json({ msg: metadataError });
+        }
         
         const track = await Track.findById(req.params.id);
 
@@ -696,6 +1954,13 @@ router.put('/:id', protect, async (req, res) => {
         if (track.user.toString() !== req.user.id) {
             return res.status(401).json({ msg: 'Not authorized to update this track.' });
         }
+        // A live stream has no timeline to trim
+        if (track.sourceType === 'stream' && (metadataUpdates.startTime || metadataUpdates.endTime)) {
+            return res.status(400).json({ msg: 'Live streams cannot have cue points.' });
+        }
+
+        const before = snapshotRevisionFields(track);
+        let previousCover = null;
 
         // Update fields if provided in the request body
         if (title !== undefined) {
@@ -704,19 +1969,30 @@ router.put('/:id', protect, async (req, res) => {
         if (artist !== undefined) {
             track.artist = artist;
         }
-        if (cover_photo !== undefined) { 
+        if (cover_photo !== undefined && cover_photo !== track.cover_photo) { 
             // NOTE: If you update a cover_photo via PUT, ensure the string uses forward slashes if it's a file path
-            track.cover_photo = cover_photo;
+            // A replaced stored cover is kept with the revision, so the edit can be undone
+            previousCover = replaceCover(track, cover_photo);
         }
+        // Album, track/disc number, year, genres, composer, duration, bitrate, sample rate, codec, gain offset, cue points, tags, rating
+        track.set(metadataUpdates);
 
         const updatedTrack = await track.save();
-        res.json(updatedTrack);
+        const revision = await recordRevision(updatedTrack, {
+            user: req.user.id,
+            changes: diffRevisionFields(before, updatedTrack),
+            previousCover,
+        });
+        res.json({ ...updatedTrack.toJSON(), revisionId: revision ? revision._id : null });
 
     } catch (err) {
         console.error(err.message);
         if (err.kind === 'ObjectId') {
             return res.status(404).json({ msg: 'Track not found (Invalid ID format).' });
         }
+        if (err.name === 'ValidationError') {
+            return res.status(400).json({ msg: err.message });
+        }
         res.status(500).send('Server Error: Could not update track.');
     }
 });
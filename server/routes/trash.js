@@ -0,0 +1,199 @@
+const express = require('express');
+const router = express.Router();
+const Track = require('../models/Track');
+const Playlist = require('../models/Playlist');
+const { protect } = require('../middleware/auth');
+const getTrashConfig = require('../config/trash');
+const { purgeDate } = require('../utils/softDelete');
+const { TRACK_LIST_PROJECTION } = require('../utils/trackFilters');
+const { deleteTrackCascade, restoreTrack } = require('../utils/trackCleanup');
+const { enqueueTranscode } = require('../jobs/transcodeQueue');
+
+// Only documents in the Trash (naming deletedAt also lifts the soft delete filter, see utils/softDelete.js)
+const IN_TRASH = { deletedAt: { $ne: null } };
+
+// ==========================================================
+//                      TRASH ENDPOINTS
+// ==========================================================
+
+// @route   GET /api/trash
+// @desc    The user's trashed tracks and playlists, most recently trashed first, each with
+//          the date it will be deleted for good (`purgeAt`)
+// @access  Private
+router.get('/', protect, async (req, res) => {
+    try {
+        const [tracks, playlists] = await Promise.all([
+            Track.find({ user: req.user.id, ...IN_TRASH })
+                .select(TRACK_LIST_PROJECTION)
+                .sort({ deletedAt: -1 })
+                .lean(),
+            Playlist.find({ user: req.user.id, ...IN_TRASH })
+                .select('name description type is_public tracks deletedAt createdAt')
+                .sort({ deletedAt: -1 })
+                .lean(),
+        ]);
+
+        res.json({
+            retentionDays: getTrashConfig().retentionDays,
+            tracks: tracks.map(track => ({ ...track, purgeAt: purgeDate(track.deletedAt) })),
+            playlists: playlists.map(({ tracks: trackIds, ...playlist }) => ({
+                ...playlist,
+                trackCount: trackIds.length,
+                purgeAt: purgeDate(playlist.deletedAt),
+            })),
+        });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server Error: Could not retrieve the trash.');
+    }
+});
+
+// @route   POST /api/trash/tracks/:id/restore
+// @desc    Take a track out of the Trash. It comes back in its playlists, at its old position.
+// @access  Private (owner only)
+router.post('/tracks/:id/restore', protect, async (req, res) => {
+    try {
+        const track = await Track.findOne({ _id: req.params.id, user: req.user.id, ...IN_TRASH });
+
+        if (!track) {
+            return res.status(404).json({ msg: 'Track not found in the Trash.' });
+        }
+
+        await restoreTrack(track);
+        // Trashed before its processing finished: the worker skipped it until now
+        if (track.processingStatus === 'pending') enqueueTranscode();
+
+        res.json(track);
+    } catch (err) {
+        console.error(err.message);
+        if (err.kind === 'ObjectId') {
+            return res.status(404).json({ msg: 'Track not found (Invalid ID format).' });
+        }
+        res.status(500).send('Server Error: Could not restore track.');
+    }
+});
+
+// @route   POST /api/trash/playlists/:id/restore
+// @desc    Take a playlist out of the Trash, with its tracks
+// @access  Private (owner only)
+router.post('/playlists/:id/restore', protect, async (req, res) => {
+    try {
+        const playlist = await Playlist.findOneAndUpdate(
+            { _id: req.params.id, user: req.user.id, ...IN_TRASH },
+            { $set: { deletedAt: null } },
+            { new: true }
+        ).select('-__v');
+
+        if (!playlist) {
+            return res.status(404).json({ msg: 'Playlist not found in the Trash.' });
+        }
+
+        res.json(playlist);
+    } catch (err) {
+        console.error(err.message);
+        if (err.kind === 'ObjectId') {
+            return res.status(404).json({ msg: 'Playlist not found (Invalid ID format).' });
+        }
+        res.status(500).send('Server Error: Could not restore playlist.');
+    }
+});
+
+// @route   DELETE /api/trash/tracks/:id
+// @desc    Delete a trashed track for good: the document, its place in playlists, its
+//          history and its stored files (see deleteTrackCascade)
+// @access  Private (owner only)
+router.delete('/tracks/:id', protect, async (req, res) => {
+    try {
+        const track = await Track.findOne({ _id: req.params.id, user: req.user.id, ...IN_TRASH });
+
+        if (!track) {
+            return res.status(404).json({ msg: 'Track not found in the Trash.' });
+        }
+
+        const result = await deleteTrackCascade(track);
+
+        if (result.failures.length > 0) {
+            return res.json({
+                msg: 'Track deleted, but some stored files could not be deleted.',
+                partial: true,
+                ...result,
+            });
+        }
+
+        res.json({ msg: 'Track permanently deleted.', partial: false, ...result });
+    } catch (err) {
+        console.error(err.message);
+        if (err.kind === 'ObjectId') {
+            return res.status(404).json({ msg: 'Track not found (Invalid ID format).' });
+        }
+        res.status(500).send('Server Error: Could not delete track.');
+    }
+});
+
+// @route   DELETE /api/trash/playlists/:id
+// @desc    Delete a trashed playlist for good (its tracks stay in the library)
+// @access  Private (owner only)
+router.delete('/playlists/:id', protect, async (req, res) => {
+    try {
+        const result = await Playlist.deleteOne({ _id: req.params.id, user: req.user.id, ...IN_TRASH });
+
+        if (result.deletedCount === 0) {
+            return res.status(404).json({ msg: 'Playlist not found in the Trash.' });
+        }
+
+        res.json({ msg: 'Playlist permanently deleted.' });
+    } catch (err) {
+        console.error(err.message);
+        if (err.kind === 'ObjectId') {
+            return res.status(404).json({ msg: 'Playlist not found (Invalid ID format).' });
+        }
+        res.status(500).send('Server Error: Could not delete playlist.');
+    }
+});
+
+// @route   DELETE /api/trash
+// @desc    Empty the Trash: delete every trashed track and playlist of the user for good
+// @access  Private
+router.delete('/', protect, async (req, res) => {
+    try {
+        const tracks = await Track.find({ user: req.user.id, ...IN_TRASH });
+
+        // One track that cannot be deleted must not keep the others in the Trash;
+        // it stays there and is reported (like the purge job does)
+        const failures = [];
+        let tracksDeleted = 0;
+        let tracksFailed = 0;
+        for (const track of tracks) {
+            try {
+                const result = await deleteTrackCascade(track);
+                tracksDeleted += 1;
+                failures.push(...result.failures);
+            } catch (err) {
+                console.error(`❌ Could not delete track ${track._id}:`, err.message);
+                tracksFailed += 1;
+            }
+        }
+        const playlists = await Playlist.deleteMany({ user: req.user.id, ...IN_TRASH });
+
+        let msg = 'Trash emptied.';
+        if (tracksFailed > 0) {
+            msg = `Trash emptied, but ${tracksFailed} track(s) could not be deleted and are still in the Trash.`;
+        } else if (failures.length > 0) {
+            msg = 'Trash emptied, but some stored files could not be deleted.';
+        }
+
+        res.json({
+            msg,
+            partial: tracksFailed > 0 || failures.length > 0,
+            tracksDeleted,
+            tracksFailed,
+            playlistsDeleted: playlists.deletedCount,
+            failures,
+        });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).send('Server Error: Could not empty the trash.');
+    }
+});
+
+module.exports = router;
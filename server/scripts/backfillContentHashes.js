@@ -0,0 +1,72 @@
+// One-off backfill: computes Track.contentHash for uploads stored before
+// duplicate detection existed, so re-uploads of them are recognized and the
+// duplicate scan (GET /api/tracks/duplicates) can compare them.
+//
+// Each file is read back from its storage driver (or from uploads/ for legacy
+// tracks) and hashed with SHA-256 (utils/duplicates.js).
+//
+// Usage (from the server directory):
+//   node scripts/backfillContentHashes.js            # hash every upload without a hash
+//   node scripts/backfillContentHashes.js --dry-run  # only count what would change
+//
+// Safe to re-run: hashed tracks no longer match the query.
+
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+const mongoose = require('mongoose');
+const Track = require('../models/Track');
+const { getStorage } = require('../storage');
+const createLocalDriver = require('../storage/localDriver');
+const { hashStream } = require('../utils/duplicates');
+
+const dryRun = process.argv.includes('--dry-run');
+
+const UPLOAD_DIR = path.join(__dirname, '..', 'uploads');
+const legacyUploads = createLocalDriver({ rootDir: UPLOAD_DIR });
+
+// Opens the original upload the same way GET /api/tracks/:id/stream does
+const openAudio = (track) => {
+    if (track.storageDriver) {
+        return getStorage(track.storageDriver).getStream(track.filePath);
+    }
+    const legacyKey = path.relative(UPLOAD_DIR, path.resolve(__dirname, '..', track.filePath));
+    return legacyUploads.getStream(legacyKey);
+};
+
+const backfill = async () => {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log(`MongoDB Connected: ${mongoose.connection.host}`);
+
+    const query = { sourceType: 'local', filePath: { $type: 'string' }, contentHash: null };
+    const total = await Track.countDocuments(query);
+    console.log(`🔍 ${total} upload(s) without a content hash${dryRun ? ' (dry run, nothing will change)' : ''}`);
+
+    if (dryRun || total === 0) return { hashed: 0, failed: 0 };
+
+    const counts = { hashed: 0, failed: 0 };
+    const cursor = Track.find(query).select('_id filePath storageDriver').lean().cursor();
+
+    for await (const track of cursor) {
+        try {
+            const contentHash = await hashStream(await openAudio(track));
+            await Track.updateOne({ _id: track._id }, { $set: { contentHash } });
+            counts.hashed += 1;
+        } catch (err) {
+            console.error(`❌ Track ${track._id}: ${err.message}`);
+            counts.failed += 1;
+        }
+    }
+
+    return counts;
+};
+
+backfill()
+    .then(({ hashed, failed }) => {
+        console.log(`✅ Done: ${hashed} hashed, ${failed} failed`);
+        process.exitCode = failed > 0 ? 1 : 0;
+    })
+    .catch((err) => {
+        console.error(`Error: ${err.message}`);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
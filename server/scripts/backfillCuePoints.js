@@ -0,0 +1,59 @@
+// One-off backfill: reads start/end cue points from the links of tracks added
+// before cue points existed (YouTube t=, start= and end= parameters, or a
+// #t=30,120 media fragment; see utils/cuePoints.js).
+//
+// Usage (from the server directory):
+//   node scripts/backfillCuePoints.js            # fill tracks without cue points
+//   node scripts/backfillCuePoints.js --dry-run  # only count what would change
+//
+// Safe to re-run: tracks that already have a cue point (set by the link or by
+// the owner) are never touched.
+
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+const mongoose = require('mongoose');
+const Track = require('../models/Track');
+const { cuePointsFromUrl } = require('../utils/cuePoints');
+
+const dryRun = process.argv.includes('--dry-run');
+
+const backfill = async () => {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log(`MongoDB Connected: ${mongoose.connection.host}`);
+
+    const query = {
+        sourceType: { $in: ['youtube', 'external_url'] },
+        sourceUrl: { $type: 'string' },
+        startTime: null,
+        endTime: null,
+    };
+    const total = await Track.countDocuments(query);
+    console.log(`🔍 ${total} link(s) without cue points${dryRun ? ' (dry run, nothing will change)' : ''}`);
+
+    const counts = { updated: 0, unchanged: 0 };
+    const cursor = Track.find(query).select('_id sourceUrl').lean().cursor();
+
+    for await (const track of cursor) {
+        const cues = cuePointsFromUrl(track.sourceUrl);
+        if (Object.keys(cues).length === 0) {
+            counts.unchanged += 1;
+            continue;
+        }
+        if (!dryRun) {
+            await Track.updateOne({ _id: track._id }, { $set: cues });
+        }
+        counts.updated += 1;
+    }
+
+    return counts;
+};
+
+backfill()
+    .then(({ updated, unchanged }) => {
+        console.log(`✅ Done: ${updated} ${dryRun ? 'would be updated' : 'updated'}, ${unchanged} without cue points in the link`);
+    })
+    .catch((err) => {
+        console.error(`Error: ${err.message}`);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -0,0 +1,57 @@
+// One-off backfill: builds the search data (searchTokens / searchGrams) of
+// tracks saved before ranked search existed. New and edited tracks get it on
+// save (see the pre-save hook in models/Track.js and utils/search.js).
+//
+// Usage (from the server directory):
+//   node scripts/buildSearchIndex.js            # index every track without search data
+//   node scripts/buildSearchIndex.js --all      # rebuild it for every track
+//   node scripts/buildSearchIndex.js --dry-run  # only count what would change
+//
+// Safe to re-run: indexed tracks no longer match the query.
+
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+const mongoose = require('mongoose');
+const Track = require('../models/Track');
+const { SEARCH_FIELDS, buildSearchIndex } = require('../utils/search');
+
+const dryRun = process.argv.includes('--dry-run');
+const rebuildAll = process.argv.includes('--all');
+
+const reindex = async () => {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log(`MongoDB Connected: ${mongoose.connection.host}`);
+
+    const query = rebuildAll ? {} : { 'searchGrams.0': { $exists: false } };
+    const total = await Track.countDocuments(query);
+    console.log(`🔍 ${total} track(s) to index${dryRun ? ' (dry run, nothing will change)' : ''}`);
+
+    if (dryRun || total === 0) return { indexed: 0, failed: 0 };
+
+    const counts = { indexed: 0, failed: 0 };
+    const cursor = Track.find(query).select(Object.keys(SEARCH_FIELDS).join(' ')).lean().cursor();
+
+    for await (const track of cursor) {
+        try {
+            // updateOne skips validation of unrelated legacy fields
+            await Track.updateOne({ _id: track._id }, { $set: buildSearchIndex(track) });
+            counts.indexed += 1;
+        } catch (err) {
+            console.error(`❌ Track ${track._id}: ${err.message}`);
+            counts.failed += 1;
+        }
+    }
+
+    return counts;
+};
+
+reindex()
+    .then(({ indexed, failed }) => {
+        console.log(`✅ Done: ${indexed} indexed, ${failed} failed`);
+        process.exitCode = failed > 0 ? 1 : 0;
+    })
+    .catch((err) => {
+        console.error(`Error: ${err.message}`);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
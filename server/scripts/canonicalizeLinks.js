@@ -0,0 +1,102 @@
+// One-off migration: stores the links of YouTube and external tracks in
+// canonical form (see utils/sourceUrls.js), links each to its shared Media
+// record, and swaps the old global unique index on sourceUrl for the
+// per-user one on { user, media }. Cue points still only in the old link
+// (t=, start=, end=, #t=) are read first, since the canonical link drops them.
+//
+// A user who added the same link twice (e.g. as youtu.be/ID and watch?v=ID)
+// keeps the oldest track linked; the others are listed so they can be merged
+// or deleted, and stay unlinked until then.
+//
+// Usage (from the server directory):
+//   node scripts/canonicalizeLinks.js            # migrate links without a Media record
+//   node scripts/canonicalizeLinks.js --dry-run  # only count what would change
+//
+// Safe to re-run: linked tracks are skipped, and a re-run after cleaning up
+// duplicates links the tracks that were left out.
+
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+const mongoose = require('mongoose');
+const Track = require('../models/Track');
+const { canonicalizeSource } = require('../utils/sourceUrls');
+const { cuePointsFromUrl } = require('../utils/cuePoints');
+const { findOrCreateMedia, saveMediaLoudness } = require('../utils/sharedMedia');
+
+const dryRun = process.argv.includes('--dry-run');
+
+const migrate = async () => {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log(`MongoDB Connected: ${mongoose.connection.host}`);
+
+    // The global index would reject the same link in a second library
+    const indexes = await Track.collection.indexes();
+    if (indexes.some(index => index.name === 'sourceUrl_1')) {
+        console.log(`🗂️ ${dryRun ? 'Would drop' : 'Dropping'} the global unique index on sourceUrl`);
+        if (!dryRun) await Track.collection.dropIndex('sourceUrl_1');
+    }
+
+    const query = { sourceType: { $in: ['youtube', 'external_url'] }, media: null };
+    const total = await Track.countDocuments(query);
+    console.log(`🔍 ${total} link(s) without a shared record${dryRun ? ' (dry run, nothing will change)' : ''}`);
+
+    const counts = { linked: 0, invalid: 0, duplicates: 0 };
+    // Oldest first, so the first library to add a link provides its shared title and artist
+    const cursor = Track.find(query)
+        .select('_id user title artist cover_photo sourceType sourceUrl loudness trackGain trackPeak loudnessSource startTime endTime')
+        .sort({ createdAt: 1 })
+        .lean()
+        .cursor();
+    // Links seen in this run, per user (dry runs create no records to check against)
+    const seen = new Map();
+
+    for await (const track of cursor) {
+        const source = canonicalizeSource(track.sourceType, track.sourceUrl);
+        if (!source) {
+            console.warn(`⚠️ Track ${track._id}: invalid link ${track.sourceUrl}`);
+            counts.invalid += 1;
+            continue;
+        }
+
+        const seenKey = `${track.user}:${source.mediaKey}`;
+        let duplicateOf = seen.get(seenKey);
+        let media = null;
+        if (!dryRun) {
+            media = await findOrCreateMedia(source, track);
+            const linked = await Track.findOne({ user: track.user, media: media._id }).select('_id').lean();
+            duplicateOf = linked && linked._id;
+        }
+        if (duplicateOf) {
+            console.warn(`⚠️ Track ${track._id}: same link as track ${duplicateOf}, left unlinked`);
+            counts.duplicates += 1;
+            continue;
+        }
+        seen.set(seenKey, track._id);
+
+        if (!dryRun) {
+            const cues = track.startTime == null && track.endTime == null ? cuePointsFromUrl(track.sourceUrl) : {};
+            await Track.updateOne({ _id: track._id }, {
+                $set: { ...cues, sourceUrl: source.sourceUrl, videoId: source.videoId, media: media._id },
+            });
+            if (track.loudnessSource === 'ebur128' && !media.loudnessSource) {
+                await saveMediaLoudness(media._id, track);
+            }
+        }
+        counts.linked += 1;
+    }
+
+    if (!dryRun) {
+        await Track.createIndexes();
+    }
+    return counts;
+};
+
+migrate()
+    .then(({ linked, invalid, duplicates }) => {
+        console.log(`✅ Done: ${linked} ${dryRun ? 'would be linked' : 'linked'}, ${duplicates} duplicate(s), ${invalid} invalid`);
+    })
+    .catch((err) => {
+        console.error(`Error: ${err.message}`);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
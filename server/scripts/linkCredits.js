@@ -0,0 +1,58 @@
+// One-off backfill: links tracks saved before artists and albums existed to their
+// Artist and Album records (artistIds / albumId). New and edited tracks are linked
+// on save (see the pre-save hook in models/Track.js and utils/credits.js).
+//
+// Usage (from the server directory):
+//   node scripts/linkCredits.js            # link every track without artist links
+//   node scripts/linkCredits.js --all      # relink every track
+//   node scripts/linkCredits.js --dry-run  # only count what would change
+//
+// Safe to re-run: linked tracks no longer match the query, and artists and
+// albums are looked up before they are created.
+
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+const mongoose = require('mongoose');
+const Track = require('../models/Track');
+const { resolveCredits } = require('../utils/credits');
+
+const dryRun = process.argv.includes('--dry-run');
+const relinkAll = process.argv.includes('--all');
+
+const link = async () => {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log(`MongoDB Connected: ${mongoose.connection.host}`);
+
+    const query = relinkAll ? {} : { 'artistIds.0': { $exists: false } };
+    const total = await Track.countDocuments(query);
+    console.log(`🎤 ${total} track(s) to link${dryRun ? ' (dry run, nothing will change)' : ''}`);
+
+    if (dryRun || total === 0) return { linked: 0, failed: 0 };
+
+    const counts = { linked: 0, failed: 0 };
+    const cursor = Track.find(query).select('user title artist album albumArtist year').lean().cursor();
+
+    for await (const track of cursor) {
+        try {
+            // updateOne skips validation of unrelated legacy fields
+            await Track.updateOne({ _id: track._id }, { $set: await resolveCredits(track) });
+            counts.linked += 1;
+        } catch (err) {
+            console.error(`❌ Track ${track._id}: ${err.message}`);
+            counts.failed += 1;
+        }
+    }
+
+    return counts;
+};
+
+link()
+    .then(({ linked, failed }) => {
+        console.log(`✅ Done: ${linked} linked, ${failed} failed`);
+        process.exitCode = failed > 0 ? 1 : 0;
+    })
+    .catch((err) => {
+        console.error(`Error: ${err.message}`);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -0,0 +1,90 @@
+// One-off migration: moves base64 `data:` covers out of MongoDB, and covers
+// saved under uploads/ before storage drivers existed (the server no longer
+// serves that folder, so those covers do not load).
+//
+// Every such track gets its image resized into the cover thumbnails
+// (utils/coverArt.js), stored with the configured storage driver, and
+// cover_photo replaced by the full-size URL. Moved files are deleted from uploads/.
+//
+// Usage (from the server directory):
+//   node scripts/migrateCoverArt.js            # convert every data-URI and uploads/ cover
+//   node scripts/migrateCoverArt.js --dry-run  # only count what would change
+//
+// Safe to re-run: converted tracks no longer match the query.
+
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+const mongoose = require('mongoose');
+const Track = require('../models/Track');
+const { storeCoverImage, decodeDataUri } = require('../utils/coverArt');
+const { getRandomDefaultImage } = require('../utils/ingest');
+
+const dryRun = process.argv.includes('--dry-run');
+
+const UPLOAD_DIR = path.join(__dirname, '..', 'uploads');
+// Legacy covers are stored as 'uploads/<file>' (sometimes with a leading slash)
+const LEGACY_COVER_PATTERN = /^\/?uploads\//;
+
+// The image of a data-URI or legacy cover, with the legacy file to delete once it is moved
+const readCover = async (coverPhoto) => {
+    if (!LEGACY_COVER_PATTERN.test(coverPhoto)) {
+        const image = decodeDataUri(coverPhoto);
+        if (!image) throw new Error('Malformed data URI');
+        return { buffer: image.buffer, legacyFile: null };
+    }
+    const legacyFile = path.resolve(__dirname, '..', coverPhoto.replace(/^\//, ''));
+    if (!legacyFile.startsWith(UPLOAD_DIR + path.sep)) throw new Error(`Invalid cover path: ${coverPhoto}`);
+    return { buffer: await fs.promises.readFile(legacyFile), legacyFile };
+};
+
+const migrate = async () => {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log(`MongoDB Connected: ${mongoose.connection.host}`);
+
+    const query = { $or: [{ cover_photo: /^data:/ }, { cover_photo: LEGACY_COVER_PATTERN }] };
+    // Trashed tracks are migrated too (see utils/softDelete.js)
+    const total = await Track.countDocuments(query).setOptions({ withDeleted: true });
+    console.log(`🔍 ${total} track(s) with a data-URI or uploads/ cover${dryRun ? ' (dry run, nothing will change)' : ''}`);
+
+    if (dryRun || total === 0) return { converted: 0, replaced: 0, failed: 0 };
+
+    const counts = { converted: 0, replaced: 0, failed: 0 };
+    // Lean documents with only the fields needed here
+    const cursor = Track.find(query).setOptions({ withDeleted: true }).select('_id user cover_photo').lean().cursor();
+
+    for await (const track of cursor) {
+        try {
+            const { buffer, legacyFile } = await readCover(track.cover_photo);
+            // updateOne skips validation of unrelated legacy fields
+            await Track.updateOne({ _id: track._id }, { $set: await storeCoverImage(buffer, track.user.toString()) });
+            counts.converted += 1;
+            if (legacyFile) {
+                await fs.promises.unlink(legacyFile).catch(err => console.error(`⚠️ Could not delete ${legacyFile}: ${err.message}`));
+            }
+        } catch (err) {
+            // Unreadable images are replaced by a default cover so the document still shrinks
+            console.error(`❌ Track ${track._id}: ${err.message}`);
+            try {
+                await Track.updateOne({ _id: track._id }, { $set: { cover_photo: await getRandomDefaultImage() } });
+                counts.replaced += 1;
+            } catch (updateErr) {
+                console.error(`❌ Track ${track._id} could not be updated: ${updateErr.message}`);
+                counts.failed += 1;
+            }
+        }
+    }
+
+    return counts;
+};
+
+migrate()
+    .then(({ converted, replaced, failed }) => {
+        console.log(`✅ Done: ${converted} converted, ${replaced} replaced with a default cover, ${failed} failed`);
+        process.exitCode = failed > 0 ? 1 : 0;
+    })
+    .catch((err) => {
+        console.error(`Error: ${err.message}`);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
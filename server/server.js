@@ -8,6 +8,15 @@ const connectDB = require('./config/db');
 const trackRoutes = require('./routes/tracks'); // Import track routes
 const authRoutes = require('./routes/auth');
 const playlistRoutes = require('./routes/playlists');
+const historyRoutes = require('./routes/history');
+const mediaRoutes = require('./routes/media');
+const tagRoutes = require('./routes/tags');
+const artistRoutes = require('./routes/artists');
+const albumRoutes = require('./routes/albums');
+const trashRoutes = require('./routes/trash');
+const { startTranscodeWorker } = require('./jobs/transcodeQueue');
+const { startLinkHealthWorker } = require('./jobs/linkHealthCheck');
+const { startTrashPurgeWorker } = require('./jobs/trashPurge');
 
 // Load environment variables from .env file
 dotenv.config();
@@ -25,11 +34,23 @@ const corsOptions = {
     methods: ['GET', 'POST', 'PUT', 'DELETE'],
     
     // 4. Define the headers allowed
-    allowedHeaders: ['Content-Type', 'Authorization'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'Range'],
+
+    // 5. Let the browser read the range headers of streamed audio
+    exposedHeaders: ['Accept-Ranges', 'Content-Range', 'Content-Length'],
 };
 
-// Connect to database
-connectDB();
+// Connect to database, then start the background workers (transcoding, link health checks, trash purge)
+const dbReady = connectDB();
+dbReady
+    .then(startTranscodeWorker)
+    .catch((err) => console.error('Could not start the transcode worker:', err.message));
+dbReady
+    .then(startLinkHealthWorker)
+    .catch((err) => console.error('Could not start the link health checker:', err.message));
+dbReady
+    .then(startTrashPurgeWorker)
+    .catch((err) => console.error('Could not start the trash purge:', err.message));
 
 // Initialize the app
 const app = express();
@@ -43,14 +64,20 @@ app.use(express.json());
 // Correct path is just 'images' relative to __dirname (where server.js is).
 app.use('/images', express.static(path.join(__dirname, 'images')));
 
-// ** Static File Serving ** // Serves files from the 'uploads' directory when requesting /uploads
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+// Uploaded audio is NOT served statically: it goes through the
+// authenticated GET /api/tracks/:id/stream endpoint (see routes/tracks.js).
 
 // ** Define Routes **
 // Mount the track routes to the /api/tracks endpoint
 app.use('/api/tracks', trackRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/playlists', playlistRoutes);
+app.use('/api/history', historyRoutes);
+app.use('/api/media', mediaRoutes);
+app.use('/api/tags', tagRoutes);
+app.use('/api/artists', artistRoutes);
+app.use('/api/albums', albumRoutes);
+app.use('/api/trash', trashRoutes);
 
 // Basic root route
 app.get('/', (req, res) => {
@@ -0,0 +1,83 @@
+const { Readable } = require('stream');
+const cloudinary = require('../config/cloudinary');
+
+// Cloudinary picks its own public IDs, so keys are stored as "<resource_type>/<public_id>"
+const parseKey = (key) => {
+    const slash = key.indexOf('/');
+    return { resourceType: key.slice(0, slash), publicId: key.slice(slash + 1) };
+};
+
+/**
+ * Cloudinary storage driver (the original TuneWave backend).
+ */
+const createCloudinaryDriver = ({ folder }) => {
+    const deliveryUrl = (key) => {
+        const { resourceType, publicId } = parseKey(key);
+        return cloudinary.url(publicId, { resource_type: resourceType, secure: true });
+    };
+
+    return {
+        name: 'cloudinary',
+
+        put(key, buffer) {
+            return new Promise((resolve, reject) => {
+                const uploadStream = cloudinary.uploader.upload_stream(
+                    {
+                        resource_type: 'auto',
+                        folder,
+                        // Keep the generated file name (without extension) as the public ID
+                        public_id: key.split('/').pop().replace(/\.[^.]+$/, ''),
+                    },
+                    (error, result) => {
+                        if (error) return reject(error);
+                        resolve({
+                            key: `${result.resource_type}/${result.public_id}`,
+                            url: result.secure_url,
+                        });
+                    }
+                );
+                Readable.from(buffer).pipe(uploadStream);
+            });
+        },
+
+        async stat(key) {
+            const response = await fetch(deliveryUrl(key), { method: 'HEAD' });
+            if (!response.ok) {
+                const error = new Error(`Cloudinary asset not found: ${key}`);
+                error.code = 'ENOENT';
+                throw error;
+            }
+            return {
+                size: Number(response.headers.get('content-length')),
+                contentType: response.headers.get('content-type'),
+            };
+        },
+
+        async getStream(key, range) {
+            const response = await fetch(deliveryUrl(key), {
+                headers: range ? { Range: `bytes=${range.start}-${range.end}` } : {},
+            });
+            if (!response.ok) {
+                throw new Error(`Cloudinary request failed with status ${response.status}`);
+            }
+            return Readable.fromWeb(response.body);
+        },
+
+        async delete(key) {
+            const { resourceType, publicId } = parseKey(key);
+            await cloudinary.uploader.destroy(publicId, { resource_type: resourceType, invalidate: true });
+        },
+
+        // Assets uploaded with type 'upload' are public on Cloudinary: a delivery URL
+        // never expires, so there is no signed URL and the API streams them (like local files).
+        async getSignedUrl() {
+            return null;
+        },
+
+        publicUrl(key) {
+            return deliveryUrl(key);
+        },
+    };
+};
+
+module.exports = createCloudinaryDriver;
@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+const path = require('path');
+const getStorageConfig = require('../config/storage');
+const createLocalDriver = require('./localDriver');
+const createS3Driver = require('./s3Driver');
+const createCloudinaryDriver = require('./cloudinaryDriver');
+
+// ==========================================================
+//                 MEDIA STORAGE DRIVERS
+// ==========================================================
+//
+// Every driver implements the same interface:
+//
+//   put(key, buffer, { contentType })  -> { key, url }  (the driver may adjust the key)
+//   stat(key)                          -> { size, contentType }
+//   getStream(key, { start, end }?)    -> Readable (optionally a byte range, inclusive)
+//   delete(key)                        -> void (missing files are not an error)
+//   getSignedUrl(key, { expiresIn })   -> string, or null when the API must stream the file itself
+//   publicUrl(key)                     -> string, or null when the file has no public URL
+//
+// Tracks remember which driver stored them (Track.storageDriver), so changing
+// STORAGE_DRIVER only affects new uploads.
+
+const DRIVER_FACTORIES = {
+    local: (config) => createLocalDriver(config.local),
+    s3: (config) => createS3Driver(config.s3),
+    cloudinary: (config) => createCloudinaryDriver(config.cloudinary),
+};
+
+const drivers = {};
+
+/**
+ * Returns a storage driver by name (defaults to the configured STORAGE_DRIVER).
+ */
+const getStorage = (name) => {
+    const config = getStorageConfig();
+    const driverName = name || config.driver;
+
+    if (!DRIVER_FACTORIES[driverName]) {
+        throw new Error(`Unknown storage driver: ${driverName}`);
+    }
+    if (!drivers[driverName]) {
+        drivers[driverName] = DRIVER_FACTORIES[driverName](config);
+    }
+    return drivers[driverName];
+};
+
+/**
+ * Builds a unique storage key such as "audio/<userId>/1733480000000-1a2b3c4d.mp3".
+ */
+const buildStorageKey = (kind, userId, originalName = '') => {
+    const ext = path.extname(originalName).toLowerCase().replace(/[^.a-z0-9]/g, '');
+    const unique = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    return `${kind}/${userId}/${unique}${ext}`;
+};
+
+/**
+ * Stores an uploaded multer file (memory storage) with the configured driver.
+ * @param {object} file - The multer file ({ buffer, mimetype, originalname }).
+ * @param {'audio' | 'covers'} kind - Top-level folder for the key.
+ * @param {string} userId - Owner of the file.
+ * @returns {Promise<{driver: string, key: string, url: string | null}>}
+ */
+const saveUpload = async (file, kind, userId) => {
+    const storage = getStorage();
+    const { key, url } = await storage.put(
+        buildStorageKey(kind, userId, file.originalname),
+        file.buffer,
+        { contentType: file.mimetype }
+    );
+    return { driver: storage.name, key, url };
+};
+
+/**
+ * URL the frontend can use for an image stored by a driver. Drivers without
+ * public URLs are served by the public cover route (GET /api/media/:driver/covers/...).
+ */
+const getCoverUrl = (driverName, key) => {
+    const publicUrl = getStorage(driverName).publicUrl(key);
+    return publicUrl || `/api/media/${driverName}/${key}`;
+};
+
+module.exports = { getStorage, buildStorageKey, saveUpload, getCoverUrl };
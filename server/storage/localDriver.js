@@ -0,0 +1,69 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Local-filesystem storage driver. Files live under `rootDir` and are only
+ * reachable through the API (there is no public static mount).
+ */
+const createLocalDriver = ({ rootDir }) => {
+    const root = path.resolve(rootDir);
+
+    // Resolve a storage key to an absolute path, refusing anything outside the root.
+    // Keys are plain `a/b/c` paths: no empty, `.` or `..` segments and no backslashes.
+    const resolveKey = (key) => {
+        const segments = String(key).split('/');
+        if (segments.some(segment => !segment || segment === '.' || segment === '..' || segment.includes('\\'))) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        const fullPath = path.resolve(root, key);
+        if (!fullPath.startsWith(root + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return fullPath;
+    };
+
+    return {
+        name: 'local',
+
+        async put(key, buffer) {
+            const fullPath = resolveKey(key);
+            await fs.promises.mkdir(path.dirname(fullPath), { recursive: true });
+            await fs.promises.writeFile(fullPath, buffer);
+            return { key, url: null };
+        },
+
+        async stat(key) {
+            const { size } = await fs.promises.stat(resolveKey(key));
+            return { size, contentType: null };
+        },
+
+        async getStream(key, range) {
+            const stream = fs.createReadStream(resolveKey(key), range || undefined);
+            // Surface a missing file as an error before any bytes are sent
+            await new Promise((resolve, reject) => {
+                stream.once('open', resolve);
+                stream.once('error', reject);
+            });
+            return stream;
+        },
+
+        async delete(key) {
+            try {
+                await fs.promises.unlink(resolveKey(key));
+            } catch (err) {
+                if (err.code !== 'ENOENT') throw err;
+            }
+        },
+
+        // Local files have no URL of their own; the API streams them.
+        async getSignedUrl() {
+            return null;
+        },
+
+        publicUrl() {
+            return null;
+        },
+    };
+};
+
+module.exports = createLocalDriver;
@@ -0,0 +1,67 @@
+const {
+    S3Client,
+    PutObjectCommand,
+    HeadObjectCommand,
+    GetObjectCommand,
+    DeleteObjectCommand,
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+/**
+ * S3-compatible storage driver (AWS S3, MinIO, ...). Objects are private;
+ * reads go through the API or through presigned URLs.
+ */
+const createS3Driver = ({ endpoint, region, bucket, accessKeyId, secretAccessKey, forcePathStyle }) => {
+    if (!bucket) {
+        throw new Error('S3 storage requires S3_BUCKET to be set.');
+    }
+
+    const client = new S3Client({
+        endpoint: endpoint || undefined,
+        region,
+        forcePathStyle,
+        credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined,
+    });
+
+    return {
+        name: 's3',
+
+        async put(key, buffer, { contentType } = {}) {
+            await client.send(new PutObjectCommand({
+                Bucket: bucket,
+                Key: key,
+                Body: buffer,
+                ContentType: contentType,
+            }));
+            return { key, url: null };
+        },
+
+        async stat(key) {
+            const head = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+            return { size: head.ContentLength, contentType: head.ContentType || null };
+        },
+
+        async getStream(key, range) {
+            const object = await client.send(new GetObjectCommand({
+                Bucket: bucket,
+                Key: key,
+                Range: range ? `bytes=${range.start}-${range.end}` : undefined,
+            }));
+            return object.Body;
+        },
+
+        async delete(key) {
+            await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+        },
+
+        async getSignedUrl(key, { expiresIn = 900 } = {}) {
+            return getSignedUrl(client, new GetObjectCommand({ Bucket: bucket, Key: key }), { expiresIn });
+        },
+
+        publicUrl() {
+            return null;
+        },
+    };
+};
+
+module.exports = createS3Driver;
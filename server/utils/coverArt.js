@@ -0,0 +1,75 @@
+const sharp = require('sharp');
+const { getStorage, buildStorageKey, getCoverUrl } = require('../storage');
+
+// Square WebP renditions generated for every cover (edge length in pixels):
+//   player - the mini player in the bottom bar
+//   card   - track cards on Home and Search
+//   full   - full-screen artwork
+const COVER_SIZES = {
+    player: 160,
+    card: 400,
+    full: 1200,
+};
+
+/**
+ * Resizes an image into every COVER_SIZES rendition and stores them with the
+ * configured storage driver. Images smaller than a size are not enlarged.
+ * If any rendition fails, the ones already stored are removed again.
+ *
+ * @param {Buffer} buffer - Original image (uploaded file or embedded picture)
+ * @param {string} userId - Owner of the cover
+ * @returns {Promise<{cover_photo: string, coverStorageKey: string, coverStorageDriver: string, coverSizes: object}>}
+ *          Fields to merge into a Track; `cover_photo` points at the full-size rendition.
+ */
+const storeCoverImage = async (buffer, userId) => {
+    const storage = getStorage();
+    const baseKey = buildStorageKey('covers', userId);
+    const coverSizes = {};
+
+    try {
+        for (const [size, edge] of Object.entries(COVER_SIZES)) {
+            const { data, info } = await sharp(buffer)
+                .rotate() // Respect EXIF orientation
+                .resize(edge, edge, { fit: 'cover', withoutEnlargement: true })
+                .webp({ quality: 80 })
+                .toBuffer({ resolveWithObject: true });
+
+            const { key } = await storage.put(`${baseKey}-${size}.webp`, data, { contentType: 'image/webp' });
+            coverSizes[size] = { url: getCoverUrl(storage.name, key), key, width: info.width };
+        }
+    } catch (err) {
+        await Promise.all(Object.values(coverSizes).map(({ key }) => storage.delete(key).catch(() => {})));
+        throw err;
+    }
+
+    return {
+        cover_photo: coverSizes.full.url,
+        coverStorageKey: coverSizes.full.key,
+        coverStorageDriver: storage.name,
+        coverSizes,
+    };
+};
+
+// Fields that detach a track from its stored cover files
+const EMPTY_COVER_FIELDS = {
+    coverStorageKey: null,
+    coverStorageDriver: null,
+    coverSizes: {},
+};
+
+/**
+ * Decodes a `data:image/...;base64,...` URI. Returns null for anything else.
+ * @returns {{mimeType: string, buffer: Buffer} | null}
+ */
+const decodeDataUri = (uri) => {
+    const match = /^data:([^;,]+);base64,(.+)$/s.exec(uri || '');
+    if (!match) return null;
+    return { mimeType: match[1], buffer: Buffer.from(match[2], 'base64') };
+};
+
+module.exports = {
+    COVER_SIZES,
+    EMPTY_COVER_FIELDS,
+    storeCoverImage,
+    decodeDataUri,
+};
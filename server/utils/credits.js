@@ -0,0 +1,275 @@
+// Artist and album credits: links tracks to Artist and Album records (models/Artist.js,
+// models/Album.js) from their free-text artist, album artist and album tags.
+// Names are matched by their folded words, so "Daft Punk" and "daft punk" are one
+// artist, and "Daft Punk feat. Pharrell Williams" credits two: Daft Punk as the main
+// artist and Pharrell Williams as featured. "(feat. X)" in a title counts too.
+
+const mongoose = require('mongoose');
+const Artist = require('../models/Artist');
+const Album = require('../models/Album');
+const { foldText, tokenize } = require('./search');
+
+// Track fields whose changes relink the track
+const CREDIT_FIELDS = ['artist', 'albumArtist', 'album', 'title'];
+
+// "feat.", "ft." or "featuring" between the main artist and the featured ones
+const FEATURING_REGEX = /\s+[([]?\s*(?:feat\.?|ft\.?|featuring)\s+(.+?)[)\]]?\s*$/i;
+// "(feat. X)" or "[with X]" in a title
+const TITLE_FEATURING_REGEX = /[([]\s*(?:feat\.?|ft\.?|featuring|with)\s+([^)\]]+)[)\]]/i;
+// Separators inside a featured list: "A, B & C"
+const FEATURED_SEPARATOR_REGEX = /\s*(?:,|&|\/|;|\band\b)\s*/i;
+
+/**
+ * Key that spelling variants of a name share: "AC/DC" and "ac dc" -> "ac dc".
+ * Names without letters or digits ("!!!") keep their folded characters.
+ * @returns {string}
+ */
+const nameKey = (name) => tokenize(name).join(' ') || foldText(name).replace(/\s+/g, ' ').trim();
+
+// Looser key used to suggest merges: "The Beatles" / "Beatles", "AC/DC" / "ACDC"
+const looseKey = (key) => key.replace(/^the /, '').replace(/ /g, '');
+
+const splitFeatured = (list) => list.split(FEATURED_SEPARATOR_REGEX).map(name => name.trim()).filter(Boolean);
+
+/**
+ * Splits an artist credit into the main artist and the featured ones:
+ *   ("Daft Punk feat. Pharrell Williams & Nile Rodgers", "Get Lucky")
+ *     -> { main: 'Daft Punk', featured: ['Pharrell Williams', 'Nile Rodgers'] }
+ * The main artist is never split further, so "Simon & Garfunkel" stays one artist.
+ * @param {string} artist - The track's artist tag
+ * @param {string} [title] - The track's title, for "(feat. X)"
+ * @returns {{main: string, featured: string[]}}
+ */
+const parseArtistCredit = (artist, title) => {
+    let main = String(artist ?? '').trim();
+    const featured = [];
+
+    const match = main.match(FEATURING_REGEX);
+    if (match) {
+        main = main.slice(0, match.index).trim();
+        featured.push(...splitFeatured(match[1]));
+    }
+    const titleMatch = String(title ?? '').match(TITLE_FEATURING_REGEX);
+    if (titleMatch) {
+        featured.push(...splitFeatured(titleMatch[1]));
+    }
+
+    // Each artist once, and never the main artist again
+    const seen = new Set([nameKey(main)]);
+    return {
+        main,
+        featured: featured.filter((name) => {
+            const key = nameKey(name);
+            if (!key || seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        }),
+    };
+};
+
+/**
+ * The user's artist with this name (or a name merged into it), created when missing.
+ * @returns {Promise<mongoose.Types.ObjectId>}
+ */
+const findOrCreateArtist = async (userId, name) => {
+    const key = nameKey(name);
+    const existing = await Artist.findOne({ user: userId, $or: [{ nameKey: key }, { aliases: key }] }).select('_id').lean();
+    if (existing) return existing._id;
+
+    // An upsert, so two uploads by a new artist at once share one record
+    const artist = await Artist.findOneAndUpdate(
+        { user: userId, nameKey: key },
+        { $setOnInsert: { name: name.trim() } },
+        { upsert: true, new: true }
+    ).select('_id').lean();
+    return artist._id;
+};
+
+/**
+ * The user's album with this title by this album artist, created when missing.
+ * @returns {Promise<mongoose.Types.ObjectId>}
+ */
+const findOrCreateAlbum = async (userId, title, artistId, year) => {
+    const album = await Album.findOneAndUpdate(
+        { user: userId, artist: artistId, titleKey: nameKey(title) },
+        { $setOnInsert: { title: title.trim(), year: year ?? null } },
+        { upsert: true, new: true }
+    ).select('_id').lean();
+    return album._id;
+};
+
+/**
+ * Works out a track's Artist and Album links from its tags, creating the records it
+ * needs. The album belongs to the album artist, else to the track's main artist.
+ * @param {object} track - A Track document or plain object with user, artist, title, album, albumArtist, year
+ * @returns {Promise<{artistIds: mongoose.Types.ObjectId[], albumId: mongoose.Types.ObjectId|null}>}
+ */
+const resolveCredits = async (track) => {
+    const { main, featured } = parseArtistCredit(track.artist, track.title);
+
+    const artistIds = [];
+    for (const name of [main, ...featured]) {
+        if (!nameKey(name)) continue;
+        const id = await findOrCreateArtist(track.user, name);
+        if (!artistIds.some(existing => existing.equals(id))) artistIds.push(id);
+    }
+
+    let albumId = null;
+    if (track.album && nameKey(track.album)) {
+        const albumArtist = parseArtistCredit(track.albumArtist).main;
+        const albumArtistId = nameKey(albumArtist)
+            ? await findOrCreateArtist(track.user, albumArtist)
+            : artistIds[0];
+        if (albumArtistId) {
+            albumId = await findOrCreateAlbum(track.user, track.album, albumArtistId, track.year);
+        }
+    }
+
+    return { artistIds, albumId };
+};
+
+/**
+ * Removes albums no track links to any more, then artists with neither tracks nor albums.
+ * Called with the links a track had before it was edited or deleted.
+ * @param {string|mongoose.Types.ObjectId} userId
+ * @param {{artistIds?: Array, albumIds?: Array}} previous
+ */
+const pruneCredits = async (userId, { artistIds = [], albumIds = [] }) => {
+    const Track = mongoose.model('Track'); // Looked up by name: models/Track.js requires this file
+    const candidates = new Set(artistIds.filter(Boolean).map(String));
+
+    for (const albumId of albumIds.filter(Boolean)) {
+        if (await Track.exists({ user: userId, albumId })) continue;
+        const album = await Album.findOneAndDelete({ _id: albumId, user: userId });
+        if (album) candidates.add(String(album.artist));
+    }
+
+    for (const artistId of candidates) {
+        const inUse = await Track.exists({ user: userId, artistIds: artistId }) || await Album.exists({ user: userId, artist: artistId });
+        if (!inUse) {
+            await Artist.deleteOne({ _id: artistId, user: userId });
+        }
+    }
+};
+
+/**
+ * Merges spelling variants into one artist: their tracks and albums move to `target`
+ * (albums of the same title are folded into the target's), and their names become
+ * aliases of `target` so later tracks spelled that way link to it as well.
+ * @param {string} userId
+ * @param {object} target - Artist document that is kept
+ * @param {object[]} sources - Artist documents that are merged away
+ * @returns {Promise<{tracks: number, albums: number, albumsMerged: number}>}
+ */
+const mergeArtists = async (userId, target, sources) => {
+    const Track = mongoose.model('Track');
+    const sourceIds = sources.map(({ _id }) => _id);
+
+    // Credit the target instead of the sources, once, keeping the main artist first
+    const tracks = await Track.updateMany(
+        { user: userId, artistIds: { $in: sourceIds } },
+        [{
+            $set: {
+                artistIds: {
+                    $reduce: {
+                        input: {
+                            $map: {
+                                input: '$artistIds',
+                                in: { $cond: [{ $in: ['$$this', sourceIds] }, target._id, '$$this'] },
+                            },
+                        },
+                        initialValue: [],
+                        in: { $cond: [{ $in: ['$$this', '$$value'] }, '$$value', { $concatArrays: ['$$value', ['$$this']] }] },
+                    },
+                },
+            },
+        }]
+    );
+
+    const albums = await Album.find({ user: userId, artist: { $in: sourceIds } }).select('titleKey').lean();
+    let albumsMerged = 0;
+    for (const album of albums) {
+        const twin = await Album.findOne({ user: userId, artist: target._id, titleKey: album.titleKey }).select('_id').lean();
+        if (twin) {
+            await Track.updateMany({ user: userId, albumId: album._id }, { $set: { albumId: twin._id } });
+            await Album.deleteOne({ _id: album._id });
+            albumsMerged += 1;
+        } else {
+            await Album.updateOne({ _id: album._id }, { $set: { artist: target._id } });
+        }
+    }
+
+    const aliases = sources.flatMap(({ nameKey: key, aliases: merged = [] }) => [key, ...merged]);
+    await Artist.updateOne({ _id: target._id }, { $addToSet: { aliases: { $each: aliases } } });
+    await Artist.deleteMany({ _id: { $in: sourceIds }, user: userId });
+
+    return { tracks: tracks.modifiedCount, albums: albums.length, albumsMerged };
+};
+
+/**
+ * Adds to each album its artist's name, its track count and length, and the cover
+ * of its first track (albums have no cover of their own).
+ * @param {string} userId
+ * @param {object[]} albums - Plain Album objects
+ * @returns {Promise<object[]>}
+ */
+const summarizeAlbums = async (userId, albums) => {
+    if (albums.length === 0) return [];
+    const Track = mongoose.model('Track');
+
+    const [stats, artists] = await Promise.all([
+        Track.aggregate([
+            { $match: { user: new mongoose.Types.ObjectId(userId), albumId: { $in: albums.map(({ _id }) => _id) } } },
+            { $sort: { discNumber: 1, trackNumber: 1, _id: 1 } },
+            {
+                $group: {
+                    _id: '$albumId',
+                    trackCount: { $sum: 1 },
+                    duration: { $sum: { $ifNull: ['$duration', 0] } },
+                    cover_photo: { $first: '$cover_photo' },
+                    coverSizes: { $first: '$coverSizes' },
+                },
+            },
+        ]),
+        Artist.find({ _id: { $in: albums.map(({ artist }) => artist) } }).select('name').lean(),
+    ]);
+
+    const statsById = new Map(stats.map(({ _id, ...rest }) => [String(_id), rest]));
+    const namesById = new Map(artists.map(({ _id, name }) => [String(_id), name]));
+    return albums.map((album) => ({
+        ...album,
+        artistName: namesById.get(String(album.artist)) || null,
+        trackCount: 0,
+        duration: 0,
+        cover_photo: null,
+        coverSizes: null,
+        ...statsById.get(String(album._id)),
+    }));
+};
+
+/**
+ * Groups artists whose names differ only by "The", spaces or punctuation, e.g.
+ * "The Beatles" and "Beatles": likely spellings of one artist to merge.
+ * @param {Array<{nameKey: string}>} artists
+ * @returns {Array<Array<object>>} Groups of two or more artists
+ */
+const findMergeSuggestions = (artists) => {
+    const groups = new Map();
+    for (const artist of artists) {
+        const key = looseKey(artist.nameKey);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(artist);
+    }
+    return [...groups.values()].filter(group => group.length > 1);
+};
+
+module.exports = {
+    CREDIT_FIELDS,
+    nameKey,
+    parseArtistCredit,
+    resolveCredits,
+    pruneCredits,
+    mergeArtists,
+    summarizeAlbums,
+    findMergeSuggestions,
+};
@@ -0,0 +1,70 @@
+// Start/end cue points: where playback of a track starts and where it moves on
+
+// "1:30" or "1:02:03" (seconds may have decimals)
+const CLOCK_TIME_REGEX = /^(?:(\d+):)?(\d{1,2}):(\d{1,2}(?:\.\d+)?)$/;
+// YouTube style: "1h2m3s", "2m", "90s"
+const UNIT_TIME_REGEX = /^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+(?:\.\d+)?)s)?$/i;
+
+const YOUTUBE_HOST_REGEX = /(^|\.)(youtube\.com|youtube-nocookie\.com|youtu\.be)$/i;
+
+/**
+ * Reads a cue time: seconds as a number or string ("90", "90.5"), a clock
+ * time ("1:30", "1:02:03") or YouTube units ("1m30s"). null or '' clears it.
+ * @returns {{seconds: number|null, error: string|null}}
+ */
+const parseCueTime = (value) => {
+    if (value === null || value === undefined || value === '') {
+        return { seconds: null, error: null };
+    }
+
+    const text = String(value).trim();
+    let seconds = NaN;
+
+    if (/^\d+(?:\.\d+)?$/.test(text)) {
+        seconds = Number(text);
+    } else if (CLOCK_TIME_REGEX.test(text)) {
+        const [, hours, minutes, secs] = text.match(CLOCK_TIME_REGEX);
+        seconds = Number(hours || 0) * 3600 + Number(minutes) * 60 + Number(secs);
+    } else if (text && UNIT_TIME_REGEX.test(text)) {
+        const [, hours, minutes, secs] = text.match(UNIT_TIME_REGEX);
+        seconds = Number(hours || 0) * 3600 + Number(minutes || 0) * 60 + Number(secs || 0);
+    }
+
+    if (!Number.isFinite(seconds) || seconds < 0) {
+        return { seconds: null, error: 'must be a time such as 90, 1:30 or 1m30s.' };
+    }
+    return { seconds: Math.round(seconds * 1000) / 1000, error: null };
+};
+
+/**
+ * Reads cue points from a link: YouTube's t=, start= and end= parameters (in the
+ * query or the #fragment), or a media fragment such as #t=30,120 on any link.
+ * Query parameters of other sites are left alone (t= is often something else there).
+ * Unreadable values are ignored.
+ * @param {string} url
+ * @returns {{startTime?: number, endTime?: number}} Only the cue points found
+ */
+const cuePointsFromUrl = (url) => {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        return {};
+    }
+
+    const query = YOUTUBE_HOST_REGEX.test(parsed.hostname) ? parsed.searchParams : new URLSearchParams();
+    const fragment = new URLSearchParams(parsed.hash.replace(/^#/, ''));
+    const read = (name) => query.get(name) || fragment.get(name);
+
+    // "t=30,120" (media fragment) carries both; "npt:" is the fragment's default time format
+    const [startText, endText] = (read('start') || read('t') || '').replace(/^npt:/, '').split(',');
+    const startTime = parseCueTime(startText).seconds;
+    const endTime = parseCueTime(read('end') || endText).seconds;
+
+    const cues = {};
+    if (startTime > 0) cues.startTime = startTime;
+    if (endTime > 0 && endTime > (startTime || 0)) cues.endTime = endTime;
+    return cues;
+};
+
+module.exports = { parseCueTime, cuePointsFromUrl };
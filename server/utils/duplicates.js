@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+const { foldText } = require('./search');
+
+// What to do when an upload has the same content as a track already in the library:
+//   ask     - answer 409 with the existing track so the client can choose (single uploads)
+//   skip    - do not store the upload, return the existing track
+//   replace - the existing track takes the new upload's file, tags and cover (keeps playlists and history)
+//   keep    - store it as a separate track anyway
+const DUPLICATE_ACTIONS = ['ask', 'skip', 'replace', 'keep'];
+
+// Near-duplicates may differ in length by this many seconds (different encodes, trimmed silence)
+const DURATION_TOLERANCE_SECONDS = 3;
+
+/**
+ * SHA-256 of an uploaded file's bytes, stored as Track.contentHash.
+ * @param {Buffer} buffer
+ * @returns {string} Hex digest
+ */
+const hashContent = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+/**
+ * SHA-256 of a readable stream (used for files that are already stored).
+ * @returns {Promise<string>} Hex digest
+ */
+const hashStream = async (stream) => {
+    const hash = crypto.createHash('sha256');
+    for await (const chunk of stream) {
+        hash.update(chunk);
+    }
+    return hash.digest('hex');
+};
+
+/**
+ * Reduces a title or artist to what identifies the song:
+ * "Café del Mar (Remastered 2011) [Official Video]" -> "cafe del mar".
+ * Drops accents, bracketed suffixes, "feat." credits and punctuation.
+ */
+const normalizeForMatch = (value) => foldText(value)
+    .replace(/\s*[([][^)\]]*[)\]]/g, ' ')
+    .replace(/\s(?:feat|ft|featuring)\.?\s.*$/, '')
+    .replace(/&/g, ' and ')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+
+/**
+ * Groups tracks that look like the same song: equal normalized title and
+ * artist, and durations within DURATION_TOLERANCE_SECONDS (unknown durations
+ * match anything). Groups made only of exact duplicates (same contentHash)
+ * are left out, since those are reported separately.
+ *
+ * @param {Array<object>} tracks - Lean tracks with _id, title, artist, duration, contentHash
+ * @returns {Array<{key: string, tracks: object[]}>}
+ */
+const findNearDuplicates = (tracks) => {
+    const byName = new Map();
+    for (const track of tracks) {
+        const key = `${normalizeForMatch(track.artist)} - ${normalizeForMatch(track.title)}`;
+        if (!byName.has(key)) byName.set(key, []);
+        byName.get(key).push(track);
+    }
+
+    const groups = [];
+    for (const [key, candidates] of byName) {
+        if (candidates.length < 2) continue;
+
+        // Chain tracks sorted by duration into clusters of similar length
+        const sorted = [...candidates].sort((a, b) => (a.duration ?? -1) - (b.duration ?? -1));
+        const unknown = sorted.filter(track => track.duration == null);
+        const known = sorted.filter(track => track.duration != null);
+
+        const clusters = [];
+        for (const track of known) {
+            const last = clusters[clusters.length - 1];
+            const previous = last && last[last.length - 1];
+            if (previous && track.duration - previous.duration <= DURATION_TOLERANCE_SECONDS) {
+                last.push(track);
+            } else {
+                clusters.push([track]);
+            }
+        }
+        if (clusters.length === 0) clusters.push([]);
+        clusters.forEach(cluster => cluster.push(...unknown));
+
+        for (const cluster of clusters) {
+            const hashes = new Set(cluster.map(track => track.contentHash || String(track._id)));
+            if (cluster.length > 1 && hashes.size > 1) {
+                groups.push({ key, tracks: cluster });
+            }
+        }
+    }
+
+    return groups;
+};
+
+module.exports = {
+    DUPLICATE_ACTIONS,
+    DURATION_TOLERANCE_SECONDS,
+    hashContent,
+    hashStream,
+    normalizeForMatch,
+    findNearDuplicates,
+};
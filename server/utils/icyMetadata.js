@@ -0,0 +1,263 @@
+const net = require('net');
+const tls = require('tls');
+const { assertPublicUrl, publicLookup } = require('./networkGuard');
+
+// ==========================================================
+//              ICY "NOW PLAYING" METADATA
+// ==========================================================
+//
+// Icecast and Shoutcast servers interleave the current song title with the
+// audio when asked to (Icy-MetaData: 1): after every icy-metaint bytes of audio
+// comes one length byte (x16) and a block such as "StreamTitle='Artist - Song';".
+//
+// The server reads it once per station, however many listeners there are, and
+// pushes changes to the players (GET /api/tracks/:id/now-playing). Shoutcast v1
+// answers "ICY 200 OK", which Node's HTTP client rejects, so the request is
+// written by hand over a plain socket. Like every user-supplied link, stations
+// on a private network are refused, at each redirect too (see utils/networkGuard.js).
+
+const CONNECT_TIMEOUT_MS = 10000;
+const MAX_REDIRECTS = 3;
+const MAX_HEADER_BYTES = 16 * 1024;
+// How long to wait before reconnecting to a station that dropped the connection
+const RECONNECT_DELAY_MS = 5000;
+
+/**
+ * Reads the title from an ICY metadata block: "StreamTitle='Artist - Song';StreamUrl='';".
+ * "Artist - Song" is split at the first " - "; other titles are kept whole.
+ * @param {string} block
+ * @returns {{raw: string, artist: string|null, title: string} | null} null when the block has no title
+ */
+const parseStreamTitle = (block) => {
+    const match = /StreamTitle='(.*?)';/s.exec(block || '');
+    const raw = match ? match[1].trim() : '';
+    if (!raw) return null;
+
+    const separator = raw.indexOf(' - ');
+    if (separator === -1) return { raw, artist: null, title: raw };
+    return { raw, artist: raw.slice(0, separator).trim() || null, title: raw.slice(separator + 3).trim() || raw };
+};
+
+/**
+ * Splits an HTTP or ICY response head into status code and lower-case headers.
+ */
+const parseResponseHead = (head) => {
+    const [statusLine, ...lines] = head.split('\r\n');
+    const statusMatch = /^(?:HTTP\/\d(?:\.\d)?|ICY)\s+(\d{3})/.exec(statusLine);
+    const headers = {};
+    for (const line of lines) {
+        const separator = line.indexOf(':');
+        if (separator > 0) headers[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim();
+    }
+    return { status: statusMatch ? Number(statusMatch[1]) : null, headers };
+};
+
+/**
+ * Opens a station and calls `onTitle` with every new title it announces.
+ * Follows redirects. Resolves with the station's headers once the audio starts,
+ * rejects when the station cannot be reached; `onEnd` is called when an open
+ * connection closes. Call `close()` on the result to disconnect.
+ * @param {string} url
+ * @param {{onTitle: function, onEnd?: function}} handlers
+ * @returns {Promise<{name: string|null, hasMetadata: boolean, close: function}>}
+ */
+const openIcyStream = async (url, handlers, redirects = 0) => {
+    await assertPublicUrl(url);
+    return connectIcyStream(url, handlers, redirects);
+};
+
+// openIcyStream once the host is known to be public
+const connectIcyStream = (url, { onTitle, onEnd = () => {} }, redirects) => new Promise((resolve, reject) => {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        return reject(new Error('Invalid stream URL.'));
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+        return reject(new Error('Only http and https streams can be read.'));
+    }
+
+    const isHttps = parsed.protocol === 'https:';
+    const port = Number(parsed.port) || (isHttps ? 443 : 80);
+    const socket = isHttps
+        ? tls.connect({ host: parsed.hostname, port, servername: parsed.hostname, lookup: publicLookup })
+        : net.connect({ host: parsed.hostname, port, lookup: publicLookup });
+    socket.setTimeout(CONNECT_TIMEOUT_MS);
+
+    let head = Buffer.alloc(0);
+    let isStarted = false;
+    let metaInterval = 0;
+    let audioLeft = 0; // Audio bytes until the next metadata block
+    let metaLength = -1; // Length of the block being read (-1: expecting the length byte)
+    let metaChunks = [];
+    let lastRaw = null;
+
+    const fail = (err) => {
+        socket.destroy();
+        if (isStarted) onEnd(err); else reject(err);
+    };
+
+    const readBody = (chunk) => {
+        let offset = 0;
+        while (offset < chunk.length) {
+            if (audioLeft > 0) {
+                const skipped = Math.min(audioLeft, chunk.length - offset);
+                audioLeft -= skipped;
+                offset += skipped;
+            } else if (metaLength === -1) {
+                metaLength = chunk[offset] * 16;
+                offset += 1;
+                metaChunks = [];
+                if (metaLength === 0) {
+                    metaLength = -1;
+                    audioLeft = metaInterval;
+                }
+            } else {
+                const taken = chunk.subarray(offset, offset + metaLength);
+                metaChunks.push(taken);
+                metaLength -= taken.length;
+                offset += taken.length;
+                if (metaLength === 0) {
+                    const block = Buffer.concat(metaChunks).toString('utf8').replace(/\0+$/, '');
+                    const nowPlaying = parseStreamTitle(block);
+                    if (nowPlaying && nowPlaying.raw !== lastRaw) {
+                        lastRaw = nowPlaying.raw;
+                        onTitle(nowPlaying);
+                    }
+                    metaLength = -1;
+                    audioLeft = metaInterval;
+                }
+            }
+        }
+    };
+
+    socket.once(isHttps ? 'secureConnect' : 'connect', () => {
+        socket.write([
+            `GET ${parsed.pathname}${parsed.search} HTTP/1.0`,
+            `Host: ${parsed.host}`,
+            'Icy-MetaData: 1',
+            'User-Agent: TuneWave/1.0',
+            'Accept: */*',
+            'Connection: close',
+            '', '',
+        ].join('\r\n'));
+    });
+
+    socket.on('data', (chunk) => {
+        if (isStarted) {
+            if (metaInterval > 0) readBody(chunk);
+            return;
+        }
+
+        head = Buffer.concat([head, chunk]);
+        const headEnd = head.indexOf('\r\n\r\n');
+        if (headEnd === -1) {
+            if (head.length > MAX_HEADER_BYTES) fail(new Error('The stream sent an invalid response.'));
+            return;
+        }
+
+        const { status, headers } = parseResponseHead(head.subarray(0, headEnd).toString('latin1'));
+        if (status >= 300 && status < 400 && headers.location) {
+            socket.destroy();
+            if (redirects >= MAX_REDIRECTS) return reject(new Error('The stream redirected too many times.'));
+            return resolve(openIcyStream(new URL(headers.location, parsed).toString(), { onTitle, onEnd }, redirects + 1));
+        }
+        if (status !== 200) {
+            return fail(new Error(`The stream answered with status ${status || 'unknown'}.`));
+        }
+
+        isStarted = true;
+        socket.setTimeout(0);
+        metaInterval = parseInt(headers['icy-metaint'], 10) || 0;
+        audioLeft = metaInterval;
+        resolve({
+            name: headers['icy-name'] || null,
+            hasMetadata: metaInterval > 0,
+            close: () => socket.destroy(),
+        });
+
+        if (!metaInterval) {
+            // Nothing to read: the audio itself is not needed
+            socket.destroy();
+            return;
+        }
+        readBody(head.subarray(headEnd + 4));
+    });
+
+    socket.on('timeout', () => fail(new Error('The stream did not respond in time.')));
+    socket.on('error', fail);
+    socket.on('close', () => {
+        if (!isStarted) reject(new Error('The stream closed the connection.'));
+        else if (metaInterval) onEnd(null);
+    });
+});
+
+// One connection per station URL, shared by everyone listening to it
+const stations = new Map();
+
+const broadcast = (station, event) => {
+    for (const listener of station.listeners) listener(event);
+};
+
+const connectStation = (url, station) => {
+    openIcyStream(url, {
+        onTitle: (nowPlaying) => {
+            station.nowPlaying = { ...nowPlaying, at: new Date() };
+            broadcast(station, { type: 'nowPlaying', data: station.nowPlaying });
+        },
+        onEnd: () => scheduleReconnect(url, station),
+    })
+        .then((info) => {
+            if (station.listeners.size === 0) return info.close();
+            station.connection = info;
+            station.info = { name: info.name, hasMetadata: info.hasMetadata };
+            broadcast(station, { type: 'station', data: station.info });
+        })
+        .catch((err) => {
+            console.error(`❌ Could not read now playing from ${url}:`, err.message);
+            broadcast(station, { type: 'error', data: { msg: err.message } });
+            scheduleReconnect(url, station);
+        });
+};
+
+function scheduleReconnect(url, station) {
+    station.connection = null;
+    if (station.listeners.size === 0 || station.reconnectTimer) return;
+    station.reconnectTimer = setTimeout(() => {
+        station.reconnectTimer = null;
+        if (station.listeners.size > 0) connectStation(url, station);
+    }, RECONNECT_DELAY_MS);
+}
+
+/**
+ * Follows the now playing title of a station. The listener is called with
+ * { type: 'station' | 'nowPlaying' | 'error', data } events, starting with the
+ * last known title. The station is disconnected when its last listener leaves.
+ * @param {string} url - Stream URL
+ * @param {function} listener
+ * @returns {function} Unsubscribe
+ */
+const subscribeNowPlaying = (url, listener) => {
+    let station = stations.get(url);
+    if (!station) {
+        station = { listeners: new Set(), connection: null, reconnectTimer: null, info: null, nowPlaying: null };
+        stations.set(url, station);
+        station.listeners.add(listener);
+        connectStation(url, station);
+    } else {
+        station.listeners.add(listener);
+        if (station.info) listener({ type: 'station', data: station.info });
+        if (station.nowPlaying) listener({ type: 'nowPlaying', data: station.nowPlaying });
+    }
+
+    return () => {
+        station.listeners.delete(listener);
+        if (station.listeners.size > 0) return;
+        clearTimeout(station.reconnectTimer);
+        if (station.connection) station.connection.close();
+        stations.delete(url);
+    };
+};
+
+module.exports = { parseStreamTitle, openIcyStream, subscribeNowPlaying };
@@ -0,0 +1,200 @@
+const path = require('path');
+const fs = require('fs/promises');
+const { parseBuffer } = require('music-metadata');
+const Waveform = require('../models/Waveform');
+const TrackRevision = require('../models/TrackRevision');
+const { saveUpload } = require('../storage');
+const { getTrackAssets } = require('./trackCleanup');
+const { extractTrackMetadata } = require('./trackMetadata');
+const { storeCoverImage, EMPTY_COVER_FIELDS } = require('./coverArt');
+const { hashContent } = require('./duplicates');
+const { loudnessFromTags } = require('./loudness');
+const getTranscodingConfig = require('../config/transcoding');
+
+// Resizes an uploaded cover image into thumbnails and stores them (see utils/coverArt.js)
+const storeCoverPhoto = async (coverPhotoFile, userId) => storeCoverImage(coverPhotoFile.buffer, userId);
+
+// Random default image helper
+const getRandomDefaultImage = async () => {
+    try {
+        const defaultImageDir = path.join(__dirname, '..', 'images', 'default_img_bucket');
+
+        console.log('🔍 Looking for images in:', defaultImageDir);
+
+        const files = await fs.readdir(defaultImageDir);
+        console.log('🔍 Files found:', files);
+
+        const imageFiles = files.filter(file => {
+            const ext = path.extname(file).toLowerCase();
+            return ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.bmp'].includes(ext);
+        });
+
+        console.log('🔍 Image files filtered:', imageFiles);
+
+        if (imageFiles.length === 0) {
+            console.log('⚠️ No images in bucket, using default');
+            return '/images/default_cover.png';
+        }
+
+        const randomIndex = Math.floor(Math.random() * imageFiles.length);
+        const randomImage = imageFiles[randomIndex];
+        const finalPath = `/images/default_img_bucket/${randomImage}`;
+
+        console.log('✅ Selected random image:', finalPath);
+        return finalPath;
+    } catch (err) {
+        console.error('❌ Error in getRandomDefaultImage:', err);
+        return '/images/default_cover.png';
+    }
+};
+
+/**
+ * Reads the tags of an uploaded audio file (kept in memory by multer).
+ * Returns null when the file has no readable metadata.
+ */
+const readAudioMetadata = async (audioFile) => {
+    try {
+        return await parseBuffer(audioFile.buffer, { mimeType: audioFile.mimetype, size: audioFile.size });
+    } catch (err) {
+        console.warn(`⚠️ Could not read metadata for ${audioFile.originalname}: ${err.message}`);
+        return null;
+    }
+};
+
+// "01 - Song Name.mp3" -> "01 - Song Name"
+const titleFromFileName = (fileName) => path.parse(fileName || '').name.trim();
+
+// Removes stored files for track data that never made it into the database
+const discardStoredAssets = async (trackData) => {
+    for (const { getDriver, key } of getTrackAssets(trackData)) {
+        try {
+            await getDriver().delete(key);
+        } catch (err) {
+            console.error(`❌ Could not clean up ${key}:`, err.message);
+        }
+    }
+};
+
+/**
+ * Stores an uploaded audio file and builds the data for a new local Track.
+ *
+ * Tags read from the file win over the `title`/`artist` fallbacks, and album,
+ * track number, duration, bitrate etc. are copied from the file. The cover
+ * is the uploaded cover file, else the embedded picture, else a random default.
+ * If storing the cover fails, the stored audio is removed before rethrowing.
+ * The track starts out pending; call enqueueTranscode() once it is saved.
+ * Pass `contentHash` when it was already computed for the duplicate check.
+ *
+ * @param {{audioFile: object, coverPhotoFile?: object, userId: string, metadata?: object|null, title?: string, artist?: string, contentHash?: string}} options
+ * @returns {Promise<object>} Data ready to be passed to `new Track(...)`
+ */
+const ingestLocalAudio = async ({ audioFile, coverPhotoFile, userId, metadata, title, artist, contentHash }) => {
+    const tags = metadata === undefined ? await readAudioMetadata(audioFile) : metadata;
+    const common = tags ? tags.common : {};
+
+    const storedAudio = await saveUpload(audioFile, 'audio', userId);
+    console.log(`✅ Audio stored with the ${storedAudio.driver} driver:`, storedAudio.key);
+
+    const trackData = {
+        ...extractTrackMetadata(tags),
+        // ReplayGain tags are used until the worker has measured the file
+        ...loudnessFromTags(tags),
+        title: common.title || title,
+        artist: common.artist || artist,
+        sourceType: 'local',
+        user: userId,
+        filePath: storedAudio.key,
+        storageDriver: storedAudio.driver,
+        mimeType: audioFile.mimetype,
+        contentHash: contentHash || hashContent(audioFile.buffer),
+        // Queued for background transcoding (jobs/transcodeQueue.js) unless it is turned off
+        ...(getTranscodingConfig().enabled
+            ? { processingStatus: 'pending', processingProgress: 0 }
+            : { processingStatus: 'ready' }),
+    };
+
+    try {
+        if (coverPhotoFile) {
+            Object.assign(trackData, await storeCoverPhoto(coverPhotoFile, userId));
+        } else if (common.picture && common.picture.length > 0) {
+            // Embedded art becomes stored thumbnails; unreadable art falls back to a default cover
+            try {
+                Object.assign(trackData, await storeCoverImage(Buffer.from(common.picture[0].data), userId));
+            } catch (artErr) {
+                console.warn(`⚠️ Could not convert embedded cover art: ${artErr.message}`);
+                trackData.cover_photo = await getRandomDefaultImage();
+            }
+        } else {
+            trackData.cover_photo = await getRandomDefaultImage();
+        }
+    } catch (err) {
+        await discardStoredAssets(trackData);
+        throw err;
+    }
+
+    return trackData;
+};
+
+// Measured values that belong to the old file and are recomputed for the new one
+const RESET_ON_REPLACE = {
+    renditions: [],
+    loudness: null,
+    trackGain: null,
+    trackPeak: null,
+    loudnessSource: null,
+    processingError: null,
+    processingStartedAt: null,
+};
+
+/**
+ * Replaces the file of an existing local track with a new upload (the
+ * "replace" answer to a duplicate). The track keeps its ID, so playlists,
+ * history and manual settings such as gainOffset stay; tags from the new
+ * file overwrite the old ones, fields the new file lacks are kept.
+ * The old audio, renditions, cover and waveform are deleted after the save
+ * (a cover an edit revision can restore stays); call enqueueTranscode() to
+ * analyze the new file.
+ *
+ * @param {object} track - Mongoose Track document
+ * @param {object} trackData - Result of ingestLocalAudio for the new upload
+ * @returns {Promise<object>} The saved track
+ */
+const replaceTrackAudio = async (track, trackData) => {
+    const oldAssets = {
+        sourceType: track.sourceType,
+        filePath: track.filePath,
+        storageDriver: track.storageDriver,
+        renditions: track.renditions,
+        cover_photo: track.cover_photo,
+        coverStorageKey: track.coverStorageKey,
+        coverStorageDriver: track.coverStorageDriver,
+        coverSizes: track.coverSizes,
+    };
+
+    track.set({ ...RESET_ON_REPLACE, ...EMPTY_COVER_FIELDS });
+    track.set(trackData);
+
+    try {
+        await track.save();
+    } catch (err) {
+        await discardStoredAssets(trackData);
+        throw err;
+    }
+
+    await Waveform.deleteOne({ track: track._id });
+    if (oldAssets.coverStorageKey && await TrackRevision.exists({ track: track._id, 'previousCover.coverStorageKey': oldAssets.coverStorageKey })) {
+        Object.assign(oldAssets, { cover_photo: null, ...EMPTY_COVER_FIELDS });
+    }
+    await discardStoredAssets(oldAssets);
+    return track;
+};
+
+module.exports = {
+    storeCoverPhoto,
+    getRandomDefaultImage,
+    readAudioMetadata,
+    titleFromFileName,
+    discardStoredAssets,
+    ingestLocalAudio,
+    replaceTrackAudio,
+};
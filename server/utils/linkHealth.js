@@ -0,0 +1,177 @@
+const Media = require('../models/Media');
+const Track = require('../models/Track');
+const { getYouTubeId } = require('./sourceUrls');
+const { fetchPublic } = require('./networkGuard');
+
+// ==========================================================
+//                       LINK HEALTH
+// ==========================================================
+//
+// External files get moved or deleted and YouTube videos get removed, made
+// private or closed to embedding, and the player only finds out when it fails.
+// A link is probed with a HEAD request (or a GET of its first byte, for hosts
+// that refuse HEAD); a YouTube video through YouTube's oEmbed endpoint, which
+// answers 401 for videos that cannot be embedded and 404 for removed ones.
+//
+// A definite answer (404, 410, not embeddable) marks the link broken at once;
+// timeouts, network errors and 5xx only after MAX_TRANSIENT_FAILURES checks in a row.
+// A link to a private network is never probed and counts as broken, so the stored
+// status cannot tell which internal hosts answer (see utils/networkGuard.js).
+
+// Links that can be checked (uploads are stored by us, streams are live)
+const LINK_SOURCE_TYPES = ['youtube', 'external_url'];
+
+// A link that was never checked (e.g. after its track got a new source)
+const EMPTY_LINK_HEALTH = { linkStatus: null, linkCheckedAt: null, linkError: null, linkFailures: 0 };
+
+const PROBE_TIMEOUT_MS = 10000;
+const MAX_TRANSIENT_FAILURES = 3;
+
+// 4xx answers that may go away by themselves
+const TRANSIENT_CLIENT_STATUSES = [408, 425, 429];
+
+const isPermanentStatus = (status) => status >= 400 && status < 500 && !TRANSIENT_CLIENT_STATUSES.includes(status);
+
+/**
+ * fetch with a timeout, to public hosts only (every redirect is checked). The body is
+ * never read: the request is aborted once the headers are in, so a server that ignores
+ * Range does not send the file.
+ */
+const probe = async (url, options) => {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), PROBE_TIMEOUT_MS);
+
+    try {
+        const response = await fetchPublic(url, { ...options, signal: controller.signal });
+        return { status: response.status, ok: response.ok, contentType: response.headers.get('content-type') || '' };
+    } catch (err) {
+        if (err.code === 'EPRIVATEADDRESS') throw err;
+        if (err.name === 'AbortError') throw new Error('The link did not respond in time.');
+        // fetch reports network errors as "fetch failed" with the reason in `cause`
+        throw new Error(`The link could not be reached (${err.cause?.code || err.cause?.message || err.message}).`);
+    } finally {
+        clearTimeout(timer);
+        controller.abort();
+    }
+};
+
+/**
+ * Checks that an external link still serves something playable.
+ * @param {string} url
+ * @returns {Promise<{ok: boolean, permanent: boolean, reason: string|null}>}
+ */
+const probeExternalUrl = async (url) => {
+    let response = await probe(url, { method: 'HEAD' });
+    if (!response.ok) {
+        response = await probe(url, { method: 'GET', headers: { Range: 'bytes=0-0' } });
+    }
+
+    if (!response.ok) {
+        return {
+            ok: false,
+            permanent: isPermanentStatus(response.status),
+            reason: response.status === 404 || response.status === 410
+                ? `The file is gone (status ${response.status}).`
+                : `The link answered with status ${response.status}.`,
+        };
+    }
+    if (/^text\/html/i.test(response.contentType)) {
+        return { ok: false, permanent: true, reason: 'The link opens a web page, not an audio file.' };
+    }
+    return { ok: true, permanent: false, reason: null };
+};
+
+/**
+ * Checks that a YouTube video still exists and can be played in the embedded player.
+ * @param {string} videoId
+ * @returns {Promise<{ok: boolean, permanent: boolean, reason: string|null}>}
+ */
+const probeYouTubeVideo = async (videoId) => {
+    const watchUrl = `https://www.youtube.com/watch?v=${videoId}`;
+    const response = await probe(`https://www.youtube.com/oembed?format=json&url=${encodeURIComponent(watchUrl)}`, { method: 'GET' });
+
+    if (response.ok) return { ok: true, permanent: false, reason: null };
+    if (response.status === 401 || response.status === 403) {
+        return { ok: false, permanent: true, reason: 'The video is private or cannot be played outside YouTube.' };
+    }
+    if (response.status === 400 || response.status === 404) {
+        return { ok: false, permanent: true, reason: 'The video was removed or does not exist.' };
+    }
+    return { ok: false, permanent: false, reason: `YouTube answered with status ${response.status}.` };
+};
+
+/**
+ * Probes a YouTube or external link.
+ * @param {{sourceType: string, sourceUrl: string, videoId?: string|null}} source
+ * @returns {Promise<{ok: boolean, permanent: boolean, reason: string|null}>}
+ */
+const checkLink = async ({ sourceType, sourceUrl, videoId }) => {
+    try {
+        if (sourceType === 'youtube') {
+            const id = videoId || getYouTubeId(sourceUrl);
+            if (!id) return { ok: false, permanent: true, reason: 'The link has no YouTube video ID.' };
+            return await probeYouTubeVideo(id);
+        }
+        return await probeExternalUrl(sourceUrl);
+    } catch (err) {
+        return { ok: false, permanent: err.code === 'EPRIVATEADDRESS', reason: err.message };
+    }
+};
+
+/**
+ * Fields to store after a check, given the link's state before it.
+ * @param {{linkStatus?: string|null, linkFailures?: number}} previous
+ * @param {{ok: boolean, permanent: boolean, reason: string|null}} result
+ * @returns {{linkStatus: string|null, linkCheckedAt: Date, linkError: string|null, linkFailures: number}}
+ */
+const linkHealthUpdate = (previous, result) => {
+    if (result.ok) {
+        return { linkStatus: 'ok', linkCheckedAt: new Date(), linkError: null, linkFailures: 0 };
+    }
+    const linkFailures = (previous.linkFailures || 0) + 1;
+    const isBroken = result.permanent || linkFailures >= MAX_TRANSIENT_FAILURES;
+    return {
+        linkStatus: isBroken ? 'broken' : (previous.linkStatus || null),
+        linkCheckedAt: new Date(),
+        linkError: result.reason,
+        linkFailures,
+    };
+};
+
+/**
+ * Checks the link of a shared Media record and stores the result on it and
+ * on every track that uses it.
+ * @param {object} media - Media document (or lean object)
+ * @returns {Promise<object>} The stored fields
+ */
+const checkMediaLink = async (media) => {
+    const update = linkHealthUpdate(media, await checkLink(media));
+    await Media.updateOne({ _id: media._id }, { $set: update });
+    await Track.updateMany({ media: media._id }, { $set: update });
+    return update;
+};
+
+/**
+ * Checks the link of one track, through its shared record when it has one.
+ * @param {object} track - Track document (or lean object)
+ * @returns {Promise<object|null>} The stored fields, null for tracks that are not links
+ */
+const checkTrackLink = async (track) => {
+    if (!LINK_SOURCE_TYPES.includes(track.sourceType) || !track.sourceUrl) return null;
+
+    const media = track.media ? await Media.findById(track.media) : null;
+    if (media) return checkMediaLink(media);
+
+    const update = linkHealthUpdate(track, await checkLink(track));
+    await Track.updateOne({ _id: track._id }, { $set: update });
+    return update;
+};
+
+module.exports = {
+    LINK_SOURCE_TYPES,
+    EMPTY_LINK_HEALTH,
+    checkLink,
+    linkHealthUpdate,
+    checkMediaLink,
+    checkTrackLink,
+};
@@ -0,0 +1,64 @@
+// A play counts once the listener has heard at least 30 seconds
+// OR half of the track, whichever comes first.
+const PLAY_THRESHOLD_SECONDS = 30;
+const PLAY_THRESHOLD_RATIO = 0.5;
+
+// Most songs of one live stream session kept in the history (a long session keeps its latest)
+const MAX_STREAM_TITLES = 200;
+const MAX_STREAM_TITLE_LENGTH = 300;
+
+const HISTORY_CONTEXT_TYPES = ['home', 'search', 'library', 'playlist', 'artist', 'album', 'queue', 'single', 'unknown'];
+
+/**
+ * Decides whether a single play session counts as a play or a skip.
+ * @param {{secondsListened: number, duration: number, completed: boolean}} session
+ * @returns {{counted: boolean, skipped: boolean}}
+ */
+const classifyPlay = ({ secondsListened, duration, completed }) => {
+    const reachedSeconds = secondsListened >= PLAY_THRESHOLD_SECONDS;
+    const reachedRatio = duration > 0 && secondsListened >= duration * PLAY_THRESHOLD_RATIO;
+    const counted = Boolean(completed) || reachedSeconds || reachedRatio;
+
+    return { counted, skipped: !counted };
+};
+
+/**
+ * Normalizes the playback context sent by the client into the shape
+ * stored on a ListeningHistory entry.
+ */
+const normalizeContext = (context) => {
+    if (!context || typeof context !== 'object') {
+        return { source: 'unknown', id: null };
+    }
+    const source = HISTORY_CONTEXT_TYPES.includes(context.source) ? context.source : 'unknown';
+    const id = context.id ? String(context.id) : null;
+    return { source, id };
+};
+
+/**
+ * Normalizes the songs a live stream announced during a session, as sent by
+ * the client: [{ title, artist, at }]. Entries without a title or a valid time are dropped.
+ * @returns {Array<{title: string, artist: string|null, at: Date}>}
+ */
+const normalizeStreamTitles = (streamTitles) => {
+    if (!Array.isArray(streamTitles)) return [];
+
+    const clip = (value) => (typeof value === 'string' && value.trim() ? value.trim().slice(0, MAX_STREAM_TITLE_LENGTH) : null);
+    return streamTitles
+        .map(entry => ({
+            title: clip(entry && entry.title),
+            artist: clip(entry && entry.artist),
+            at: new Date(entry && entry.at),
+        }))
+        .filter(entry => entry.title && !isNaN(entry.at.getTime()))
+        .slice(-MAX_STREAM_TITLES);
+};
+
+module.exports = {
+    PLAY_THRESHOLD_SECONDS,
+    PLAY_THRESHOLD_RATIO,
+    HISTORY_CONTEXT_TYPES,
+    classifyPlay,
+    normalizeContext,
+    normalizeStreamTitles,
+};
@@ -0,0 +1,91 @@
+const path = require('path');
+const { runFfmpeg } = require('./transcoder');
+const { assertPublicUrl } = require('./networkGuard');
+
+// ReplayGain 2.0 reference level: track gain is the change needed to reach it
+const REFERENCE_LOUDNESS_LUFS = -18;
+
+// Silent or broken files would otherwise ask for absurd gains
+const MAX_GAIN_DB = 24;
+
+// Links are read over the network; only this much of them is measured
+const MAX_REMOTE_ANALYSIS_SECONDS = 900;
+// What ffmpeg may open for a link: no file:, pipe: or other local protocols (HLS segments included)
+const REMOTE_PROTOCOL_WHITELIST = 'https,http,tls,tcp';
+
+const round2 = value => Math.round(value * 100) / 100;
+const round4 = value => Math.round(value * 10000) / 10000;
+const clampGain = gain => Math.max(-MAX_GAIN_DB, Math.min(MAX_GAIN_DB, gain));
+
+/**
+ * Measures a file with ffmpeg's EBU R128 filter.
+ *
+ * @param {object} options
+ * @param {string} options.ffmpegPath - ffmpeg binary
+ * @param {string} options.input - File path, or an http(s) URL for external tracks (public hosts only, see utils/networkGuard.js)
+ * @param {number} [options.duration] - Source duration in seconds, used for progress
+ * @param {(ratio: number) => void} [options.onProgress] - Called with 0..1 while ffmpeg runs
+ * @returns {Promise<{loudness: number, trackGain: number, trackPeak: number|null}>}
+ *          Integrated loudness (LUFS), gain to the reference level (dB) and true peak (linear, 1 = full scale)
+ */
+const analyzeLoudness = async ({ ffmpegPath, input, duration, onProgress }) => {
+    // The worker's own files are absolute paths; anything else is a link
+    const isRemote = !path.isAbsolute(input);
+    if (isRemote) await assertPublicUrl(input);
+    const stderr = await runFfmpeg(ffmpegPath, [
+        '-hide_banner', '-nostdin',
+        ...(isRemote ? [
+            '-protocol_whitelist', REMOTE_PROTOCOL_WHITELIST,
+            '-rw_timeout', '30000000',
+            '-t', String(MAX_REMOTE_ANALYSIS_SECONDS),
+        ] : []),
+        '-i', input,
+        '-vn',
+        // framelog=verbose keeps the per-frame lines out of stderr so the summary stays in the tail
+        '-af', 'ebur128=peak=true:framelog=verbose',
+        '-f', 'null',
+        '-progress', 'pipe:1',
+        '-',
+    ], { duration: isRemote ? Math.min(duration || MAX_REMOTE_ANALYSIS_SECONDS, MAX_REMOTE_ANALYSIS_SECONDS) : duration, onProgress });
+
+    const summary = stderr.slice(stderr.lastIndexOf('Summary:'));
+    const integrated = /I:\s+(-?[\d.]+) LUFS/.exec(summary);
+    if (!integrated) {
+        throw new Error('ffmpeg did not report a loudness summary.');
+    }
+
+    const loudness = parseFloat(integrated[1]);
+    const peak = /Peak:\s+(-?[\d.]+|-inf) dBFS/.exec(summary);
+    const trackPeak = peak && peak[1] !== '-inf' ? round4(10 ** (parseFloat(peak[1]) / 20)) : null;
+
+    return {
+        loudness,
+        trackGain: round2(clampGain(REFERENCE_LOUDNESS_LUFS - loudness)),
+        trackPeak,
+    };
+};
+
+/**
+ * Reads ReplayGain tags written by other tools, so a track is normalized
+ * before the background analysis has run.
+ * @param {object|null} metadata - Result of music-metadata's parseBuffer/parseFile
+ * @returns {{trackGain: number, trackPeak: number|null, loudnessSource: string}|null}
+ */
+const loudnessFromTags = (metadata) => {
+    const common = (metadata && metadata.common) || {};
+    const gain = common.replaygain_track_gain;
+    if (!gain || !Number.isFinite(gain.dB)) return null;
+
+    const peak = common.replaygain_track_peak;
+    return {
+        trackGain: round2(clampGain(gain.dB)),
+        trackPeak: peak && Number.isFinite(peak.ratio) ? round4(peak.ratio) : null,
+        loudnessSource: 'tags',
+    };
+};
+
+module.exports = {
+    REFERENCE_LOUDNESS_LUFS,
+    analyzeLoudness,
+    loudnessFromTags,
+};
@@ -0,0 +1,189 @@
+const Track = require('../models/Track');
+const Lyrics = require('../models/Lyrics');
+
+// Longest lyrics accepted, in characters (a long song is a few thousand)
+const MAX_LYRICS_LENGTH = 20000;
+
+const LYRICS_FORMATS = ['plain', 'lrc'];
+
+// One or more timestamps at the start of an LRC line: "[01:02.50][02:10.00]Text"
+const LRC_LINE_REGEX = /^((?:\[\d{1,3}:\d{1,2}(?:[.:]\d{1,3})?\]\s*)+)(.*)$/;
+const LRC_TIME_REGEX = /\[(\d{1,3}):(\d{1,2})(?:[.:](\d{1,3}))?\]/g;
+// ID tags such as "[ar:Artist]" or "[offset:+250]"
+const LRC_ID_TAG_REGEX = /^\[([a-z]+):(.*)\]$/i;
+// Word timings of enhanced LRC ("<00:12.34>word"), dropped from the shown text
+const LRC_WORD_TIME_REGEX = /<\d{1,3}:\d{1,2}(?:[.:]\d{1,3})?>/g;
+
+// music-metadata's TimestampFormat.milliseconds
+const TAG_TIMESTAMPS_IN_MS = 2;
+
+// 62.5 -> "01:02.50"
+const formatLrcTime = (seconds) => {
+    const centiseconds = Math.round(seconds * 100);
+    const minutes = Math.floor(centiseconds / 6000);
+    const rest = (centiseconds % 6000) / 100;
+    return `${String(minutes).padStart(2, '0')}:${rest.toFixed(2).padStart(5, '0')}`;
+};
+
+/**
+ * Parses LRC text into lines sorted by time. A line with several timestamps
+ * (a repeated chorus) becomes one line per timestamp, and the [offset:] tag
+ * (milliseconds, positive = show earlier) is applied. Lines without a timestamp are ignored.
+ * @param {string} text
+ * @returns {Array<{time: number, text: string}>} time in seconds
+ */
+const parseLrc = (text) => {
+    const lines = [];
+    let offsetMs = 0;
+
+    for (const rawLine of text.split('\n')) {
+        const line = rawLine.trim();
+        const match = line.match(LRC_LINE_REGEX);
+
+        if (!match) {
+            const idTag = line.match(LRC_ID_TAG_REGEX);
+            if (idTag && idTag[1].toLowerCase() === 'offset' && Number.isFinite(Number(idTag[2]))) {
+                offsetMs = Number(idTag[2]);
+            }
+            continue;
+        }
+
+        const lineText = match[2].replace(LRC_WORD_TIME_REGEX, '').trim();
+        for (const [, minutes, seconds, fraction] of match[1].matchAll(LRC_TIME_REGEX)) {
+            const time = Number(minutes) * 60 + Number(seconds) + (fraction ? Number(`0.${fraction}`) : 0);
+            lines.push({ time, text: lineText });
+        }
+    }
+
+    return lines
+        .map(line => ({ ...line, time: Math.max(0, Math.round((line.time - offsetMs / 1000) * 1000) / 1000) }))
+        .sort((a, b) => a.time - b.time);
+};
+
+/**
+ * Validates lyrics sent by a client. Without a format, text with timestamped
+ * lines is treated as LRC and anything else as plain text.
+ * @param {string} text
+ * @param {string} [format] - 'plain' or 'lrc'
+ * @returns {{lyrics: {format: string, text: string, lines: Array}|null, error: string|null}}
+ */
+const parseLyricsInput = (text, format) => {
+    if (typeof text !== 'string') {
+        return { lyrics: null, error: 'lyrics must be text.' };
+    }
+    if (format !== undefined && !LYRICS_FORMATS.includes(format)) {
+        return { lyrics: null, error: `format must be one of: ${LYRICS_FORMATS.join(', ')}.` };
+    }
+
+    const normalized = text.replace(/\r\n?/g, '\n').trim();
+    if (!normalized) {
+        return { lyrics: null, error: 'lyrics cannot be empty.' };
+    }
+    if (normalized.length > MAX_LYRICS_LENGTH) {
+        return { lyrics: null, error: `lyrics can be at most ${MAX_LYRICS_LENGTH} characters long.` };
+    }
+
+    const lines = format === 'plain' ? [] : parseLrc(normalized);
+    if (format === 'lrc' && lines.length === 0) {
+        return { lyrics: null, error: 'No timestamped lines found in these LRC lyrics.' };
+    }
+
+    return {
+        lyrics: { format: lines.length > 0 ? 'lrc' : 'plain', text: normalized, lines },
+        error: null,
+    };
+};
+
+/**
+ * Reads lyrics embedded in an audio file. Synced lyrics (an ID3 SYLT frame, or
+ * LRC in a lyrics tag) win over unsynchronized ones (USLT); synced lyrics are
+ * stored as LRC text.
+ * @param {object|null} metadata - Result of music-metadata's parseBuffer/parseFile
+ * @returns {{format: string, text: string, lines: Array, language: string|null}|null}
+ */
+const lyricsFromTags = (metadata) => {
+    const tags = (metadata && metadata.common && metadata.common.lyrics) || [];
+
+    const synced = tags.find(tag => tag.timeStampFormat === TAG_TIMESTAMPS_IN_MS
+        && (tag.syncText || []).some(line => Number.isFinite(line.timestamp)));
+    if (synced) {
+        const lines = synced.syncText
+            .filter(line => Number.isFinite(line.timestamp))
+            .map(line => ({ time: line.timestamp / 1000, text: (line.text || '').trim() }))
+            .sort((a, b) => a.time - b.time);
+        const text = lines.map(line => `[${formatLrcTime(line.time)}]${line.text}`).join('\n');
+        if (text.length <= MAX_LYRICS_LENGTH) {
+            return { format: 'lrc', text, lines, language: synced.language || null };
+        }
+    }
+
+    const unsynced = tags.find(tag => tag.text && tag.text.trim());
+    if (!unsynced) return null;
+
+    const { lyrics } = parseLyricsInput(unsynced.text, 'plain');
+    return lyrics && { ...lyrics, language: unsynced.language || null };
+};
+
+/**
+ * Saves the lyrics of a track, replacing any it had, and flags the track
+ * (Track.lyricsFormat) so clients know there is something to show.
+ * @param {string|object} trackId
+ * @param {{format: string, text: string, lines: Array, language?: string|null}} lyrics
+ * @param {string} source - 'upload', 'manual' or 'tags'
+ * @returns {Promise<object>} The saved Lyrics document
+ */
+const storeLyrics = async (trackId, lyrics, source) => {
+    const saved = await Lyrics.findOneAndUpdate(
+        { track: trackId },
+        { $set: { format: lyrics.format, text: lyrics.text, lines: lyrics.lines, language: lyrics.language || null, source } },
+        { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+    await Track.updateOne({ _id: trackId }, { $set: { lyricsFormat: lyrics.format } });
+    return saved;
+};
+
+// Deletes the lyrics of a track; true when it had some
+const removeLyrics = async (trackId) => {
+    const { deletedCount } = await Lyrics.deleteOne({ track: trackId });
+    await Track.updateOne({ _id: trackId }, { $set: { lyricsFormat: null } });
+    return deletedCount > 0;
+};
+
+/**
+ * Stores the lyrics of a new or replaced upload: lyrics sent with the upload
+ * win over the ones embedded in the file, and embedded lyrics never overwrite
+ * lyrics the owner provided. Failures are logged instead of thrown, so the
+ * already stored track is still returned.
+ * @param {object} track - The saved track
+ * @param {{lyrics?: object|null, metadata?: object|null}} options - Parsed upload lyrics, file tags
+ */
+const saveIngestedLyrics = async (track, { lyrics, metadata }) => {
+    try {
+        let saved = null;
+        if (lyrics) {
+            saved = await storeLyrics(track._id, lyrics, 'upload');
+        } else {
+            const fromTags = lyricsFromTags(metadata);
+            const existing = fromTags && await Lyrics.findOne({ track: track._id }).select('source').lean();
+            if (fromTags && (!existing || existing.source === 'tags')) {
+                saved = await storeLyrics(track._id, fromTags, 'tags');
+            }
+        }
+        // Already saved by storeLyrics; set here so the upload response shows it
+        if (saved) track.lyricsFormat = saved.format;
+    } catch (err) {
+        console.error(`❌ Could not store the lyrics of track ${track._id}:`, err.message);
+    }
+};
+
+module.exports = {
+    MAX_LYRICS_LENGTH,
+    LYRICS_FORMATS,
+    formatLrcTime,
+    parseLrc,
+    parseLyricsInput,
+    lyricsFromTags,
+    storeLyrics,
+    removeLyrics,
+    saveIngestedLyrics,
+};
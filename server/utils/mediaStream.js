@@ -0,0 +1,127 @@
+const path = require('path');
+const { Readable } = require('stream');
+
+const MIME_TYPES_BY_EXTENSION = {
+    '.mp3': 'audio/mpeg',
+    '.wav': 'audio/wav',
+    '.ogg': 'audio/ogg',
+    '.oga': 'audio/ogg',
+    '.aac': 'audio/aac',
+    '.flac': 'audio/flac',
+    '.m4a': 'audio/mp4',
+    '.mp4': 'video/mp4',
+    '.webm': 'audio/webm',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+};
+
+const guessMimeType = (filePath, fallback = 'application/octet-stream') => {
+    const ext = path.extname(filePath || '').toLowerCase().split('?')[0];
+    return MIME_TYPES_BY_EXTENSION[ext] || fallback;
+};
+
+/**
+ * Parses a single HTTP Range header ("bytes=start-end", "bytes=start-" or "bytes=-suffix").
+ * @returns {{start: number, end: number} | null | 'unsatisfiable'}
+ *          null when there is no usable range (serve the whole file).
+ */
+const parseRange = (rangeHeader, size) => {
+    if (!rangeHeader || !rangeHeader.startsWith('bytes=')) return null;
+
+    const ranges = rangeHeader.slice(6).split(',');
+    if (ranges.length !== 1) return null; // Multipart ranges are not supported; serve the whole file
+
+    const [startStr, endStr] = ranges[0].trim().split('-');
+    let start;
+    let end;
+
+    if (startStr === '') {
+        // Suffix range: the last N bytes
+        const suffixLength = parseInt(endStr, 10);
+        if (isNaN(suffixLength) || suffixLength <= 0) return 'unsatisfiable';
+        start = Math.max(size - suffixLength, 0);
+        end = size - 1;
+    } else {
+        start = parseInt(startStr, 10);
+        end = endStr ? parseInt(endStr, 10) : size - 1;
+        if (isNaN(start) || isNaN(end) || start > end) return 'unsatisfiable';
+        end = Math.min(end, size - 1);
+    }
+
+    if (start >= size) return 'unsatisfiable';
+    return { start, end };
+};
+
+/**
+ * Streams a stored file through a storage driver, honouring the request's
+ * Range header (206 Partial Content).
+ */
+const sendStorageRange = async (req, res, storage, key, mimeType) => {
+    const { size, contentType } = await storage.stat(key);
+    const range = parseRange(req.headers.range, size);
+
+    res.setHeader('Accept-Ranges', 'bytes');
+    res.setHeader('Content-Type', mimeType || contentType || guessMimeType(key));
+
+    if (range === 'unsatisfiable') {
+        res.setHeader('Content-Range', `bytes */${size}`);
+        return res.status(416).end();
+    }
+
+    if (range) {
+        res.status(206);
+        res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${size}`);
+        res.setHeader('Content-Length', range.end - range.start + 1);
+    } else {
+        res.status(200);
+        res.setHeader('Content-Length', size);
+    }
+
+    if (req.method === 'HEAD') return res.end();
+
+    const fileStream = await storage.getStream(key, range || undefined);
+    fileStream.on('error', (err) => {
+        console.error('❌ Stream read error:', err.message);
+        res.destroy(err);
+    });
+    fileStream.pipe(res);
+};
+
+/**
+ * Proxies a remote file (e.g. a Cloudinary asset), forwarding the Range header
+ * so the upstream server does the byte slicing.
+ */
+const proxyRemoteRange = async (req, res, url, mimeType) => {
+    const upstream = await fetch(url, {
+        method: req.method === 'HEAD' ? 'HEAD' : 'GET',
+        headers: req.headers.range ? { Range: req.headers.range } : {},
+    });
+
+    if (!upstream.ok && upstream.status !== 416) {
+        const error = new Error(`Upstream media request failed with status ${upstream.status}`);
+        error.status = 502;
+        throw error;
+    }
+
+    res.status(upstream.status);
+    res.setHeader('Accept-Ranges', 'bytes');
+    res.setHeader('Content-Type', mimeType || upstream.headers.get('content-type') || guessMimeType(url));
+    ['content-length', 'content-range'].forEach((header) => {
+        const value = upstream.headers.get(header);
+        if (value) res.setHeader(header, value);
+    });
+
+    if (req.method === 'HEAD' || !upstream.body) return res.end();
+
+    Readable.fromWeb(upstream.body)
+        .on('error', (err) => {
+            console.error('❌ Upstream stream error:', err.message);
+            res.destroy(err);
+        })
+        .pipe(res);
+};
+
+module.exports = { guessMimeType, parseRange, sendStorageRange, proxyRemoteRange };
@@ -0,0 +1,132 @@
+const dns = require('dns');
+const net = require('net');
+
+// ==========================================================
+//                  PRIVATE NETWORK GUARD
+// ==========================================================
+//
+// Station files, radio streams, link checks and loudness analysis make the
+// server connect to URLs that users typed in. Without a check, a user could
+// point them at the server's own network (localhost ports, the cloud metadata
+// service at 169.254.169.254, other hosts on the LAN) and read the answers
+// back through errors and link statuses.
+//
+// Every host is resolved before connecting and refused when any of its
+// addresses is loopback, private, link-local or otherwise reserved. Redirects
+// are followed by hand so that every hop is checked again. Raw sockets (the ICY
+// reader) also connect through `publicLookup`, so the address they use is the
+// one that was checked.
+
+const MAX_REDIRECTS = 5;
+
+const BLOCKED_RANGES = new net.BlockList();
+[
+    ['0.0.0.0', 8], // "This" network
+    ['10.0.0.0', 8], // Private
+    ['100.64.0.0', 10], // Carrier-grade NAT
+    ['127.0.0.0', 8], // Loopback
+    ['169.254.0.0', 16], // Link-local (cloud metadata services)
+    ['172.16.0.0', 12], // Private
+    ['192.0.0.0', 24], // IETF protocol assignments
+    ['192.0.2.0', 24], // Documentation
+    ['192.168.0.0', 16], // Private
+    ['198.18.0.0', 15], // Benchmarking
+    ['198.51.100.0', 24], // Documentation
+    ['203.0.113.0', 24], // Documentation
+    ['224.0.0.0', 4], // Multicast
+    ['240.0.0.0', 4], // Reserved and broadcast
+].forEach(([address, prefix]) => BLOCKED_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 128], // Unspecified
+    ['::1', 128], // Loopback (IPv4-mapped addresses are checked against the IPv4 ranges)
+    ['64:ff9b::', 96], // NAT64
+    ['100::', 64], // Discard
+    ['2001:db8::', 32], // Documentation
+    ['fc00::', 7], // Unique local
+    ['fe80::', 10], // Link-local
+    ['ff00::', 8], // Multicast
+].forEach(([address, prefix]) => BLOCKED_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Whether an IP address belongs to a loopback, private, link-local or reserved range.
+ * @param {string} address
+ * @returns {boolean}
+ */
+const isPrivateAddress = (address) => {
+    const family = net.isIP(address);
+    if (!family) return true;
+    return BLOCKED_RANGES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+const blockedHostError = (hostname) => {
+    const error = new Error(`${hostname} is on a private or local network and cannot be reached.`);
+    error.code = 'EPRIVATEADDRESS';
+    return error;
+};
+
+/**
+ * Checks that a URL is http(s) and that its host only resolves to public addresses.
+ * Throws otherwise (`err.code === 'EPRIVATEADDRESS'` for a private host).
+ * @param {string} url
+ * @returns {Promise<URL>} The parsed URL
+ */
+const assertPublicUrl = async (url) => {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        throw new Error('Invalid URL.');
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+        throw new Error('Only http and https links can be opened.');
+    }
+
+    // IPv6 literals keep their brackets in `hostname`
+    const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+    const addresses = net.isIP(hostname)
+        ? [{ address: hostname }]
+        : await dns.promises.lookup(hostname, { all: true });
+    if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+        throw blockedHostError(parsed.hostname);
+    }
+    return parsed;
+};
+
+/**
+ * dns.lookup for net/tls.connect that refuses private addresses, so a socket
+ * never reaches one even if the name resolves differently than when it was checked.
+ */
+const publicLookup = (hostname, options, callback) => {
+    dns.lookup(hostname, options, (err, address, family) => {
+        if (err) return callback(err);
+        const addresses = Array.isArray(address) ? address : [{ address, family }];
+        if (addresses.some(entry => isPrivateAddress(entry.address))) {
+            return callback(blockedHostError(hostname));
+        }
+        callback(null, address, family);
+    });
+};
+
+/**
+ * fetch for user-supplied URLs: checks the host before the request and before
+ * every redirect hop. Takes the same options as fetch (`redirect` is ignored).
+ * @param {string} url
+ * @param {object} [options]
+ * @returns {Promise<Response>} The response of the last hop
+ */
+const fetchPublic = async (url, options = {}) => {
+    let current = url;
+    for (let hop = 0; ; hop += 1) {
+        await assertPublicUrl(current);
+        const response = await fetch(current, { ...options, redirect: 'manual' });
+
+        const location = response.headers.get('location');
+        if (response.status < 300 || response.status >= 400 || !location) return response;
+
+        if (hop >= MAX_REDIRECTS) throw new Error('The link redirected too many times.');
+        await response.body?.cancel().catch(() => {});
+        current = new URL(location, current).toString();
+    }
+};
+
+module.exports = { isPrivateAddress, assertPublicUrl, publicLookup, fetchPublic };
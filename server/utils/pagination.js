@@ -0,0 +1,126 @@
+// Cursor (keyset) pagination for list endpoints. The cursor holds the sort
+// values of the last item returned, so pages stay stable while tracks are
+// added or played, and no page costs more than the page itself (no skip()).
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Dates do not survive JSON, so they are tagged in the cursor
+const encodeValue = (value) => (value instanceof Date ? { $date: value.toISOString() } : value ?? null);
+const decodeValue = (value) => (value && typeof value === 'object' && value.$date ? new Date(value.$date) : value);
+
+/**
+ * Encodes a position as an opaque URL-safe string.
+ * @param {Array} values - Sort values of the last item, in sort order (ending with _id)
+ * @returns {string}
+ */
+const encodeCursor = (values) => Buffer.from(JSON.stringify(values.map(encodeValue))).toString('base64url');
+
+/**
+ * Decodes a cursor made by encodeCursor.
+ * @returns {Array|null} null when the cursor is malformed
+ */
+const decodeCursor = (cursor) => {
+    try {
+        const values = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        return Array.isArray(values) ? values.map(decodeValue) : null;
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Reads `limit` and `cursor` from a query string.
+ * @returns {{limit: number, cursor: Array|null, error: string|null}}
+ */
+const parsePageParams = (query, { defaultLimit = DEFAULT_PAGE_SIZE, maxLimit = MAX_PAGE_SIZE } = {}) => {
+    const limit = Math.min(Math.max(parseInt(query.limit, 10) || defaultLimit, 1), maxLimit);
+    if (!query.cursor) {
+        return { limit, cursor: null, error: null };
+    }
+    const cursor = decodeCursor(query.cursor);
+    return cursor
+        ? { limit, cursor, error: null }
+        : { limit, cursor: null, error: 'Invalid cursor.' };
+};
+
+// Items that come after `value` in one sort direction. MongoDB sorts null
+// (and missing) values lowest, and range operators never match null.
+const afterValue = (field, direction, value) => {
+    if (value === null) {
+        return direction === 1 ? { [field]: { $ne: null } } : null;
+    }
+    return direction === 1
+        ? { [field]: { $gt: value } }
+        : { $or: [{ [field]: { $lt: value } }, { [field]: null }] };
+};
+
+/**
+ * Filter for the items after a cursor: greater on the first sort key, or equal
+ * on it and greater on the next one, and so on down to _id.
+ * @param {object} sort - e.g. { play_count: -1, recently_listened: -1, _id: -1 }
+ * @param {Array} values - Decoded cursor, one value per sort key
+ * @returns {object|null} null when nothing can come after the cursor
+ */
+const buildCursorFilter = (sort, values) => {
+    const fields = Object.keys(sort);
+    const branches = [];
+
+    fields.forEach((field, index) => {
+        const after = afterValue(field, sort[field], values[index]);
+        if (!after) return;
+        const equalBefore = fields.slice(0, index).map((previous, i) => ({ [previous]: values[i] }));
+        branches.push(equalBefore.length > 0 ? { $and: [...equalBefore, after] } : after);
+    });
+
+    return branches.length > 0 ? { $or: branches } : null;
+};
+
+/**
+ * Fetches one page of a query sorted by `sort` (an _id tie-breaker is added).
+ *
+ * @param {import('mongoose').Model} Model
+ * @param {object} options
+ * @param {object} options.filter - Query for the whole list
+ * @param {object} options.sort - Sort keys; the last direction is reused for _id
+ * @param {number} options.limit - Page size
+ * @param {Array|null} options.cursor - Decoded cursor from the previous page
+ * @param {string} [options.select] - Projection
+ * @returns {Promise<{items: object[], nextCursor: string|null, total: number}>} Lean documents,
+ *          the cursor of the next page (null on the last page) and the size of the whole list
+ */
+const paginate = async (Model, { filter, sort, limit, cursor, select }) => {
+    const fields = Object.keys(sort);
+    const fullSort = { ...sort, _id: sort[fields[fields.length - 1]] || -1 };
+
+    let pageFilter = filter;
+    if (cursor) {
+        const after = buildCursorFilter(fullSort, cursor);
+        if (!after) {
+            return { items: [], nextCursor: null, total: await Model.countDocuments(filter) };
+        }
+        pageFilter = { $and: [filter, after] };
+    }
+
+    let query = Model.find(pageFilter).sort(fullSort).limit(limit + 1).lean();
+    if (select) query = query.select(select);
+
+    const [rows, total] = await Promise.all([query, Model.countDocuments(filter)]);
+    const items = rows.slice(0, limit);
+    const last = items[items.length - 1];
+    const nextCursor = rows.length > limit
+        ? encodeCursor(Object.keys(fullSort).map(field => last[field]))
+        : null;
+
+    return { items, nextCursor, total };
+};
+
+module.exports = {
+    DEFAULT_PAGE_SIZE,
+    MAX_PAGE_SIZE,
+    encodeCursor,
+    decodeCursor,
+    parsePageParams,
+    buildCursorFilter,
+    paginate,
+};
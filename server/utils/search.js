@@ -0,0 +1,335 @@
+// Library search: folded word tokens and trigrams are stored on each track
+// (searchTokens / searchGrams, both indexed), candidates are fetched by shared
+// trigrams and then ranked here with prefix and typo-tolerant matching.
+
+// Fields that are searched, with their weight in the ranking
+const SEARCH_FIELDS = {
+    title: 3,
+    artist: 2,
+    album: 1.5,
+    albumArtist: 1,
+    composer: 1,
+    genres: 1,
+};
+
+// `artist:daft punk` etc. restrict words to some fields
+const FIELD_QUALIFIERS = {
+    title: ['title'],
+    artist: ['artist', 'albumArtist'],
+    album: ['album'],
+    genre: ['genres'],
+};
+
+// `source:` values and the sourceType they select
+const SOURCE_ALIASES = {
+    local: 'local',
+    upload: 'local',
+    youtube: 'youtube',
+    yt: 'youtube',
+    external: 'external_url',
+    external_url: 'external_url',
+    url: 'external_url',
+    link: 'external_url',
+    stream: 'stream',
+    radio: 'stream',
+};
+
+// Fields returned with highlighted fragments
+const HIGHLIGHT_FIELDS = ['title', 'artist', 'album'];
+
+// Match quality of one query word against one stored word
+const EXACT_MATCH = 1;
+const PREFIX_MATCH = 0.75;
+const FUZZY_MATCH = 0.5;
+
+/**
+ * Lowercases and strips accents: "Beyoncé" -> "beyonce".
+ * @returns {string}
+ */
+const foldText = (value) => String(value ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+
+/**
+ * Splits text into folded words: "AC/DC – Back in Black" -> ["ac", "dc", "back", "in", "black"].
+ * @returns {string[]}
+ */
+const tokenize = (value) => foldText(value).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+
+/**
+ * Trigrams of a word padded with spaces, so the first gram marks the start of the word:
+ * "beat" -> [" be", "bea", "eat", "at "]. With `prefixOnly` the closing gram is left out,
+ * which lets a partly typed word match longer words.
+ * @returns {string[]}
+ */
+const wordGrams = (word, prefixOnly = false) => {
+    const padded = prefixOnly ? ` ${word}` : ` ${word} `;
+    const grams = [];
+    for (let i = 0; i + 3 <= padded.length; i += 1) {
+        grams.push(padded.slice(i, i + 3));
+    }
+    return grams;
+};
+
+const fieldValues = (track, field) => {
+    const value = track[field];
+    if (Array.isArray(value)) return value;
+    return value == null ? [] : [value];
+};
+
+/**
+ * Builds the stored search data of a track from its searchable fields.
+ * @param {object} track - Track document or plain object
+ * @returns {{searchTokens: string[], searchGrams: string[]}}
+ */
+const buildSearchIndex = (track) => {
+    const tokens = new Set();
+    for (const field of Object.keys(SEARCH_FIELDS)) {
+        for (const value of fieldValues(track, field)) {
+            tokenize(value).forEach(token => tokens.add(token));
+        }
+    }
+
+    const grams = new Set();
+    tokens.forEach(token => wordGrams(token).forEach(gram => grams.add(gram)));
+
+    return { searchTokens: [...tokens], searchGrams: [...grams] };
+};
+
+/**
+ * Parses a search box query. Free words are matched against every field;
+ * qualifiers narrow the search:
+ *   artist:, album:, genre:, title:  words that must match that field (quote for several words)
+ *   source:youtube                   local / youtube / external / radio
+ *   year:1990..1999                  a year, or a range open on either side (year:2000.., year:..1985)
+ *
+ * @param {string} query
+ * @returns {{terms: string[], fieldTerms: object, sourceType: string|null, year: {min?: number, max?: number}|null, error: string|null}}
+ */
+const parseSearchQuery = (query) => {
+    const parsed = { terms: [], fieldTerms: {}, sourceType: null, year: null, error: null };
+    const pattern = /(\w+):(?:"([^"]*)"|(\S+))|"([^"]*)"|(\S+)/g;
+
+    for (const match of String(query || '').matchAll(pattern)) {
+        const [, rawKey, quotedValue, plainValue, quotedText] = match;
+        const key = rawKey && rawKey.toLowerCase();
+        const value = quotedValue ?? plainValue;
+
+        if (key && FIELD_QUALIFIERS[key]) {
+            const words = tokenize(value);
+            if (words.length > 0) parsed.fieldTerms[key] = [...(parsed.fieldTerms[key] || []), ...words];
+        } else if (key === 'source') {
+            parsed.sourceType = SOURCE_ALIASES[foldText(value)] || null;
+            if (!parsed.sourceType) {
+                parsed.error = `Unknown source "${value}". Use local, youtube, external or radio.`;
+            }
+        } else if (key === 'year') {
+            const range = /^(\d{4})?(?:\.\.(\d{4})?)?$/.exec(value);
+            if (!range || (!range[1] && !range[2])) {
+                parsed.error = `Invalid year "${value}". Use year:1999 or year:1990..1999.`;
+                continue;
+            }
+            const isRange = value.includes('..');
+            parsed.year = {};
+            if (range[1]) parsed.year.min = Number(range[1]);
+            if (range[2] || !isRange) parsed.year.max = Number(range[2] || range[1]);
+        } else {
+            // Unknown qualifiers ("feat:x") are searched as plain text
+            parsed.terms.push(...tokenize(quotedText ?? match[0]));
+        }
+    }
+
+    return parsed;
+};
+
+// Edit distance with adjacent swaps ("teh" -> "the" is 1), giving up above `max`
+const editDistance = (a, b, max) => {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    let previousRow = null;
+    let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i += 1) {
+        const nextRow = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j += 1) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+            if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                value = Math.min(value, previousRow[j - 2] + 1);
+            }
+            nextRow.push(value);
+            rowMin = Math.min(rowMin, value);
+        }
+        if (rowMin > max) return max + 1;
+        previousRow = row;
+        row = nextRow;
+    }
+
+    return row[b.length];
+};
+
+// Typos allowed in a query word: none for short words, one from 4 letters, two from 8
+const allowedTypos = (term) => (term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0);
+
+/**
+ * How well a query word matches a stored word: exact, prefix (as typed so far)
+ * or within a few typos of the word or of its beginning. 0 when it does not match.
+ * @returns {number}
+ */
+const matchWord = (term, word) => {
+    if (word === term) return EXACT_MATCH;
+    if (word.startsWith(term)) return PREFIX_MATCH;
+
+    const maxTypos = allowedTypos(term);
+    if (maxTypos === 0) return 0;
+    const distance = Math.min(
+        editDistance(term, word, maxTypos),
+        editDistance(term, word.slice(0, term.length), maxTypos),
+    );
+    return distance <= maxTypos ? FUZZY_MATCH - (distance - 1) * 0.1 : 0;
+};
+
+// Best weighted match of a query word in the given fields
+const scoreTerm = (term, tokensByField, fields) => {
+    let best = 0;
+    for (const field of fields) {
+        for (const word of tokensByField[field]) {
+            best = Math.max(best, matchWord(term, word) * SEARCH_FIELDS[field]);
+        }
+    }
+    return best;
+};
+
+/**
+ * Relevance of a track for a parsed query. Every word has to match somewhere
+ * (qualifier words in their fields); exact and title matches rank highest.
+ * @param {object} track - Lean track with the searchable fields
+ * @param {object} parsed - Result of parseSearchQuery
+ * @returns {number} 0 when the track does not match
+ */
+const scoreTrack = (track, parsed) => {
+    const tokensByField = {};
+    for (const field of Object.keys(SEARCH_FIELDS)) {
+        tokensByField[field] = fieldValues(track, field).flatMap(tokenize);
+    }
+
+    let score = 0;
+    for (const term of parsed.terms) {
+        const termScore = scoreTerm(term, tokensByField, Object.keys(SEARCH_FIELDS));
+        if (termScore === 0) return 0;
+        score += termScore;
+    }
+    for (const [qualifier, terms] of Object.entries(parsed.fieldTerms)) {
+        for (const term of terms) {
+            const termScore = scoreTerm(term, tokensByField, FIELD_QUALIFIERS[qualifier]);
+            if (termScore === 0) return 0;
+            score += termScore;
+        }
+    }
+
+    // Typing the whole title (or its start) puts the track first
+    const phrase = parsed.terms.join(' ');
+    const title = tokensByField.title.join(' ');
+    if (phrase && title === phrase) score += 3;
+    else if (phrase && title.startsWith(phrase)) score += 1;
+
+    return score;
+};
+
+/**
+ * Splits a field value into fragments for the Search page, marking the parts
+ * that matched a query word (only the typed part of a prefix match).
+ * @returns {Array<{text: string, match: boolean}>|null} null when nothing matched
+ */
+const highlightText = (text, terms) => {
+    if (!text || terms.length === 0) return null;
+
+    const fragments = [];
+    let position = 0;
+    let matched = false;
+    const push = (fragment, match) => {
+        if (!fragment) return;
+        const last = fragments[fragments.length - 1];
+        if (last && last.match === match) last.text += fragment;
+        else fragments.push({ text: fragment, match });
+    };
+
+    for (const found of text.matchAll(/[\p{L}\p{N}\p{M}]+/gu)) {
+        const rawWord = found[0];
+        const word = foldText(rawWord);
+        let bestTerm = null;
+        let bestQuality = 0;
+        for (const term of terms) {
+            const quality = matchWord(term, word);
+            if (quality > bestQuality) {
+                bestQuality = quality;
+                bestTerm = term;
+            }
+        }
+
+        push(text.slice(position, found.index), false);
+        if (!bestTerm) {
+            push(rawWord, false);
+        } else {
+            matched = true;
+            // A prefix match marks as many characters as were typed
+            let length = rawWord.length;
+            if (bestQuality === PREFIX_MATCH) {
+                length = 1;
+                while (length < rawWord.length && foldText(rawWord.slice(0, length)).length < bestTerm.length) {
+                    length += 1;
+                }
+            }
+            push(rawWord.slice(0, length), true);
+            push(rawWord.slice(length), false);
+        }
+        position = found.index + rawWord.length;
+    }
+    push(text.slice(position), false);
+
+    return matched ? fragments : null;
+};
+
+/**
+ * Highlighted fragments of a track's title, artist and album for a parsed query.
+ * @returns {object} e.g. { title: [{ text: 'Bohemian ', match: false }, { text: 'Rhap', match: true }, ...] }
+ */
+const highlightTrack = (track, parsed) => {
+    const highlights = {};
+    for (const field of HIGHLIGHT_FIELDS) {
+        const qualifierTerms = Object.entries(parsed.fieldTerms)
+            .filter(([qualifier]) => FIELD_QUALIFIERS[qualifier].includes(field))
+            .flatMap(([, terms]) => terms);
+        const fragments = highlightText(track[field], [...parsed.terms, ...qualifierTerms]);
+        if (fragments) highlights[field] = fragments;
+    }
+    return highlights;
+};
+
+/**
+ * Trigrams to look up candidate tracks for a parsed query. Words of one
+ * letter have none; they are matched by `shortPrefixes` instead.
+ * @returns {{grams: string[], shortPrefixes: string[]}}
+ */
+const queryGrams = (parsed) => {
+    const words = [...parsed.terms, ...Object.values(parsed.fieldTerms).flat()];
+    const grams = new Set();
+    const shortPrefixes = [];
+    for (const word of words) {
+        if (word.length < 2) shortPrefixes.push(word);
+        else wordGrams(word, true).forEach(gram => grams.add(gram));
+    }
+    return { grams: [...grams], shortPrefixes };
+};
+
+module.exports = {
+    SEARCH_FIELDS,
+    foldText,
+    tokenize,
+    buildSearchIndex,
+    parseSearchQuery,
+    scoreTrack,
+    highlightTrack,
+    queryGrams,
+};
@@ -0,0 +1,82 @@
+const Media = require('../models/Media');
+const Track = require('../models/Track');
+
+// Loudness measured for a link applies to every library that has it
+const SHARED_LOUDNESS_FIELDS = ['loudness', 'trackGain', 'trackPeak', 'loudnessSource'];
+// So does the result of the last link check (see utils/linkHealth.js)
+const SHARED_LINK_HEALTH_FIELDS = ['linkStatus', 'linkCheckedAt', 'linkError', 'linkFailures'];
+
+// Uploaded covers are deleted with their track (see getTrackAssets in utils/trackCleanup.js), so only
+// linked images are shared. Stored covers can be https URLs too (Cloudinary), so the scheme is not enough.
+const isLinkedCover = (track) => Boolean(
+    !track.coverStorageKey
+    && /^https?:\/\//.test(track.cover_photo || '')
+    && !/^https?:\/\/res\.cloudinary\.com\//i.test(track.cover_photo)
+);
+
+/**
+ * Finds the shared record of a canonical link (see utils/sourceUrls.js), or
+ * creates it from the track being added. The first title, artist and cover
+ * stay on the record; later users' tracks only fall back to them.
+ * @param {{sourceUrl: string, videoId: string|null, mediaKey: string}} source - From canonicalizeSource
+ * @param {{sourceType: string, title?: string, artist?: string, cover_photo?: string, coverStorageKey?: string}} track
+ * @returns {Promise<object>} The Media document
+ */
+const findOrCreateMedia = async (source, track) => {
+    const defaults = {
+        sourceType: track.sourceType,
+        sourceUrl: source.sourceUrl,
+        videoId: source.videoId,
+        title: track.title || null,
+        artist: track.artist || null,
+        cover_photo: isLinkedCover(track) ? track.cover_photo : null,
+    };
+
+    try {
+        return await Media.findOneAndUpdate(
+            { key: source.mediaKey },
+            { $setOnInsert: defaults },
+            { upsert: true, new: true }
+        );
+    } catch (err) {
+        // Two users added the same new link at once: the other insert won
+        if (err.code !== 11000) throw err;
+        return Media.findOne({ key: source.mediaKey });
+    }
+};
+
+/**
+ * Fields a new track takes over from its shared record: the loudness, once a
+ * worker has measured it (the track then needs no analysis of its own), and
+ * the last link check.
+ * @returns {object}
+ */
+const sharedTrackFields = (media) => {
+    if (!media) return {};
+    const fields = [
+        ...(media.loudnessSource ? SHARED_LOUDNESS_FIELDS : []),
+        ...(media.linkCheckedAt ? SHARED_LINK_HEALTH_FIELDS : []),
+    ];
+    return Object.fromEntries(fields.map(field => [field, media[field]]));
+};
+
+/**
+ * Stores a link's measured loudness on its shared record.
+ */
+const saveMediaLoudness = async (mediaId, measured) => {
+    if (!mediaId) return;
+    const update = Object.fromEntries(SHARED_LOUDNESS_FIELDS.map(field => [field, measured[field] ?? null]));
+    await Media.updateOne({ _id: mediaId }, { $set: update });
+};
+
+/**
+ * Removes a shared record once no track uses it anymore.
+ */
+const pruneMedia = async (mediaId) => {
+    if (!mediaId) return;
+    // Trashed tracks still hold their link until they are purged
+    const inUse = await Track.exists({ media: mediaId }).setOptions({ withDeleted: true });
+    if (!inUse) await Media.deleteOne({ _id: mediaId });
+};
+
+module.exports = { findOrCreateMedia, sharedTrackFields, saveMediaLoudness, pruneMedia };
@@ -0,0 +1,268 @@
+// Smart playlists: playlists defined by rules over the owner's tracks instead of a
+// fixed track list, e.g. "rating >= 4 AND genre is jazz AND not played in 30 days".
+// The rules are evaluated whenever the playlist is read. Like the filters in
+// utils/trackFilters.js, each rule compiles to a MongoDB condition (to find the
+// tracks) and the same test in JavaScript (to tell which rules each track matched).
+
+const mongoose = require('mongoose');
+const Track = require('../models/Track');
+const { SOURCE_TYPES, parseSort } = require('./trackFilters');
+const { normalizeTag } = require('./tags');
+const { MIN_RATING, MAX_RATING } = require('./trackMetadata');
+
+const DEFAULT_SMART_LIMIT = 100;
+const MAX_SMART_LIMIT = 500;
+const MAX_SMART_RULES = 20;
+const MAX_TEXT_LENGTH = 200;
+const MAX_DAYS = 36500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Operators each kind of field accepts
+const OPERATORS = {
+    number: ['gte', 'lte', 'eq'],
+    text: ['is', 'is_not', 'contains'],
+    list: ['is', 'is_not'],
+    choice: ['is', 'is_not'],
+    boolean: ['is'],
+    recency: ['in_last', 'not_in_last'], // value in days
+};
+
+// Fields a rule can test, with the Track path they read
+const RULE_FIELDS = {
+    rating: { kind: 'number', path: 'rating', label: 'rating', integer: true, min: MIN_RATING, max: MAX_RATING },
+    year: { kind: 'number', path: 'year', label: 'year', integer: true },
+    duration: { kind: 'number', path: 'duration', label: 'duration (s)' },
+    play_count: { kind: 'number', path: 'play_count', label: 'play count', integer: true },
+    skip_count: { kind: 'number', path: 'skip_count', label: 'skip count', integer: true },
+    title: { kind: 'text', path: 'title', label: 'title' },
+    artist: { kind: 'text', path: 'artist', label: 'artist' },
+    album: { kind: 'text', path: 'album', label: 'album' },
+    genre: { kind: 'list', path: 'genres', label: 'genre' },
+    tag: { kind: 'list', path: 'tags', label: 'tag', normalize: normalizeTag },
+    source: { kind: 'choice', path: 'sourceType', label: 'source', choices: SOURCE_TYPES },
+    liked: { kind: 'boolean', path: 'likedAt', label: 'liked' },
+    last_played: { kind: 'recency', path: 'recently_listened', label: 'played' },
+    added: { kind: 'recency', path: 'createdAt', label: 'added' },
+};
+
+// Every path the rules can read, selected alongside the playlist fields
+const RULE_PATHS = [...new Set(Object.values(RULE_FIELDS).map(({ path }) => path))].join(' ');
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Reads a rule's value for its field; returns { value } or { error }
+const parseRuleValue = (definition, operator, raw) => {
+    switch (definition.kind) {
+        case 'number':
+        case 'recency': {
+            const value = Number(raw);
+            const min = definition.kind === 'recency' ? 1 : definition.min ?? 0;
+            const max = definition.kind === 'recency' ? MAX_DAYS : definition.max ?? Infinity;
+            const integer = definition.kind === 'recency' || definition.integer;
+            if (raw === null || raw === '' || !Number.isFinite(value) || value < min || value > max
+                || (integer && !Number.isInteger(value))) {
+                return { error: `${definition.label} needs a ${integer ? 'whole ' : ''}number${max !== Infinity ? ` from ${min} to ${max}` : ''}.` };
+            }
+            return { value };
+        }
+        case 'text':
+        case 'list': {
+            const text = definition.normalize ? definition.normalize(raw) : String(raw ?? '').trim();
+            if (!text || text.length > MAX_TEXT_LENGTH) {
+                return { error: `${definition.label} needs a value of at most ${MAX_TEXT_LENGTH} characters.` };
+            }
+            return { value: text };
+        }
+        case 'choice':
+            return definition.choices.includes(raw)
+                ? { value: raw }
+                : { error: `${definition.label} must be one of: ${definition.choices.join(', ')}.` };
+        case 'boolean':
+            if (raw === true || raw === 'true') return { value: true };
+            if (raw === false || raw === 'false') return { value: false };
+            return { error: `${definition.label} must be true or false.` };
+        default:
+            return { error: `Unsupported field ${definition.label}.` };
+    }
+};
+
+/**
+ * Validates the rules of a smart playlist (POST/PUT /api/playlists).
+ *   { match: 'all'|'any', rules: [{ field, operator, value }], limit, sort, order }
+ * `sort` is a field of SORT_FIELDS in utils/trackFilters.js.
+ * @returns {{smartRules: object|null, error: string|null}} The rules in stored form
+ */
+const parseSmartRules = (input) => {
+    if (!input || typeof input !== 'object') {
+        return { smartRules: null, error: 'smartRules must be an object.' };
+    }
+
+    const match = input.match === undefined ? 'all' : input.match;
+    if (match !== 'all' && match !== 'any') {
+        return { smartRules: null, error: 'match must be "all" or "any".' };
+    }
+
+    if (!Array.isArray(input.rules) || input.rules.length === 0 || input.rules.length > MAX_SMART_RULES) {
+        return { smartRules: null, error: `A smart playlist needs between 1 and ${MAX_SMART_RULES} rules.` };
+    }
+
+    const rules = [];
+    for (const rule of input.rules) {
+        const definition = RULE_FIELDS[rule?.field];
+        if (!definition) {
+            return { smartRules: null, error: `Unknown rule field "${rule?.field}". Use one of: ${Object.keys(RULE_FIELDS).join(', ')}.` };
+        }
+        if (!OPERATORS[definition.kind].includes(rule.operator)) {
+            return { smartRules: null, error: `${definition.label} takes the operators: ${OPERATORS[definition.kind].join(', ')}.` };
+        }
+        const { value, error } = parseRuleValue(definition, rule.operator, rule.value);
+        if (error) {
+            return { smartRules: null, error };
+        }
+        rules.push({ field: rule.field, operator: rule.operator, value });
+    }
+
+    const limit = input.limit === undefined || input.limit === null || input.limit === ''
+        ? DEFAULT_SMART_LIMIT
+        : Number(input.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SMART_LIMIT) {
+        return { smartRules: null, error: `limit must be a whole number from 1 to ${MAX_SMART_LIMIT}.` };
+    }
+
+    const sortField = input.sort || 'createdAt';
+    const { sort, error: sortError } = parseSort({ sort: sortField, order: input.order });
+    if (sortError) {
+        return { smartRules: null, error: sortError };
+    }
+    const order = Object.values(sort)[0] === 1 ? 'asc' : 'desc';
+
+    return { smartRules: { match, rules, limit, sort: sortField, order }, error: null };
+};
+
+/**
+ * A rule as the MongoDB condition and the JavaScript test it stands for.
+ * @param {object} rule - { field, operator, value } from parseSmartRules
+ * @param {Date} now - Reference time of "in the last N days"
+ * @returns {{mongo: object, test: function}}
+ */
+const compileRule = ({ field, operator, value }, now) => {
+    const { kind, path } = RULE_FIELDS[field];
+
+    switch (kind) {
+        case 'number': {
+            const mongoOperator = { gte: '$gte', lte: '$lte', eq: '$eq' }[operator];
+            const compare = {
+                gte: (x) => x >= value,
+                lte: (x) => x <= value,
+                eq: (x) => x === value,
+            }[operator];
+            return {
+                mongo: { [path]: { [mongoOperator]: value } },
+                test: (track) => typeof track[path] === 'number' && compare(track[path]),
+            };
+        }
+        case 'text':
+        case 'list': {
+            const pattern = operator === 'contains'
+                ? new RegExp(escapeRegex(value), 'i')
+                : new RegExp(`^${escapeRegex(value)}$`, 'i');
+            const matches = kind === 'list'
+                ? (track) => (track[path] || []).some(item => pattern.test(item))
+                : (track) => track[path] != null && pattern.test(track[path]);
+            return operator === 'is_not'
+                ? { mongo: { [path]: { $not: pattern } }, test: (track) => !matches(track) }
+                : { mongo: { [path]: pattern }, test: matches };
+        }
+        case 'choice':
+            return operator === 'is_not'
+                ? { mongo: { [path]: { $ne: value } }, test: (track) => track[path] !== value }
+                : { mongo: { [path]: value }, test: (track) => track[path] === value };
+        case 'boolean':
+            return {
+                mongo: value ? { [path]: { $type: 'date' } } : { [path]: null },
+                test: (track) => (track[path] instanceof Date) === value,
+            };
+        case 'recency': {
+            const cutoff = new Date(now.getTime() - value * DAY_MS);
+            const recent = (track) => track[path] instanceof Date && track[path] >= cutoff;
+            return operator === 'in_last'
+                ? { mongo: { [path]: { $gte: cutoff } }, test: recent }
+                : { mongo: { $or: [{ [path]: null }, { [path]: { $lt: cutoff } }] }, test: (track) => !recent(track) };
+        }
+        default:
+            throw new Error(`Unsupported rule field "${field}".`);
+    }
+};
+
+const SOURCE_LABELS = { local: 'upload', youtube: 'YouTube', external_url: 'link', stream: 'radio stream' };
+
+/**
+ * A rule in words, e.g. "rating ≥ 4", "genre is jazz", "not played in 30 days".
+ * @returns {string}
+ */
+const describeRule = ({ field, operator, value }) => {
+    const { kind, label } = RULE_FIELDS[field];
+    switch (kind) {
+        case 'number':
+            return `${label} ${{ gte: '≥', lte: '≤', eq: '=' }[operator]} ${value}`;
+        case 'text':
+            return `${label} ${{ is: 'is', is_not: 'is not', contains: 'contains' }[operator]} "${value}"`;
+        case 'list':
+            return `${label} ${operator === 'is_not' ? 'is not' : 'is'} ${value}`;
+        case 'choice':
+            return `${label} ${operator === 'is_not' ? 'is not' : 'is'} ${SOURCE_LABELS[value] || value}`;
+        case 'boolean':
+            return value ? label : `not ${label}`;
+        case 'recency': {
+            const days = `${value} day${value === 1 ? '' : 's'}`;
+            if (field === 'added') {
+                return operator === 'in_last' ? `added in the last ${days}` : `added over ${days} ago`;
+            }
+            return operator === 'in_last' ? `played in the last ${days}` : `not played in ${days}`;
+        }
+        default:
+            return field;
+    }
+};
+
+/**
+ * Finds the tracks of a smart playlist, in its order and up to its limit.
+ * Each track gets `matchedRules`: the indexes of the rules it matched (all of them
+ * with match 'all', at least one with match 'any').
+ * @param {string} userId
+ * @param {object} smartRules - Stored rules (see parseSmartRules)
+ * @param {string} select - Track fields to return
+ * @returns {Promise<Array<object>>}
+ */
+const evaluateSmartRules = async (userId, smartRules, select) => {
+    const now = new Date();
+    const compiled = smartRules.rules.map(rule => compileRule(rule, now));
+    const { sort } = parseSort({ sort: smartRules.sort, order: smartRules.order });
+    const order = Object.values(sort)[0];
+
+    const tracks = await Track.find({
+        user: new mongoose.Types.ObjectId(userId),
+        [smartRules.match === 'any' ? '$or' : '$and']: compiled.map(({ mongo }) => mongo),
+    })
+        .select(`${select} ${RULE_PATHS}`)
+        .sort({ ...sort, _id: order })
+        .limit(smartRules.limit)
+        .lean();
+
+    return tracks.map(track => ({
+        ...track,
+        matchedRules: compiled.flatMap(({ test }, index) => (test(track) ? [index] : [])),
+    }));
+};
+
+module.exports = {
+    DEFAULT_SMART_LIMIT,
+    MAX_SMART_LIMIT,
+    MAX_SMART_RULES,
+    OPERATORS,
+    RULE_FIELDS,
+    parseSmartRules,
+    compileRule,
+    describeRule,
+    evaluateSmartRules,
+};
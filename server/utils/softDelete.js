@@ -0,0 +1,59 @@
+// ==========================================================
+//                SOFT DELETE (the Trash)
+// ==========================================================
+//
+// Trashed tracks and playlists keep their document with a `deletedAt` date until
+// jobs/trashPurge.js deletes them for good. Reads leave them out: find, findOne
+// (and findById, exists), findOneAndUpdate, countDocuments, distinct and aggregate
+// only see documents with `deletedAt: null`, so every listing hides the Trash
+// without knowing about it. Populate uses find too, so a playlist keeps the IDs of
+// its trashed tracks (in place) but never shows them.
+//
+// A query sees trashed documents when its filter names `deletedAt` (as the Trash
+// routes and the purge job do) or when it runs with the `withDeleted` option:
+//   Track.exists({ media }).setOptions({ withDeleted: true })
+//   Track.aggregate(pipeline).option({ withDeleted: true })
+//
+// Updates and deletes are not filtered, so cascades and bulk edits (tag renames,
+// artist merges, link health) still reach trashed documents.
+
+const getTrashConfig = require('../config/trash');
+
+const FILTERED_QUERIES = ['find', 'findOne', 'findOneAndUpdate', 'countDocuments', 'distinct'];
+
+/**
+ * Mongoose plugin: adds `deletedAt` and hides trashed documents from reads.
+ * @param {mongoose.Schema} schema
+ */
+const softDeletePlugin = (schema) => {
+    schema.add({
+        deletedAt: { // Set while the document is in the Trash
+            type: Date,
+            default: null,
+        },
+    });
+
+    schema.pre(FILTERED_QUERIES, function () {
+        const { withDeleted } = this.getOptions();
+        // Not a driver option
+        delete this.options.withDeleted;
+        if (withDeleted || 'deletedAt' in this.getFilter()) return;
+        this.where({ deletedAt: null });
+    });
+
+    schema.pre('aggregate', function () {
+        const { withDeleted } = this.options;
+        delete this.options.withDeleted;
+        if (withDeleted) return;
+        this.pipeline().unshift({ $match: { deletedAt: null } });
+    });
+};
+
+/**
+ * When the purge job deletes a document trashed at `deletedAt` (after TRASH_RETENTION_DAYS).
+ * @param {Date} deletedAt
+ * @returns {Date}
+ */
+const purgeDate = (deletedAt) => new Date(deletedAt.getTime() + getTrashConfig().retentionDays * 24 * 60 * 60 * 1000);
+
+module.exports = { softDeletePlugin, purgeDate };
@@ -0,0 +1,93 @@
+// Canonical links: the same video or file gets the same sourceUrl and media key
+// however it was pasted (youtu.be/ID, watch?v=ID&list=..., music.youtube.com, ...)
+
+const YOUTUBE_ID_REGEX = /^[\w-]{11}$/;
+const YOUTUBE_HOST_REGEX = /(^|\.)(youtube\.com|youtube-nocookie\.com)$/i;
+// Paths that carry the video ID: /embed/ID, /v/ID, /shorts/ID, /live/ID
+const YOUTUBE_PATH_REGEX = /^\/(?:embed|v|shorts|live)\/([\w-]{11})(?:\/|$)/;
+
+// Query parameters that only track where a link was shared from
+const TRACKING_PARAM_REGEX = /^(?:utm_\w+|fbclid|gclid|dclid|msclkid|mc_cid|mc_eid|igshid|si)$/i;
+
+const DEFAULT_PORTS = { 'http:': '80', 'https:': '443' };
+
+const parseUrl = (url) => {
+    const text = String(url || '').trim();
+    try {
+        // Pasted links often lack the scheme ("youtu.be/ID", "www.youtube.com/...")
+        return new URL(/^[a-z][a-z\d+.-]*:\/\//i.test(text) ? text : `https://${text}`);
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Reads the video ID of a YouTube link: youtu.be/ID, watch?v=ID (any other
+ * parameters), /embed/, /v/, /shorts/ and /live/ links, on www., m. and
+ * music.youtube.com and youtube-nocookie.com.
+ * @param {string} url
+ * @returns {string|null}
+ */
+const getYouTubeId = (url) => {
+    const parsed = parseUrl(url);
+    if (!parsed) return null;
+
+    let id = null;
+    if (/^(www\.)?youtu\.be$/i.test(parsed.hostname)) {
+        id = parsed.pathname.split('/')[1];
+    } else if (YOUTUBE_HOST_REGEX.test(parsed.hostname)) {
+        const pathMatch = parsed.pathname.match(YOUTUBE_PATH_REGEX);
+        id = pathMatch ? pathMatch[1] : parsed.searchParams.get('v');
+    }
+    return id && YOUTUBE_ID_REGEX.test(id) ? id : null;
+};
+
+/**
+ * Normalizes an http(s) link: lower-case host, no default port, no #fragment
+ * (cue points are read from it first, see utils/cuePoints.js) and no tracking
+ * parameters. The path and the other parameters are kept as they are, since
+ * they may be part of a signed or case-sensitive address.
+ * @param {string} url
+ * @returns {string|null} null when the link is not http(s)
+ */
+const normalizeExternalUrl = (url) => {
+    const text = String(url || '').trim();
+    if (!/^https?:\/\//i.test(text)) return null;
+
+    const parsed = parseUrl(text);
+    if (!parsed || !parsed.hostname) return null;
+
+    parsed.hash = '';
+    if (parsed.port === DEFAULT_PORTS[parsed.protocol]) parsed.port = '';
+    for (const name of [...parsed.searchParams.keys()]) {
+        if (TRACKING_PARAM_REGEX.test(name)) parsed.searchParams.delete(name);
+    }
+    // URL keeps a bare "?" once every parameter is gone
+    return parsed.toString().replace(/\?$/, '');
+};
+
+/**
+ * Canonical form of a YouTube, external or live stream link.
+ *   youtube      -> https://www.youtube.com/watch?v=ID, media key "youtube:ID"
+ *   external_url -> the normalized URL, media key "url:<normalized URL>"
+ *   stream       -> the normalized URL, media key "stream:<normalized URL>"
+ * The media key identifies the shared Media record (models/Media.js).
+ * @param {string} sourceType - 'youtube', 'external_url' or 'stream'
+ * @param {string} url
+ * @returns {{sourceUrl: string, videoId: string|null, mediaKey: string} | null} null when the link is invalid
+ */
+const canonicalizeSource = (sourceType, url) => {
+    if (sourceType === 'youtube') {
+        const videoId = getYouTubeId(url);
+        if (!videoId) return null;
+        return { sourceUrl: `https://www.youtube.com/watch?v=${videoId}`, videoId, mediaKey: `youtube:${videoId}` };
+    }
+    if (sourceType === 'external_url' || sourceType === 'stream') {
+        const sourceUrl = normalizeExternalUrl(url);
+        if (!sourceUrl) return null;
+        return { sourceUrl, videoId: null, mediaKey: `${sourceType === 'stream' ? 'stream' : 'url'}:${sourceUrl}` };
+    }
+    return null;
+};
+
+module.exports = { getYouTubeId, normalizeExternalUrl, canonicalizeSource };
@@ -0,0 +1,142 @@
+const { fetchPublic } = require('./networkGuard');
+
+// Radio station files (.pls and .m3u) list one or more stream URLs with a name
+
+// Most stations one import may add
+const MAX_STATIONS = 50;
+// Station files are a few lines; anything bigger is not one
+const MAX_STATION_FILE_BYTES = 256 * 1024;
+
+const STATION_FILE_EXTENSIONS = ['.pls', '.m3u'];
+
+// Stations have no artist; this one is used when none is given
+const DEFAULT_STATION_ARTIST = 'Internet Radio';
+
+const FETCH_TIMEOUT_MS = 10000;
+
+// Responses that are the audio itself rather than a station file (playlist types are excluded)
+const STREAM_CONTENT_TYPE_REGEX = /^(?:audio\/(?!(?:x-)?mpegurl|x-scpls)|video\/|application\/ogg)/i;
+// Shoutcast prefixes .pls titles with the entry position: "(#1 - 1/3) Station"
+const PLS_POSITION_PREFIX_REGEX = /^\(#\d+ - \d+\/\d+\)\s*/;
+
+// Tags only found in HLS playlists (.m3u8), which are streams themselves
+const HLS_TAG_REGEX = /^#EXT-X-(?:TARGETDURATION|STREAM-INF|MEDIA-SEQUENCE|VERSION)/m;
+
+const isStreamUrl = (value) => /^https?:\/\/\S+$/i.test(value);
+
+/**
+ * Reads a .pls file: [playlist] with File1=..., Title1=... entries.
+ */
+const parsePls = (text) => {
+    const files = new Map();
+    for (const line of text.split(/\r?\n/)) {
+        const match = /^\s*(File|Title)(\d+)\s*=\s*(.*?)\s*$/i.exec(line);
+        if (!match) continue;
+        const entry = files.get(match[2]) || {};
+        entry[match[1].toLowerCase() === 'file' ? 'url' : 'title'] = match[3].replace(PLS_POSITION_PREFIX_REGEX, '');
+        files.set(match[2], entry);
+    }
+    return [...files.entries()]
+        .sort(([a], [b]) => Number(a) - Number(b))
+        .map(([, entry]) => ({ url: entry.url, title: entry.title || null }));
+};
+
+/**
+ * Reads an .m3u file: one URL per line, optionally after "#EXTINF:-1,Station name".
+ */
+const parseM3u = (text) => {
+    const entries = [];
+    let title = null;
+    for (const rawLine of text.split(/\r?\n/)) {
+        const line = rawLine.trim();
+        if (line.startsWith('#EXTINF:')) {
+            title = line.slice(line.indexOf(',') + 1).trim() || null;
+        } else if (line && !line.startsWith('#')) {
+            entries.push({ url: line, title });
+            title = null;
+        }
+    }
+    return entries;
+};
+
+/**
+ * Lists the stations of a .pls or .m3u file (detected from the content).
+ * Entries that are not http(s) URLs are dropped, as are repeated URLs.
+ * @param {string} text
+ * @returns {{stations: Array<{url: string, title: string|null}>, isHls: boolean}}
+ *   isHls: the text is an HLS playlist, i.e. the URL it came from is the stream itself
+ */
+const parseStationFile = (text) => {
+    const content = String(text || '').replace(/^\uFEFF/, '');
+    if (HLS_TAG_REGEX.test(content)) return { stations: [], isHls: true };
+
+    const entries = /^\s*\[playlist\]/im.test(content) ? parsePls(content) : parseM3u(content);
+    const seen = new Set();
+    const stations = entries.filter(({ url }) => {
+        if (!url || !isStreamUrl(url) || seen.has(url)) return false;
+        seen.add(url);
+        return true;
+    });
+    return { stations: stations.slice(0, MAX_STATIONS), isHls: false };
+};
+
+/**
+ * Whether a link points at a station file (.pls or .m3u, not an HLS .m3u8).
+ */
+const isStationFileUrl = (url) => {
+    try {
+        const pathname = new URL(url).pathname.toLowerCase();
+        return STATION_FILE_EXTENSIONS.some(extension => pathname.endsWith(extension));
+    } catch {
+        return false;
+    }
+};
+
+/**
+ * Downloads a station file and lists its stations. A link that turns out to be
+ * a stream (audio, or an HLS playlist) is returned as the only station.
+ * Hosts on a private network are refused (see utils/networkGuard.js).
+ * @param {string} url
+ * @returns {Promise<Array<{url: string, title: string|null}>>}
+ */
+const fetchStationList = async (url) => {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+
+    try {
+        const response = await fetchPublic(url, { signal: controller.signal });
+        if (!response.ok) {
+            throw new Error(`The station file could not be downloaded (status ${response.status}).`);
+        }
+        if (STREAM_CONTENT_TYPE_REGEX.test(response.headers.get('content-type') || '')) {
+            return [{ url, title: null }];
+        }
+
+        const chunks = [];
+        let size = 0;
+        for await (const chunk of response.body) {
+            size += chunk.length;
+            if (size > MAX_STATION_FILE_BYTES) throw new Error('This is not a station file (too large).');
+            chunks.push(chunk);
+        }
+
+        const { stations, isHls } = parseStationFile(Buffer.concat(chunks).toString('utf8'));
+        return isHls ? [{ url, title: null }] : stations;
+    } catch (err) {
+        if (err.name === 'AbortError') throw new Error('The station file did not download in time.');
+        throw err;
+    } finally {
+        clearTimeout(timer);
+        controller.abort(); // Stops a stream that was only needed for its headers
+    }
+};
+
+module.exports = {
+    MAX_STATIONS,
+    MAX_STATION_FILE_BYTES,
+    STATION_FILE_EXTENSIONS,
+    DEFAULT_STATION_ARTIST,
+    parseStationFile,
+    isStationFileUrl,
+    fetchStationList,
+};
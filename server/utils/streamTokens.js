@@ -0,0 +1,36 @@
+const jwt = require('jsonwebtoken');
+
+// Signed stream URLs are short-lived: the <audio> element cannot send a Bearer
+// header, so the token travels in the query string instead.
+const STREAM_TOKEN_TTL_SECONDS = 15 * 60;
+// Login tokens have no audience, so a stream token is never taken for one (see middleware/auth.js)
+const STREAM_TOKEN_AUDIENCE = 'stream';
+
+/**
+ * Creates a token that allows one user to stream one track for a short time.
+ * @returns {{token: string, expiresAt: Date}}
+ */
+const createStreamToken = (trackId, userId) => {
+    const token = jwt.sign(
+        { trackId: String(trackId), id: String(userId), purpose: 'stream' },
+        process.env.JWT_SECRET,
+        { expiresIn: STREAM_TOKEN_TTL_SECONDS, audience: STREAM_TOKEN_AUDIENCE }
+    );
+    const expiresAt = new Date(Date.now() + STREAM_TOKEN_TTL_SECONDS * 1000);
+    return { token, expiresAt };
+};
+
+/**
+ * Verifies a stream token for the given track. Throws if the token is invalid,
+ * expired, or was issued for a different track.
+ * @returns {object} The decoded payload ({ trackId, id, purpose }).
+ */
+const verifyStreamToken = (token, trackId) => {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET, { audience: STREAM_TOKEN_AUDIENCE });
+    if (decoded.purpose !== 'stream' || decoded.trackId !== String(trackId)) {
+        throw new Error('Stream token does not match this track.');
+    }
+    return decoded;
+};
+
+module.exports = { STREAM_TOKEN_TTL_SECONDS, createStreamToken, verifyStreamToken };
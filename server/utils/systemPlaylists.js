@@ -0,0 +1,65 @@
+// Built-in collections that every user has and that are not stored as playlists.
+// Liked Songs is read from Track.likedAt, so liking a track is the only way in and
+// it cannot be renamed or deleted.
+
+const mongoose = require('mongoose');
+const Track = require('../models/Track');
+
+// Used in place of a playlist ID (GET /api/playlists/liked)
+const LIKED_SONGS_ID = 'liked';
+const LIKED_SONGS_NAME = 'Liked Songs';
+
+const likedFilter = (userId) => ({ user: new mongoose.Types.ObjectId(userId), likedAt: { $type: 'date' } });
+
+// Fields shared by the list entry and the full collection
+const baseEntry = (userId) => ({
+    _id: LIKED_SONGS_ID,
+    name: LIKED_SONGS_NAME,
+    description: 'Tracks you liked, most recent first.',
+    user: userId,
+    is_public: false,
+    system: true,
+    type: 'liked',
+});
+
+/**
+ * Liked Songs as an entry of GET /api/playlists/my-playlists: track IDs only.
+ * @param {string} userId
+ */
+const likedSongsSummary = async (userId) => {
+    const tracks = await Track.find(likedFilter(userId))
+        .select('_id likedAt')
+        .sort({ likedAt: -1, _id: -1 })
+        .lean();
+    return {
+        ...baseEntry(userId),
+        tracks: tracks.map(track => track._id),
+        trackCount: tracks.length,
+        updatedAt: tracks[0]?.likedAt ?? null,
+    };
+};
+
+/**
+ * Liked Songs with its tracks, most recently liked first, shaped like a populated playlist.
+ * @param {string} userId
+ * @param {string} select - Track fields to include
+ */
+const likedSongsPlaylist = async (userId, select) => {
+    const tracks = await Track.find(likedFilter(userId))
+        .select(`${select} likedAt`)
+        .sort({ likedAt: -1, _id: -1 })
+        .lean();
+    return {
+        ...baseEntry(userId),
+        tracks,
+        trackCount: tracks.length,
+        updatedAt: tracks[0]?.likedAt ?? null,
+    };
+};
+
+module.exports = {
+    LIKED_SONGS_ID,
+    LIKED_SONGS_NAME,
+    likedSongsSummary,
+    likedSongsPlaylist,
+};
@@ -0,0 +1,49 @@
+// User tags on tracks ("focus", "gym", "demo takes"). Tags are stored
+// normalized, so "Gym " and "gym" are the same tag.
+
+const MAX_TAG_LENGTH = 40;
+const MAX_TAGS_PER_TRACK = 30;
+
+/**
+ * Lowercases a tag and collapses its whitespace: "  Demo   Takes" -> "demo takes".
+ * Commas separate tags in lists, so they are dropped.
+ * @returns {string|null} null when nothing is left
+ */
+const normalizeTag = (value) => {
+    const tag = String(value ?? '')
+        .replace(/,/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .toLowerCase();
+    return tag ? tag.slice(0, MAX_TAG_LENGTH).trim() : null;
+};
+
+/**
+ * Reads a list of tags from a request: an array or a comma-separated string.
+ * @returns {string[]} Normalized, without duplicates
+ */
+const parseTagList = (value) => {
+    if (value === undefined || value === null) return [];
+    const list = Array.isArray(value) ? value : String(value).split(',');
+    return [...new Set(list.map(normalizeTag).filter(Boolean))];
+};
+
+/**
+ * Validates a tag list that replaces or adds to a track's tags.
+ * @returns {{tags: string[], error: string|null}}
+ */
+const validateTagList = (value) => {
+    const tags = parseTagList(value);
+    if (tags.length > MAX_TAGS_PER_TRACK) {
+        return { tags: [], error: `A track can have at most ${MAX_TAGS_PER_TRACK} tags.` };
+    }
+    return { tags, error: null };
+};
+
+module.exports = {
+    MAX_TAG_LENGTH,
+    MAX_TAGS_PER_TRACK,
+    normalizeTag,
+    parseTagList,
+    validateTagList,
+};
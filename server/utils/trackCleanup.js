@@ -0,0 +1,181 @@
+const path = require('path');
+const mongoose = require('mongoose');
+const Track = require('../models/Track');
+const Playlist = require('../models/Playlist');
+const ListeningHistory = require('../models/ListeningHistory');
+const Waveform = require('../models/Waveform');
+const Lyrics = require('../models/Lyrics');
+const TrackRevision = require('../models/TrackRevision');
+const { getStorage } = require('../storage');
+const createLocalDriver = require('../storage/localDriver');
+const { COVER_SIZES } = require('./coverArt');
+const { resolveCredits, pruneCredits } = require('./credits');
+const { pruneMedia } = require('./sharedMedia');
+
+const UPLOAD_DIR = path.join(__dirname, '..', 'uploads');
+const legacyUploads = createLocalDriver({ rootDir: UPLOAD_DIR });
+
+// Legacy Cloudinary URLs look like
+// https://res.cloudinary.com/<cloud>/<resource_type>/upload/v1733480000/user_uploads/abc.mp3
+const CLOUDINARY_URL_REGEX = /^https?:\/\/res\.cloudinary\.com\/[^/]+\/(image|video|raw)\/upload\/(?:v\d+\/)?(.+?)(?:\.[a-z0-9]+)?$/i;
+
+/**
+ * Works out which stored files belong to a track, including tracks created
+ * before storage drivers existed (Cloudinary URLs and files under uploads/).
+ * Drivers are resolved lazily so a misconfigured driver becomes a reported failure.
+ * @returns {Array<{getDriver: () => object, key: string, label: string}>}
+ */
+const getTrackAssets = (track) => {
+    const assets = [];
+
+    const addLegacy = (location, label) => {
+        if (!location || location.startsWith('data:') || location.startsWith('/images/')) return;
+
+        const cloudinaryMatch = location.match(CLOUDINARY_URL_REGEX);
+        if (cloudinaryMatch) {
+            assets.push({ getDriver: () => getStorage('cloudinary'), key: `${cloudinaryMatch[1]}/${cloudinaryMatch[2]}`, label });
+        } else if (!location.startsWith('http')) {
+            const key = path.relative(UPLOAD_DIR, path.resolve(__dirname, '..', location));
+            assets.push({ getDriver: () => legacyUploads, key, label });
+        }
+    };
+
+    if (track.sourceType === 'local' && track.filePath) {
+        if (track.storageDriver) {
+            assets.push({ getDriver: () => getStorage(track.storageDriver), key: track.filePath, label: 'audio' });
+            for (const rendition of track.renditions || []) {
+                assets.push({ getDriver: () => getStorage(track.storageDriver), key: rendition.key, label: 'rendition' });
+            }
+        } else {
+            addLegacy(track.filePath, 'audio');
+        }
+    }
+
+    const coverDriver = track.coverStorageDriver || track.storageDriver;
+    if (coverDriver) {
+        const sizes = track.coverSizes || {};
+        const coverKeys = new Set([track.coverStorageKey, ...Object.keys(COVER_SIZES).map(size => sizes[size] && sizes[size].key)]);
+        coverKeys.delete(null);
+        coverKeys.delete(undefined);
+        for (const key of coverKeys) {
+            assets.push({ getDriver: () => getStorage(coverDriver), key, label: 'cover' });
+        }
+    } else {
+        addLegacy(track.cover_photo, 'cover');
+    }
+
+    return assets;
+};
+
+// Runs the database part in a transaction when MongoDB supports it (replica set / mongos).
+// Standalone servers reject transactions, so the same steps then run one after another.
+const runInTransaction = async (work) => {
+    const session = await mongoose.startSession();
+    try {
+        return await session.withTransaction(() => work(session));
+    } catch (err) {
+        const unsupported = err.code === 20 || /replica set|Transaction numbers/i.test(err.message);
+        if (!unsupported) throw err;
+        return work(null);
+    } finally {
+        await session.endSession();
+    }
+};
+
+/**
+ * Deletes a track everywhere: the document, its place in every playlist, its
+ * listening history, its waveform, lyrics and edit revisions, and its stored audio/cover
+ * files (including covers kept for its revisions). Artists,
+ * albums and shared link records (Media) left without tracks go too.
+ *
+ * Database changes happen first (atomically when possible) so a failure never
+ * leaves a track pointing at deleted files. Stored files are removed afterwards;
+ * any that fail are reported in `failures` instead of aborting the delete.
+ *
+ * @returns {Promise<{playlistsUpdated: number, historyRemoved: number, assetsDeleted: string[], failures: Array<{asset: string, key: string, error: string}>}>}
+ */
+const deleteTrackCascade = async (track) => {
+    const assets = getTrackAssets(track);
+
+    // Covers replaced by edits, kept so the edits could be reverted
+    const revisionCovers = await TrackRevision.distinct('previousCover', {
+        track: track._id,
+        'previousCover.coverStorageKey': { $nin: [null, track.coverStorageKey] },
+    });
+    for (const cover of revisionCovers) {
+        assets.push(...getTrackAssets(cover));
+    }
+
+    const dbResult = await runInTransaction(async (session) => {
+        const playlists = await Playlist.updateMany(
+            { tracks: track._id },
+            { $pull: { tracks: track._id } },
+            { session }
+        );
+        const history = await ListeningHistory.deleteMany({ track: track._id }, { session });
+        await Waveform.deleteOne({ track: track._id }, { session });
+        await Lyrics.deleteOne({ track: track._id }, { session });
+        await TrackRevision.deleteMany({ track: track._id }, { session });
+        await Track.deleteOne({ _id: track._id }, { session });
+
+        return { playlistsUpdated: playlists.modifiedCount, historyRemoved: history.deletedCount };
+    });
+
+    try {
+        await pruneCredits(track.user, { artistIds: track.artistIds || [], albumIds: [track.albumId] });
+    } catch (err) {
+        console.error(`❌ Could not clean up the credits of track ${track._id}:`, err.message);
+    }
+
+    try {
+        await pruneMedia(track.media);
+    } catch (err) {
+        console.error(`❌ Could not clean up the shared media of track ${track._id}:`, err.message);
+    }
+
+    const assetsDeleted = [];
+    const failures = [];
+
+    for (const { getDriver, key, label } of assets) {
+        try {
+            await getDriver().delete(key);
+            if (!assetsDeleted.includes(label)) assetsDeleted.push(label);
+        } catch (err) {
+            console.error(`❌ Failed to delete ${label} (${key}):`, err.message);
+            failures.push({ asset: label, key, error: err.message });
+        }
+    }
+
+    return { ...dbResult, assetsDeleted, failures };
+};
+
+/**
+ * Moves a track to the Trash. It disappears from every listing (see utils/softDelete.js)
+ * but keeps its files, history and place in playlists until it is restored or purged.
+ * Artists and albums left with only trashed tracks are removed; restoreTrack relinks them.
+ * @returns {Promise<Date>} When it was trashed
+ */
+const trashTrack = async (track) => {
+    const deletedAt = new Date();
+    await Track.updateOne({ _id: track._id }, { $set: { deletedAt } });
+
+    try {
+        await pruneCredits(track.user, { artistIds: track.artistIds || [], albumIds: [track.albumId] });
+    } catch (err) {
+        console.error(`❌ Could not clean up the credits of track ${track._id}:`, err.message);
+    }
+    return deletedAt;
+};
+
+/**
+ * Takes a track out of the Trash, linking it to its artists and album again.
+ * @param {object} track - Trashed Track document
+ * @returns {Promise<object>} The saved track
+ */
+const restoreTrack = async (track) => {
+    track.deletedAt = null;
+    track.set(await resolveCredits(track));
+    return track.save();
+};
+
+module.exports = { getTrackAssets, deleteTrackCascade, trashTrack, restoreTrack };
@@ -0,0 +1,366 @@
+// Filters, sorting and facet counts for the track list endpoints.
+// Each filter has a MongoDB condition (lists, facets) and the same test in
+// JavaScript (search, whose results are ranked in memory).
+
+const { parseTagList } = require('./tags');
+
+const SOURCE_TYPES = ['local', 'youtube', 'external_url', 'stream'];
+
+// List endpoints leave out fields only the server needs (search data is unselected in the schema)
+const TRACK_LIST_PROJECTION = '-renditions -contentHash -processingStartedAt -__v';
+
+// Covers picked by getRandomDefaultImage() (utils/ingest.js) do not count as a cover
+const DEFAULT_COVER_PATTERN = /^\/images\//;
+
+// Genres and tags listed in their facets
+const MAX_GENRE_FACETS = 50;
+const MAX_TAG_FACETS = 50;
+
+// Sortable fields: the keys each one sorts by (ascending form) and its default direction.
+// Every entry has a compound index with `user` and `_id` in models/Track.js.
+const SORT_FIELDS = {
+    createdAt: { keys: ['createdAt'], defaultOrder: -1 },
+    title: { keys: ['title'], defaultOrder: 1 },
+    artist: { keys: ['artist', 'title'], defaultOrder: 1 },
+    album: { keys: ['album', 'discNumber', 'trackNumber'], defaultOrder: 1 },
+    year: { keys: ['year'], defaultOrder: -1 },
+    duration: { keys: ['duration'], defaultOrder: -1 },
+    recently_listened: { keys: ['recently_listened', 'createdAt'], defaultOrder: -1 },
+    play_count: { keys: ['play_count', 'recently_listened'], defaultOrder: -1 },
+    skip_count: { keys: ['skip_count', 'createdAt'], defaultOrder: -1 },
+    likedAt: { keys: ['likedAt'], defaultOrder: -1 },
+    rating: { keys: ['rating'], defaultOrder: -1 },
+};
+
+// The older `sortBy` presets of GET /sorted
+const SORT_PRESETS = {
+    alphabetical: { field: 'title', order: 1 },
+    recently_added: { field: 'createdAt', order: -1 },
+    recently_listened: { field: 'recently_listened', order: -1 },
+    most_played: { field: 'play_count', order: -1 },
+    most_skipped: { field: 'skip_count', order: -1 },
+};
+
+const hasOwnCover = (track) => Boolean(track.cover_photo) && !DEFAULT_COVER_PATTERN.test(track.cover_photo);
+
+const parseList = (value) => String(value).split(',').map(item => item.trim()).filter(Boolean);
+
+const parseNumber = (value) => {
+    if (value === undefined || value === '') return undefined;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : NaN;
+};
+
+const parseDate = (value) => {
+    if (value === undefined || value === '') return undefined;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? NaN : date;
+};
+
+const parseBoolean = (value) => {
+    if (value === undefined || value === '') return undefined;
+    if (value === 'true' || value === '1') return true;
+    if (value === 'false' || value === '0') return false;
+    return NaN;
+};
+
+// Range filter on a number or date field; null values never match a range
+const rangeFilter = (key, field, min, max) => {
+    const condition = {};
+    if (min !== undefined) condition.$gte = min;
+    if (max !== undefined) condition.$lte = max;
+    return {
+        key,
+        mongo: { [field]: condition },
+        test: (track) => track[field] != null
+            && (min === undefined || track[field] >= min)
+            && (max === undefined || track[field] <= max),
+    };
+};
+
+/**
+ * Reads the filters of a list request:
+ *   source=local,youtube          source types
+ *   genre=Rock,Jazz               any of these genres
+ *   tag=focus,gym                 any of these user tags
+ *   yearMin / yearMax             release year range
+ *   durationMin / durationMax     length in seconds
+ *   addedAfter / addedBefore      upload date range (ISO dates)
+ *   played=true|false             played at least once, or never
+ *   liked=true|false              in Liked Songs, or not
+ *   hasCover=true|false           own cover art, or only a default image
+ *
+ * @param {object} query - req.query
+ * @returns {{filters: Array<{key: string, mongo: object, test: function}>, error: string|null}}
+ *          `key` names the facet a filter belongs to
+ */
+const parseTrackFilters = (query) => {
+    const filters = [];
+
+    if (query.source) {
+        const sources = parseList(query.source);
+        const unknown = sources.find(source => !SOURCE_TYPES.includes(source));
+        if (unknown) {
+            return { filters: [], error: `Unknown source "${unknown}". Use ${SOURCE_TYPES.join(', ')}.` };
+        }
+        filters.push({
+            key: 'source',
+            mongo: { sourceType: { $in: sources } },
+            test: (track) => sources.includes(track.sourceType),
+        });
+    }
+
+    if (query.genre) {
+        const genres = parseList(query.genre);
+        filters.push({
+            key: 'genre',
+            mongo: { genres: { $in: genres } },
+            test: (track) => (track.genres || []).some(genre => genres.includes(genre)),
+        });
+    }
+
+    if (query.tag) {
+        const tags = parseTagList(query.tag);
+        filters.push({
+            key: 'tag',
+            mongo: { tags: { $in: tags } },
+            test: (track) => (track.tags || []).some(tag => tags.includes(tag)),
+        });
+    }
+
+    const ranges = [
+        { key: 'year', field: 'year', min: parseNumber(query.yearMin), max: parseNumber(query.yearMax) },
+        { key: 'duration', field: 'duration', min: parseNumber(query.durationMin), max: parseNumber(query.durationMax) },
+        { key: 'added', field: 'createdAt', min: parseDate(query.addedAfter), max: parseDate(query.addedBefore) },
+    ];
+    for (const { key, field, min, max } of ranges) {
+        if (Number.isNaN(min) || Number.isNaN(max)) {
+            return { filters: [], error: `Invalid ${key} range.` };
+        }
+        if (min !== undefined || max !== undefined) {
+            filters.push(rangeFilter(key, field, min, max));
+        }
+    }
+
+    const played = parseBoolean(query.played);
+    const liked = parseBoolean(query.liked);
+    const hasCover = parseBoolean(query.hasCover);
+    if (Number.isNaN(played) || Number.isNaN(liked) || Number.isNaN(hasCover)) {
+        return { filters: [], error: 'played, liked and hasCover must be true or false.' };
+    }
+    if (played !== undefined) {
+        filters.push({
+            key: 'played',
+            mongo: played ? { play_count: { $gt: 0 } } : { play_count: { $not: { $gt: 0 } } },
+            test: (track) => (track.play_count > 0) === played,
+        });
+    }
+    if (liked !== undefined) {
+        filters.push({
+            key: 'liked',
+            mongo: liked ? { likedAt: { $type: 'date' } } : { likedAt: null },
+            test: (track) => (track.likedAt instanceof Date) === liked,
+        });
+    }
+    if (hasCover !== undefined) {
+        filters.push({
+            key: 'cover',
+            mongo: hasCover
+                ? { cover_photo: { $type: 'string', $ne: '', $not: DEFAULT_COVER_PATTERN } }
+                : { $or: [{ cover_photo: null }, { cover_photo: '' }, { cover_photo: DEFAULT_COVER_PATTERN }] },
+            test: (track) => hasOwnCover(track) === hasCover,
+        });
+    }
+
+    return { filters, error: null };
+};
+
+/**
+ * MongoDB query for a user's tracks with the given filters.
+ * @param {*} userId - An ObjectId when the query goes to aggregate(), which does not cast
+ * @param {Array} filters - From parseTrackFilters
+ * @param {string} [skipKey] - Leave out this facet's own filter
+ */
+const buildFilterQuery = (userId, filters, skipKey) => {
+    const conditions = filters.filter(({ key }) => key !== skipKey).map(({ mongo }) => mongo);
+    return conditions.length > 0 ? { user: userId, $and: conditions } : { user: userId };
+};
+
+/**
+ * Reads `sort` (a field of SORT_FIELDS, or a GET /sorted preset via sortBy) and `order` (asc/desc).
+ * @returns {{sort: object|null, error: string|null}} A MongoDB sort object, e.g. { play_count: -1, recently_listened: -1 }
+ */
+const parseSort = (query) => {
+    const preset = SORT_PRESETS[query.sortBy] || SORT_PRESETS.recently_added;
+    const field = query.sort || preset.field;
+    if (!SORT_FIELDS[field]) {
+        return { sort: null, error: `Cannot sort by "${field}". Use one of: ${Object.keys(SORT_FIELDS).join(', ')}.` };
+    }
+
+    let order = query.sort ? SORT_FIELDS[field].defaultOrder : preset.order;
+    if (query.order === 'asc') order = 1;
+    else if (query.order === 'desc') order = -1;
+    else if (query.order) return { sort: null, error: 'order must be asc or desc.' };
+
+    return { sort: Object.fromEntries(SORT_FIELDS[field].keys.map(key => [key, order])), error: null };
+};
+
+/**
+ * Array.sort comparator for a sort object from parseSort, ordering null values
+ * lowest like MongoDB does. Used to sort search results by a field.
+ */
+const compareBySort = (sort) => (a, b) => {
+    for (const [field, order] of Object.entries(sort)) {
+        const x = a[field] ?? null;
+        const y = b[field] ?? null;
+        if (x === y) continue;
+        if (x === null) return -order;
+        if (y === null) return order;
+        if (typeof x === 'string') {
+            const result = x.localeCompare(y);
+            if (result !== 0) return result * order;
+        } else if (x < y) {
+            return -order;
+        } else if (x > y) {
+            return order;
+        }
+    }
+    return 0;
+};
+
+// Facet pipelines of one dimension, run over the tracks matching every other filter
+const FACET_STAGES = {
+    source: [{ $group: { _id: '$sourceType', count: { $sum: 1 } } }, { $sort: { count: -1 } }],
+    genre: [
+        { $unwind: '$genres' },
+        { $group: { _id: '$genres', count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+        { $limit: MAX_GENRE_FACETS },
+    ],
+    tag: [
+        { $unwind: '$tags' },
+        { $group: { _id: '$tags', count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+        { $limit: MAX_TAG_FACETS },
+    ],
+    year: [
+        { $match: { year: { $type: 'number' } } },
+        { $group: { _id: { $multiply: [{ $floor: { $divide: ['$year', 10] } }, 10] }, count: { $sum: 1 }, min: { $min: '$year' }, max: { $max: '$year' } } },
+        { $sort: { _id: -1 } },
+    ],
+    duration: [{ $group: { _id: null, min: { $min: '$duration' }, max: { $max: '$duration' } } }],
+    added: [{ $group: { _id: null, min: { $min: '$createdAt' }, max: { $max: '$createdAt' } } }],
+    played: [{ $group: { _id: { $gt: ['$play_count', 0] }, count: { $sum: 1 } } }],
+    liked: [{ $group: { _id: { $eq: [{ $type: '$likedAt' }, 'date'] }, count: { $sum: 1 } } }],
+    cover: [{
+        $group: {
+            _id: {
+                $and: [
+                    { $eq: [{ $type: '$cover_photo' }, 'string'] },
+                    { $ne: ['$cover_photo', ''] },
+                    { $not: [{ $regexMatch: { input: '$cover_photo', regex: DEFAULT_COVER_PATTERN } }] },
+                ],
+            },
+            count: { $sum: 1 },
+        },
+    }],
+};
+
+// Puts raw facet groups into the response shape shared with countFacets()
+const shapeFacets = (raw) => {
+    const trueFalse = (groups) => ({
+        true: (groups.find(group => group._id === true) || {}).count || 0,
+        false: (groups.find(group => group._id === false) || {}).count || 0,
+    });
+    const range = (groups) => (groups[0] ? { min: groups[0].min ?? null, max: groups[0].max ?? null } : { min: null, max: null });
+
+    return {
+        source: raw.source.map(({ _id, count }) => ({ value: _id, count })),
+        genre: raw.genre.map(({ _id, count }) => ({ value: _id, count })),
+        tag: raw.tag.map(({ _id, count }) => ({ value: _id, count })),
+        decade: raw.year.map(({ _id, count }) => ({ value: _id, count })),
+        year: raw.year.length > 0
+            ? { min: Math.min(...raw.year.map(group => group.min)), max: Math.max(...raw.year.map(group => group.max)) }
+            : { min: null, max: null },
+        duration: range(raw.duration),
+        added: range(raw.added),
+        played: trueFalse(raw.played),
+        liked: trueFalse(raw.liked),
+        hasCover: trueFalse(raw.cover),
+    };
+};
+
+/**
+ * Facet counts of a user's library with one aggregation. Each facet counts the
+ * tracks matching all the other filters, so the choices of a facet stay visible
+ * after one of them is picked.
+ * @param {import('mongoose').Model} Track
+ * @param {import('mongoose').Types.ObjectId} userId
+ * @param {Array} filters - From parseTrackFilters
+ */
+const aggregateFacets = async (Track, userId, filters) => {
+    const facet = {};
+    for (const [key, stages] of Object.entries(FACET_STAGES)) {
+        facet[key] = [{ $match: buildFilterQuery(userId, filters, key) }, ...stages];
+    }
+
+    const [raw] = await Track.aggregate([{ $match: { user: userId } }, { $facet: facet }]);
+    return shapeFacets(raw);
+};
+
+/**
+ * The same facet counts for tracks already in memory (search results).
+ * @param {object[]} tracks - Tracks matching the query, before the filters are applied
+ * @param {Array} filters - From parseTrackFilters
+ */
+const countFacets = (tracks, filters) => {
+    const matchingOthers = (key) => tracks.filter(track => filters.every(filter => filter.key === key || filter.test(track)));
+    const countBy = (list, valuesOf) => {
+        const counts = new Map();
+        for (const track of list) {
+            for (const value of valuesOf(track)) counts.set(value, (counts.get(value) || 0) + 1);
+        }
+        return [...counts].map(([_id, count]) => ({ _id, count }));
+    };
+    const bounds = (list, field) => {
+        const values = list.map(track => track[field]).filter(value => value != null);
+        return values.length > 0
+            ? [{ min: values.reduce((a, b) => (b < a ? b : a)), max: values.reduce((a, b) => (b > a ? b : a)) }]
+            : [];
+    };
+
+    const yearTracks = matchingOthers('year').filter(track => typeof track.year === 'number');
+    const decades = countBy(yearTracks, track => [Math.floor(track.year / 10) * 10]);
+
+    return shapeFacets({
+        source: countBy(matchingOthers('source'), track => [track.sourceType]).sort((a, b) => b.count - a.count),
+        genre: countBy(matchingOthers('genre'), track => track.genres || [])
+            .sort((a, b) => b.count - a.count || String(a._id).localeCompare(String(b._id)))
+            .slice(0, MAX_GENRE_FACETS),
+        tag: countBy(matchingOthers('tag'), track => track.tags || [])
+            .sort((a, b) => b.count - a.count || String(a._id).localeCompare(String(b._id)))
+            .slice(0, MAX_TAG_FACETS),
+        year: decades.map(decade => ({
+            ...decade,
+            ...bounds(yearTracks.filter(track => Math.floor(track.year / 10) * 10 === decade._id), 'year')[0],
+        })).sort((a, b) => b._id - a._id),
+        duration: bounds(matchingOthers('duration'), 'duration'),
+        added: bounds(matchingOthers('added'), 'createdAt'),
+        played: countBy(matchingOthers('played'), track => [track.play_count > 0]),
+        liked: countBy(matchingOthers('liked'), track => [track.likedAt instanceof Date]),
+        cover: countBy(matchingOthers('cover'), track => [hasOwnCover(track)]),
+    });
+};
+
+module.exports = {
+    SOURCE_TYPES,
+    TRACK_LIST_PROJECTION,
+    SORT_FIELDS,
+    SORT_PRESETS,
+    parseTrackFilters,
+    buildFilterQuery,
+    parseSort,
+    compareBySort,
+    aggregateFacets,
+    countFacets,
+};
@@ -0,0 +1,146 @@
+const { validateTagList } = require('./tags');
+const { parseCueTime } = require('./cuePoints');
+
+// Descriptive tags that can be read from a file at ingest and edited later
+const TAG_FIELDS = ['album', 'albumArtist', 'trackNumber', 'discNumber', 'year', 'genres', 'composer'];
+
+// Technical details of the audio stream (filled at ingest, editable for links without a file)
+const FORMAT_FIELDS = ['duration', 'bitrate', 'sampleRate', 'codec'];
+
+// Per-track playback settings chosen by the owner
+const PLAYBACK_FIELDS = ['gainOffset', 'startTime', 'endTime'];
+
+// Cue points, in seconds (see utils/cuePoints.js)
+const CUE_FIELDS = ['startTime', 'endTime'];
+
+// Manual gain offset range in dB (matches the Track schema)
+const MAX_GAIN_OFFSET_DB = 12;
+
+// Star ratings (matches the Track schema)
+const MIN_RATING = 1;
+const MAX_RATING = 5;
+
+const STRING_FIELDS = ['album', 'albumArtist', 'composer', 'codec'];
+const NUMBER_FIELDS = ['trackNumber', 'discNumber', 'year', 'duration', 'bitrate', 'sampleRate'];
+
+/**
+ * Maps music-metadata output onto the Track metadata fields.
+ * Missing values are left out so they fall back to the schema defaults.
+ * @param {object|null} metadata - Result of music-metadata's parseBuffer/parseFile
+ * @returns {object}
+ */
+const extractTrackMetadata = (metadata) => {
+    if (!metadata) return {};
+
+    const common = metadata.common || {};
+    const format = metadata.format || {};
+    const fields = {
+        album: common.album,
+        albumArtist: common.albumartist,
+        trackNumber: common.track && common.track.no,
+        discNumber: common.disk && common.disk.no,
+        year: common.year,
+        genres: common.genre && common.genre.length > 0 ? common.genre : undefined,
+        composer: common.composer && common.composer.length > 0 ? common.composer.join(', ') : undefined,
+        duration: format.duration ? Math.round(format.duration * 1000) / 1000 : undefined,
+        bitrate: format.bitrate ? Math.round(format.bitrate) : undefined,
+        sampleRate: format.sampleRate,
+        codec: format.codec || format.container,
+    };
+
+    return Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined && value !== null && value !== ''));
+};
+
+/**
+ * Reads a star rating: a whole number of stars, or null/0/'' to clear it.
+ * @returns {{rating: number|null, error: string|null}}
+ */
+const parseRating = (value) => {
+    if (value === null || value === '' || value === 0 || value === '0') {
+        return { rating: null, error: null };
+    }
+    const rating = Number(value);
+    if (!Number.isInteger(rating) || rating < MIN_RATING || rating > MAX_RATING) {
+        return { rating: null, error: `rating must be a whole number from ${MIN_RATING} to ${MAX_RATING}, or null to clear it.` };
+    }
+    return { rating, error: null };
+};
+
+/**
+ * Validates metadata edits sent to PUT /api/tracks/:id.
+ * Empty strings and null clear a field (gainOffset resets to 0); genres and the user's
+ * tags may be an array or a comma-separated string (tags replace the current ones).
+ * Cue points may be seconds or times such as "1:30" (the Track schema checks their order).
+ * @returns {{updates: object, error: string|null}}
+ */
+const parseMetadataUpdates = (body) => {
+    const updates = {};
+
+    if (body.tags !== undefined) {
+        const { tags, error } = validateTagList(body.tags);
+        if (error) {
+            return { updates: {}, error };
+        }
+        updates.tags = tags;
+    }
+
+    if (body.rating !== undefined) {
+        const { rating, error } = parseRating(body.rating);
+        if (error) {
+            return { updates: {}, error };
+        }
+        updates.rating = rating;
+    }
+
+    if (body.gainOffset !== undefined) {
+        const offset = body.gainOffset === null || body.gainOffset === '' ? 0 : Number(body.gainOffset);
+        if (!Number.isFinite(offset) || Math.abs(offset) > MAX_GAIN_OFFSET_DB) {
+            return { updates: {}, error: `gainOffset must be between -${MAX_GAIN_OFFSET_DB} and ${MAX_GAIN_OFFSET_DB} dB.` };
+        }
+        updates.gainOffset = offset;
+    }
+
+    for (const field of CUE_FIELDS) {
+        if (body[field] === undefined) continue;
+        const { seconds, error } = parseCueTime(body[field]);
+        if (error) {
+            return { updates: {}, error: `${field} ${error}` };
+        }
+        updates[field] = seconds;
+    }
+
+    for (const field of [...TAG_FIELDS, ...FORMAT_FIELDS]) {
+        if (body[field] === undefined) continue;
+        const value = body[field];
+
+        if (field === 'genres') {
+            const list = Array.isArray(value) ? value : String(value || '').split(',');
+            updates.genres = [...new Set(list.map(genre => String(genre).trim()).filter(Boolean))];
+        } else if (STRING_FIELDS.includes(field)) {
+            updates[field] = value === null ? null : String(value).trim() || null;
+        } else if (NUMBER_FIELDS.includes(field)) {
+            if (value === null || value === '') {
+                updates[field] = null;
+                continue;
+            }
+            const number = Number(value);
+            if (!Number.isFinite(number) || number < 0) {
+                return { updates: {}, error: `${field} must be a positive number.` };
+            }
+            updates[field] = number;
+        }
+    }
+
+    return { updates, error: null };
+};
+
+module.exports = {
+    TAG_FIELDS,
+    FORMAT_FIELDS,
+    PLAYBACK_FIELDS,
+    MIN_RATING,
+    MAX_RATING,
+    extractTrackMetadata,
+    parseRating,
+    parseMetadataUpdates,
+};
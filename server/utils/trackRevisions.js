@@ -0,0 +1,162 @@
+const TrackRevision = require('../models/TrackRevision');
+const { TAG_FIELDS, FORMAT_FIELDS, PLAYBACK_FIELDS } = require('./trackMetadata');
+const { EMPTY_COVER_FIELDS } = require('./coverArt');
+const { discardStoredAssets } = require('./ingest');
+
+// Fields edited through PUT /api/tracks/:id, the tag endpoints and the rating endpoint;
+// every change to them is recorded as a revision
+const REVISION_FIELDS = ['title', 'artist', 'cover_photo', ...TAG_FIELDS, ...FORMAT_FIELDS, ...PLAYBACK_FIELDS, 'tags', 'rating'];
+
+// Most revisions kept per track; older ones are dropped after each edit
+const MAX_TRACK_REVISIONS = 50;
+
+// Plain copies, so Mongoose arrays are stored as values and compare by content
+const revisionValue = (value) => {
+    if (value === undefined || value === null) return null;
+    return Array.isArray(value) ? [...value] : value;
+};
+
+const isSameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * The revision fields of a track, taken before an edit.
+ * @param {object} track - Track document
+ * @returns {object}
+ */
+const snapshotRevisionFields = (track) => (
+    Object.fromEntries(REVISION_FIELDS.map(field => [field, revisionValue(track.get(field))]))
+);
+
+/**
+ * Fields whose value differs from a snapshot.
+ * @param {object} before - From snapshotRevisionFields()
+ * @param {object} track - Track document with the edit applied
+ * @returns {Array<{field: string, from: *, to: *}>}
+ */
+const diffRevisionFields = (before, track) => REVISION_FIELDS
+    .map(field => ({ field, from: before[field], to: revisionValue(track.get(field)) }))
+    .filter(({ from, to }) => !isSameValue(from, to));
+
+/**
+ * The stored files of a track's cover (uploaded or embedded covers), null for linked covers.
+ */
+const getStoredCover = (track) => {
+    const { coverStorageKey, coverStorageDriver, storageDriver, coverSizes } = track.toObject ? track.toObject() : track;
+    if (!coverStorageKey) return null;
+    return { coverStorageKey, coverStorageDriver: coverStorageDriver || storageDriver, coverSizes: coverSizes || {} };
+};
+
+/**
+ * Gives a track another cover. The files of the cover it replaces are not deleted:
+ * they are returned, to be kept on the revision, so the edit can be reverted.
+ * @param {object} track - Track document
+ * @param {string} coverPhoto - New cover URL
+ * @param {object|null} storedCover - Stored files of the new cover (a cover restored by a revert)
+ * @returns {object|null} The stored files of the replaced cover
+ */
+const replaceCover = (track, coverPhoto, storedCover = null) => {
+    const previousCover = getStoredCover(track);
+    track.set({ cover_photo: coverPhoto, ...(storedCover || EMPTY_COVER_FIELDS) });
+    return previousCover;
+};
+
+/**
+ * Deletes a track's oldest revisions beyond MAX_TRACK_REVISIONS, and the covers only they kept.
+ */
+const pruneRevisions = async (track) => {
+    const stale = await TrackRevision.find({ track: track._id })
+        .sort({ createdAt: -1, _id: -1 })
+        .skip(MAX_TRACK_REVISIONS)
+        .select('_id previousCover')
+        .lean();
+    if (stale.length === 0) return;
+
+    await TrackRevision.deleteMany({ _id: { $in: stale.map(revision => revision._id) } });
+
+    for (const { previousCover } of stale) {
+        const key = previousCover && previousCover.coverStorageKey;
+        if (!key || key === track.coverStorageKey) continue;
+        if (await TrackRevision.exists({ track: track._id, 'previousCover.coverStorageKey': key })) continue;
+        await discardStoredAssets(previousCover);
+    }
+};
+
+/**
+ * Records an edit of a track (after it was saved). Edits that changed nothing are not recorded.
+ * @param {object} track - The saved Track document
+ * @param {{user: string, changes: Array, previousCover?: object|null, revertOf?: string|null}} edit
+ * @returns {Promise<object|null>} The revision
+ */
+const recordRevision = async (track, { user, changes, previousCover = null, revertOf = null }) => {
+    if (changes.length === 0) return null;
+
+    const revision = await TrackRevision.create({
+        track: track._id,
+        user,
+        changes,
+        previousCover: previousCover || undefined,
+        revertOf,
+    });
+
+    try {
+        await pruneRevisions(track);
+    } catch (err) {
+        console.error(`❌ Could not prune the revisions of track ${track._id}:`, err.message);
+    }
+    return revision;
+};
+
+/**
+ * Records a change of one field made outside PUT /api/tracks/:id (bulk tag edits,
+ * tag renames, ratings). Nothing is recorded when the value did not change.
+ * @param {object} track - The track (needs `_id` and `coverStorageKey`)
+ * @param {{user: string, field: string, from: *, to: *}} change
+ * @returns {Promise<object|null>} The revision
+ */
+const recordFieldRevision = (track, { user, field, from, to }) => {
+    const change = { field, from: revisionValue(from), to: revisionValue(to) };
+    return recordRevision(track, { user, changes: isSameValue(change.from, change.to) ? [] : [change] });
+};
+
+/**
+ * The values that take a track back to how it was before a revision: for each field
+ * changed by that revision or a later one, its value before the first of those changes.
+ * @param {object} revision - TrackRevision
+ * @returns {Promise<{values: object, storedCover: object|null}>} storedCover: the stored files
+ *   of the cover to restore, when it was an uploaded one
+ */
+const getRevertValues = async (revision) => {
+    const revisions = await TrackRevision.find({
+        track: revision.track,
+        $or: [
+            { createdAt: { $gt: revision.createdAt } },
+            { createdAt: revision.createdAt, _id: { $gte: revision._id } },
+        ],
+    })
+        .sort({ createdAt: 1, _id: 1 })
+        .lean();
+
+    const values = {};
+    let storedCover = null;
+    for (const { changes, previousCover } of revisions) {
+        for (const { field, from } of changes) {
+            if (field in values) continue;
+            values[field] = from;
+            if (field === 'cover_photo' && previousCover && previousCover.coverStorageKey) {
+                storedCover = previousCover;
+            }
+        }
+    }
+    return { values, storedCover };
+};
+
+module.exports = {
+    REVISION_FIELDS,
+    MAX_TRACK_REVISIONS,
+    snapshotRevisionFields,
+    diffRevisionFields,
+    replaceCover,
+    recordRevision,
+    recordFieldRevision,
+    getRevertValues,
+};
@@ -0,0 +1,94 @@
+const { spawn } = require('child_process');
+
+// Every rendition is MP3: the one format all browsers play through <audio>
+const RENDITION_FORMAT = {
+    extension: '.mp3',
+    mimeType: 'audio/mpeg',
+    codec: 'libmp3lame',
+};
+
+// "Duration: 00:03:25.47," in ffmpeg's stderr banner
+const DURATION_REGEX = /Duration:\s*(\d+):(\d{2}):(\d{2}(?:\.\d+)?)/;
+
+// Enough stderr to hold the error message or a filter's summary
+const STDERR_TAIL_LENGTH = 4000;
+
+// Runs ffmpeg and resolves with the tail of its stderr (where filters print their reports).
+// `-progress pipe:1` in `args` makes ffmpeg report the position reached on stdout.
+const runFfmpeg = (ffmpegPath, args, { duration, onProgress } = {}) => (
+    new Promise((resolve, reject) => {
+        const ffmpeg = spawn(ffmpegPath, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+        let knownDuration = duration || 0;
+        let stderrTail = '';
+
+        ffmpeg.stderr.on('data', (chunk) => {
+            stderrTail = (stderrTail + chunk.toString()).slice(-STDERR_TAIL_LENGTH);
+            if (!knownDuration) {
+                const match = DURATION_REGEX.exec(stderrTail);
+                if (match) knownDuration = (+match[1] * 3600) + (+match[2] * 60) + parseFloat(match[3]);
+            }
+        });
+
+        // -progress writes "key=value" lines; out_time_us is the position reached so far
+        ffmpeg.stdout.on('data', (chunk) => {
+            if (!onProgress || !knownDuration) return;
+            const matches = [...chunk.toString().matchAll(/out_time_us=(\d+)/g)];
+            if (matches.length > 0) {
+                const seconds = parseInt(matches[matches.length - 1][1], 10) / 1e6;
+                onProgress(Math.min(1, seconds / knownDuration));
+            }
+        });
+
+        ffmpeg.on('error', (err) => {
+            if (err.code === 'ENOENT') {
+                return reject(new Error(`ffmpeg not found at "${ffmpegPath}" (set FFMPEG_PATH).`));
+            }
+            reject(err);
+        });
+
+        ffmpeg.on('close', (code) => {
+            if (code === 0) return resolve(stderrTail);
+            const lastLines = stderrTail.trim().split('\n').slice(-3).join(' ');
+            reject(new Error(`ffmpeg exited with code ${code}: ${lastLines}`));
+        });
+    })
+);
+
+/**
+ * Transcodes one audio file to MP3 with a local ffmpeg binary.
+ *
+ * @param {object} options
+ * @param {string} options.ffmpegPath - ffmpeg binary
+ * @param {string} options.inputPath - Source file on disk
+ * @param {string} options.outputPath - Where to write the MP3
+ * @param {number} options.bitrate - Target bitrate in kbps
+ * @param {number} [options.duration] - Source duration in seconds, used for progress
+ * @param {(ratio: number) => void} [options.onProgress] - Called with 0..1 while ffmpeg runs
+ * @returns {Promise<void>} Rejects with ffmpeg's last stderr lines when it fails
+ */
+const transcodeToMp3 = async ({ ffmpegPath, inputPath, outputPath, bitrate, duration, onProgress }) => {
+    await runFfmpeg(ffmpegPath, [
+        '-hide_banner', '-nostdin', '-y',
+        '-i', inputPath,
+        '-vn', // Drop video streams and embedded cover images
+        '-map_metadata', '-1',
+        '-codec:a', RENDITION_FORMAT.codec,
+        '-b:a', `${bitrate}k`,
+        '-progress', 'pipe:1',
+        outputPath,
+    ], { duration, onProgress });
+};
+
+/**
+ * Picks the rendition to stream: the highest bitrate that does not exceed
+ * `maxBitrate` (kbps), or the lowest one when all of them do.
+ * @returns {object|null} null when the track has no renditions yet
+ */
+const pickRendition = (renditions, maxBitrate) => {
+    if (!renditions || renditions.length === 0) return null;
+    const sorted = [...renditions].sort((a, b) => b.bitrate - a.bitrate);
+    if (!maxBitrate) return sorted[0];
+    return sorted.find(rendition => rendition.bitrate <= maxBitrate) || sorted[sorted.length - 1];
+};
+
+module.exports = { RENDITION_FORMAT, runFfmpeg, transcodeToMp3, pickRendition };
@@ -0,0 +1,88 @@
+const path = require('path');
+const { createReadStream } = require('fs');
+const fs = require('fs/promises');
+const { runFfmpeg } = require('./transcoder');
+
+// Points stored per track; the player scales them to the width of the seek bar
+const WAVEFORM_POINTS = 1000;
+
+// Mono 16-bit PCM at a low rate is plenty for peaks and keeps the temp file small
+const WAVEFORM_SAMPLE_RATE = 8000;
+const BYTES_PER_SAMPLE = 2;
+
+/**
+ * Reads signed 16-bit little-endian PCM and returns the absolute peak of each
+ * of `points` equal slices, scaled so the loudest slice is 255.
+ * @returns {Promise<Buffer>} `points` bytes (fewer for very short files)
+ */
+const computePeaks = async (pcmPath, points) => {
+    const { size } = await fs.stat(pcmPath);
+    const totalSamples = Math.floor(size / BYTES_PER_SAMPLE);
+    const pointCount = Math.max(1, Math.min(points, totalSamples));
+    const samplesPerPoint = Math.max(1, Math.ceil(totalSamples / pointCount));
+    const peaks = new Uint16Array(pointCount);
+
+    let sampleIndex = 0;
+    let leftover = null; // Odd byte carried over between chunks
+
+    for await (let chunk of createReadStream(pcmPath)) {
+        if (leftover) {
+            chunk = Buffer.concat([leftover, chunk]);
+            leftover = null;
+        }
+        const usable = chunk.length - (chunk.length % BYTES_PER_SAMPLE);
+        if (usable < chunk.length) leftover = chunk.subarray(usable);
+
+        for (let offset = 0; offset < usable; offset += BYTES_PER_SAMPLE) {
+            const point = Math.min(pointCount - 1, Math.floor(sampleIndex / samplesPerPoint));
+            const amplitude = Math.abs(chunk.readInt16LE(offset));
+            if (amplitude > peaks[point]) peaks[point] = amplitude;
+            sampleIndex += 1;
+        }
+    }
+
+    const loudest = Math.max(1, ...peaks);
+    return Buffer.from(peaks.map(peak => Math.round((peak / loudest) * 255)));
+};
+
+/**
+ * Decodes a file with ffmpeg and computes its waveform peaks.
+ *
+ * @param {object} options
+ * @param {string} options.ffmpegPath - ffmpeg binary
+ * @param {string} options.inputPath - Source file on disk
+ * @param {string} options.workDir - Scratch directory for the decoded PCM
+ * @param {number} [options.duration] - Source duration in seconds, used for progress
+ * @param {(ratio: number) => void} [options.onProgress] - Called with 0..1 while ffmpeg runs
+ * @returns {Promise<{peaks: Buffer, duration: number}>}
+ */
+const extractWaveform = async ({ ffmpegPath, inputPath, workDir, duration, onProgress }) => {
+    const pcmPath = path.join(workDir, 'waveform.pcm');
+
+    try {
+        await runFfmpeg(ffmpegPath, [
+            '-hide_banner', '-nostdin', '-y',
+            '-i', inputPath,
+            '-vn',
+            '-ac', '1',
+            '-ar', String(WAVEFORM_SAMPLE_RATE),
+            '-f', 's16le',
+            '-progress', 'pipe:1',
+            pcmPath,
+        ], { duration, onProgress });
+
+        const { size } = await fs.stat(pcmPath);
+        return {
+            peaks: await computePeaks(pcmPath, WAVEFORM_POINTS),
+            duration: Math.round((size / BYTES_PER_SAMPLE / WAVEFORM_SAMPLE_RATE) * 1000) / 1000,
+        };
+    } finally {
+        await fs.rm(pcmPath, { force: true });
+    }
+};
+
+module.exports = {
+    WAVEFORM_POINTS,
+    computePeaks,
+    extractWaveform,
+};
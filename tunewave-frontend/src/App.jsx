@@ -12,6 +12,10 @@ import Home from './pages/Home';
 import Search from './pages/Search';
 import Library from './pages/Library';
 import PlaylistPage from './pages/Playlist'; // 🆕 NEW: Import PlaylistPage
+import ArtistPage from './pages/Artist';
+import AlbumPage from './pages/Album';
+import LibraryHealthPage from './pages/LibraryHealth';
+import TrashPage from './pages/Trash';
 import Sidebar from './components/music/Sidebar';
 import MusicPlayer from './components/music/MusicPlayer';
 import VideoViewer from './components/VideoViewer';
@@ -52,6 +56,10 @@ const PrivateAppLayout = ({ darkMode, setDarkMode }) => {
                             path="/playlist/:playlistId" 
                             element={<PlaylistPage darkMode={darkMode} />} 
                         />
+                        <Route path="/artist/:artistId" element={<ArtistPage darkMode={darkMode} />} />
+                        <Route path="/album/:albumId" element={<AlbumPage darkMode={darkMode} />} />
+                        <Route path="/health" element={<LibraryHealthPage darkMode={darkMode} />} />
+                        <Route path="/trash" element={<TrashPage darkMode={darkMode} />} />
                         
                         <Route path="*" element={<Navigate to="/" replace />} />
                     </Routes>
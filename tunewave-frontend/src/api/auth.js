@@ -62,7 +62,7 @@ export const register = async (username, email, password) => {
 
 /**
  * Calls the login endpoint.
- * Standardized return format: { success: boolean, token?: string, userId?: string, username?: string, error?: string }
+ * Standardized return format: { success: boolean, token?: string, userId?: string, username?: string, settings?: object, error?: string }
  */
 export const login = async (email, password) => {
     try {
@@ -97,7 +97,8 @@ export const login = async (email, password) => {
             success: true, 
             token: data.token, 
             userId: data._id || data.userId,
-            username: data.username
+            username: data.username,
+            settings: data.settings
         };
     } catch (error) {
         console.error("Login Network Error:", error);
@@ -105,6 +106,34 @@ export const login = async (email, password) => {
     }
 };
 
+/**
+ * Saves the user's playback settings (PUT /api/auth/settings).
+ * Standardized return format: { success: boolean, settings?: object, error?: string }
+ */
+export const updateSettings = async (settings) => {
+    try {
+        const response = await fetch(`${API_BASE_URL}/settings`, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${localStorage.getItem('authToken')}`,
+            },
+            body: JSON.stringify(settings),
+        });
+
+        const data = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            return { success: false, error: data.msg || data.message || 'Could not save settings.' };
+        }
+
+        return { success: true, settings: data.settings };
+    } catch (error) {
+        console.error("Settings Network Error:", error);
+        return { success: false, error: 'Network error occurred. Check server availability.' };
+    }
+};
+
 /**
  * Removes local storage token to simulate logout and returns a success status.
  */
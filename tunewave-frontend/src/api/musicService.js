@@ -85,6 +85,9 @@ const apiRequest = async (endpointPath, options = {}, requireAuth = true) => {
 
 /**
  * V2: Uploads a new track (POST /api/tracks).
+ * A file that is already in the library fails with status 409 and
+ * error.response.data = { msg, duplicate: true, duplicateOf, actions }; resend the
+ * FormData with an `onDuplicate` field ('skip', 'replace' or 'keep') to resolve it.
  */
 export const uploadTrackV2 = async (trackData) => {
     const isLocalFileUpload = trackData instanceof FormData;
@@ -96,31 +99,244 @@ export const uploadTrackV2 = async (trackData) => {
 };
 
 /**
- * V2: Fetches tracks from the API, optionally sorted (GET /api/tracks/sorted).
+ * V2: Uploads many audio files in one request (POST /api/tracks/batch).
+ * Uses XMLHttpRequest because fetch cannot report upload progress.
+ * @param {File[]} files - Audio files; title and artist are read from their tags on the server.
+ * @param {object} options - { playlistId, onDuplicate ('skip' | 'replace' | 'keep'), onProgress(loadedBytes, totalBytes) }.
+ * @returns {Promise<object>} { msg, summary, playlistId, results: [{ index, fileName, status, reason, track }] }.
  */
-export const fetchRecommendedTracksV2 = async (sortBy = 'recently_added') => {
-    return apiRequest(`/tracks/sorted?sortBy=${sortBy}`, {
+export const uploadTracksBatchV2 = (files, { playlistId, onDuplicate, onProgress } = {}) => {
+    const token = getAuthToken();
+    if (!token) {
+        const authError = new Error("Authentication required.");
+        authError.response = { status: 401 };
+        return Promise.reject(authError);
+    }
+
+    const formData = new FormData();
+    files.forEach((file) => formData.append('audioFiles', file));
+    if (playlistId) {
+        formData.append('playlistId', playlistId);
+    }
+    if (onDuplicate) {
+        formData.append('onDuplicate', onDuplicate);
+    }
+
+    return new Promise((resolve, reject) => {
+        const xhr = new XMLHttpRequest();
+        xhr.open('POST', `${API_BASE_URL}/tracks/batch`);
+        xhr.setRequestHeader('Authorization', `Bearer ${token}`);
+
+        xhr.upload.onprogress = (event) => {
+            if (event.lengthComputable && onProgress) {
+                onProgress(event.loaded, event.total);
+            }
+        };
+
+        xhr.onload = () => {
+            let data = {};
+            try {
+                data = JSON.parse(xhr.responseText);
+            } catch {
+                data.message = xhr.responseText || 'Unknown server error';
+            }
+
+            if (xhr.status >= 200 && xhr.status < 300) {
+                resolve(data);
+            } else {
+                const error = new Error(data.msg || data.message || `API Error ${xhr.status}: Failed to process request.`);
+                error.response = { status: xhr.status, data };
+                reject(error);
+            }
+        };
+        xhr.onerror = () => reject(new Error('Network error during batch upload.'));
+
+        xhr.send(formData);
+    });
+};
+
+/**
+ * V2: Fetches the transcoding status of recently uploaded tracks (GET /api/tracks/processing?ids=...).
+ * @returns {Promise<object>} { tracks: [{ _id, processingStatus, processingProgress, processingError }] }.
+ */
+export const fetchProcessingStatusV2 = async (trackIds) => {
+    return apiRequest(`/tracks/processing?ids=${trackIds.map(encodeURIComponent).join(',')}`);
+};
+
+/**
+ * V2: Queues an uploaded track for transcoding again (POST /api/tracks/:trackId/reprocess).
+ */
+export const reprocessTrackV2 = async (trackId) => {
+    return apiRequest(`/tracks/${trackId}/reprocess`, { method: 'POST' });
+};
+
+/**
+ * V2: Scans the library for duplicate tracks (GET /api/tracks/duplicates).
+ * @returns {Promise<object>} { exact: [{ contentHash, tracks }], near: [{ key, tracks }] }.
+ */
+export const fetchDuplicatesV2 = async () => {
+    return apiRequest('/tracks/duplicates');
+};
+
+// Query string for one page of a paginated list ({ cursor, limit })
+const pageQuery = ({ cursor, limit } = {}) =>
+    `${limit ? `&limit=${limit}` : ''}${cursor ? `&cursor=${encodeURIComponent(cursor)}` : ''}`;
+
+// Query string for the library filters, sort and facets of the track lists
+// (filters: { source: [], genre: [], yearMin, yearMax, durationMin, durationMax, addedAfter, addedBefore, played, hasCover })
+const listQuery = ({ filters = {}, sort, order, facets } = {}) => {
+    const params = new URLSearchParams();
+    Object.entries(filters).forEach(([key, value]) => {
+        const text = Array.isArray(value) ? value.join(',') : value;
+        if (text !== '' && text !== null && text !== undefined) params.set(key, text);
+    });
+    if (sort) params.set('sort', sort);
+    if (order) params.set('order', order);
+    if (facets) params.set('facets', 'true');
+    const query = params.toString();
+    return query ? `&${query}` : '';
+};
+
+/**
+ * V2: Fetches one page of the library with filters, sort and facet counts (GET /api/tracks).
+ * @param {object} options - { filters, sort, order, facets }; facets: true adds the sidebar counts.
+ * @param {object} page - { cursor, limit }; pass the previous response's nextCursor for the next page.
+ * @returns {Promise<object>} { tracks, total, nextCursor, facets? }.
+ */
+export const fetchTracksV2 = async (options = {}, page = {}) => {
+    return apiRequest(`/tracks?${listQuery(options).slice(1)}${pageQuery(page)}`, {
+        method: 'GET',
+    });
+};
+
+/**
+ * V2: Fetches one page of tracks, optionally sorted (GET /api/tracks/sorted).
+ * @param {string} sortBy - alphabetical, recently_added, recently_listened, most_played or most_skipped.
+ * @param {object} page - { cursor, limit }; pass the previous response's nextCursor for the next page.
+ * @returns {Promise<object>} { tracks, total, nextCursor } (nextCursor is null on the last page).
+ */
+export const fetchRecommendedTracksV2 = async (sortBy = 'recently_added', page = {}) => {
+    return apiRequest(`/tracks/sorted?sortBy=${sortBy}${pageQuery(page)}`, {
         method: 'GET',
     });
 };
 
 /**
- * V2: Function for Marking a Track as Listened (PUT /api/tracks/:trackId/listen).
+ * V2: Records one play of a track in the listening history (PUT /api/tracks/:trackId/listen).
+ * The server decides whether the play counts or was skipped.
+ * @param {string} trackId - The track that was played.
+ * @param {object} session - { startedAt, secondsListened, duration, completed, context: { source, id } }.
+ * @param {object} options - Extra fetch options (e.g. { keepalive: true } while the page unloads).
  */
-export const markTrackAsListenedV2 = async (trackId) => {
+export const markTrackAsListenedV2 = async (trackId, session = {}, options = {}) => {
     return apiRequest(`/tracks/${trackId}/listen`, {
+        ...options,
         method: 'PUT',
-        body: JSON.stringify({}), 
+        body: JSON.stringify(session), 
+    });
+};
+
+/**
+ * V2: Fetches the user's listening history, newest first (GET /api/history).
+ */
+export const fetchListeningHistoryV2 = async (limit = 50) => {
+    return apiRequest(`/history?limit=${limit}`, {
+        method: 'GET',
+    });
+};
+
+/**
+ * V2: Gets a short-lived signed stream URL for an uploaded track (GET /api/tracks/:trackId/stream-url).
+ * The <audio> element cannot send a Bearer header, so the token is part of the URL.
+ * @returns {Promise<{url: string, expiresAt: string}>} url is relative to the server root.
+ */
+export const fetchStreamUrlV2 = async (trackId) => {
+    return apiRequest(`/tracks/${trackId}/stream-url`, {
+        method: 'GET',
+    });
+};
+
+/**
+ * V2: Gets a short-lived signed URL for the now playing events of a radio stream (GET /api/tracks/:trackId/now-playing-url).
+ * The URL is read with an EventSource (events: 'station', 'nowPlaying', 'error').
+ * @returns {Promise<{url: string, expiresAt: string}>} url is relative to the server root.
+ */
+export const fetchNowPlayingUrlV2 = async (trackId) => {
+    return apiRequest(`/tracks/${trackId}/now-playing-url`, {
+        method: 'GET',
+    });
+};
+
+/**
+ * V2: Adds the radio stations of a .pls or .m3u station file (POST /api/tracks/stations/import).
+ * Pass either the uploaded `file` or the `url` of the station file.
+ * @returns {Promise<{msg: string, summary: object, results: Array<{url, title, status, reason, track}>}>}
+ */
+export const importStationsV2 = async ({ file, url } = {}) => {
+    let body;
+    if (file) {
+        body = new FormData();
+        body.append('stationFile', file);
+    } else {
+        body = JSON.stringify({ url });
+    }
+
+    return apiRequest('/tracks/stations/import', {
+        method: 'POST',
+        body,
+    });
+};
+
+/**
+ * V2: Fetches the waveform peaks of an uploaded track (GET /api/tracks/:trackId/waveform).
+ * @returns {Promise<object>} { trackId, duration, points, peaks: number[] (0..1) }; 404 until it is generated.
+ */
+export const fetchWaveformV2 = async (trackId) => {
+    return apiRequest(`/tracks/${trackId}/waveform`);
+};
+
+/**
+ * V2: Fetches the lyrics of a track (GET /api/tracks/:trackId/lyrics).
+ * @returns {Promise<object>} { trackId, format ('plain' | 'lrc'), text, lines: [{ time, text }], language, source }; 404 when it has none.
+ */
+export const fetchLyricsV2 = async (trackId) => {
+    return apiRequest(`/tracks/${trackId}/lyrics`);
+};
+
+/**
+ * V2: Sets the lyrics of a track, plain or LRC (PUT /api/tracks/:trackId/lyrics).
+ * @param {string} lyrics - The text; LRC is detected from its timestamps.
+ * @param {object} options - { format ('plain' | 'lrc'), source ('upload' for lyrics read from a file) }.
+ * @returns {Promise<object>} The saved lyrics, as fetchLyricsV2.
+ */
+export const saveLyricsV2 = async (trackId, lyrics, { format, source } = {}) => {
+    return apiRequest(`/tracks/${trackId}/lyrics`, {
+        method: 'PUT',
+        body: JSON.stringify({ lyrics, format, source }),
+    });
+};
+
+/**
+ * V2: Removes the lyrics of a track (DELETE /api/tracks/:trackId/lyrics).
+ */
+export const deleteLyricsV2 = async (trackId) => {
+    return apiRequest(`/tracks/${trackId}/lyrics`, {
+        method: 'DELETE',
     });
 };
 
 /**
  * V2: Search Tracks (GET /api/tracks/search?q=...).
  * 🆕 UPDATED: Now uses the central apiRequest utility.
+ * @param {string} query - Search words and qualifiers (artist:, album:, genre:, source:, year:).
+ * @param {object} page - { cursor, limit }; pass the previous response's nextCursor for the next page.
+ * @param {object} options - { filters, sort, order, facets } as for fetchTracksV2 (no sort keeps the ranking).
+ * @returns {Promise<object>} { tracks (ranked, with highlights), total, nextCursor, truncated, facets? };
+ *   `truncated` means only the best 500 candidates were ranked, so `total` is a lower bound.
  */
-export const searchTracksV2 = async (query) => {
-    if (!query) { return []; }
-    return apiRequest(`/tracks/search?q=${encodeURIComponent(query)}`, {
+export const searchTracksV2 = async (query, page = {}, options = {}) => {
+    if (!query) { return { tracks: [], total: 0, nextCursor: null }; }
+    return apiRequest(`/tracks/search?q=${encodeURIComponent(query)}${listQuery(options)}${pageQuery(page)}`, {
         method: 'GET',
     });
 };
@@ -172,6 +388,28 @@ export const updatePlaylistV3 = async (playlistId, updates) => {
     });
 };
 
+/**
+ * V3: Creates a smart playlist, filled by its rules when opened (POST /api/playlists).
+ * @param {object} smartRules - { match, rules: [{ field, operator, value }], limit, sort, order }.
+ */
+export const createSmartPlaylistV3 = async (name, smartRules) => {
+    return apiRequest('/playlists', {
+        method: 'POST',
+        body: JSON.stringify({ name, is_public: false, smartRules }),
+    });
+};
+
+/**
+ * V3: Evaluates smart playlist rules without saving them (POST /api/playlists/smart/preview).
+ * @returns {Promise<object>} { smartRules, tracks, trackCount, ruleDescriptions }.
+ */
+export const previewSmartPlaylistV3 = async (smartRules) => {
+    return apiRequest('/playlists/smart/preview', {
+        method: 'POST',
+        body: JSON.stringify({ smartRules }),
+    });
+};
+
 /**
  * V3: Toggles a track's presence in a playlist (PUT /api/playlists/:id/tracks).
  * The API handles add/remove based on the track's current presence.
@@ -186,7 +424,7 @@ export const toggleTrackInPlaylistV3 = (playlistId, trackId) =>
 
 // delete playlist
 /**
- * V3: Deletes a playlist (DELETE /api/playlists/:id).
+ * V3: Moves a playlist to the Trash (DELETE /api/playlists/:id); restore it with restorePlaylistV2.
  */
 export const deletePlaylistV3 = (playlistId) =>
   apiRequest(`/playlists/${playlistId}`, { method: 'DELETE' });
@@ -268,7 +506,7 @@ export const uploadTrack = async (trackData) => {
  * Original V1: Fetches tracks from the API, optionally sorted.
  * It reads the authToken from localStorage for authorization.
  * @param {string} [sortBy='recently_added'] - The sorting parameter (alphabetical, recently_added, recently_listened).
- * @returns {Promise<Array>} A promise that resolves to an array of track objects.
+ * @returns {Promise<Array>} A promise that resolves to the first page of tracks (use fetchRecommendedTracksV2 to page).
  */
 
 export const fetchRecommendedTracks = async (sortBy = 'recently_added') => {
@@ -314,7 +552,7 @@ export const fetchRecommendedTracks = async (sortBy = 'recently_added') => {
 };
 
 // --- Original V1: Function for Marking a Track as Listened ---
-export const markTrackAsListened = async (trackId) => {
+export const markTrackAsListened = async (trackId, session = {}) => {
     const token = localStorage.getItem('authToken');
 
     if (!token) {
@@ -329,7 +567,7 @@ export const markTrackAsListened = async (trackId) => {
                 'Content-Type': 'application/json',
                 'Authorization': `Bearer ${token}`,
             },
-            body: JSON.stringify({})
+            body: JSON.stringify(session)
         });
 
         if (!response.ok) {
@@ -538,7 +776,8 @@ export const addTrackToPlaylistV3 = async (playlistId, trackId) => {
 };
 
 /**
- * V2: Deletes a track by ID (DELETE /api/tracks/:id).
+ * V2: Moves a track to the Trash (DELETE /api/tracks/:id); restore it with restoreTrackV2.
+ * @returns {Promise<object>} { msg, deletedAt, purgeAt }.
  */
 export const deleteTrackV2 = async (trackId) => {
     return apiRequest(`/tracks/${trackId}`, {
@@ -548,6 +787,7 @@ export const deleteTrackV2 = async (trackId) => {
 
 /**
  * V2: Updates track metadata (PUT /api/tracks/:id).
+ * @returns {Promise<object>} The track, with the `revisionId` of the recorded edit (null when nothing changed).
  */
 export const updateTrackV2 = async (trackId, updates) => {
     return apiRequest(`/tracks/${trackId}`, {
@@ -556,6 +796,286 @@ export const updateTrackV2 = async (trackId, updates) => {
     });
 };
 
+/**
+ * V2: Lists a track's metadata edits, newest first (GET /api/tracks/:id/revisions).
+ * @returns {Promise<object>} { revisions: [{ _id, user: { username }, changes: [{ field, from, to }], revertOf, createdAt }] }.
+ */
+export const fetchTrackRevisionsV2 = async (trackId) => {
+    return apiRequest(`/tracks/${trackId}/revisions`);
+};
+
+/**
+ * V2: Takes a track back to how it was before a revision (POST /api/tracks/:id/revisions/:revisionId/revert).
+ * @returns {Promise<object>} The track, with the `revisionId` of the revert (itself revertible).
+ */
+export const revertTrackRevisionV2 = async (trackId, revisionId) => {
+    return apiRequest(`/tracks/${trackId}/revisions/${revisionId}/revert`, {
+        method: 'POST',
+    });
+};
+
+// ----------------------------------------------------------------------
+// --- TRASH ---
+// ----------------------------------------------------------------------
+
+/**
+ * V2: The user's trashed tracks and playlists, most recently trashed first (GET /api/trash).
+ * @returns {Promise<object>} { retentionDays, tracks: [...], playlists: [...] }; each item has `deletedAt` and `purgeAt`.
+ */
+export const fetchTrashV2 = async () => {
+    return apiRequest('/trash');
+};
+
+/**
+ * V2: Takes a track out of the Trash, back into its playlists (POST /api/trash/tracks/:id/restore).
+ */
+export const restoreTrackV2 = async (trackId) => {
+    return apiRequest(`/trash/tracks/${trackId}/restore`, {
+        method: 'POST',
+    });
+};
+
+/**
+ * V2: Takes a playlist out of the Trash (POST /api/trash/playlists/:id/restore).
+ */
+export const restorePlaylistV2 = async (playlistId) => {
+    return apiRequest(`/trash/playlists/${playlistId}/restore`, {
+        method: 'POST',
+    });
+};
+
+/**
+ * V2: Deletes a trashed track for good, with its stored files (DELETE /api/trash/tracks/:id).
+ * @returns {Promise<object>} { msg, partial, failures, ... }.
+ */
+export const deleteTrackForeverV2 = async (trackId) => {
+    return apiRequest(`/trash/tracks/${trackId}`, {
+        method: 'DELETE',
+    });
+};
+
+/**
+ * V2: Deletes a trashed playlist for good (DELETE /api/trash/playlists/:id).
+ */
+export const deletePlaylistForeverV2 = async (playlistId) => {
+    return apiRequest(`/trash/playlists/${playlistId}`, {
+        method: 'DELETE',
+    });
+};
+
+/**
+ * V2: Empties the Trash (DELETE /api/trash).
+ * @returns {Promise<object>} { msg, partial, tracksDeleted, tracksFailed, playlistsDeleted, failures }.
+ */
+export const emptyTrashV2 = async () => {
+    return apiRequest('/trash', {
+        method: 'DELETE',
+    });
+};
+
+// ----------------------------------------------------------------------
+// --- LIBRARY HEALTH ---
+// ----------------------------------------------------------------------
+
+/**
+ * V2: YouTube and external tracks whose link is broken or failed its last check (GET /api/tracks/health).
+ * @returns {Promise<object>} { summary: { links, ok, broken, unchecked, lastCheckedAt }, tracks: [...] }.
+ */
+export const fetchLibraryHealthV2 = async () => {
+    return apiRequest('/tracks/health');
+};
+
+/**
+ * V2: Checks a track's link now (POST /api/tracks/:id/check-link).
+ * @returns {Promise<object>} The track with its linkStatus, linkError and linkCheckedAt.
+ */
+export const checkTrackLinkV2 = async (trackId) => {
+    return apiRequest(`/tracks/${trackId}/check-link`, {
+        method: 'POST',
+    });
+};
+
+/**
+ * V2: Gives a YouTube or external track a new source (PUT /api/tracks/:id/source).
+ * Pass a new link ({ sourceType, sourceUrl }) or an audio `file` to upload in its place.
+ * @returns {Promise<object>} The updated track; a 409 error's response carries `duplicateOf`.
+ */
+export const updateTrackSourceV2 = async (trackId, { sourceType, sourceUrl, file } = {}) => {
+    let body;
+    if (file) {
+        body = new FormData();
+        body.append('audioFile', file);
+    } else {
+        body = JSON.stringify({ sourceType, sourceUrl });
+    }
+
+    return apiRequest(`/tracks/${trackId}/source`, {
+        method: 'PUT',
+        body,
+    });
+};
+
+// ----------------------------------------------------------------------
+// --- TAGS ---
+// ----------------------------------------------------------------------
+
+/**
+ * V2: Lists the user's tags with their track counts, most used first (GET /api/tags).
+ * @param {string} query - Optional; keeps the tags containing it.
+ * @returns {Promise<object>} { tags: [{ tag, count }] }.
+ */
+export const fetchTagsV2 = async (query = '') => {
+    return apiRequest(`/tags${query ? `?q=${encodeURIComponent(query)}` : ''}`);
+};
+
+/**
+ * V2: Adds and/or removes tags on one or many tracks (PUT /api/tags/tracks).
+ * @param {string[]} trackIds
+ * @param {object} changes - { add: string[], remove: string[] }.
+ * @returns {Promise<object>} { msg, matched, modified, notFound, tracks: [{ _id, tags }] }.
+ */
+export const updateTrackTagsV2 = async (trackIds, { add = [], remove = [] } = {}) => {
+    return apiRequest('/tags/tracks', {
+        method: 'PUT',
+        body: JSON.stringify({ trackIds, add, remove }),
+    });
+};
+
+/**
+ * V2: Renames a tag across the library, merging it into `name` when that tag exists (PUT /api/tags/:tag).
+ * @returns {Promise<object>} { msg, tag, merged, tracks }.
+ */
+export const renameTagV2 = async (tag, name) => {
+    return apiRequest(`/tags/${encodeURIComponent(tag)}`, {
+        method: 'PUT',
+        body: JSON.stringify({ name }),
+    });
+};
+
+/**
+ * V2: Removes a tag from every track (DELETE /api/tags/:tag).
+ */
+export const deleteTagV2 = async (tag) => {
+    return apiRequest(`/tags/${encodeURIComponent(tag)}`, {
+        method: 'DELETE',
+    });
+};
+
+/**
+ * V2: Rates a track from 1 to 5 stars, or clears the rating with null (PUT /api/tracks/:id/rating).
+ * @returns {Promise<object>} { rating, revisionId }.
+ */
+export const rateTrackV2 = async (trackId, rating) => {
+    return apiRequest(`/tracks/${trackId}/rating`, {
+        method: 'PUT',
+        body: JSON.stringify({ rating }),
+    });
+};
+
+// ----------------------------------------------------------------------
+// --- LIKED SONGS ---
+// ----------------------------------------------------------------------
+
+/**
+ * V2: Likes a track, adding it to Liked Songs (PUT /api/tracks/:id/like).
+ * @returns {Promise<object>} { liked, likedAt }.
+ */
+export const likeTrackV2 = async (trackId) => {
+    return apiRequest(`/tracks/${trackId}/like`, {
+        method: 'PUT',
+    });
+};
+
+/**
+ * V2: Unlikes a track, removing it from Liked Songs (DELETE /api/tracks/:id/like).
+ * @returns {Promise<object>} { liked, likedAt }.
+ */
+export const unlikeTrackV2 = async (trackId) => {
+    return apiRequest(`/tracks/${trackId}/like`, {
+        method: 'DELETE',
+    });
+};
+
+/**
+ * V2: IDs of every liked track, most recently liked first (GET /api/tracks/liked/ids).
+ * @returns {Promise<object>} { ids }.
+ */
+export const fetchLikedTrackIdsV2 = async () => {
+    return apiRequest('/tracks/liked/ids');
+};
+
+// ----------------------------------------------------------------------
+// --- ARTISTS & ALBUMS ---
+// ----------------------------------------------------------------------
+
+/**
+ * V2: Lists the user's artists with their track and album counts (GET /api/artists).
+ * @param {object} params - { q, sort: 'name'|'tracks' }.
+ * @returns {Promise<object>} { artists: [{ _id, name, trackCount, featuredCount, albumCount, cover_photo, coverSizes }] }.
+ */
+export const fetchArtistsV2 = async (params = {}) => {
+    const query = new URLSearchParams(Object.entries(params).filter(([, value]) => value)).toString();
+    return apiRequest(`/artists${query ? `?${query}` : ''}`);
+};
+
+/**
+ * V2: An artist with their albums, the albums they appear on and their tracks (GET /api/artists/:id).
+ * @returns {Promise<object>} { artist, albums, appearsOn, tracks }.
+ */
+export const fetchArtistV2 = async (artistId) => {
+    return apiRequest(`/artists/${artistId}`);
+};
+
+/**
+ * V2: Groups of artists that are probably spelling variants of one artist (GET /api/artists/suggestions).
+ * @returns {Promise<object>} { suggestions: [{ artists: [{ _id, name, trackCount }] }] }.
+ */
+export const fetchArtistMergeSuggestionsV2 = async () => {
+    return apiRequest('/artists/suggestions');
+};
+
+/**
+ * V2: Renames an artist (PUT /api/artists/:id).
+ * @returns {Promise<object>} { artist }.
+ */
+export const renameArtistV2 = async (artistId, name) => {
+    return apiRequest(`/artists/${artistId}`, {
+        method: 'PUT',
+        body: JSON.stringify({ name }),
+    });
+};
+
+/**
+ * V2: Merges other artists into `artistId`, moving their tracks and albums (POST /api/artists/:id/merge).
+ * @param {string} artistId - The artist that is kept.
+ * @param {string[]} artistIds - The artists merged into it.
+ * @returns {Promise<object>} { msg, artist, tracks, albums, albumsMerged }.
+ */
+export const mergeArtistsV2 = async (artistId, artistIds) => {
+    return apiRequest(`/artists/${artistId}/merge`, {
+        method: 'POST',
+        body: JSON.stringify({ artistIds }),
+    });
+};
+
+/**
+ * V2: Lists the user's albums with their artist, track count and cover (GET /api/albums).
+ * @param {object} params - { q, artistId, sort: 'title'|'year' }.
+ * @returns {Promise<object>} { albums: [...] }.
+ */
+export const fetchAlbumsV2 = async (params = {}) => {
+    const query = new URLSearchParams(Object.entries(params).filter(([, value]) => value)).toString();
+    return apiRequest(`/albums${query ? `?${query}` : ''}`);
+};
+
+/**
+ * V2: An album with its tracks in disc and track order (GET /api/albums/:id).
+ * @returns {Promise<object>} { album, tracks }.
+ */
+export const fetchAlbumV2 = async (albumId) => {
+    return apiRequest(`/albums/${albumId}`);
+};
+
 export const fetchPlaylistsByTrack = (trackId) => {
   return apiRequest(`/playlists/by-track/${trackId}`);
 };
@@ -10,7 +10,7 @@ const VideoViewer = () => {
         currentTrack, 
         sourceType, 
         isPlaying, 
-        volume, 
+        youtubeVolume, // Volume with the loudness normalization gain applied
         isMuted,
         currentTime,
         isVideoViewerOpen, 
@@ -20,7 +20,7 @@ const VideoViewer = () => {
         setYoutubeCurrentTime, 
         setYoutubeDuration, 
         setYoutubePlayerObject,
-        playNextStable // Note: Changed playNext to playNextStable to match context definition
+        handleYoutubeEnded // Advances the queue and records the finished play
     } = useMusic();
     
     // 2. Determine container size based on context state (16:9 aspect ratio)
@@ -105,7 +105,7 @@ const VideoViewer = () => {
                     
                     // State Sync
                     isPlaying={isPlaying}
-                    volume={volume}
+                    volume={youtubeVolume}
                     isMuted={isMuted}
                     // Only use currentTime if it's the *first* video load
                     initialTime={currentTime} 
@@ -114,7 +114,7 @@ const VideoViewer = () => {
                     setDuration={setYoutubeDuration}
                     setCurrentTime={setYoutubeCurrentTime}
                     setPlayerObject={setYoutubePlayerObject}
-                    onEnded={playNextStable} // Use the stable reference
+                    onEnded={handleYoutubeEnded} // Use the stable reference
                 />
 
                 {/* Optional: Placeholder when a non-YouTube track is playing but viewer is open */}
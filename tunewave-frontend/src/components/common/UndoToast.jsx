@@ -0,0 +1,58 @@
+import React, { useState, useEffect } from 'react';
+import { Loader2, Undo2, X } from 'lucide-react';
+
+// How long the toast stays up
+const UNDO_TOAST_DURATION_MS = 8000;
+
+/**
+ * A toast above the player offering to undo the last change. It closes itself after a few seconds.
+ * Give it a new `key` for each change, so the timer starts over.
+ * @param {Object} props
+ * @param {string} props.message - What was changed, e.g. 'Saved "Song"'.
+ * @param {Function} props.onUndo - Undoes the change (may return a promise).
+ * @param {Function} props.onDismiss - Called when the toast closes.
+ * @param {boolean} [props.darkMode=false]
+ * @returns {JSX.Element}
+ */
+const UndoToast = ({ message, onUndo, onDismiss, darkMode = false }) => {
+    const [isUndoing, setIsUndoing] = useState(false);
+
+    useEffect(() => {
+        if (isUndoing) return undefined;
+        const timer = setTimeout(onDismiss, UNDO_TOAST_DURATION_MS);
+        return () => clearTimeout(timer);
+    }, [isUndoing, onDismiss]);
+
+    const handleUndo = async () => {
+        setIsUndoing(true);
+        try {
+            await onUndo();
+        } finally {
+            onDismiss();
+        }
+    };
+
+    return (
+        <div
+            role="status"
+            className={`fixed bottom-28 left-1/2 -translate-x-1/2 z-50 flex items-center gap-4 px-4 py-3 rounded-lg shadow-2xl ${
+                darkMode ? 'bg-gray-700 text-white' : 'bg-gray-900 text-white'
+            }`}
+        >
+            <span className="text-sm truncate max-w-xs">{message}</span>
+            <button
+                onClick={handleUndo}
+                disabled={isUndoing}
+                className="flex items-center text-sm font-semibold text-indigo-300 hover:text-indigo-200 disabled:opacity-50"
+            >
+                {isUndoing ? <Loader2 className="h-4 w-4 mr-1 animate-spin" /> : <Undo2 className="h-4 w-4 mr-1" />}
+                Undo
+            </button>
+            <button onClick={onDismiss} className="text-gray-400 hover:text-white" title="Dismiss">
+                <X className="h-4 w-4" />
+            </button>
+        </div>
+    );
+};
+
+export default UndoToast;
@@ -112,8 +112,10 @@ const AddToPlaylistMenu = ({ trackId, onClose, allowCreate = true }) => {
   const isTrackInPlaylist = (playlist) =>
     playlistsWithTrack.has(playlist._id || playlist.id);
 
+  // Built-in collections (Liked Songs) are filled by the heart button and smart
+  // playlists by their rules, not from here
   const filteredPlaylists = userPlaylists.filter((playlist) =>
-    playlist.name?.toLowerCase().includes(playlistSearch.toLowerCase())
+    !playlist.system && playlist.type !== 'smart' && playlist.name?.toLowerCase().includes(playlistSearch.toLowerCase())
   );
 
   return (
@@ -0,0 +1,66 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { Disc3, Play, Loader2 } from 'lucide-react';
+import { useMusic } from '../../context/MusicContext';
+import { fetchAlbumV2 } from '../../api/musicService';
+import { getCoverImageUrl } from '../../utils/urlUtils';
+
+/**
+ * Album tile linking to its page (/album/:id). The button over the cover plays
+ * the whole album.
+ * @param {object} props
+ * @param {object} props.album - An album from GET /api/albums or /api/artists/:id
+ * @param {boolean} [props.showArtist] - Show the album artist, else the year.
+ */
+const AlbumCard = ({ album, showArtist = true, darkMode }) => {
+    const { playNewQueue } = useMusic();
+    const [isLoading, setIsLoading] = useState(false);
+    const imageSrc = getCoverImageUrl(album, 'card');
+
+    const handlePlay = async (e) => {
+        e.preventDefault(); // Play without following the link
+        if (isLoading) return;
+        setIsLoading(true);
+        try {
+            const { tracks } = await fetchAlbumV2(album._id);
+            playNewQueue(tracks, 0, { source: 'album', id: album._id });
+        } catch (err) {
+            console.error('Failed to play album:', err);
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    return (
+        <Link
+            to={`/album/${album._id}`}
+            className={`group block w-40 flex-shrink-0 p-3 rounded-xl transition-colors ${darkMode ? 'hover:bg-gray-800' : 'hover:bg-gray-100'}`}
+        >
+            <div className="relative w-full aspect-square mb-2 rounded-lg overflow-hidden shadow-md">
+                {imageSrc ? (
+                    <img src={imageSrc} alt="" loading="lazy" decoding="async" className="w-full h-full object-cover" />
+                ) : (
+                    <div className={`w-full h-full flex items-center justify-center ${darkMode ? 'bg-gray-700' : 'bg-gray-200'}`}>
+                        <Disc3 className="h-10 w-10 text-indigo-400" />
+                    </div>
+                )}
+                <button
+                    type="button"
+                    onClick={handlePlay}
+                    className="absolute bottom-2 right-2 p-2 rounded-full bg-green-600 hover:bg-green-700 text-white shadow-lg opacity-0 group-hover:opacity-100 transition-opacity"
+                    aria-label={`Play ${album.title}`}
+                >
+                    {isLoading ? <Loader2 className="h-5 w-5 animate-spin" /> : <Play className="h-5 w-5 fill-white" />}
+                </button>
+            </div>
+            <p className={`text-sm font-semibold truncate ${darkMode ? 'text-white' : 'text-gray-900'}`} title={album.title}>
+                {album.title}
+            </p>
+            <p className={`text-xs truncate ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                {showArtist ? album.artistName : [album.year, `${album.trackCount} songs`].filter(Boolean).join(' · ')}
+            </p>
+        </Link>
+    );
+};
+
+export default AlbumCard;
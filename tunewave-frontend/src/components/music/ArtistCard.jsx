@@ -0,0 +1,39 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { Mic2 } from 'lucide-react';
+import { getCoverImageUrl } from '../../utils/urlUtils';
+
+/**
+ * Round artist tile linking to their page (/artist/:id), pictured with the
+ * cover of their latest track.
+ * @param {object} props
+ * @param {object} props.artist - An artist from GET /api/artists
+ */
+const ArtistCard = ({ artist, darkMode }) => {
+    const imageSrc = getCoverImageUrl(artist, 'card');
+
+    return (
+        <Link
+            to={`/artist/${artist._id}`}
+            className={`block w-36 flex-shrink-0 p-3 rounded-xl text-center transition-colors ${darkMode ? 'hover:bg-gray-800' : 'hover:bg-gray-100'}`}
+        >
+            <div className="w-full aspect-square mb-2 rounded-full overflow-hidden shadow-md">
+                {imageSrc ? (
+                    <img src={imageSrc} alt="" loading="lazy" decoding="async" className="w-full h-full object-cover" />
+                ) : (
+                    <div className={`w-full h-full flex items-center justify-center ${darkMode ? 'bg-gray-700' : 'bg-gray-200'}`}>
+                        <Mic2 className="h-10 w-10 text-indigo-400" />
+                    </div>
+                )}
+            </div>
+            <p className={`text-sm font-semibold truncate ${darkMode ? 'text-white' : 'text-gray-900'}`} title={artist.name}>
+                {artist.name}
+            </p>
+            <p className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                {artist.trackCount} {artist.trackCount === 1 ? 'song' : 'songs'}
+            </p>
+        </Link>
+    );
+};
+
+export default ArtistCard;
@@ -0,0 +1,144 @@
+import React, { useEffect, useState } from 'react';
+import { Search, Loader2, Merge } from 'lucide-react';
+import { fetchArtistsV2, fetchArtistMergeSuggestionsV2, mergeArtistsV2 } from '../../api/musicService';
+
+/**
+ * Merge tool of an artist page: pick spelling variants of the artist (suggested ones,
+ * or found by name) and fold them into it. Their tracks and albums move to the artist.
+ * @param {object} props
+ * @param {object} props.artist - The artist that is kept
+ * @param {function} props.onMerged - Called with the merge result
+ * @param {function} props.onCancel
+ */
+const ArtistMergePanel = ({ artist, onMerged, onCancel, darkMode }) => {
+    const [suggested, setSuggested] = useState([]);
+    const [query, setQuery] = useState('');
+    const [results, setResults] = useState([]);
+    const [isSearching, setIsSearching] = useState(false);
+    const [selectedIds, setSelectedIds] = useState(() => new Set());
+    const [isMerging, setIsMerging] = useState(false);
+    const [error, setError] = useState(null);
+
+    const inputClass = `w-full p-2 pl-9 rounded-lg border text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500 ${
+        darkMode ? 'bg-gray-700 border-gray-600 text-white placeholder-gray-400' : 'bg-white border-gray-300 text-gray-900 placeholder-gray-500'
+    }`;
+
+    // Other artists in a suggestion group with this one ("The Beatles" / "Beatles")
+    useEffect(() => {
+        fetchArtistMergeSuggestionsV2()
+            .then(({ suggestions }) => {
+                const group = suggestions.find(({ artists }) => artists.some(({ _id }) => _id === artist._id));
+                const others = group ? group.artists.filter(({ _id }) => _id !== artist._id) : [];
+                setSuggested(others);
+                setSelectedIds(new Set(others.map(({ _id }) => _id)));
+            })
+            .catch(err => console.error('Failed to load merge suggestions:', err));
+    }, [artist._id]);
+
+    const handleSearch = async (e) => {
+        e.preventDefault();
+        if (!query.trim()) return;
+        setIsSearching(true);
+        setError(null);
+        try {
+            const { artists } = await fetchArtistsV2({ q: query.trim() });
+            setResults(artists.filter(({ _id }) => _id !== artist._id));
+        } catch (err) {
+            setError(err.response?.data?.msg || 'Could not search artists.');
+        } finally {
+            setIsSearching(false);
+        }
+    };
+
+    const toggleSelected = (artistId) => {
+        setSelectedIds(prev => {
+            const next = new Set(prev);
+            if (next.has(artistId)) next.delete(artistId);
+            else next.add(artistId);
+            return next;
+        });
+    };
+
+    const handleMerge = async () => {
+        if (selectedIds.size === 0) return;
+        setIsMerging(true);
+        setError(null);
+        try {
+            onMerged(await mergeArtistsV2(artist._id, [...selectedIds]));
+        } catch (err) {
+            setError(err.response?.data?.msg || 'Could not merge these artists.');
+            setIsMerging(false);
+        }
+    };
+
+    // Suggested artists first, then search results not already listed
+    const candidates = [...suggested, ...results.filter(({ _id }) => !suggested.some(other => other._id === _id))];
+
+    return (
+        <div className={`p-6 mb-8 rounded-xl shadow-lg border-2 border-indigo-500/50 ${darkMode ? 'bg-gray-800' : 'bg-white'}`}>
+            <h3 className={`text-lg font-semibold mb-1 ${darkMode ? 'text-white' : 'text-gray-900'}`}>Merge into {artist.name}</h3>
+            <p className={`text-sm mb-4 ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                Pick other spellings of this artist. Their tracks and albums move here, and later tracks spelled that way are added here too.
+            </p>
+
+            <form onSubmit={handleSearch} className="relative mb-4 max-w-sm">
+                <input
+                    type="text"
+                    placeholder="Find an artist..."
+                    value={query}
+                    onChange={(e) => setQuery(e.target.value)}
+                    className={inputClass}
+                />
+                <Search className={`absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 ${darkMode ? 'text-gray-400' : 'text-gray-500'}`} />
+                {isSearching && <Loader2 className="absolute right-3 top-1/2 -translate-y-1/2 h-4 w-4 text-indigo-500 animate-spin" />}
+            </form>
+
+            {candidates.length > 0 ? (
+                <ul className="space-y-1 max-h-64 overflow-y-auto">
+                    {candidates.map((candidate) => (
+                        <li key={candidate._id}>
+                            <label className={`flex items-center p-2 rounded-lg cursor-pointer text-sm ${darkMode ? 'hover:bg-gray-700 text-gray-200' : 'hover:bg-gray-100 text-gray-800'}`}>
+                                <input
+                                    type="checkbox"
+                                    checked={selectedIds.has(candidate._id)}
+                                    onChange={() => toggleSelected(candidate._id)}
+                                    className="mr-3 accent-indigo-600"
+                                />
+                                <span className="flex-grow truncate">{candidate.name}</span>
+                                {suggested.includes(candidate) && (
+                                    <span className="ml-2 px-2 rounded-full text-xs bg-indigo-600/20 text-indigo-400">Suggested</span>
+                                )}
+                                <span className={`ml-3 text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>{candidate.trackCount} songs</span>
+                            </label>
+                        </li>
+                    ))}
+                </ul>
+            ) : (
+                <p className={`text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>No similar spellings found. Search for the artist to merge.</p>
+            )}
+
+            {error && <p className="mt-4 text-sm text-red-400">{error}</p>}
+
+            <div className="flex justify-end gap-3 mt-6">
+                <button
+                    type="button"
+                    onClick={onCancel}
+                    className={`px-4 py-2 rounded-lg text-sm ${darkMode ? 'hover:bg-gray-700 text-gray-300' : 'hover:bg-gray-100 text-gray-700'}`}
+                >
+                    Cancel
+                </button>
+                <button
+                    type="button"
+                    onClick={handleMerge}
+                    disabled={isMerging || selectedIds.size === 0}
+                    className="flex items-center px-4 py-2 rounded-lg text-sm bg-indigo-600 hover:bg-indigo-700 text-white disabled:opacity-50"
+                >
+                    {isMerging ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <Merge className="h-4 w-4 mr-2" />}
+                    Merge {selectedIds.size > 0 ? selectedIds.size : ''} into {artist.name}
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default ArtistMergePanel;
@@ -1,31 +1,144 @@
-import React, { useState } from 'react';
-import { X, Save } from 'lucide-react';
+import React, { useEffect, useState } from 'react';
+import { X, Save, FileText } from 'lucide-react';
+import { formatAudioQuality, formatDuration } from '../../utils/trackFormat';
+import { isSyncedLyrics, LYRICS_FILE_ACCEPT } from '../../utils/lyrics';
+import { formatCueTime } from '../../utils/cuePoints';
+import { fetchLyricsV2, saveLyricsV2, deleteLyricsV2 } from '../../api/musicService';
+import TagInput from './TagInput';
+import StarRating from './StarRating';
+
+// Numeric tag fields are sent as numbers, or null to clear them
+const toNumberOrNull = (value) => (value === '' ? null : Number(value));
+
+// Describes the server's loudness measurement for the gain offset hint
+const describeLoudness = (track) => {
+    if (track.sourceType === 'youtube') return 'YouTube tracks use a fixed normalization gain.';
+    if (typeof track.trackGain !== 'number') return 'Not analyzed yet.';
+    const gain = `${track.trackGain > 0 ? '+' : ''}${track.trackGain} dB`;
+    return typeof track.loudness === 'number'
+        ? `Measured ${track.loudness} LUFS, normalization gain ${gain}.`
+        : `Normalization gain ${gain} (from the file's ReplayGain tags).`;
+};
 
 const EditTrackModal = ({ track, onSave, onClose, darkMode }) => {
     const [title, setTitle] = useState(track.title);
     const [artist, setArtist] = useState(track.artist);
     const [coverPhoto, setCoverPhoto] = useState(track.cover_photo || '');
+    const [album, setAlbum] = useState(track.album || '');
+    const [albumArtist, setAlbumArtist] = useState(track.albumArtist || '');
+    const [trackNumber, setTrackNumber] = useState(track.trackNumber ?? '');
+    const [discNumber, setDiscNumber] = useState(track.discNumber ?? '');
+    const [year, setYear] = useState(track.year ?? '');
+    const [genres, setGenres] = useState((track.genres || []).join(', '));
+    const [composer, setComposer] = useState(track.composer || '');
+    const [tags, setTags] = useState(track.tags || []);
+    const [rating, setRating] = useState(track.rating ?? null);
+    const [gainOffset, setGainOffset] = useState(track.gainOffset ?? 0);
+    // Cue points as typed ("1:30" or seconds); the server reads both
+    const [startTime, setStartTime] = useState(formatCueTime(track.startTime));
+    const [endTime, setEndTime] = useState(formatCueTime(track.endTime));
     const [isSaving, setIsSaving] = useState(false);
 
+    // Lyrics are stored apart from the track; savedLyrics is null until they are loaded
+    const [savedLyrics, setSavedLyrics] = useState(track.lyricsFormat === null ? '' : null);
+    const [lyrics, setLyrics] = useState('');
+    const [lyricsSource, setLyricsSource] = useState('manual');
+
+    useEffect(() => {
+        if (track.lyricsFormat === null) return undefined;
+
+        let isCancelled = false;
+        fetchLyricsV2(track._id)
+            .then(({ text }) => {
+                if (isCancelled) return;
+                setSavedLyrics(text);
+                setLyrics(text);
+            })
+            .catch((error) => {
+                // 404 when the track has no lyrics
+                if (error.response?.status !== 404) console.error('Failed to load lyrics:', error);
+                if (!isCancelled) setSavedLyrics('');
+            });
+        return () => { isCancelled = true; };
+    }, [track._id, track.lyricsFormat]);
+
+    const handleLyricsFile = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = ''; // The same file can be picked again
+        if (!file) return;
+        setLyrics(await file.text());
+        setLyricsSource('upload');
+    };
+
+    const audioQuality = formatAudioQuality(track);
+
     const handleSubmit = async (e) => {
         e.preventDefault();
         setIsSaving(true);
-        
+
+        const updates = {
+            title,
+            artist,
+            album,
+            albumArtist,
+            trackNumber: toNumberOrNull(trackNumber),
+            discNumber: toNumberOrNull(discNumber),
+            year: toNumberOrNull(year),
+            genres: genres.split(',').map((genre) => genre.trim()).filter(Boolean),
+            composer,
+            gainOffset: toNumberOrNull(gainOffset),
+            startTime: startTime.trim() || null,
+            endTime: endTime.trim() || null,
+            tags,
+            rating,
+        };
+        // Only send the cover when it was changed, so stored covers keep their URL
+        if (coverPhoto !== (track.cover_photo || '')) {
+            updates.cover_photo = coverPhoto;
+        }
+
         try {
-            await onSave(track._id, { title, artist, cover_photo: coverPhoto });
-            onClose();
+            await onSave(track._id, updates);
         } catch (error) {
             console.error('Failed to update track:', error);
             alert('Failed to update track. Please try again.');
-        } finally {
             setIsSaving(false);
+            return;
+        }
+
+        // Only touch the lyrics when they were loaded and changed; clearing the box removes them
+        if (savedLyrics !== null && lyrics.trim() !== savedLyrics) {
+            try {
+                if (lyrics.trim()) {
+                    await saveLyricsV2(track._id, lyrics, { source: lyricsSource });
+                } else {
+                    await deleteLyricsV2(track._id);
+                }
+            } catch (error) {
+                console.error('Failed to save lyrics:', error);
+                alert(`The track was saved, but not its lyrics: ${error.response?.data?.msg || 'please try again.'}`);
+                setIsSaving(false);
+                return;
+            }
         }
+
+        setIsSaving(false);
+        onClose();
     };
 
+    const labelClasses = `block text-sm font-medium mb-2 ${
+        darkMode ? 'text-gray-300' : 'text-gray-700'
+    }`;
+    const inputClasses = `w-full px-4 py-2 rounded-lg border ${
+        darkMode
+            ? 'bg-gray-700 border-gray-600 text-white'
+            : 'bg-white border-gray-300 text-gray-900'
+    } focus:outline-none focus:ring-2 focus:ring-indigo-500`;
+
     return (
         <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black bg-opacity-50">
-            <div 
-                className={`w-full max-w-md rounded-2xl shadow-2xl p-6 ${
+            <div
+                className={`w-full max-w-lg max-h-[90vh] overflow-y-auto rounded-2xl shadow-2xl p-6 ${
                     darkMode ? 'bg-gray-800 text-white' : 'bg-white text-gray-900'
                 }`}
             >
@@ -45,9 +158,7 @@ const EditTrackModal = ({ track, onSave, onClose, darkMode }) => {
                 {/* Form */}
                 <form onSubmit={handleSubmit} className="space-y-4">
                     <div>
-                        <label className={`block text-sm font-medium mb-2 ${
-                            darkMode ? 'text-gray-300' : 'text-gray-700'
-                        }`}>
+                        <label className={labelClasses}>
                             Title
                         </label>
                         <input
@@ -55,18 +166,12 @@ const EditTrackModal = ({ track, onSave, onClose, darkMode }) => {
                             value={title}
                             onChange={(e) => setTitle(e.target.value)}
                             required
-                            className={`w-full px-4 py-2 rounded-lg border ${
-                                darkMode 
-                                    ? 'bg-gray-700 border-gray-600 text-white' 
-                                    : 'bg-white border-gray-300 text-gray-900'
-                            } focus:outline-none focus:ring-2 focus:ring-indigo-500`}
+                            className={inputClasses}
                         />
                     </div>
 
                     <div>
-                        <label className={`block text-sm font-medium mb-2 ${
-                            darkMode ? 'text-gray-300' : 'text-gray-700'
-                        }`}>
+                        <label className={labelClasses}>
                             Artist
                         </label>
                         <input
@@ -74,18 +179,149 @@ const EditTrackModal = ({ track, onSave, onClose, darkMode }) => {
                             value={artist}
                             onChange={(e) => setArtist(e.target.value)}
                             required
-                            className={`w-full px-4 py-2 rounded-lg border ${
-                                darkMode 
-                                    ? 'bg-gray-700 border-gray-600 text-white' 
-                                    : 'bg-white border-gray-300 text-gray-900'
-                            } focus:outline-none focus:ring-2 focus:ring-indigo-500`}
+                            className={inputClasses}
                         />
                     </div>
 
+                    {/* Album Details */}
+                    <div className="grid grid-cols-2 gap-4">
+                        <div>
+                            <label className={labelClasses}>Album</label>
+                            <input
+                                type="text"
+                                value={album}
+                                onChange={(e) => setAlbum(e.target.value)}
+                                className={inputClasses}
+                            />
+                        </div>
+                        <div>
+                            <label className={labelClasses}>Album Artist</label>
+                            <input
+                                type="text"
+                                value={albumArtist}
+                                onChange={(e) => setAlbumArtist(e.target.value)}
+                                className={inputClasses}
+                            />
+                        </div>
+                    </div>
+
+                    <div className="grid grid-cols-3 gap-4">
+                        <div>
+                            <label className={labelClasses}>Track #</label>
+                            <input
+                                type="number"
+                                min="0"
+                                value={trackNumber}
+                                onChange={(e) => setTrackNumber(e.target.value)}
+                                className={inputClasses}
+                            />
+                        </div>
+                        <div>
+                            <label className={labelClasses}>Disc #</label>
+                            <input
+                                type="number"
+                                min="0"
+                                value={discNumber}
+                                onChange={(e) => setDiscNumber(e.target.value)}
+                                className={inputClasses}
+                            />
+                        </div>
+                        <div>
+                            <label className={labelClasses}>Year</label>
+                            <input
+                                type="number"
+                                min="0"
+                                value={year}
+                                onChange={(e) => setYear(e.target.value)}
+                                className={inputClasses}
+                            />
+                        </div>
+                    </div>
+
                     <div>
-                        <label className={`block text-sm font-medium mb-2 ${
-                            darkMode ? 'text-gray-300' : 'text-gray-700'
-                        }`}>
+                        <label className={labelClasses}>
+                            Genres (comma separated)
+                        </label>
+                        <input
+                            type="text"
+                            value={genres}
+                            onChange={(e) => setGenres(e.target.value)}
+                            placeholder="Rock, Indie"
+                            className={inputClasses}
+                        />
+                    </div>
+
+                    <div>
+                        <label className={labelClasses}>Tags</label>
+                        <TagInput tags={tags} onChange={setTags} darkMode={darkMode} />
+                    </div>
+
+                    <div>
+                        <label className={labelClasses}>Rating</label>
+                        <StarRating rating={rating} onChange={setRating} darkMode={darkMode} size="h-6 w-6" />
+                    </div>
+
+                    <div>
+                        <label className={labelClasses}>Composer</label>
+                        <input
+                            type="text"
+                            value={composer}
+                            onChange={(e) => setComposer(e.target.value)}
+                            className={inputClasses}
+                        />
+                    </div>
+
+                    <div>
+                        <label className={labelClasses}>
+                            Volume Adjustment (dB)
+                        </label>
+                        <input
+                            type="number"
+                            min="-12"
+                            max="12"
+                            step="0.5"
+                            value={gainOffset}
+                            onChange={(e) => setGainOffset(e.target.value)}
+                            className={inputClasses}
+                        />
+                        <p className={`mt-1 text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                            Added on top of volume normalization. {describeLoudness(track)}
+                        </p>
+                    </div>
+
+                    {/* Cue Points (live streams have no timeline) */}
+                    {track.sourceType !== 'stream' && (
+                        <div>
+                            <div className="grid grid-cols-2 gap-4">
+                                <div>
+                                    <label className={labelClasses}>Start At</label>
+                                    <input
+                                        type="text"
+                                        value={startTime}
+                                        onChange={(e) => setStartTime(e.target.value)}
+                                        placeholder="0:00"
+                                        className={inputClasses}
+                                    />
+                                </div>
+                                <div>
+                                    <label className={labelClasses}>End At</label>
+                                    <input
+                                        type="text"
+                                        value={endTime}
+                                        onChange={(e) => setEndTime(e.target.value)}
+                                        placeholder={track.duration ? formatDuration(track.duration) : 'End'}
+                                        className={inputClasses}
+                                    />
+                                </div>
+                            </div>
+                            <p className={`mt-1 text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                                Plays only this part, e.g. to skip a long intro. Times like 1:30 or 90; leave empty for the whole track.
+                            </p>
+                        </div>
+                    )}
+
+                    <div>
+                        <label className={labelClasses}>
                             Cover Photo URL (optional)
                         </label>
                         <input
@@ -93,14 +329,47 @@ const EditTrackModal = ({ track, onSave, onClose, darkMode }) => {
                             value={coverPhoto}
                             onChange={(e) => setCoverPhoto(e.target.value)}
                             placeholder="https://example.com/cover.jpg"
-                            className={`w-full px-4 py-2 rounded-lg border ${
-                                darkMode 
-                                    ? 'bg-gray-700 border-gray-600 text-white' 
-                                    : 'bg-white border-gray-300 text-gray-900'
-                            } focus:outline-none focus:ring-2 focus:ring-indigo-500`}
+                            className={inputClasses}
+                        />
+                    </div>
+
+                    <div>
+                        <div className="flex items-center justify-between mb-2">
+                            <span className={`text-sm font-medium ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                                Lyrics
+                            </span>
+                            <label
+                                className={`flex items-center text-xs font-medium cursor-pointer ${
+                                    darkMode ? 'text-indigo-300 hover:text-indigo-200' : 'text-indigo-600 hover:text-indigo-700'
+                                }`}
+                            >
+                                <FileText className="h-4 w-4 mr-1" />
+                                Load .lrc / .txt
+                                <input type="file" accept={LYRICS_FILE_ACCEPT} onChange={handleLyricsFile} className="hidden" />
+                            </label>
+                        </div>
+                        <textarea
+                            value={lyrics}
+                            onChange={(e) => setLyrics(e.target.value)}
+                            disabled={savedLyrics === null}
+                            rows={6}
+                            placeholder={savedLyrics === null ? 'Loading lyrics...' : 'Paste plain lyrics, or LRC lines like [00:12.50]First line'}
+                            className={`${inputClasses} font-mono text-sm`}
                         />
+                        <p className={`mt-1 text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                            {lyrics.trim()
+                                ? (isSyncedLyrics(lyrics) ? 'Synced lyrics: lines are highlighted as the song plays.' : 'Plain lyrics.')
+                                : 'No lyrics.'}
+                        </p>
                     </div>
 
+                    {/* Read-only audio details from the uploaded file */}
+                    {(audioQuality || track.duration) && (
+                        <p className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                            {[formatDuration(track.duration), audioQuality].filter(Boolean).join(' · ')}
+                        </p>
+                    )}
+
                     {/* Action Buttons */}
                     <div className="flex space-x-3 pt-4">
                         <button
@@ -108,8 +377,8 @@ const EditTrackModal = ({ track, onSave, onClose, darkMode }) => {
                             onClick={onClose}
                             disabled={isSaving}
                             className={`flex-1 px-4 py-2 rounded-lg font-medium transition-colors ${
-                                darkMode 
-                                    ? 'bg-gray-700 hover:bg-gray-600 text-white' 
+                                darkMode
+                                    ? 'bg-gray-700 hover:bg-gray-600 text-white'
                                     : 'bg-gray-200 hover:bg-gray-300 text-gray-900'
                             } disabled:opacity-50`}
                         >
@@ -0,0 +1,52 @@
+import React, { useState } from 'react';
+import { Heart } from 'lucide-react';
+import { useMusic } from '../../context/MusicContext';
+
+/**
+ * Heart button that likes or unlikes a track (Liked Songs).
+ * The like state comes from MusicContext, so every button for a track agrees.
+ * @param {object} props
+ * @param {object} props.track
+ * @param {string} props.className - Extra classes, e.g. for position and padding.
+ * @param {string} props.iconClassName - Icon size.
+ */
+const LikeButton = ({ track, darkMode, className = '', iconClassName = 'h-5 w-5' }) => {
+    const { isTrackLiked, toggleLike } = useMusic();
+    const [isSaving, setIsSaving] = useState(false);
+    const trackId = track?._id || track?.id;
+    const liked = isTrackLiked(trackId);
+
+    if (!trackId) return null;
+
+    const handleClick = async (e) => {
+        e.stopPropagation(); // Prevent track from playing
+        if (isSaving) return;
+        setIsSaving(true);
+        try {
+            await toggleLike(track);
+        } catch {
+            // toggleLike already reverted the heart
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <button
+            type="button"
+            onClick={handleClick}
+            className={`transition-colors ${
+                liked
+                    ? 'text-pink-500 hover:text-pink-400'
+                    : darkMode ? 'text-gray-400 hover:text-white' : 'text-gray-500 hover:text-gray-900'
+            } ${className}`}
+            aria-label={liked ? 'Remove from Liked Songs' : 'Add to Liked Songs'}
+            aria-pressed={liked}
+            title={liked ? 'Remove from Liked Songs' : 'Add to Liked Songs'}
+        >
+            <Heart className={iconClassName} fill={liked ? 'currentColor' : 'none'} />
+        </button>
+    );
+};
+
+export default LikeButton;
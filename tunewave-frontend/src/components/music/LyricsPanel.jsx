@@ -0,0 +1,131 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Loader2, MicVocal, X } from 'lucide-react';
+import { useMusic } from '../../context/MusicContext';
+import { fetchLyricsV2 } from '../../api/musicService';
+import { findCurrentLineIndex } from '../../utils/lyrics';
+
+/**
+ * Lyrics of the playing track, opened from the player bar. Synced (LRC) lyrics
+ * highlight the line being sung and keep it centered; clicking a line seeks to it.
+ * Plain lyrics are shown as they are.
+ * @param {object} props
+ * @param {function} props.onClose
+ */
+const LyricsPanel = ({ onClose, darkMode }) => {
+    const { currentTrack, currentTime, handleSeek } = useMusic();
+    const trackId = currentTrack?._id || currentTrack?.id;
+
+    // Lyrics of the current track; loading while they belong to another track
+    const [result, setResult] = useState({ trackId: null, lyrics: null, error: null });
+    const activeLineRef = useRef(null);
+
+    useEffect(() => {
+        if (!trackId) return undefined;
+
+        let isCancelled = false;
+        fetchLyricsV2(trackId)
+            .then((lyrics) => {
+                if (!isCancelled) setResult({ trackId, lyrics, error: null });
+            })
+            .catch((e) => {
+                if (isCancelled) return;
+                // 404 when the track has no lyrics
+                if (e.response?.status !== 404) console.warn("Failed to load lyrics:", e);
+                setResult({ trackId, lyrics: null, error: e.response?.status === 404 ? null : 'Could not load the lyrics.' });
+            });
+        return () => { isCancelled = true; };
+    }, [trackId]);
+
+    const isLoading = result.trackId !== trackId;
+    const { lyrics } = result;
+    const lines = lyrics?.format === 'lrc' ? lyrics.lines : [];
+    const activeIndex = findCurrentLineIndex(lines, currentTime);
+
+    // Keep the line being sung in the middle of the panel
+    useEffect(() => {
+        if (activeLineRef.current) {
+            activeLineRef.current.scrollIntoView({ block: 'center', behavior: 'smooth' });
+        }
+    }, [activeIndex, isLoading]);
+
+    const mutedText = darkMode ? 'text-gray-400' : 'text-gray-500';
+
+    let content;
+    if (isLoading) {
+        content = (
+            <div className="flex justify-center py-10">
+                <Loader2 className="h-8 w-8 text-indigo-500 animate-spin" />
+            </div>
+        );
+    } else if (result.error) {
+        content = <p className="py-10 text-center text-sm text-red-400">{result.error}</p>;
+    } else if (!lyrics) {
+        content = (
+            <p className={`py-10 text-center text-sm ${mutedText}`}>
+                No lyrics for this song yet. Add them with Edit, as plain text or an LRC file.
+            </p>
+        );
+    } else if (lines.length === 0) {
+        content = (
+            <p className={`whitespace-pre-line text-base leading-relaxed ${darkMode ? 'text-gray-200' : 'text-gray-800'}`}>
+                {lyrics.text}
+            </p>
+        );
+    } else {
+        content = (
+            <div className="py-[25vh] space-y-3">
+                {lines.map((line, index) => {
+                    const isActive = index === activeIndex;
+                    const isPast = index < activeIndex;
+                    return (
+                        <button
+                            key={`${line.time}-${index}`}
+                            ref={isActive ? activeLineRef : null}
+                            type="button"
+                            onClick={() => handleSeek(line.time)}
+                            className={`block w-full text-left font-bold transition-all duration-300 hover:opacity-100 ${
+                                isActive
+                                    ? `text-2xl ${darkMode ? 'text-white' : 'text-gray-900'}`
+                                    : `text-xl ${isPast ? 'opacity-40' : 'opacity-60'} ${darkMode ? 'text-gray-300' : 'text-gray-700'}`
+                            }`}
+                        >
+                            {line.text || '♪'}
+                        </button>
+                    );
+                })}
+            </div>
+        );
+    }
+
+    return (
+        <div
+            className={`fixed right-4 bottom-28 z-40 flex flex-col w-96 max-w-[calc(100vw-2rem)] h-[60vh] rounded-2xl shadow-2xl border ${
+                darkMode ? 'bg-gray-900 border-gray-700' : 'bg-white border-gray-200'
+            }`}
+        >
+            <div className={`flex items-center justify-between px-5 py-3 border-b ${darkMode ? 'border-gray-700' : 'border-gray-200'}`}>
+                <div className="flex items-center min-w-0">
+                    <MicVocal className="h-5 w-5 mr-2 flex-shrink-0 text-indigo-400" />
+                    <div className="min-w-0">
+                        <p className={`text-sm font-semibold truncate ${darkMode ? 'text-white' : 'text-gray-900'}`}>
+                            {currentTrack?.title}
+                        </p>
+                        <p className={`text-xs truncate ${mutedText}`}>{currentTrack?.artist}</p>
+                    </div>
+                </div>
+                <button
+                    onClick={onClose}
+                    className={`p-2 rounded-full ${darkMode ? 'text-gray-300 hover:bg-gray-700' : 'text-gray-700 hover:bg-gray-100'}`}
+                    aria-label="Close lyrics"
+                >
+                    <X className="h-5 w-5" />
+                </button>
+            </div>
+            <div className="flex-grow overflow-y-auto px-6 py-4">
+                {content}
+            </div>
+        </div>
+    );
+};
+
+export default LyricsPanel;
@@ -1,4 +1,4 @@
-import React from 'react'; 
+import React, { useState, useEffect, useMemo } from 'react'; 
 import { 
     Play, 
     Pause, 
@@ -8,9 +8,19 @@ import {
     Repeat, 
     Volume2, 
     VolumeX,
-    Youtube
+    AudioLines,
+    MicVocal,
+    Youtube,
+    X
 } from 'lucide-react';
+import { Link } from 'react-router-dom';
 import { useMusic } from '../../context/MusicContext'; 
+import { getCoverImageUrl } from '../../utils/urlUtils';
+import { formatNowPlaying } from '../../utils/streams';
+import { fetchWaveformV2 } from '../../api/musicService';
+import WaveformSeekBar from './WaveformSeekBar';
+import LikeButton from './LikeButton';
+import LyricsPanel from './LyricsPanel';
 
 /**
  * Persistent music player bar fixed at the bottom of the application.
@@ -27,6 +37,11 @@ const MusicPlayer = ({ darkMode }) => {
         // --- Core Playback State (Used for progress bar) ---
         currentTime, 
         duration, 
+        playbackRange, // Start/end cue points; the bar only covers this part
+
+        // --- Live Streams (no progress bar, the station's current song instead) ---
+        isLiveStream,
+        streamNowPlaying,
         
         togglePlayPause, 
         handleSeek,
@@ -38,6 +53,8 @@ const MusicPlayer = ({ darkMode }) => {
         isMuted,
         setVolume,      
         toggleMute,
+        normalizeVolume,
+        toggleNormalizeVolume,
 
         // --- Shuffle and Repeat Controls ---
         isShuffling,
@@ -54,6 +71,46 @@ const MusicPlayer = ({ darkMode }) => {
         
     } = useMusic();
 
+    // Full-screen artwork overlay (opened by clicking the cover)
+    const [isArtworkOpen, setIsArtworkOpen] = useState(false);
+
+    // Lyrics panel over the page (follows the playing track while open)
+    const [isLyricsOpen, setIsLyricsOpen] = useState(false);
+
+    // Waveform peaks of the current upload ({ trackId, peaks }); other sources use the plain slider
+    const [waveform, setWaveform] = useState(null);
+    const waveformTrackId = sourceType === 'local' ? (currentTrack?._id || currentTrack?.id) : null;
+
+    useEffect(() => {
+        if (!waveformTrackId) return undefined;
+
+        let isCancelled = false;
+        fetchWaveformV2(waveformTrackId)
+            .then(({ peaks }) => {
+                if (!isCancelled && peaks?.length) setWaveform({ trackId: waveformTrackId, peaks });
+            })
+            .catch((e) => {
+                // 404 until the upload has been processed
+                if (e.response?.status !== 404) console.warn("Failed to load waveform:", e);
+            });
+        return () => { isCancelled = true; };
+    }, [waveformTrackId]);
+
+    const waveformPeaks = waveform && waveform.trackId === waveformTrackId ? waveform.peaks : null;
+
+    // Times shown and sought on the bar are relative to the start cue
+    const { start: rangeStart, end: rangeEnd } = playbackRange;
+    const rangeLength = Math.max(0, rangeEnd - rangeStart);
+    const elapsed = Math.min(rangeLength, Math.max(0, currentTime - rangeStart));
+
+    // The peaks cover the whole file; keep the ones of the played range
+    const rangePeaks = useMemo(() => {
+        if (!waveformPeaks || !duration || (rangeStart === 0 && rangeEnd >= duration)) return waveformPeaks;
+        const from = Math.floor((rangeStart / duration) * waveformPeaks.length);
+        const to = Math.ceil((rangeEnd / duration) * waveformPeaks.length);
+        return waveformPeaks.slice(from, Math.max(from + 1, to));
+    }, [waveformPeaks, duration, rangeStart, rangeEnd]);
+
     // --- Time Formatting Utility ---
     const formatTime = (seconds) => {
         if (isNaN(seconds) || seconds < 0) return '0:00';
@@ -77,7 +134,7 @@ const MusicPlayer = ({ darkMode }) => {
     const handleSliderSeek = (e) => {
         // CRITICAL: Convert the string value from the range input to a number
         const time = Number(e.target.value);
-        handleSeek(time); 
+        handleSeek(rangeStart + time); 
     };
     
     // --- Style Helpers ---
@@ -110,6 +167,9 @@ const MusicPlayer = ({ darkMode }) => {
     }
     
     const { title, artist, cover_photo_url } = currentTrack;
+    const nowPlayingText = isLiveStream ? formatNowPlaying(streamNowPlaying) : '';
+    const playerCoverUrl = getCoverImageUrl(currentTrack, 'player') || cover_photo_url;
+    const fullCoverUrl = getCoverImageUrl(currentTrack, 'full') || cover_photo_url;
     
     const repeatIconColorClass = getActiveControlClass(repeatMode !== 'off');
     
@@ -145,6 +205,31 @@ const MusicPlayer = ({ darkMode }) => {
     
 
     return (
+        <>
+        {/* Full-screen Artwork */}
+        {isArtworkOpen && !isYoutube && (
+            <div
+                className="fixed inset-0 z-50 flex items-center justify-center bg-black/90 p-8 cursor-zoom-out"
+                onClick={() => setIsArtworkOpen(false)}
+            >
+                <button
+                    className="absolute top-4 right-4 p-2 rounded-full text-white hover:bg-white/10"
+                    aria-label="Close artwork"
+                >
+                    <X className="h-6 w-6" />
+                </button>
+                <img
+                    src={fullCoverUrl}
+                    alt={`Album art for ${title}`}
+                    loading="lazy"
+                    decoding="async"
+                    className="max-h-full max-w-full rounded-lg object-contain shadow-2xl"
+                />
+            </div>
+        )}
+
+        {isLyricsOpen && <LyricsPanel onClose={() => setIsLyricsOpen(false)} darkMode={isDark} />}
+
         <div 
             className={`
                 flex items-center justify-between 
@@ -171,9 +256,15 @@ const MusicPlayer = ({ darkMode }) => {
                 ) : (
                     // Standard Cover Art
                     <img 
-                        src={cover_photo_url || '/assets/images/placeholder_album.jpg'} 
+                        src={playerCoverUrl || '/assets/images/placeholder_album.jpg'} 
                         alt="Album Art"
-                        className="w-14 h-14 rounded-md mr-3 object-cover shadow-md"
+                        loading="lazy"
+                        decoding="async"
+                        onClick={(e) => {
+                            e.stopPropagation();
+                            if (fullCoverUrl) setIsArtworkOpen(true);
+                        }}
+                        className="w-14 h-14 rounded-md mr-3 object-cover shadow-md cursor-zoom-in"
                     />
                 )}
                 
@@ -182,9 +273,14 @@ const MusicPlayer = ({ darkMode }) => {
                         {title}
                     </div>
                     <div className={`text-sm ${isDark ? 'text-gray-400' : 'text-gray-600'}`} title={artist}>
-                        {artist}
+                        {currentTrack.artistIds?.[0] ? (
+                            <Link to={`/artist/${currentTrack.artistIds[0]}`} className="hover:underline">{artist}</Link>
+                        ) : (
+                            artist
+                        )}
                     </div>
                 </div>
+                <LikeButton track={currentTrack} darkMode={isDark} className="ml-3 flex-shrink-0" />
             </div>
 
             {/* 2. Playback Controls (Center) */}
@@ -228,32 +324,72 @@ const MusicPlayer = ({ darkMode }) => {
                     <RepeatButton />
                 </div>
 
-                {/* Progress Bar (CRITICAL) */}
+                {/* Live streams cannot be sought: a LIVE badge and the song the station is playing */}
+                {isLiveStream ? (
+                    <div className="flex items-center justify-center w-full max-w-xl space-x-2 text-sm">
+                        <span className={`flex items-center shrink-0 px-2 py-0.5 rounded text-xs font-bold tracking-wide text-white ${isPlaying ? 'bg-red-600' : 'bg-gray-500'}`}>
+                            <span className={`h-2 w-2 rounded-full bg-white mr-1.5 ${isPlaying ? 'animate-pulse' : ''}`} />
+                            LIVE
+                        </span>
+                        {nowPlayingText && (
+                            <span className={`${textColor} truncate`} title={nowPlayingText}>{nowPlayingText}</span>
+                        )}
+                    </div>
+                ) : (
+                /* Progress Bar (CRITICAL): waveform for uploads, slider for everything else */
                 <div className="flex items-center w-full max-w-xl space-x-2 text-sm">
-                    <span className={`${textColor} w-10 text-right`}>{formatTime(currentTime)}</span>
-                    <input 
-                        type="range"
-                        min="0"
-                        // Ensure max is numerical
-                        max={duration ? Number(duration) : 0}
-                        // Ensure value is numerical and correctly bound to context state
-                        value={currentTime ? Number(currentTime) : 0} 
-                        onChange={handleSliderSeek}
-                        className="w-full h-1 bg-indigo-600 rounded-lg appearance-none cursor-pointer range-lg" 
-                        style={{
-                            // Custom style to show progress within the range slider
-                            backgroundSize: `${(currentTime / duration) * 100}% 100%`,
-                            backgroundRepeat: 'no-repeat',
-                            backgroundColor: isDark ? '#4b5563' : '#d1d5db', // bg-gray-600 or bg-gray-300
-                            backgroundImage: 'linear-gradient(to right, #4f46e5, #4f46e5)', // bg-indigo-600
-                        }}
-                    />
-                    <span className={`${textColor} w-10 text-left`}>{formatTime(duration)}</span>
+                    <span className={`${textColor} w-10 text-right`}>{formatTime(elapsed)}</span>
+                    {rangePeaks ? (
+                        <WaveformSeekBar
+                            peaks={rangePeaks}
+                            currentTime={elapsed}
+                            duration={rangeLength}
+                            onSeek={(time) => handleSeek(rangeStart + time)}
+                            formatTime={formatTime}
+                            darkMode={isDark}
+                        />
+                    ) : (
+                        <input 
+                            type="range"
+                            min="0"
+                            // Ensure max is numerical
+                            max={rangeLength}
+                            // Ensure value is numerical and correctly bound to context state
+                            value={elapsed} 
+                            onChange={handleSliderSeek}
+                            className="w-full h-1 bg-indigo-600 rounded-lg appearance-none cursor-pointer range-lg" 
+                            style={{
+                                // Custom style to show progress within the range slider
+                                backgroundSize: `${rangeLength ? (elapsed / rangeLength) * 100 : 0}% 100%`,
+                                backgroundRepeat: 'no-repeat',
+                                backgroundColor: isDark ? '#4b5563' : '#d1d5db', // bg-gray-600 or bg-gray-300
+                                backgroundImage: 'linear-gradient(to right, #4f46e5, #4f46e5)', // bg-indigo-600
+                            }}
+                        />
+                    )}
+                    <span className={`${textColor} w-10 text-left`}>{formatTime(rangeLength)}</span>
                 </div>
+                )}
             </div>
 
             {/* 3. Volume Control (Right Side) */}
             <div className="flex items-center w-1/4 justify-end space-x-2 pr-4">
+                <button 
+                    onClick={() => setIsLyricsOpen(open => !open)} 
+                    className={`${controlButtonClass} ${getActiveControlClass(isLyricsOpen)}`} 
+                    aria-label="Toggle Lyrics"
+                    title={isLyricsOpen ? 'Hide lyrics' : 'Show lyrics'}
+                >
+                    <MicVocal className="h-5 w-5" />
+                </button>
+                <button 
+                    onClick={toggleNormalizeVolume} 
+                    className={`${controlButtonClass} ${getActiveControlClass(normalizeVolume)}`} 
+                    aria-label="Toggle Volume Normalization"
+                    title={normalizeVolume ? 'Volume normalization on' : 'Volume normalization off'}
+                >
+                    <AudioLines className="h-5 w-5" />
+                </button>
                 <button 
                     onClick={handleMuteToggle} 
                     className={controlButtonClass} 
@@ -281,6 +417,7 @@ const MusicPlayer = ({ darkMode }) => {
                 />
             </div>
         </div>
+        </>
     );
 };
 
@@ -1,11 +1,12 @@
 // src/components/music/PlaylistSidebar.jsx
 import React, { useEffect } from 'react';
 import { NavLink } from 'react-router-dom';
-import { ListMusic } from 'lucide-react';
+import { ListMusic, Heart, Sparkles } from 'lucide-react';
 import { useMusic } from '../../context/MusicContext'; // Adjust path as needed
 
 /**
  * Renders the list of user-created playlists in the sidebar.
+ * Built-in collections (Liked Songs) come first in userPlaylists and get their own icon.
  */
 const PlaylistSidebar = ({ isCollapsed, linkInactiveColor }) => {
     const { 
@@ -57,7 +58,13 @@ const PlaylistSidebar = ({ isCollapsed, linkInactiveColor }) => {
                             className={playlistLinkStyle}
                         >
                             {/* Icon for collapsed view, text for expanded */}
-                            <ListMusic className={`h-5 w-5 ${isCollapsed ? '' : 'mr-4'}`} />
+                            {playlist.system ? (
+                                <Heart className={`h-5 w-5 text-pink-500 ${isCollapsed ? '' : 'mr-4'}`} fill="currentColor" />
+                            ) : playlist.type === 'smart' ? (
+                                <Sparkles className={`h-5 w-5 ${isCollapsed ? '' : 'mr-4'}`} />
+                            ) : (
+                                <ListMusic className={`h-5 w-5 ${isCollapsed ? '' : 'mr-4'}`} />
+                            )}
                             <span className={`
                                 transition-opacity duration-300 
                                 ${isCollapsed ? 'opacity-0 w-0 absolute' : 'opacity-100 w-auto truncate'}
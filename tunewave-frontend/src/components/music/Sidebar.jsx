@@ -6,6 +6,8 @@ import {
     Home as HomeIcon, 
     Search, 
     Library, 
+    HeartPulse, 
+    Trash2, 
     ChevronLeft, 
     ChevronRight 
 } from 'lucide-react';
@@ -23,6 +25,8 @@ const Sidebar = ({ darkMode, logout }) => {
         { name: 'Home', icon: HomeIcon, path: '/' },
         { name: 'Search', icon: Search, path: '/search' },
         { name: 'Library', icon: Library, path: '/library' },
+        { name: 'Library Health', icon: HeartPulse, path: '/health' },
+        { name: 'Trash', icon: Trash2, path: '/trash' },
     ];
 
     const toggleCollapse = () => setIsCollapsed(!isCollapsed);
@@ -0,0 +1,244 @@
+import React, { useState } from 'react';
+import { Plus, X, Loader2, Save, Eye } from 'lucide-react';
+import { previewSmartPlaylistV3 } from '../../api/musicService';
+import { TRACK_SORT_OPTIONS } from '../../utils/trackFilters';
+import { SMART_OPERATORS, SMART_RULE_FIELDS, MAX_SMART_LIMIT, findRuleField, createRule } from '../../utils/smartRules';
+
+// Number fields are typed as text and sent as numbers
+const toRequestRules = ({ match, rules, limit, sort, order }) => ({
+    match,
+    rules: rules.map((rule) => {
+        const { kind } = findRuleField(rule.field);
+        const numeric = kind === 'number' || kind === 'recency';
+        return { ...rule, value: numeric && rule.value !== '' ? Number(rule.value) : rule.value };
+    }),
+    limit: limit === '' ? undefined : Number(limit),
+    sort,
+    order,
+});
+
+/**
+ * Rule editor of a smart playlist: match all/any, a row per rule, a limit and an order.
+ * `onSave` gets the rules in the shape of POST /api/playlists (smartRules).
+ */
+const SmartRuleBuilder = ({ smartRules, onSave, onCancel, darkMode }) => {
+    const [match, setMatch] = useState(smartRules.match || 'all');
+    const [rules, setRules] = useState(smartRules.rules.length > 0 ? smartRules.rules : [createRule()]);
+    const [limit, setLimit] = useState(smartRules.limit ?? 100);
+    const [sort, setSort] = useState(smartRules.sort || 'createdAt');
+    const [order, setOrder] = useState(smartRules.order || 'desc');
+    const [isSaving, setIsSaving] = useState(false);
+    const [isPreviewing, setIsPreviewing] = useState(false);
+    const [previewCount, setPreviewCount] = useState(null);
+    const [error, setError] = useState(null);
+
+    const inputClass = `p-2 rounded-lg border text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500 ${
+        darkMode ? 'bg-gray-700 border-gray-600 text-white' : 'bg-white border-gray-300 text-gray-900'
+    }`;
+    const current = () => toRequestRules({ match, rules, limit, sort, order });
+
+    const updateRule = (index, changes) => {
+        setRules((prev) => prev.map((rule, i) => (i === index ? { ...rule, ...changes } : rule)));
+        setPreviewCount(null);
+    };
+
+    const changeField = (index, field) => {
+        setRules((prev) => prev.map((rule, i) => (i === index ? createRule(field) : rule)));
+        setPreviewCount(null);
+    };
+
+    const handlePreview = async () => {
+        setIsPreviewing(true);
+        setError(null);
+        try {
+            const result = await previewSmartPlaylistV3(current());
+            setPreviewCount(result.trackCount);
+        } catch (err) {
+            setError(err.response?.data?.msg || 'Could not preview these rules.');
+        } finally {
+            setIsPreviewing(false);
+        }
+    };
+
+    const handleSave = async () => {
+        setIsSaving(true);
+        setError(null);
+        try {
+            await onSave(current());
+        } catch (err) {
+            setError(err.response?.data?.msg || 'Could not save these rules.');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const renderValueInput = (rule, index) => {
+        const definition = findRuleField(rule.field);
+        if (definition.kind === 'boolean') {
+            return (
+                <select
+                    value={String(rule.value)}
+                    onChange={(e) => updateRule(index, { value: e.target.value === 'true' })}
+                    className={inputClass}
+                >
+                    <option value="true">Yes</option>
+                    <option value="false">No</option>
+                </select>
+            );
+        }
+        if (definition.kind === 'choice') {
+            return (
+                <select value={rule.value} onChange={(e) => updateRule(index, { value: e.target.value })} className={inputClass}>
+                    {definition.choices.map((choice) => (
+                        <option key={choice.value} value={choice.value}>{choice.label}</option>
+                    ))}
+                </select>
+            );
+        }
+        const numeric = definition.kind === 'number' || definition.kind === 'recency';
+        return (
+            <input
+                type={numeric ? 'number' : 'text'}
+                min={numeric ? definition.min ?? 1 : undefined}
+                max={numeric ? definition.max : undefined}
+                value={rule.value}
+                onChange={(e) => updateRule(index, { value: e.target.value })}
+                placeholder={definition.kind === 'list' ? `e.g. ${rule.field === 'tag' ? 'focus' : 'jazz'}` : ''}
+                className={`${inputClass} w-32 flex-grow sm:flex-grow-0`}
+            />
+        );
+    };
+
+    return (
+        <div className={`p-6 mb-8 rounded-xl shadow-lg border-2 border-indigo-500/50 ${darkMode ? 'bg-gray-800' : 'bg-white'}`}>
+            <div className={`flex flex-wrap items-center gap-2 mb-4 text-sm ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                <span>Include tracks that match</span>
+                <select
+                    value={match}
+                    onChange={(e) => {
+                        setMatch(e.target.value);
+                        setPreviewCount(null);
+                    }}
+                    className={inputClass}
+                >
+                    <option value="all">all</option>
+                    <option value="any">any</option>
+                </select>
+                <span>of these rules:</span>
+            </div>
+
+            <ul className="space-y-2">
+                {rules.map((rule, index) => {
+                    const definition = findRuleField(rule.field);
+                    return (
+                        <li key={index} className="flex flex-wrap items-center gap-2">
+                            <select value={rule.field} onChange={(e) => changeField(index, e.target.value)} className={inputClass}>
+                                {SMART_RULE_FIELDS.map((field) => (
+                                    <option key={field.value} value={field.value}>{field.label}</option>
+                                ))}
+                            </select>
+                            <select
+                                value={rule.operator}
+                                onChange={(e) => updateRule(index, { operator: e.target.value })}
+                                className={inputClass}
+                            >
+                                {SMART_OPERATORS[definition.kind].map((operator) => (
+                                    <option key={operator.value} value={operator.value}>{operator.label}</option>
+                                ))}
+                            </select>
+                            {renderValueInput(rule, index)}
+                            <button
+                                type="button"
+                                onClick={() => {
+                                    setRules((prev) => prev.filter((_, i) => i !== index));
+                                    setPreviewCount(null);
+                                }}
+                                disabled={rules.length === 1}
+                                className={`p-2 rounded-full disabled:opacity-30 ${darkMode ? 'hover:bg-gray-700 text-gray-400' : 'hover:bg-gray-100 text-gray-500'}`}
+                                aria-label="Remove rule"
+                            >
+                                <X className="h-4 w-4" />
+                            </button>
+                        </li>
+                    );
+                })}
+            </ul>
+
+            <button
+                type="button"
+                onClick={() => setRules((prev) => [...prev, createRule()])}
+                className="flex items-center mt-3 text-sm text-indigo-400 hover:text-indigo-300"
+            >
+                <Plus className="h-4 w-4 mr-1" />
+                Add rule
+            </button>
+
+            <div className={`flex flex-wrap items-center gap-2 mt-6 text-sm ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                <span>Limit to</span>
+                <input
+                    type="number"
+                    min="1"
+                    max={MAX_SMART_LIMIT}
+                    value={limit}
+                    onChange={(e) => setLimit(e.target.value)}
+                    className={`${inputClass} w-24`}
+                />
+                <span>tracks, ordered by</span>
+                <select
+                    value={sort}
+                    onChange={(e) => {
+                        const option = TRACK_SORT_OPTIONS.find(({ value }) => value === e.target.value);
+                        setSort(e.target.value);
+                        if (option) setOrder(option.order);
+                    }}
+                    className={inputClass}
+                >
+                    {TRACK_SORT_OPTIONS.map((option) => (
+                        <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                </select>
+                <select value={order} onChange={(e) => setOrder(e.target.value)} className={inputClass}>
+                    <option value="desc">descending</option>
+                    <option value="asc">ascending</option>
+                </select>
+            </div>
+
+            {error && <p className="mt-4 text-sm text-red-400">{error}</p>}
+
+            <div className="flex flex-wrap items-center justify-end gap-3 mt-6">
+                {previewCount !== null && (
+                    <span className={`mr-auto text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                        {previewCount} track{previewCount === 1 ? '' : 's'} match
+                    </span>
+                )}
+                <button
+                    type="button"
+                    onClick={onCancel}
+                    className={`px-4 py-2 rounded-lg text-sm ${darkMode ? 'hover:bg-gray-700 text-gray-300' : 'hover:bg-gray-100 text-gray-700'}`}
+                >
+                    Cancel
+                </button>
+                <button
+                    type="button"
+                    onClick={handlePreview}
+                    disabled={isPreviewing}
+                    className={`flex items-center px-4 py-2 rounded-lg text-sm ${darkMode ? 'bg-gray-700 text-gray-200 hover:bg-gray-600' : 'bg-gray-200 text-gray-800 hover:bg-gray-300'}`}
+                >
+                    {isPreviewing ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <Eye className="h-4 w-4 mr-2" />}
+                    Preview
+                </button>
+                <button
+                    type="button"
+                    onClick={handleSave}
+                    disabled={isSaving}
+                    className="flex items-center px-4 py-2 rounded-lg text-sm bg-indigo-600 hover:bg-indigo-700 text-white disabled:opacity-50"
+                >
+                    {isSaving ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <Save className="h-4 w-4 mr-2" />}
+                    Save rules
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default SmartRuleBuilder;
@@ -0,0 +1,47 @@
+import React, { useState } from 'react';
+import { Star } from 'lucide-react';
+
+const STARS = [1, 2, 3, 4, 5];
+
+/**
+ * 1-5 star rating. Clicking the current rating clears it.
+ * Read-only when `onChange` is not given.
+ * @param {object} props
+ * @param {number|null} props.rating
+ * @param {function} [props.onChange] - Called with the new rating, or null when cleared.
+ */
+const StarRating = ({ rating, onChange, darkMode, size = 'h-4 w-4' }) => {
+    const [hovered, setHovered] = useState(null);
+    const shown = hovered ?? rating ?? 0;
+    const readOnly = !onChange;
+
+    return (
+        <div
+            className="flex items-center"
+            onMouseLeave={() => setHovered(null)}
+            role={readOnly ? 'img' : 'group'}
+            aria-label={rating ? `Rated ${rating} out of 5` : 'Not rated'}
+        >
+            {STARS.map((star) => (
+                <button
+                    key={star}
+                    type="button"
+                    disabled={readOnly}
+                    onClick={(e) => {
+                        e.stopPropagation(); // Prevent track from playing
+                        onChange(star === rating ? null : star);
+                    }}
+                    onMouseEnter={() => !readOnly && setHovered(star)}
+                    className={`p-0.5 disabled:cursor-default ${
+                        star <= shown ? 'text-yellow-400' : darkMode ? 'text-gray-600' : 'text-gray-300'
+                    }`}
+                    aria-label={star === rating ? 'Clear rating' : `Rate ${star} star${star === 1 ? '' : 's'}`}
+                >
+                    <Star className={size} fill={star <= shown ? 'currentColor' : 'none'} />
+                </button>
+            ))}
+        </div>
+    );
+};
+
+export default StarRating;
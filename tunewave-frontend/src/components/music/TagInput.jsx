@@ -0,0 +1,153 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { X } from 'lucide-react';
+import { fetchTagsV2 } from '../../api/musicService';
+import { normalizeTag } from '../../utils/trackFilters';
+
+// Suggestions shown under the input at once
+const MAX_SUGGESTIONS = 8;
+
+/**
+ * Tag chips with an input that suggests the user's existing tags as they type.
+ * Enter or comma adds the typed tag, Backspace on an empty input removes the last one.
+ * @param {object} props
+ * @param {string[]} props.tags - Current tags (normalized).
+ * @param {function} props.onChange - Called with the new tag list.
+ */
+const TagInput = ({ tags, onChange, darkMode, autoFocus = false }) => {
+    const [text, setText] = useState('');
+    const [knownTags, setKnownTags] = useState([]);
+    const [isOpen, setIsOpen] = useState(false);
+    const [highlighted, setHighlighted] = useState(0);
+    const containerRef = useRef(null);
+
+    // The user's tags, most used first, for autocomplete
+    useEffect(() => {
+        let cancelled = false;
+        fetchTagsV2()
+            .then((data) => {
+                if (!cancelled) setKnownTags(data.tags || []);
+            })
+            .catch((err) => console.error('Failed to load tags:', err));
+        return () => { cancelled = true; };
+    }, []);
+
+    useEffect(() => {
+        const handleClickOutside = (event) => {
+            if (containerRef.current && !containerRef.current.contains(event.target)) {
+                setIsOpen(false);
+            }
+        };
+        document.addEventListener('mousedown', handleClickOutside);
+        return () => document.removeEventListener('mousedown', handleClickOutside);
+    }, []);
+
+    const typed = normalizeTag(text);
+    const suggestions = knownTags
+        .filter(({ tag }) => !tags.includes(tag) && (!typed || tag.includes(typed)))
+        .sort((a, b) => Number(b.tag.startsWith(typed)) - Number(a.tag.startsWith(typed)))
+        .slice(0, MAX_SUGGESTIONS);
+
+    const addTag = (value) => {
+        const tag = normalizeTag(value);
+        if (tag && !tags.includes(tag)) onChange([...tags, tag]);
+        setText('');
+        setHighlighted(0);
+    };
+
+    const removeTag = (tag) => onChange(tags.filter((item) => item !== tag));
+
+    const handleKeyDown = (e) => {
+        if (e.key === 'Enter' || e.key === ',') {
+            e.preventDefault();
+            const suggestion = isOpen && text ? suggestions[highlighted] : null;
+            addTag(suggestion ? suggestion.tag : text);
+        } else if (e.key === 'Backspace' && text === '' && tags.length > 0) {
+            removeTag(tags[tags.length - 1]);
+        } else if (e.key === 'ArrowDown' && suggestions.length > 0) {
+            e.preventDefault();
+            setIsOpen(true);
+            setHighlighted((index) => (index + 1) % suggestions.length);
+        } else if (e.key === 'ArrowUp' && suggestions.length > 0) {
+            e.preventDefault();
+            setHighlighted((index) => (index - 1 + suggestions.length) % suggestions.length);
+        } else if (e.key === 'Escape') {
+            setIsOpen(false);
+        }
+    };
+
+    return (
+        <div ref={containerRef} className="relative">
+            <div
+                className={`flex flex-wrap items-center gap-2 w-full px-3 py-2 rounded-lg border focus-within:ring-2 focus-within:ring-indigo-500 ${
+                    darkMode ? 'bg-gray-700 border-gray-600' : 'bg-white border-gray-300'
+                }`}
+            >
+                {tags.map((tag) => (
+                    <span
+                        key={tag}
+                        className="flex items-center px-2 py-0.5 rounded-full text-sm bg-indigo-600/20 text-indigo-400"
+                    >
+                        {tag}
+                        <button
+                            type="button"
+                            onClick={() => removeTag(tag)}
+                            className="ml-1 hover:text-indigo-200"
+                            aria-label={`Remove tag ${tag}`}
+                        >
+                            <X className="h-3 w-3" />
+                        </button>
+                    </span>
+                ))}
+                <input
+                    type="text"
+                    value={text}
+                    onChange={(e) => {
+                        setText(e.target.value);
+                        setIsOpen(true);
+                        setHighlighted(0);
+                    }}
+                    onFocus={() => setIsOpen(true)}
+                    onKeyDown={handleKeyDown}
+                    placeholder={tags.length === 0 ? 'Add tags, e.g. focus, gym' : ''}
+                    autoFocus={autoFocus}
+                    className={`flex-grow min-w-[6rem] bg-transparent focus:outline-none ${
+                        darkMode ? 'text-white placeholder-gray-400' : 'text-gray-900 placeholder-gray-500'
+                    }`}
+                />
+            </div>
+
+            {isOpen && (suggestions.length > 0 || typed) && (
+                <ul
+                    className={`absolute z-30 mt-1 w-full rounded-lg shadow-lg overflow-hidden ${
+                        darkMode ? 'bg-gray-800 border border-gray-700' : 'bg-white border border-gray-200'
+                    }`}
+                >
+                    {suggestions.map(({ tag, count }, index) => (
+                        <li key={tag}>
+                            <button
+                                type="button"
+                                onMouseDown={(e) => e.preventDefault()}
+                                onClick={() => addTag(tag)}
+                                className={`w-full flex justify-between px-3 py-2 text-sm text-left ${
+                                    index === highlighted
+                                        ? 'bg-indigo-600 text-white'
+                                        : darkMode ? 'text-gray-200 hover:bg-gray-700' : 'text-gray-800 hover:bg-gray-100'
+                                }`}
+                            >
+                                <span className="truncate">{tag}</span>
+                                <span className="ml-2 opacity-60">{count}</span>
+                            </button>
+                        </li>
+                    ))}
+                    {typed && !tags.includes(typed) && !knownTags.some(({ tag }) => tag === typed) && (
+                        <li className={`px-3 py-2 text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                            Press Enter to create "{typed}"
+                        </li>
+                    )}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+export default TagInput;
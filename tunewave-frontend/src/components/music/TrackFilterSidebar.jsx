@@ -0,0 +1,252 @@
+import React from 'react';
+import { SlidersHorizontal, ArrowUp, ArrowDown, RotateCcw } from 'lucide-react';
+import { EMPTY_TRACK_FILTERS, TRACK_SORT_OPTIONS, countActiveFilters } from '../../utils/trackFilters';
+
+const SOURCE_LABELS = {
+    local: 'Uploads',
+    youtube: 'YouTube',
+    external_url: 'Links',
+    stream: 'Radio',
+};
+
+// Duration filters are seconds on the server and whole minutes in the inputs
+const toMinutes = (seconds) => (seconds === '' ? '' : String(Math.round(Number(seconds) / 60)));
+const toSeconds = (minutes) => (minutes === '' ? '' : String(Math.round(Number(minutes) * 60)));
+
+// Added dates: the "to" day is included up to its last second
+const END_OF_DAY = 'T23:59:59';
+
+const FilterSection = ({ title, children, darkMode }) => (
+    <div className={`py-4 border-b ${darkMode ? 'border-gray-700' : 'border-gray-200'}`}>
+        <h3 className={`text-xs font-semibold uppercase tracking-wide mb-2 ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+            {title}
+        </h3>
+        {children}
+    </div>
+);
+
+// A checkbox per facet value with its count
+const FacetChecklist = ({ items, selected, onToggle, labelFor, darkMode }) => {
+    if (!items || items.length === 0) {
+        return <p className={`text-sm ${darkMode ? 'text-gray-500' : 'text-gray-400'}`}>Nothing to filter.</p>;
+    }
+    return (
+        <ul className="space-y-1 max-h-48 overflow-y-auto">
+            {items.map(({ value, count }) => (
+                <li key={value}>
+                    <label className={`flex items-center text-sm cursor-pointer ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                        <input
+                            type="checkbox"
+                            checked={selected.includes(value)}
+                            onChange={() => onToggle(value)}
+                            className="mr-2 accent-indigo-500"
+                        />
+                        <span className="truncate flex-grow">{labelFor ? labelFor(value) : value}</span>
+                        <span className="ml-2 text-xs opacity-60">{count}</span>
+                    </label>
+                </li>
+            ))}
+        </ul>
+    );
+};
+
+// Any / yes / no choice with counts, for played, liked and has-cover
+const TriStateChoice = ({ value, onChange, counts, labels, darkMode }) => {
+    const choices = [
+        { value: '', label: 'Any' },
+        { value: 'true', label: labels[0], count: counts?.true },
+        { value: 'false', label: labels[1], count: counts?.false },
+    ];
+    return (
+        <div className="flex flex-wrap gap-2">
+            {choices.map(choice => (
+                <button
+                    key={choice.value}
+                    type="button"
+                    onClick={() => onChange(choice.value)}
+                    className={`px-3 py-1 rounded-full text-xs font-medium transition-colors ${
+                        value === choice.value
+                            ? 'bg-indigo-600 text-white'
+                            : darkMode ? 'bg-gray-700 text-gray-300 hover:bg-gray-600' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+                    }`}
+                >
+                    {choice.label}{choice.count !== undefined ? ` (${choice.count})` : ''}
+                </button>
+            ))}
+        </div>
+    );
+};
+
+/**
+ * Filter and sort panel for track lists (Library and Search). The parent keeps
+ * the state and refetches the list with it; `facets` are the counts from the
+ * last response (fetched with facets: true).
+ */
+const TrackFilterSidebar = ({ filters, onFiltersChange, sort, order, onSortChange, facets, allowRelevance = false, darkMode }) => {
+    const inputClass = `w-full p-1.5 rounded-md border text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500 ${
+        darkMode ? 'bg-gray-700 border-gray-600 text-white' : 'bg-white border-gray-300 text-gray-900'
+    }`;
+    const activeCount = countActiveFilters(filters);
+
+    const setFilter = (key, value) => onFiltersChange({ ...filters, [key]: value });
+    const toggleValue = (key, value) => setFilter(
+        key,
+        filters[key].includes(value) ? filters[key].filter(item => item !== value) : [...filters[key], value]
+    );
+
+    const handleSortField = (e) => {
+        const option = TRACK_SORT_OPTIONS.find(({ value }) => value === e.target.value);
+        onSortChange(e.target.value, option ? option.order : '');
+    };
+
+    const range = (label, minKey, maxKey, bounds, { toInput = value => value, fromInput = value => value } = {}) => (
+        <FilterSection title={label} darkMode={darkMode}>
+            <div className="flex items-center gap-2">
+                <input
+                    type="number"
+                    min="0"
+                    placeholder={bounds?.min != null ? String(toInput(bounds.min)) : 'Min'}
+                    value={toInput(filters[minKey])}
+                    onChange={(e) => setFilter(minKey, fromInput(e.target.value))}
+                    className={inputClass}
+                />
+                <span className={darkMode ? 'text-gray-500' : 'text-gray-400'}>–</span>
+                <input
+                    type="number"
+                    min="0"
+                    placeholder={bounds?.max != null ? String(toInput(bounds.max)) : 'Max'}
+                    value={toInput(filters[maxKey])}
+                    onChange={(e) => setFilter(maxKey, fromInput(e.target.value))}
+                    className={inputClass}
+                />
+            </div>
+        </FilterSection>
+    );
+
+    return (
+        <aside className={`w-full lg:w-64 flex-shrink-0 rounded-xl p-4 self-start ${darkMode ? 'bg-gray-800' : 'bg-white shadow-md'}`}>
+            <div className="flex items-center justify-between">
+                <h2 className={`flex items-center font-semibold ${darkMode ? 'text-white' : 'text-gray-900'}`}>
+                    <SlidersHorizontal className="h-4 w-4 mr-2 text-indigo-400" />
+                    Filters
+                </h2>
+                {activeCount > 0 && (
+                    <button
+                        type="button"
+                        onClick={() => onFiltersChange(EMPTY_TRACK_FILTERS)}
+                        className="flex items-center text-xs text-indigo-400 hover:text-indigo-300"
+                    >
+                        <RotateCcw className="h-3 w-3 mr-1" />
+                        Reset ({activeCount})
+                    </button>
+                )}
+            </div>
+
+            <FilterSection title="Sort by" darkMode={darkMode}>
+                <div className="flex items-center gap-2">
+                    <select value={sort} onChange={handleSortField} className={inputClass}>
+                        {allowRelevance && <option value="">Relevance</option>}
+                        {TRACK_SORT_OPTIONS.map(option => (
+                            <option key={option.value} value={option.value}>{option.label}</option>
+                        ))}
+                    </select>
+                    <button
+                        type="button"
+                        disabled={!sort}
+                        onClick={() => onSortChange(sort, order === 'asc' ? 'desc' : 'asc')}
+                        className={`p-1.5 rounded-md disabled:opacity-40 ${darkMode ? 'bg-gray-700 text-gray-200' : 'bg-gray-200 text-gray-700'}`}
+                        aria-label={order === 'asc' ? 'Ascending, switch to descending' : 'Descending, switch to ascending'}
+                        title={order === 'asc' ? 'Ascending' : 'Descending'}
+                    >
+                        {order === 'asc' ? <ArrowUp className="h-4 w-4" /> : <ArrowDown className="h-4 w-4" />}
+                    </button>
+                </div>
+            </FilterSection>
+
+            <FilterSection title="Source" darkMode={darkMode}>
+                <FacetChecklist
+                    items={facets?.source}
+                    selected={filters.source}
+                    onToggle={(value) => toggleValue('source', value)}
+                    labelFor={(value) => SOURCE_LABELS[value] || value}
+                    darkMode={darkMode}
+                />
+            </FilterSection>
+
+            <FilterSection title="Genre" darkMode={darkMode}>
+                <FacetChecklist
+                    items={facets?.genre}
+                    selected={filters.genre}
+                    onToggle={(value) => toggleValue('genre', value)}
+                    darkMode={darkMode}
+                />
+            </FilterSection>
+
+            <FilterSection title="Tags" darkMode={darkMode}>
+                <FacetChecklist
+                    items={facets?.tag}
+                    selected={filters.tag}
+                    onToggle={(value) => toggleValue('tag', value)}
+                    darkMode={darkMode}
+                />
+            </FilterSection>
+
+            {range('Year', 'yearMin', 'yearMax', facets?.year)}
+            {range('Duration (minutes)', 'durationMin', 'durationMax', facets?.duration, {
+                toInput: toMinutes,
+                fromInput: toSeconds,
+            })}
+
+            <FilterSection title="Date added" darkMode={darkMode}>
+                <div className="space-y-2">
+                    <input
+                        type="date"
+                        value={filters.addedAfter}
+                        onChange={(e) => setFilter('addedAfter', e.target.value)}
+                        className={inputClass}
+                        aria-label="Added from"
+                    />
+                    <input
+                        type="date"
+                        value={filters.addedBefore.slice(0, 10)}
+                        onChange={(e) => setFilter('addedBefore', e.target.value ? `${e.target.value}${END_OF_DAY}` : '')}
+                        className={inputClass}
+                        aria-label="Added until"
+                    />
+                </div>
+            </FilterSection>
+
+            <FilterSection title="Played" darkMode={darkMode}>
+                <TriStateChoice
+                    value={filters.played}
+                    onChange={(value) => setFilter('played', value)}
+                    counts={facets?.played}
+                    labels={['Played', 'Never played']}
+                    darkMode={darkMode}
+                />
+            </FilterSection>
+
+            <FilterSection title="Liked" darkMode={darkMode}>
+                <TriStateChoice
+                    value={filters.liked}
+                    onChange={(value) => setFilter('liked', value)}
+                    counts={facets?.liked}
+                    labels={['Liked', 'Not liked']}
+                    darkMode={darkMode}
+                />
+            </FilterSection>
+
+            <FilterSection title="Cover art" darkMode={darkMode}>
+                <TriStateChoice
+                    value={filters.hasCover}
+                    onChange={(value) => setFilter('hasCover', value)}
+                    counts={facets?.hasCover}
+                    labels={['With cover', 'No cover']}
+                    darkMode={darkMode}
+                />
+            </FilterSection>
+        </aside>
+    );
+};
+
+export default TrackFilterSidebar;
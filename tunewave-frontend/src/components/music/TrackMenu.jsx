@@ -1,11 +1,51 @@
 import React, { useState } from 'react';
-import { MoreVertical, Edit2, Trash2, X } from 'lucide-react';
+import { MoreVertical, Edit2, Trash2, X, Tag, Loader2, Heart } from 'lucide-react';
+import TagInput from './TagInput';
+import { updateTrackTagsV2 } from '../../api/musicService';
+import { useMusic } from '../../context/MusicContext';
 
 /**
- * Dropdown menu for track actions (Edit, Delete)
+ * Dropdown menu for track actions (Like, Edit, Tags, Delete)
+ * `onTagsChange(track, tags)` is called after the track's tags were saved.
  */
-const TrackMenu = ({ track, onEdit, onDelete, darkMode }) => {
+const TrackMenu = ({ track, onEdit, onDelete, onTagsChange, darkMode }) => {
     const [isOpen, setIsOpen] = useState(false);
+    const [isEditingTags, setIsEditingTags] = useState(false);
+    const [tags, setTags] = useState(track.tags || []);
+    const [isSavingTags, setIsSavingTags] = useState(false);
+    const [tagError, setTagError] = useState(null);
+    const { isTrackLiked, toggleLike } = useMusic();
+    const liked = isTrackLiked(track._id);
+
+    const closeMenu = () => {
+        setIsOpen(false);
+        setIsEditingTags(false);
+        setTagError(null);
+    };
+
+    const saveTags = async () => {
+        const current = track.tags || [];
+        const add = tags.filter((tag) => !current.includes(tag));
+        const remove = current.filter((tag) => !tags.includes(tag));
+        if (add.length === 0 && remove.length === 0) {
+            closeMenu();
+            return;
+        }
+
+        setIsSavingTags(true);
+        setTagError(null);
+        try {
+            const result = await updateTrackTagsV2([track._id], { add, remove });
+            const saved = result.tracks?.[0]?.tags || tags;
+            onTagsChange?.(track, saved);
+            closeMenu();
+        } catch (error) {
+            console.error('Failed to update tags:', error);
+            setTagError(error.response?.data?.msg || 'Failed to update tags.');
+        } finally {
+            setIsSavingTags(false);
+        }
+    };
 
     return (
         <div className="relative">
@@ -13,7 +53,12 @@ const TrackMenu = ({ track, onEdit, onDelete, darkMode }) => {
             <button
                 onClick={(e) => {
                     e.stopPropagation(); // Prevent track from playing
-                    setIsOpen(!isOpen);
+                    if (isOpen) {
+                        closeMenu();
+                    } else {
+                        setTags(track.tags || []);
+                        setIsOpen(true);
+                    }
                 }}
                 className={`p-2 rounded-full transition-colors ${
                     darkMode 
@@ -31,49 +76,119 @@ const TrackMenu = ({ track, onEdit, onDelete, darkMode }) => {
                     {/* Backdrop to close menu */}
                     <div 
                         className="fixed inset-0 z-10" 
-                        onClick={() => setIsOpen(false)}
+                        onClick={(e) => {
+                            e.stopPropagation();
+                            closeMenu();
+                        }}
                     />
                     
-                    {/* Menu Items */}
-                    <div 
-                        className={`absolute right-0 mt-2 w-48 rounded-lg shadow-lg z-20 ${
-                            darkMode 
-                                ? 'bg-gray-800 border border-gray-700' 
-                                : 'bg-white border border-gray-200'
-                        }`}
-                    >
-                        <button
-                            onClick={(e) => {
-                                e.stopPropagation();
-                                setIsOpen(false);
-                                onEdit(track);
-                            }}
-                            className={`w-full flex items-center px-4 py-3 text-left transition-colors ${
+                    {/* Tag editor, opened from "Edit Tags" */}
+                    {isEditingTags ? (
+                        <div
+                            onClick={(e) => e.stopPropagation()}
+                            className={`absolute right-0 mt-2 w-72 p-4 rounded-lg shadow-lg z-20 ${
                                 darkMode 
-                                    ? 'hover:bg-gray-700 text-gray-300' 
-                                    : 'hover:bg-gray-100 text-gray-700'
+                                    ? 'bg-gray-800 border border-gray-700' 
+                                    : 'bg-white border border-gray-200'
                             }`}
                         >
-                            <Edit2 className="h-4 w-4 mr-3" />
-                            Edit Track
-                        </button>
-                        
-                        <button
-                            onClick={(e) => {
-                                e.stopPropagation();
-                                setIsOpen(false);
-                                onDelete(track);
-                            }}
-                            className={`w-full flex items-center px-4 py-3 text-left transition-colors text-red-500 ${
+                            <p className={`text-sm font-semibold mb-2 ${darkMode ? 'text-gray-200' : 'text-gray-800'}`}>
+                                Tags for "{track.title}"
+                            </p>
+                            <TagInput tags={tags} onChange={setTags} darkMode={darkMode} autoFocus />
+                            {tagError && <p className="mt-2 text-xs text-red-400">{tagError}</p>}
+                            <div className="flex justify-end gap-2 mt-3">
+                                <button
+                                    onClick={closeMenu}
+                                    className={`px-3 py-1.5 rounded-lg text-sm ${
+                                        darkMode ? 'hover:bg-gray-700 text-gray-300' : 'hover:bg-gray-100 text-gray-700'
+                                    }`}
+                                >
+                                    Cancel
+                                </button>
+                                <button
+                                    onClick={saveTags}
+                                    disabled={isSavingTags}
+                                    className="flex items-center px-3 py-1.5 rounded-lg text-sm bg-indigo-600 hover:bg-indigo-700 text-white disabled:opacity-50"
+                                >
+                                    {isSavingTags && <Loader2 className="h-4 w-4 mr-1 animate-spin" />}
+                                    Save
+                                </button>
+                            </div>
+                        </div>
+                    ) : (
+                        /* Menu Items */
+                        <div 
+                            className={`absolute right-0 mt-2 w-48 rounded-lg shadow-lg z-20 ${
                                 darkMode 
-                                    ? 'hover:bg-gray-700' 
-                                    : 'hover:bg-gray-100'
+                                    ? 'bg-gray-800 border border-gray-700' 
+                                    : 'bg-white border border-gray-200'
                             }`}
                         >
-                            <Trash2 className="h-4 w-4 mr-3" />
-                            Delete Track
-                        </button>
-                    </div>
+                            <button
+                                onClick={(e) => {
+                                    e.stopPropagation();
+                                    setIsOpen(false);
+                                    toggleLike(track).catch(() => {});
+                                }}
+                                className={`w-full flex items-center px-4 py-3 text-left transition-colors ${
+                                    darkMode 
+                                        ? 'hover:bg-gray-700 text-gray-300' 
+                                        : 'hover:bg-gray-100 text-gray-700'
+                                }`}
+                            >
+                                <Heart className={`h-4 w-4 mr-3 ${liked ? 'text-pink-500' : ''}`} fill={liked ? 'currentColor' : 'none'} />
+                                {liked ? 'Unlike' : 'Like'}
+                            </button>
+
+                            <button
+                                onClick={(e) => {
+                                    e.stopPropagation();
+                                    setIsOpen(false);
+                                    onEdit(track);
+                                }}
+                                className={`w-full flex items-center px-4 py-3 text-left transition-colors ${
+                                    darkMode 
+                                        ? 'hover:bg-gray-700 text-gray-300' 
+                                        : 'hover:bg-gray-100 text-gray-700'
+                                }`}
+                            >
+                                <Edit2 className="h-4 w-4 mr-3" />
+                                Edit Track
+                            </button>
+
+                            <button
+                                onClick={(e) => {
+                                    e.stopPropagation();
+                                    setIsEditingTags(true);
+                                }}
+                                className={`w-full flex items-center px-4 py-3 text-left transition-colors ${
+                                    darkMode 
+                                        ? 'hover:bg-gray-700 text-gray-300' 
+                                        : 'hover:bg-gray-100 text-gray-700'
+                                }`}
+                            >
+                                <Tag className="h-4 w-4 mr-3" />
+                                Edit Tags
+                            </button>
+                            
+                            <button
+                                onClick={(e) => {
+                                    e.stopPropagation();
+                                    setIsOpen(false);
+                                    onDelete(track);
+                                }}
+                                className={`w-full flex items-center px-4 py-3 text-left transition-colors text-red-500 ${
+                                    darkMode 
+                                        ? 'hover:bg-gray-700' 
+                                        : 'hover:bg-gray-100'
+                                }`}
+                            >
+                                <Trash2 className="h-4 w-4 mr-3" />
+                                Delete Track
+                            </button>
+                        </div>
+                    )}
                 </>
             )}
         </div>
@@ -1,25 +1,116 @@
-import React, { useState, useRef } from 'react';
-import { uploadTrack } from '../../api/musicService';
-import { X, Music, Link, Youtube, Loader2, Image } from 'lucide-react'; 
+import React, { useState, useRef, useEffect } from 'react';
+import { uploadTrack, uploadTracksBatchV2, fetchProcessingStatusV2, importStationsV2 } from '../../api/musicService';
+import { useMusic } from '../../context/MusicContext';
+import { X, Music, Link, Youtube, Radio, Loader2, Image, FileText, CheckCircle2, XCircle, Copy, RefreshCw } from 'lucide-react'; 
+import { LYRICS_FILE_ACCEPT } from '../../utils/lyrics';
+import { STATION_FILE_ACCEPT, isStationFileUrl } from '../../utils/streams';
 
-const UploadTrackModal = ({ isOpen, onClose, onUploadSuccess }) => {
+// Files sent per batch request; keeps each request (and the server's memory use) small
+const BATCH_CHUNK_SIZE = 10;
+
+// How often the transcoding progress of finished uploads is polled
+const PROCESSING_POLL_INTERVAL_MS = 2000;
+
+const BATCH_STATUS_LABELS = {
+    queued: 'Waiting',
+    uploading: 'Uploading',
+    processing: 'Processing',
+    transcoding: 'Transcoding',
+    created: 'Added',
+    replaced: 'Replaced',
+    duplicate: 'Duplicate',
+    failed: 'Failed',
+};
+
+// Batch answers for files that are already in the library (onDuplicate on POST /api/tracks/batch)
+const DUPLICATE_OPTIONS = [
+    { value: 'skip', label: 'Skip it' },
+    { value: 'replace', label: 'Replace the existing track' },
+    { value: 'keep', label: 'Keep both' },
+];
+
+const UploadTrackModal = ({ isOpen, onClose, onUploadSuccess, onBatchUploadComplete }) => {
     // Hooks are called unconditionally at the top level
     const fileInputRef = useRef(null); 
     const coverImageRef = useRef(null);
+    const lyricsFileRef = useRef(null);
+    const stationFileRef = useRef(null);
     const [sourceType, setSourceType] = useState('local'); 
     const [title, setTitle] = useState('');
     const [artist, setArtist] = useState('');
     const [sourceUrl, setSourceUrl] = useState('');
-    const [audioFile, setAudioFile] = useState(null);
+    const [audioFiles, setAudioFiles] = useState([]);
     const [coverImageFile, setCoverImageFile] = useState(null); // State for cover image
+    const [lyricsFile, setLyricsFile] = useState(null); // Optional .lrc / .txt, sent as text
+    const [stationFile, setStationFile] = useState(null); // .pls / .m3u listing radio stations
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState(null);
+    // Upload progress: one entry per selected file { name, progress, status, reason, trackId }
+    const [batchItems, setBatchItems] = useState([]);
+    const [batchDone, setBatchDone] = useState(false);
+    const [targetPlaylistId, setTargetPlaylistId] = useState('');
+    const [batchOnDuplicate, setBatchOnDuplicate] = useState('skip');
+    // The library track a single upload turned out to duplicate (409 from the server)
+    const [duplicateOf, setDuplicateOf] = useState(null);
+    const { userPlaylists = [], fetchUserPlaylists } = useMusic();
+
+    const audioFile = audioFiles[0] || null;
+    const isBatch = sourceType === 'local' && audioFiles.length > 1;
+    // Radio: a station file (uploaded or linked) adds every station it lists, named by the file
+    const isStationImport = sourceType === 'stream' && (!!stationFile || isStationFileUrl(sourceUrl));
+    // Uploaded tracks still being transcoded on the server
+    const transcodingIds = batchItems
+        .filter((item) => item.status === 'transcoding')
+        .map((item) => item.trackId)
+        .join(',');
+
+    // Playlists for the optional "add uploads to playlist" picker
+    useEffect(() => {
+        if (isOpen && userPlaylists.length === 0) {
+            fetchUserPlaylists();
+        }
+    }, [isOpen, fetchUserPlaylists, userPlaylists.length]);
+
+    // Polls the transcoding progress until every uploaded track is ready or failed
+    useEffect(() => {
+        if (!transcodingIds) return undefined;
+
+        const poll = async () => {
+            try {
+                const { tracks } = await fetchProcessingStatusV2(transcodingIds.split(','));
+                const statusById = new Map(tracks.map((track) => [track._id, track]));
+
+                setBatchItems((prev) => prev.map((item) => {
+                    const track = item.status === 'transcoding' && statusById.get(item.trackId);
+                    if (!track) return item;
+                    if (track.processingStatus === 'ready') {
+                        return { ...item, status: 'created', progress: 100 };
+                    }
+                    if (track.processingStatus === 'failed') {
+                        return {
+                            ...item,
+                            status: 'created',
+                            progress: 100,
+                            reason: 'Transcoding failed, the original file will be streamed instead.',
+                        };
+                    }
+                    return { ...item, progress: track.processingProgress || 0 };
+                }));
+            } catch (err) {
+                console.error("Could not fetch processing status:", err);
+            }
+        };
+
+        const timer = setInterval(poll, PROCESSING_POLL_INTERVAL_MS);
+        return () => clearInterval(timer);
+    }, [transcodingIds]);
 
     // Conditional render check is AFTER all hooks
     if (!isOpen) return null;
 
     const extractYoutubeVideoId = (url) => {
-        const regex = /(?:youtu\.be\/|v\/|watch\?v=|embed\/)([a-zA-Z0-9_-]{11})/i;
+        // youtu.be/ID, watch?v=ID (also after other parameters), /embed/, /v/, /shorts/ and /live/ links
+        const regex = /(?:youtu\.be\/|\/v\/|[?&]v=|embed\/|shorts\/|live\/)([a-zA-Z0-9_-]{11})/i;
         const match = url.match(regex);
         return match ? match[1] : null;
     };
@@ -29,10 +120,17 @@ const UploadTrackModal = ({ isOpen, onClose, onUploadSuccess }) => {
         setTitle('');
         setArtist('');
         setSourceUrl('');
-        setAudioFile(null);
+        setAudioFiles([]);
         setCoverImageFile(null);
+        setLyricsFile(null);
+        setStationFile(null);
         setError(null);
         setLoading(false);
+        setBatchItems([]);
+        setBatchDone(false);
+        setTargetPlaylistId('');
+        setBatchOnDuplicate('skip');
+        setDuplicateOf(null);
         // Clear file inputs using refs
         if (fileInputRef.current) {
             fileInputRef.current.value = '';
@@ -40,6 +138,12 @@ const UploadTrackModal = ({ isOpen, onClose, onUploadSuccess }) => {
         if (coverImageRef.current) { 
             coverImageRef.current.value = '';
         }
+        if (lyricsFileRef.current) {
+            lyricsFileRef.current.value = '';
+        }
+        if (stationFileRef.current) {
+            stationFileRef.current.value = '';
+        }
     };
 
     const handleClose = () => {
@@ -48,14 +152,125 @@ const UploadTrackModal = ({ isOpen, onClose, onUploadSuccess }) => {
     };
 
 
+    // Updates the batch entries that belong to one request chunk
+    const updateChunkItems = (start, count, update) => {
+        setBatchItems((prev) => prev.map((item, i) => (
+            i >= start && i < start + count ? { ...item, ...update(item, i - start) } : item
+        )));
+    };
+
+    const handleBatchSubmit = async () => {
+        setBatchItems(audioFiles.map((file) => ({ name: file.name, progress: 0, status: 'queued', reason: null })));
+        const uploadedTracks = [];
+
+        for (let start = 0; start < audioFiles.length; start += BATCH_CHUNK_SIZE) {
+            const chunk = audioFiles.slice(start, start + BATCH_CHUNK_SIZE);
+
+            // Byte offset where each file ends in the request, to spread upload progress over the files
+            const fileEnds = [];
+            const chunkBytes = chunk.reduce((sum, file) => {
+                fileEnds.push(sum + file.size);
+                return sum + file.size;
+            }, 0);
+
+            updateChunkItems(start, chunk.length, () => ({ status: 'uploading' }));
+
+            try {
+                const response = await uploadTracksBatchV2(chunk, {
+                    playlistId: targetPlaylistId || undefined,
+                    onDuplicate: batchOnDuplicate,
+                    onProgress: (loaded, total) => {
+                        // `total` includes multipart overhead, so scale it back to file bytes
+                        const sentBytes = (loaded / total) * chunkBytes;
+                        updateChunkItems(start, chunk.length, (item, index) => {
+                            const fileStart = index === 0 ? 0 : fileEnds[index - 1];
+                            const fileSize = chunk[index].size || 1;
+                            const progress = Math.min(100, Math.max(0, ((sentBytes - fileStart) / fileSize) * 100));
+                            return { progress, status: progress >= 100 ? 'processing' : 'uploading' };
+                        });
+                    },
+                });
+
+                response.results.forEach((result) => {
+                    const isStored = result.status === 'created' || result.status === 'replaced';
+                    const isTranscoding = isStored && result.track.processingStatus === 'pending';
+                    if (isStored) {
+                        uploadedTracks.push(result.track);
+                    }
+                    updateChunkItems(start + result.index, 1, () => ({
+                        progress: isTranscoding ? result.track.processingProgress || 0 : 100,
+                        status: isTranscoding ? 'transcoding' : result.status,
+                        reason: result.reason || null,
+                        trackId: result.track?._id,
+                    }));
+                });
+            } catch (err) {
+                console.error("Batch upload failed:", err);
+                updateChunkItems(start, chunk.length, () => ({ status: 'failed', reason: err.message }));
+            }
+        }
+
+        if (uploadedTracks.length > 0) {
+            onBatchUploadComplete?.(uploadedTracks);
+            if (targetPlaylistId) {
+                fetchUserPlaylists();
+            }
+        }
+        setBatchDone(true);
+        setLoading(false);
+    };
+
+    // Adds the stations of a .pls / .m3u file and lists what happened to each
+    const handleStationImport = async () => {
+        try {
+            const response = await importStationsV2(stationFile ? { file: stationFile } : { url: sourceUrl });
+            setBatchItems(response.results.map((result) => ({
+                name: result.title || result.url,
+                progress: 100,
+                status: result.status,
+                reason: result.reason || null,
+                trackId: result.track?._id,
+            })));
+
+            const addedTracks = response.results
+                .filter((result) => result.status === 'created')
+                .map((result) => result.track);
+            if (addedTracks.length > 0) {
+                onBatchUploadComplete?.(addedTracks);
+            }
+            setBatchDone(true);
+        } catch (err) {
+            console.error("Station import failed:", err);
+            setError(err.response?.data?.msg || err.message || "The stations could not be imported.");
+        } finally {
+            setLoading(false);
+        }
+    };
+
     const handleSubmit = async (e) => {
         e.preventDefault();
         setError(null);
+
+        if (batchDone) {
+            handleClose();
+            return;
+        }
+
         setLoading(true);
 
-        // Client-side Validation
-        if (!title || !artist) {
-            setError("Please fill in the Title and Artist.");
+        if (isBatch) {
+            await handleBatchSubmit();
+            return;
+        }
+
+        if (isStationImport) {
+            await handleStationImport();
+            return;
+        }
+
+        // Client-side Validation (stations have no artist of their own, so it is optional for radio)
+        if (!title || (!artist && sourceType !== 'stream')) {
+            setError(sourceType === 'stream' ? "Please fill in the station name." : "Please fill in the Title and Artist.");
             setLoading(false);
             return;
         }
@@ -66,7 +281,7 @@ const UploadTrackModal = ({ isOpen, onClose, onUploadSuccess }) => {
             return;
         }
 
-        if ((sourceType === 'youtube' || sourceType === 'external_url') && !sourceUrl) {
+        if (sourceType !== 'local' && !sourceUrl) {
             setError("Please provide a valid URL.");
             setLoading(false);
             return;
@@ -79,8 +294,21 @@ const UploadTrackModal = ({ isOpen, onClose, onUploadSuccess }) => {
         }
 
 
+        await submitSingleUpload();
+    };
+
+    /**
+     * Uploads the single track in the form.
+     * @param {string} [onDuplicate] - Answer to a previous "already in your library" response.
+     */
+    const submitSingleUpload = async (onDuplicate) => {
+        setError(null);
+        setLoading(true);
+
         // Package data based on sourceType
         let dataToUpload;
+        // Without a lyrics file the server uses lyrics embedded in the audio file, if any
+        const lyrics = lyricsFile ? await lyricsFile.text() : '';
 
         if (sourceType === 'local') {
             // Use FormData for file upload
@@ -95,6 +323,12 @@ const UploadTrackModal = ({ isOpen, onClose, onUploadSuccess }) => {
             if (coverImageFile) {
                 dataToUpload.append('cover_photo', coverImageFile); 
             }
+            if (onDuplicate) {
+                dataToUpload.append('onDuplicate', onDuplicate);
+            }
+            if (lyrics) {
+                dataToUpload.append('lyrics', lyrics);
+            }
         } else {
             // Use JSON object for URL-based tracks
             dataToUpload = {
@@ -106,30 +340,90 @@ const UploadTrackModal = ({ isOpen, onClose, onUploadSuccess }) => {
             if (sourceType === 'youtube') {
                 dataToUpload.videoId = extractYoutubeVideoId(sourceUrl);
             }
+            if (lyrics) {
+                dataToUpload.lyrics = lyrics;
+            }
         }
         
         try {
-            const newTrack = await uploadTrack(dataToUpload);
+            const response = await uploadTrack(dataToUpload);
+            setDuplicateOf(null);
+            if (response.skipped) {
+                handleClose();
+                return;
+            }
+            // A replaced duplicate comes back as { replaced, track } and keeps its ID
+            const newTrack = response.replaced ? response.track : response;
             onUploadSuccess(newTrack);
-            handleClose(); 
+
+            // Keep the modal open to show transcoding progress; closing it does not stop the job
+            if (newTrack?.processingStatus === 'pending') {
+                setBatchItems([{
+                    name: title,
+                    progress: newTrack.processingProgress || 0,
+                    status: 'transcoding',
+                    reason: null,
+                    trackId: newTrack._id,
+                }]);
+                setBatchDone(true);
+            } else {
+                handleClose();
+            }
 
         } catch (err) {
+            if (err.response?.status === 409 && err.response.data?.duplicate) {
+                setDuplicateOf(err.response.data.duplicateOf);
+                return;
+            }
             console.error("Upload failed:", err);
             // Improved error parsing
-            const errMsg = err.response?.data?.error || err.message || "An unknown error occurred during upload.";
+            // A link already in the library answers 409 with a msg naming the existing track
+            const errMsg = err.response?.data?.msg || err.response?.data?.error || err.message || "An unknown error occurred during upload.";
             setError(errMsg);
         } finally {
             setLoading(false);
         }
     };
 
+    // Per-item progress of batch uploads, transcoding and station imports
+    const batchProgressList = batchItems.length > 0 && (
+        <ul className="max-h-60 overflow-y-auto space-y-2 pr-1">
+            {batchItems.map((item, index) => (
+                <li key={`${item.name}-${index}`} className="text-xs">
+                    <div className="flex items-center justify-between gap-2">
+                        <span className="truncate text-gray-700 dark:text-gray-300" title={item.name}>{item.name}</span>
+                        <span className={`flex items-center shrink-0 font-semibold ${
+                            item.status === 'created' || item.status === 'replaced' ? 'text-green-600 dark:text-green-400'
+                            : item.status === 'duplicate' ? 'text-yellow-600 dark:text-yellow-400'
+                            : item.status === 'failed' ? 'text-red-600 dark:text-red-400'
+                            : 'text-gray-500 dark:text-gray-400'
+                        }`}>
+                            {item.status === 'created' && <CheckCircle2 className="h-3 w-3 mr-1" />}
+                            {item.status === 'replaced' && <RefreshCw className="h-3 w-3 mr-1" />}
+                            {item.status === 'duplicate' && <Copy className="h-3 w-3 mr-1" />}
+                            {item.status === 'failed' && <XCircle className="h-3 w-3 mr-1" />}
+                            {BATCH_STATUS_LABELS[item.status]}
+                        </span>
+                    </div>
+                    <div className="mt-1 h-1.5 w-full rounded-full bg-gray-200 dark:bg-gray-700 overflow-hidden">
+                        <div
+                            className={`h-full transition-all ${item.status === 'failed' ? 'bg-red-500' : 'bg-indigo-600'}`}
+                            style={{ width: `${item.progress}%` }}
+                        />
+                    </div>
+                    {item.reason && <p className="mt-1 text-gray-500 dark:text-gray-400">{item.reason}</p>}
+                </li>
+            ))}
+        </ul>
+    );
+
     const inputClasses = "mt-1 block w-full rounded-md border-gray-300 shadow-sm p-2 transition dark:bg-gray-700 dark:border-gray-600 dark:text-white disabled:opacity-50 disabled:cursor-not-allowed";
     const fileInputClasses = "mt-1 block w-full text-sm text-gray-900 dark:text-gray-100 file:mr-4 file:py-2 file:px-4 file:rounded-full file:border-0 file:text-sm file:font-semibold file:bg-indigo-50 file:text-indigo-700 hover:file:bg-indigo-100 dark:file:bg-indigo-900/50 dark:file:text-indigo-300 dark:hover:file:bg-indigo-900";
     const labelClasses = "block text-sm font-medium text-gray-700 dark:text-gray-300";
 
     return (
         <div className="fixed inset-0 z-50 bg-black/50 flex items-center justify-center p-4">
-            <div className="bg-white dark:bg-gray-800 rounded-xl shadow-2xl w-full max-w-lg p-6">
+            <div className="bg-white dark:bg-gray-800 rounded-xl shadow-2xl w-full max-w-lg p-6 max-h-[90vh] overflow-y-auto">
                 <div className="flex justify-between items-center border-b border-gray-200 dark:border-gray-700 pb-3 mb-4">
                     <h2 className="text-2xl font-bold text-gray-900 dark:text-white">Upload New Track</h2>
                     <button onClick={handleClose} className="p-2 rounded-full hover:bg-gray-200 dark:hover:bg-gray-700">
@@ -143,6 +437,34 @@ const UploadTrackModal = ({ isOpen, onClose, onUploadSuccess }) => {
                     </div>
                 )}
 
+                {/* The file is already in the library: let the user decide */}
+                {duplicateOf && (
+                    <div className="p-3 mb-4 text-sm rounded-lg bg-yellow-50 text-yellow-800 dark:bg-yellow-900/40 dark:text-yellow-200">
+                        <p className="flex items-center font-medium">
+                            <Copy className="h-4 w-4 mr-2 shrink-0" />
+                            This file is already in your library as "{duplicateOf.title}" by {duplicateOf.artist}.
+                        </p>
+                        <div className="mt-3 flex flex-wrap gap-2">
+                            <button type="button" onClick={() => submitSingleUpload('skip')} disabled={loading}
+                                className="px-3 py-1.5 rounded-md font-semibold bg-white text-gray-700 border border-gray-300 hover:bg-gray-100 dark:bg-gray-700 dark:text-gray-200 dark:border-gray-600 dark:hover:bg-gray-600 disabled:opacity-50"
+                            >
+                                Skip
+                            </button>
+                            <button type="button" onClick={() => submitSingleUpload('replace')} disabled={loading}
+                                className="flex items-center px-3 py-1.5 rounded-md font-semibold bg-indigo-600 text-white hover:bg-indigo-700 disabled:opacity-50"
+                            >
+                                <RefreshCw className="h-4 w-4 mr-1" /> Replace
+                            </button>
+                            <button type="button" onClick={() => submitSingleUpload('keep')} disabled={loading}
+                                className="px-3 py-1.5 rounded-md font-semibold bg-white text-gray-700 border border-gray-300 hover:bg-gray-100 dark:bg-gray-700 dark:text-gray-200 dark:border-gray-600 dark:hover:bg-gray-600 disabled:opacity-50"
+                            >
+                                Keep both
+                            </button>
+                        </div>
+                        <p className="mt-2 text-xs opacity-80">Replacing swaps in the new file and tags but keeps the track in your playlists and history.</p>
+                    </div>
+                )}
+
                 <form onSubmit={handleSubmit} className="space-y-4">
                     {/* Source Type Toggle */}
                     <div className="flex space-x-2 p-1 rounded-xl bg-gray-100 dark:bg-gray-700 shadow-inner">
@@ -167,57 +489,160 @@ const UploadTrackModal = ({ isOpen, onClose, onUploadSuccess }) => {
                         >
                             <Link className="h-5 w-5 mr-1" /> Other URL
                         </button>
+                        <button
+                            type="button"
+                            onClick={() => setSourceType('stream')}
+                            className={`flex-1 flex items-center justify-center py-2 rounded-lg transition text-sm font-semibold ${sourceType === 'stream' ? 'bg-indigo-600 text-white shadow-md' : 'text-gray-600 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600'}`}
+                        >
+                            <Radio className="h-5 w-5 mr-1" /> Radio
+                        </button>
                     </div>
 
-                    {/* Common Fields: Title & Artist */}
-                    <div>
-                        <label htmlFor="title" className={labelClasses}>Title</label>
-                        <input type="text" id="title" value={title} onChange={(e) => setTitle(e.target.value)}
-                            className={inputClasses} placeholder="Song Title" required disabled={loading}
-                        />
-                    </div>
-                    <div>
-                        <label htmlFor="artist" className={labelClasses}>Artist</label>
-                        <input type="text" id="artist" value={artist} onChange={(e) => setArtist(e.target.value)}
-                            className={inputClasses} placeholder="Artist Name" required disabled={loading}
-                        />
-                    </div>
+                    {/* Common Fields: Title & Artist (batch uploads use each file's tags, station files their names) */}
+                    {!isBatch && !isStationImport && (
+                        <>
+                            <div>
+                                <label htmlFor="title" className={labelClasses}>{sourceType === 'stream' ? 'Station Name' : 'Title'}</label>
+                                <input type="text" id="title" value={title} onChange={(e) => setTitle(e.target.value)}
+                                    className={inputClasses} placeholder={sourceType === 'stream' ? 'Station Name' : 'Song Title'} required disabled={loading || batchDone}
+                                />
+                            </div>
+                            <div>
+                                <label htmlFor="artist" className={labelClasses}>{sourceType === 'stream' ? 'Artist (Optional)' : 'Artist'}</label>
+                                <input type="text" id="artist" value={artist} onChange={(e) => setArtist(e.target.value)}
+                                    className={inputClasses} placeholder={sourceType === 'stream' ? 'Internet Radio' : 'Artist Name'}
+                                    required={sourceType !== 'stream'} disabled={loading || batchDone}
+                                />
+                            </div>
+                        </>
+                    )}
 
                     {/* Source-Specific Fields */}
                     {sourceType === 'local' ? (
                         <>
                             {/* Audio File Input (Required) */}
                             <div>
-                                <label htmlFor="audioFile" className={labelClasses}>Audio File (.mp3, .wav, etc.)</label>
+                                <label htmlFor="audioFile" className={labelClasses}>Audio File(s) (.mp3, .wav, etc.)</label>
                                 <input 
                                     type="file" 
                                     id="audioFile" 
                                     accept="audio/*"
-                                    onChange={(e) => setAudioFile(e.target.files[0])}
+                                    multiple
+                                    onChange={(e) => {
+                                        setAudioFiles(Array.from(e.target.files));
+                                        setBatchItems([]);
+                                        setBatchDone(false);
+                                        setDuplicateOf(null);
+                                    }}
                                     className={fileInputClasses}
                                     required={sourceType === 'local'}
                                     ref={fileInputRef} 
-                                    disabled={loading}
+                                    disabled={loading || batchDone}
+                                />
+                                {audioFile && !isBatch && <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">Selected Audio: {audioFile.name}</p>}
+                                {isBatch && <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">{audioFiles.length} files selected. Title and artist are read from each file's tags.</p>}
+                            </div>
+
+                            {/* Optional target playlist for the whole batch */}
+                            {isBatch && (
+                                <div>
+                                    <label htmlFor="targetPlaylist" className={labelClasses}>Add to Playlist (Optional)</label>
+                                    <select
+                                        id="targetPlaylist"
+                                        value={targetPlaylistId}
+                                        onChange={(e) => setTargetPlaylistId(e.target.value)}
+                                        className={inputClasses}
+                                        disabled={loading || batchDone}
+                                    >
+                                        <option value="">None</option>
+                                        {userPlaylists.filter((playlist) => !playlist.system && playlist.type !== 'smart').map((playlist) => (
+                                            <option key={playlist._id} value={playlist._id}>{playlist.name}</option>
+                                        ))}
+                                    </select>
+                                </div>
+                            )}
+
+                            {/* What to do with files that are already in the library */}
+                            {isBatch && (
+                                <div>
+                                    <label htmlFor="batchOnDuplicate" className={labelClasses}>If a file is already in your library</label>
+                                    <select
+                                        id="batchOnDuplicate"
+                                        value={batchOnDuplicate}
+                                        onChange={(e) => setBatchOnDuplicate(e.target.value)}
+                                        className={inputClasses}
+                                        disabled={loading || batchDone}
+                                    >
+                                        {DUPLICATE_OPTIONS.map((option) => (
+                                            <option key={option.value} value={option.value}>{option.label}</option>
+                                        ))}
+                                    </select>
+                                </div>
+                            )}
+
+                            {/* Per-file upload and transcoding progress */}
+                            {batchProgressList}
+
+                            {/* Cover Image Input (Optional, single uploads only) */}
+                            {!isBatch && (
+                                <div>
+                                    <label htmlFor="coverImage" className={labelClasses}>
+                                        <span className='flex items-center'><Image className='h-4 w-4 mr-1' /> Cover Image (Optional)</span>
+                                    </label>
+                                    <input 
+                                        type="file" 
+                                        id="coverImage" 
+                                        accept="image/*"
+                                        onChange={(e) => setCoverImageFile(e.target.files[0])}
+                                        className={fileInputClasses}
+                                        ref={coverImageRef} 
+                                        disabled={loading || batchDone}
+                                    />
+                                    {coverImageFile && <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">Selected Image: {coverImageFile.name}</p>}
+                                </div>
+                            )}
+                        </>
+                    ) : sourceType === 'stream' ? (
+                        <>
+                            {/* Stream URL, or the link of a .pls / .m3u station file */}
+                            <div>
+                                <label htmlFor="sourceUrl" className={labelClasses}>Stream or Station File URL</label>
+                                <input 
+                                    type="url" 
+                                    id="sourceUrl" 
+                                    value={sourceUrl} 
+                                    onChange={(e) => setSourceUrl(e.target.value)}
+                                    className={inputClasses}
+                                    placeholder="e.g., https://radio.example.com/live.mp3 or .../station.pls" 
+                                    required={!stationFile}
+                                    disabled={loading || !!stationFile || batchDone}
                                 />
-                                {audioFile && <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">Selected Audio: {audioFile.name}</p>}
+                                <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">Icecast, Shoutcast and HLS (.m3u8) streams play live; .pls and .m3u links add every station they list.</p>
                             </div>
 
-                            {/* Cover Image Input (Optional) */}
+                            {/* Station File Input (Optional, instead of a URL) */}
                             <div>
-                                <label htmlFor="coverImage" className={labelClasses}>
-                                    <span className='flex items-center'><Image className='h-4 w-4 mr-1' /> Cover Image (Optional)</span>
+                                <label htmlFor="stationFile" className={labelClasses}>
+                                    <span className='flex items-center'><Radio className='h-4 w-4 mr-1' /> Or Import a Station File (.pls, .m3u)</span>
                                 </label>
                                 <input 
                                     type="file" 
-                                    id="coverImage" 
-                                    accept="image/*"
-                                    onChange={(e) => setCoverImageFile(e.target.files[0])}
+                                    id="stationFile" 
+                                    accept={STATION_FILE_ACCEPT}
+                                    onChange={(e) => {
+                                        setStationFile(e.target.files[0] || null);
+                                        setBatchItems([]);
+                                        setBatchDone(false);
+                                    }}
                                     className={fileInputClasses}
-                                    ref={coverImageRef} 
-                                    disabled={loading}
+                                    ref={stationFileRef} 
+                                    disabled={loading || batchDone}
                                 />
-                                {coverImageFile && <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">Selected Image: {coverImageFile.name}</p>}
+                                {stationFile && <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">Selected Station File: {stationFile.name}</p>}
                             </div>
+
+                            {/* What happened to each station of the file */}
+                            {batchProgressList}
                         </>
                     ) : (
                         <div>
@@ -238,12 +663,31 @@ const UploadTrackModal = ({ isOpen, onClose, onUploadSuccess }) => {
                         </div>
                     )}
 
+                    {/* Lyrics File Input (Optional, single uploads only; not for live radio) */}
+                    {!isBatch && sourceType !== 'stream' && (
+                        <div>
+                            <label htmlFor="lyricsFile" className={labelClasses}>
+                                <span className='flex items-center'><FileText className='h-4 w-4 mr-1' /> Lyrics (Optional, .lrc or .txt)</span>
+                            </label>
+                            <input 
+                                type="file" 
+                                id="lyricsFile" 
+                                accept={LYRICS_FILE_ACCEPT}
+                                onChange={(e) => setLyricsFile(e.target.files[0] || null)}
+                                className={fileInputClasses}
+                                ref={lyricsFileRef} 
+                                disabled={loading || batchDone}
+                            />
+                            {lyricsFile && <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">Selected Lyrics: {lyricsFile.name}</p>}
+                        </div>
+                    )}
+
                     {/* Submit Button */}
                     <button type="submit" disabled={loading}
                         className={`w-full flex justify-center items-center py-2 px-4 border border-transparent rounded-md shadow-lg text-sm font-medium text-white transition ${loading ? 'bg-indigo-400 cursor-not-allowed' : 'bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500'}`}
                     >
                         {loading ? <Loader2 className="h-5 w-5 mr-2 animate-spin" /> : <Music className="h-5 w-5 mr-2" />}
-                        {loading ? 'Uploading...' : 'Upload Track'}
+                        {loading ? 'Uploading...' : batchDone ? 'Done' : isBatch ? `Upload ${audioFiles.length} Tracks` : isStationImport ? 'Import Stations' : sourceType === 'stream' ? 'Add Station' : 'Upload Track'}
                     </button>
                 </form>
             </div>
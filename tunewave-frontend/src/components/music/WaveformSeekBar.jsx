@@ -0,0 +1,106 @@
+import React, { useMemo, useRef, useState } from 'react';
+
+// Bars drawn across the seek bar (the server sends more points than fit)
+const BAR_COUNT = 120;
+
+// Arrow keys jump this many seconds
+const KEYBOARD_SEEK_STEP = 5;
+
+// Reduces the peaks to `count` bars, keeping the loudest point of each group
+const downsamplePeaks = (peaks, count) => {
+    if (peaks.length <= count) return peaks;
+    const groupSize = peaks.length / count;
+    return Array.from({ length: count }, (_, i) => {
+        const start = Math.floor(i * groupSize);
+        const end = Math.max(start + 1, Math.floor((i + 1) * groupSize));
+        return Math.max(...peaks.slice(start, end));
+    });
+};
+
+/**
+ * Waveform seek bar for uploaded tracks: played bars are highlighted, hovering
+ * previews the time under the pointer, and clicking seeks there.
+ * @param {Object} props
+ * @param {number[]} props.peaks - Peaks from 0 to 1 (GET /api/tracks/:id/waveform).
+ * @param {number} props.currentTime - Playback position in seconds.
+ * @param {number} props.duration - Track duration in seconds.
+ * @param {function} props.onSeek - Called with the time to seek to.
+ * @param {function} props.formatTime - Formats seconds for the hover preview.
+ * @param {boolean} props.darkMode - The current theme state.
+ * @returns {JSX.Element}
+ */
+const WaveformSeekBar = ({ peaks, currentTime, duration, onSeek, formatTime, darkMode }) => {
+    const containerRef = useRef(null);
+    const [hoverRatio, setHoverRatio] = useState(null);
+
+    const bars = useMemo(() => downsamplePeaks(peaks, BAR_COUNT), [peaks]);
+    const playedRatio = duration > 0 ? Math.min(1, currentTime / duration) : 0;
+
+    const getPointerRatio = (e) => {
+        const rect = containerRef.current.getBoundingClientRect();
+        return Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width));
+    };
+
+    const handleClick = (e) => {
+        if (duration > 0) onSeek(getPointerRatio(e) * duration);
+    };
+
+    const handleKeyDown = (e) => {
+        if (!duration) return;
+        if (e.key === 'ArrowRight') {
+            e.preventDefault();
+            onSeek(Math.min(duration, currentTime + KEYBOARD_SEEK_STEP));
+        } else if (e.key === 'ArrowLeft') {
+            e.preventDefault();
+            onSeek(Math.max(0, currentTime - KEYBOARD_SEEK_STEP));
+        }
+    };
+
+    const unplayedColor = darkMode ? 'bg-gray-600' : 'bg-gray-300';
+
+    return (
+        <div
+            ref={containerRef}
+            role="slider"
+            tabIndex={0}
+            aria-label="Seek"
+            aria-valuemin={0}
+            aria-valuemax={Math.round(duration || 0)}
+            aria-valuenow={Math.round(currentTime || 0)}
+            aria-valuetext={formatTime(currentTime)}
+            onClick={handleClick}
+            onKeyDown={handleKeyDown}
+            onMouseMove={(e) => setHoverRatio(getPointerRatio(e))}
+            onMouseLeave={() => setHoverRatio(null)}
+            className="relative flex items-center w-full h-6 cursor-pointer focus:outline-none focus-visible:ring-2 focus-visible:ring-indigo-500 rounded"
+        >
+            {bars.map((peak, index) => {
+                const barRatio = (index + 0.5) / bars.length;
+                const isPlayed = barRatio <= playedRatio;
+                const isPreviewed = hoverRatio !== null && barRatio <= hoverRatio && !isPlayed;
+
+                return (
+                    <div
+                        key={index}
+                        className={`flex-1 mx-px rounded-sm ${
+                            isPlayed ? 'bg-indigo-600' : isPreviewed ? 'bg-indigo-300' : unplayedColor
+                        }`}
+                        style={{ height: `${Math.max(8, peak * 100)}%` }}
+                    />
+                );
+            })}
+
+            {/* Hover time preview */}
+            {hoverRatio !== null && duration > 0 && (
+                <div
+                    className="absolute bottom-full mb-1 -translate-x-1/2 px-1.5 py-0.5 rounded text-xs font-medium bg-gray-800 text-white pointer-events-none"
+                    style={{ left: `${hoverRatio * 100}%` }}
+                >
+                    {formatTime(hoverRatio * duration)}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default WaveformSeekBar;
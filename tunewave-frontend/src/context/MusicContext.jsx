@@ -1,5 +1,9 @@
 import React, { createContext, useContext, useState, useRef, useMemo, useCallback, useEffect } from 'react'; 
 import { getFullImageUrl } from "../utils/urlUtils.js";
+import { dbToGain, getTrackGainDb } from "../utils/loudness.js";
+import { getPlaybackRange } from "../utils/cuePoints.js";
+import { isHlsUrl, canPlayHlsNatively } from "../utils/streams.js";
+import useAuth from '../hooks/useAuth';
 import YouTubeIframePlayer from '../components/YouTubeIframePlayer'; 
 
 // Import the V3 API functions
@@ -9,7 +13,14 @@ import {
     updatePlaylistV3,
     toggleTrackInPlaylistV3,
     fetchPlaylistDetailsV3,
-    deletePlaylistV3
+    deletePlaylistV3,
+    markTrackAsListenedV2,
+    fetchStreamUrlV2,
+    fetchNowPlayingUrlV2,
+    checkTrackLinkV2,
+    likeTrackV2,
+    unlikeTrackV2,
+    fetchLikedTrackIdsV2
 } from '../api/musicService.js';
 
 // Create Context
@@ -25,6 +36,12 @@ const REPEAT_MODES = {
     TRACK: 'track',
 };
 
+// Sources played by the hidden <audio> element (everything but YouTube)
+const NATIVE_SOURCE_TYPES = ['local', 'external_url', 'stream'];
+
+// How many times in a row a dropped now playing connection is reopened with a fresh URL
+const MAX_NOW_PLAYING_RECONNECTS = 3;
+
 // Provider Component
 export const MusicProvider = ({ children }) => {
     // Core Playback State
@@ -48,12 +65,37 @@ export const MusicProvider = ({ children }) => {
     const [userPlaylists, setUserPlaylists] = useState([]);
     const [isPlaylistsLoading, setIsPlaylistsLoading] = useState(false);
 
+    // Liked Songs: IDs of the liked tracks, so every heart button shows the same state
+    const [likedTrackIds, setLikedTrackIds] = useState(() => new Set());
+
     // Dual Player Refs
     const nativePlayerRef = useRef(null);
     const youtubePlayerObjectRef = useRef(null);
     const [isVideoViewerOpen, setIsVideoViewerOpen] = useState(false); 
     const [videoViewerSize, setVideoViewerSize] = useState('small');
 
+    // Listening History: one session per play, reported to the server when it ends
+    const playSessionRef = useRef(null);
+    const playContextRef = useRef({ source: 'unknown', id: null });
+
+    // Signed Stream URLs: position to resume from after an expired URL is refreshed
+    const streamResumeRef = useRef(null);
+
+    // Cue Points: the last reported position, to notice when playback crosses the end cue
+    const lastPositionRef = useRef(0);
+
+    // Live Streams: station info and now playing of the stream track that is playing
+    const [streamInfo, setStreamInfo] = useState({ trackId: null, station: null, nowPlaying: null });
+
+    // Loudness Normalization: <audio> -> MediaElementSource -> GainNode -> speakers.
+    // Sources that do not allow CORS are played without Web Audio (attenuation only, via volume).
+    const { user, updateSettings } = useAuth();
+    const normalizeVolume = user?.settings?.normalizeVolume !== false;
+    const audioContextRef = useRef(null);
+    const gainNodeRef = useRef(null);
+    const mediaSourcesRef = useRef(new WeakMap());
+    const [corsBlockedTrackId, setCorsBlockedTrackId] = useState(null);
+
     // Control Toggles & Helpers
     const toggleShuffle = useCallback(() => { setIsShuffling(prev => !prev); }, []);
     const toggleRepeat = useCallback(() => {
@@ -71,6 +113,9 @@ export const MusicProvider = ({ children }) => {
         }
     }, []);
     const toggleMute = useCallback(() => { setIsMuted(prev => !prev); }, []);
+    const toggleNormalizeVolume = useCallback(() => {
+        updateSettings({ normalizeVolume: !normalizeVolume });
+    }, [normalizeVolume, updateSettings]);
 
     // Viewer Toggle & Ref Registration
     const toggleVideoViewer = useCallback(() => {
@@ -113,26 +158,93 @@ export const MusicProvider = ({ children }) => {
         return nextIndex;
     }, [currentTrackIndex, playlist, isShuffling, repeatMode]);
 
+    // LISTENING HISTORY HELPERS
+
+    // Starts a fresh play session for the given track
+    const startPlaySession = useCallback((trackId) => {
+        playSessionRef.current = trackId ? {
+            trackId,
+            startedAt: new Date().toISOString(),
+            secondsListened: 0,
+            lastTime: 0,
+            duration: 0,
+            context: playContextRef.current,
+            streamTitles: [], // Songs a radio stream announced during the session
+        } : null;
+    }, []);
+
+    // Ends the current play session and reports it (the server applies the "30s or 50%" rule)
+    const finishPlaySession = useCallback((completed = false, options = {}) => {
+        const session = playSessionRef.current;
+        playSessionRef.current = null;
+
+        if (!session || (session.secondsListened < 1 && !completed)) return;
+
+        markTrackAsListenedV2(session.trackId, {
+            startedAt: session.startedAt,
+            secondsListened: Math.round(session.secondsListened),
+            duration: Math.round(session.duration),
+            completed,
+            context: session.context,
+            streamTitles: session.streamTitles.length > 0 ? session.streamTitles : undefined,
+        }, options).catch(e => console.warn("Failed to record listening history:", e));
+    }, []);
+
+    // Accumulates listened time from player progress, ignoring jumps caused by seeking
+    const trackPlayProgress = useCallback((time) => {
+        const session = playSessionRef.current;
+        if (!session) return;
+
+        const delta = time - session.lastTime;
+        if (delta > 0 && delta < 2) {
+            session.secondsListened += delta;
+        }
+        session.lastTime = time;
+    }, []);
+
+    // Trimmed tracks play (and count plays) between their cue points
+    const playbackRange = useMemo(() => getPlaybackRange(currentTrack, duration), [currentTrack, duration]);
+
+    // True when playback has just passed the end cue (the end of the media fires its own event)
+    const crossedEndCue = useCallback((time) => {
+        const previous = lastPositionRef.current;
+        lastPositionRef.current = time;
+        const endCue = currentTrack?.endTime;
+        return endCue > 0 && previous < endCue && time >= endCue;
+    }, [currentTrack?.endTime]);
+
+    const trackPlayDuration = useCallback((d) => {
+        if (playSessionRef.current && d > 0) {
+            playSessionRef.current.duration = d;
+        }
+    }, []);
+
     // PLAYER CONTROL FUNCTIONS
 
-    // SEEK Logic
-    const handleSeek = useCallback((time) => {
+    // SEEK Logic (kept between the cue points; live streams have no timeline)
+    const handleSeek = useCallback((requestedTime) => {
+        if (sourceType === 'stream') return;
+
         const player = sourceType === 'youtube'
             ? youtubePlayerObjectRef.current
             : nativePlayerRef.current;
+        const { start, end } = playbackRange;
+        const time = Math.max(start, end > start ? Math.min(requestedTime, end) : requestedTime);
 
         if (player) {
+            lastPositionRef.current = time;
             if (sourceType === 'youtube') {
                 if (typeof player.seekTo === 'function') player.seekTo(time, true);
             } else if (player.currentTime !== undefined) {
                 player.currentTime = time;
             }
             setCurrentTime(time);
+            if (playSessionRef.current) playSessionRef.current.lastTime = time;
             if (!isPlaying) setIsPlaying(true);
         } else {
             console.warn("Attempted to seek but no active player ref found.");
         }
-    }, [isPlaying, sourceType]);
+    }, [isPlaying, sourceType, playbackRange]);
 
     // NAVIGATION FUNCTIONS
     const playTrackRef = useRef(null); 
@@ -146,7 +258,7 @@ export const MusicProvider = ({ children }) => {
                 playTrackRef.current(nextTrack); 
             }
         } else if (nextIndex === currentTrackIndex && repeatMode === REPEAT_MODES.TRACK) {
-            handleSeek(0); 
+            handleSeek(0); // Back to the start cue
         } else if (nextIndex === -1 && repeatMode === REPEAT_MODES.OFF) {
             setIsPlaying(false);
             setCurrentTrackIndex(-1);
@@ -170,42 +282,86 @@ export const MusicProvider = ({ children }) => {
 
     // EVENT HANDLERS
 
-    // Unified End Handler 
+    // Unified End Handler (a live stream only ends when the station goes off the air)
     const handleAudioEnded = useCallback(() => {
+        const trackId = playSessionRef.current?.trackId;
+        finishPlaySession(sourceType !== 'stream');
+        startPlaySession(trackId); // Repeat-track replays the same track without reloading it
+
         setIsPlaying(false); 
         setCurrentTime(0);
         playNextStable(); 
-    }, [playNextStable]); 
+    }, [sourceType, playNextStable, finishPlaySession, startPlaySession]); 
+
+    // YouTube End Handler (the iframe keeps its own play state)
+    const handleYoutubeEnded = useCallback(() => {
+        const trackId = playSessionRef.current?.trackId;
+        finishPlaySession(true);
+        startPlaySession(trackId);
+
+        playNextStable();
+    }, [playNextStable, finishPlaySession, startPlaySession]);
 
     // NATIVE AUDIO HANDLERS
     const handleNativeReady = useCallback(() => {
         if (nativePlayerRef.current) { 
             const player = nativePlayerRef.current;
-            const durationValue = player.duration || 0;
+            // Live streams report an endless (Infinity) duration
+            const durationValue = Number.isFinite(player.duration) ? player.duration : 0;
+            const range = getPlaybackRange(currentTrack, durationValue);
             setDuration(durationValue); 
+            trackPlayDuration(range.end - range.start);
+
+            if (streamResumeRef.current !== null) {
+                player.currentTime = streamResumeRef.current;
+                streamResumeRef.current = null;
+            } else if (range.start > 0) {
+                player.currentTime = range.start;
+            }
 
             if (isPlaying) {
                 player.play().catch(e => console.warn("Native Player READY: Auto-play blocked:", e));
             }
         }
-    }, [isPlaying]); 
+    }, [isPlaying, trackPlayDuration, currentTrack]); 
 
     const handleNativeProgress = useCallback(() => {
-        if (isPlaying && (sourceType === 'local' || sourceType === 'external_url')) {
-            if (nativePlayerRef.current) {
-                setCurrentTime(nativePlayerRef.current.currentTime);
+        if (isPlaying && NATIVE_SOURCE_TYPES.includes(sourceType)) {
+            const player = nativePlayerRef.current;
+            if (player) {
+                setCurrentTime(player.currentTime);
+                trackPlayProgress(player.currentTime);
+
+                // The end cue works like the end of the file: rewind to the start cue and move on
+                if (crossedEndCue(player.currentTime)) {
+                    player.currentTime = playbackRange.start;
+                    handleAudioEnded();
+                }
             }
         }
-    }, [isPlaying, sourceType]);
+    }, [isPlaying, sourceType, trackPlayProgress, crossedEndCue, playbackRange.start, handleAudioEnded]);
 
     // Unified handlers for YouTube player
     const setYoutubeCurrentTime = useCallback((time) => {
-        if (sourceType === 'youtube') setCurrentTime(time);
-    }, [sourceType]);
+        if (sourceType === 'youtube') {
+            setCurrentTime(time);
+            trackPlayProgress(time);
+
+            if (crossedEndCue(time)) {
+                const player = youtubePlayerObjectRef.current;
+                if (player && typeof player.seekTo === 'function') player.seekTo(playbackRange.start, true);
+                handleYoutubeEnded();
+            }
+        }
+    }, [sourceType, trackPlayProgress, crossedEndCue, playbackRange.start, handleYoutubeEnded]);
 
     const setYoutubeDuration = useCallback((d) => {
-        if (sourceType === 'youtube') setDuration(d);
-    }, [sourceType]);
+        if (sourceType === 'youtube') {
+            const range = getPlaybackRange(currentTrack, d);
+            setDuration(d);
+            trackPlayDuration(range.end - range.start);
+        }
+    }, [sourceType, trackPlayDuration, currentTrack]);
 
     const setYoutubePlayerObject = useCallback((player) => { 
         youtubePlayerObjectRef.current = player; 
@@ -220,10 +376,11 @@ export const MusicProvider = ({ children }) => {
 
         if (newSourceType === 'youtube' && trackData.sourceUrl) {
             trackUrl = trackData.sourceUrl;
-        } else if (newSourceType === 'external_url' && trackData.sourceUrl) {
+        } else if ((newSourceType === 'external_url' || newSourceType === 'stream') && trackData.sourceUrl) {
             trackUrl = trackData.sourceUrl;
         } else if (newSourceType === 'local' && trackData.filePath) {
-            trackUrl = getFullImageUrl(trackData.filePath); 
+            // Uploaded audio is streamed through a signed URL, resolved in the effect below
+            trackUrl = trackData.filePath; 
         }
 
         if (!trackUrl) {
@@ -235,9 +392,13 @@ export const MusicProvider = ({ children }) => {
 
         setIsPlaying(false); 
 
+        finishPlaySession(false);
+        startPlaySession(trackData._id || trackData.id);
+
+        streamResumeRef.current = null;
         setCurrentTrack(prevTrack => ({
             ...trackData,
-            audioSrc: trackUrl, 
+            audioSrc: newSourceType === 'local' ? null : trackUrl, 
             cover_photo_url: trackData.cover_photo 
                 ? getFullImageUrl(trackData.cover_photo) 
                 : (prevTrack?.cover_photo_url || null),
@@ -245,17 +406,21 @@ export const MusicProvider = ({ children }) => {
         setSourceType(newSourceType); 
 
         setIsVideoViewerOpen(newSourceType === 'youtube'); 
-        setCurrentTime(0);
+        // Players start at the start cue (<audio> once its metadata is loaded, YouTube via initialTime)
+        setCurrentTime(trackData.startTime || 0);
         setDuration(0);
+        lastPositionRef.current = 0;
 
         if (index !== -1) {
             setCurrentTrackIndex(index);
         }
 
         setIsPlaying(true); 
-    }, []);
+    }, [finishPlaySession, startPlaySession]);
 
-    const playTrack = useCallback((trackData) => {
+    // The optional context ({ source, id }) is stored with each listening history entry
+    const playTrack = useCallback((trackData, context = null) => {
+        if (context) playContextRef.current = context;
         const index = playlist.findIndex(t => (t._id || t.id) === (trackData._id || trackData.id));
         loadAndPlayTrack(trackData, index);
     }, [playlist, loadAndPlayTrack]);
@@ -263,7 +428,9 @@ export const MusicProvider = ({ children }) => {
     playTrackRef.current = playTrack;
 
     // 🆕 NEW: Play a new queue of tracks
-    const playNewQueue = useCallback((tracks, startIndex = 0) => {
+    const playNewQueue = useCallback((tracks, startIndex = 0, context = null) => {
+        playContextRef.current = context || { source: 'queue', id: null };
+
         if (!tracks || tracks.length === 0) {
             setPlaylist([]);
             setCurrentTrackIndex(-1);
@@ -283,11 +450,11 @@ export const MusicProvider = ({ children }) => {
     }, [loadAndPlayTrack]);
 
     // 🆕 NEW: Play a single track immediately
-    const playSingleTrack = useCallback((track) => {
+    const playSingleTrack = useCallback((track, context = null) => {
         if (!track) return;
 
         // Create a queue with just this track
-        playNewQueue([track], 0);
+        playNewQueue([track], 0, context || { source: 'single', id: null });
     }, [playNewQueue]);
 
     // Exported Control Functions
@@ -316,7 +483,11 @@ export const MusicProvider = ({ children }) => {
     const createPlaylist = useCallback(async (name, description = '', is_public = false) => {
         try {
             const newPlaylist = await createPlaylistV3(name, description, is_public);
-            setUserPlaylists(prev => [...prev, newPlaylist]);
+            // Built-in collections (Liked Songs) stay first
+            setUserPlaylists(prev => {
+                const systemCount = prev.filter(p => p.system).length;
+                return [...prev.slice(0, systemCount), newPlaylist, ...prev.slice(systemCount)];
+            });
             return newPlaylist;
         } catch (error) {
             console.error("Failed to create playlist:", error);
@@ -373,16 +544,154 @@ export const MusicProvider = ({ children }) => {
         }
     }, []);
 
+    // LIKED SONGS
+
+    const isTrackLiked = useCallback((trackId) => likedTrackIds.has(trackId), [likedTrackIds]);
+
+    // Keeps the Liked Songs entry of userPlaylists (first, system: true) in step with a like
+    const updateLikedSongsEntry = useCallback((trackId, liked) => {
+        setUserPlaylists(prev => prev.map(p => {
+            if (p.type !== 'liked') return p;
+            const tracks = (p.tracks || []).filter(id => id !== trackId);
+            const nextTracks = liked ? [trackId, ...tracks] : tracks;
+            return { ...p, tracks: nextTracks, trackCount: nextTracks.length };
+        }));
+    }, []);
+
+    // Likes or unlikes a track at once and reverts if the server refuses
+    const toggleLike = useCallback(async (track) => {
+        const trackId = track?._id || track?.id;
+        if (!trackId) return;
+        const liked = !likedTrackIds.has(trackId);
+
+        const apply = (value) => {
+            setLikedTrackIds(prev => {
+                const next = new Set(prev);
+                if (value) next.add(trackId); else next.delete(trackId);
+                return next;
+            });
+            updateLikedSongsEntry(trackId, value);
+        };
+
+        apply(liked);
+        try {
+            await (liked ? likeTrackV2(trackId) : unlikeTrackV2(trackId));
+            return liked;
+        } catch (error) {
+            console.error(`Failed to ${liked ? 'like' : 'unlike'} track ${trackId}:`, error);
+            apply(!liked);
+            throw error;
+        }
+    }, [likedTrackIds, updateLikedSongsEntry]);
+
+    // Loaded once per signed-in user (settings changes replace the user object, not the ID)
+    const userId = user?.userId;
+    useEffect(() => {
+        let cancelled = false;
+        const load = userId ? fetchLikedTrackIdsV2().then(({ ids }) => ids) : Promise.resolve([]);
+        load
+            .then(ids => {
+                if (!cancelled) setLikedTrackIds(new Set(ids));
+            })
+            .catch(error => console.error("Failed to load liked tracks:", error));
+        return () => { cancelled = true; };
+    }, [userId]);
+
+    // Fetches a signed stream URL for uploaded audio (the API needs auth, <audio> can't send headers)
+    const resolveStreamUrl = useCallback(async (trackId) => {
+        const { url } = await fetchStreamUrlV2(trackId);
+        const streamUrl = getFullImageUrl(url);
+        setCurrentTrack(prev => (
+            prev && (prev._id || prev.id) === trackId ? { ...prev, audioSrc: streamUrl } : prev
+        ));
+    }, []);
+
+    const currentTrackId = currentTrack?._id || currentTrack?.id;
+    const needsStreamUrl = sourceType === 'local' && !!currentTrack && !currentTrack.audioSrc;
+
+    useEffect(() => {
+        if (!needsStreamUrl || !currentTrackId) return;
+
+        resolveStreamUrl(currentTrackId).catch(e => {
+            console.error("Failed to get a stream URL for the track:", e);
+            setIsPlaying(false);
+        });
+    }, [needsStreamUrl, currentTrackId, resolveStreamUrl]);
+
+    // A signed URL can expire mid-track (e.g. when seeking later); refresh it once and resume
+    const handleNativeError = useCallback((e) => {
+        const player = nativePlayerRef.current;
+
+        // Nothing loaded at all: the host may refuse CORS requests, so retry as a plain <audio> source
+        if (player?.crossOrigin && player.readyState === 0 && currentTrackId && corsBlockedTrackId !== currentTrackId) {
+            console.warn("Audio source refused a CORS request; playing it without volume normalization boosts.");
+            setCorsBlockedTrackId(currentTrackId);
+            return;
+        }
+
+        if (sourceType === 'local' && currentTrackId && streamResumeRef.current === null) {
+            streamResumeRef.current = player?.currentTime || currentTime;
+            resolveStreamUrl(currentTrackId).catch(() => {
+                streamResumeRef.current = null;
+                setIsPlaying(false);
+            });
+            return;
+        }
+
+        console.error("Native Audio Player Failed to load:", e);
+        // Checked now rather than at the next daily check, so Library Health shows it
+        if (sourceType === 'external_url' && currentTrackId) {
+            checkTrackLinkV2(currentTrackId).catch(err => console.warn("Link check failed:", err));
+        }
+        streamResumeRef.current = null;
+        setIsPlaying(false);
+        setDuration(0);
+    }, [sourceType, currentTrackId, currentTime, resolveStreamUrl, corsBlockedTrackId]);
+
+    // Routes an <audio> element through the shared gain node (once per element)
+    const connectToGainNode = useCallback((player) => {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass || mediaSourcesRef.current.has(player)) return;
+
+        try {
+            if (!audioContextRef.current) {
+                audioContextRef.current = new AudioContextClass();
+                gainNodeRef.current = audioContextRef.current.createGain();
+                gainNodeRef.current.connect(audioContextRef.current.destination);
+            }
+            const mediaSource = audioContextRef.current.createMediaElementSource(player);
+            mediaSource.connect(gainNodeRef.current);
+            mediaSourcesRef.current.set(player, mediaSource);
+        } catch (e) {
+            console.warn("Web Audio is unavailable, volume normalization is limited:", e);
+        }
+    }, []);
+
+    const playbackGain = dbToGain(getTrackGainDb(currentTrack, normalizeVolume));
+    const isCorsBlocked = !!currentTrackId && corsBlockedTrackId === currentTrackId;
+
     // EFFECT TO CONTROL NATIVE <AUDIO> STATE
     useEffect(() => {
-        const isNativeSource = sourceType === 'local' || sourceType === 'external_url';
+        const isNativeSource = NATIVE_SOURCE_TYPES.includes(sourceType);
         const player = nativePlayerRef.current;
 
         if (player && isNativeSource) {
-            player.volume = volume;
+            if (!isCorsBlocked) connectToGainNode(player);
+
+            if (mediaSourcesRef.current.has(player)) {
+                gainNodeRef.current.gain.value = playbackGain;
+                player.volume = volume;
+            } else {
+                // Without Web Audio the gain can only turn the volume down
+                player.volume = volume * Math.min(1, playbackGain);
+            }
             player.muted = isMuted;
 
             if (isPlaying) {
+                // The context starts suspended until the user has interacted with the page
+                if (audioContextRef.current?.state === 'suspended') {
+                    audioContextRef.current.resume().catch(() => {});
+                }
                 if (player.readyState >= 3 || player.currentTime > 0) {
                     player.play().catch(e => console.warn("Native Player Auto-play blocked (effect):", e));
                 }
@@ -390,7 +699,117 @@ export const MusicProvider = ({ children }) => {
                 player.pause();
             }
         }
-    }, [isPlaying, volume, isMuted, sourceType]);
+    }, [isPlaying, volume, isMuted, sourceType, currentTrack?.audioSrc, isCorsBlocked, playbackGain, connectToGainNode]);
+
+    // Report the in-progress play if the page is closed mid-track
+    useEffect(() => {
+        const handlePageHide = () => finishPlaySession(false, { keepalive: true });
+        window.addEventListener('pagehide', handlePageHide);
+        return () => window.removeEventListener('pagehide', handlePageHide);
+    }, [finishPlaySession]);
+
+    // LIVE STREAMS
+
+    const isLiveStream = sourceType === 'stream';
+    // HLS radio plays natively in Safari; other browsers feed the <audio> element through hls.js
+    const needsHlsJs = isLiveStream && isHlsUrl(currentTrack?.audioSrc) && !canPlayHlsNatively();
+
+    useEffect(() => {
+        const player = nativePlayerRef.current;
+        const streamUrl = currentTrack?.audioSrc;
+        if (!needsHlsJs || !player || !streamUrl) return undefined;
+
+        let hls = null;
+        let cancelled = false;
+        // The light build leaves out subtitles, alternate renditions and DRM, which radio does not need
+        import('hls.js/light')
+            .then(({ default: Hls }) => {
+                if (cancelled) return;
+                if (!Hls.isSupported()) {
+                    console.error("This browser cannot play HLS streams.");
+                    setIsPlaying(false);
+                    return;
+                }
+                hls = new Hls();
+                hls.on(Hls.Events.ERROR, (event, data) => {
+                    if (!data.fatal) return;
+                    console.error("HLS stream failed:", data);
+                    setIsPlaying(false);
+                });
+                hls.loadSource(streamUrl);
+                hls.attachMedia(player);
+            })
+            .catch(e => {
+                console.error("Failed to load the HLS player:", e);
+                setIsPlaying(false);
+            });
+
+        return () => {
+            cancelled = true;
+            if (hls) hls.destroy();
+        };
+    }, [needsHlsJs, currentTrack?.audioSrc, isCorsBlocked]);
+
+    // What the station is playing, pushed by the server (ICY metadata) over an EventSource
+    useEffect(() => {
+        if (!isLiveStream || !currentTrackId) return undefined;
+
+        let eventSource = null;
+        let cancelled = false;
+        let reconnects = 0;
+
+        const connect = () => fetchNowPlayingUrlV2(currentTrackId)
+            .then(({ url }) => {
+                if (cancelled) return;
+                eventSource = new EventSource(getFullImageUrl(url));
+
+                eventSource.addEventListener('station', (e) => {
+                    reconnects = 0;
+                    const station = JSON.parse(e.data);
+                    setStreamInfo(prev => ({
+                        trackId: currentTrackId,
+                        station,
+                        nowPlaying: prev.trackId === currentTrackId ? prev.nowPlaying : null,
+                    }));
+                });
+                eventSource.addEventListener('nowPlaying', (e) => {
+                    const nowPlaying = JSON.parse(e.data);
+                    setStreamInfo(prev => ({
+                        trackId: currentTrackId,
+                        station: prev.trackId === currentTrackId ? prev.station : null,
+                        nowPlaying,
+                    }));
+
+                    // Each song heard during the play is stored with the listening history entry
+                    const session = playSessionRef.current;
+                    const last = session?.streamTitles[session.streamTitles.length - 1];
+                    if (session && session.trackId === currentTrackId
+                        && !(last && last.title === nowPlaying.title && last.artist === nowPlaying.artist)) {
+                        session.streamTitles.push({ title: nowPlaying.title, artist: nowPlaying.artist, at: nowPlaying.at });
+                    }
+                });
+
+                // The signed URL expires, so a dropped connection cannot reopen itself: fetch a new one
+                eventSource.onerror = () => {
+                    if (eventSource.readyState !== EventSource.CLOSED || cancelled) return;
+                    if (reconnects >= MAX_NOW_PLAYING_RECONNECTS) return;
+                    reconnects += 1;
+                    connect();
+                };
+            })
+            .catch(e => console.warn("Failed to follow the station's now playing:", e));
+
+        connect();
+        return () => {
+            cancelled = true;
+            if (eventSource) eventSource.close();
+        };
+    }, [isLiveStream, currentTrackId]);
+
+    const streamNowPlaying = isLiveStream && streamInfo.trackId === currentTrackId ? streamInfo.nowPlaying : null;
+    const streamStation = isLiveStream && streamInfo.trackId === currentTrackId ? streamInfo.station : null;
+
+    const youtubeVolume = volume * Math.min(1, playbackGain);
 
     // Memoized Context Value
     const value = useMemo(() => ({
@@ -399,6 +818,19 @@ export const MusicProvider = ({ children }) => {
         playlist, currentTrackIndex, isShuffling, repeatMode, sourceType, 
         isVideoViewerOpen, videoViewerSize,
 
+        // Cue Points ({ start, end } in seconds; currentTime stays the position in the media)
+        playbackRange,
+
+        // Live Streams (no duration or seeking; nowPlaying is { artist, title, at } from the station)
+        isLiveStream,
+        streamNowPlaying,
+        streamStation,
+
+        // Loudness Normalization (the YouTube iframe can only be turned down)
+        normalizeVolume,
+        toggleNormalizeVolume,
+        youtubeVolume,
+
         // Playlist State
         userPlaylists, 
         isPlaylistsLoading,
@@ -421,24 +853,31 @@ export const MusicProvider = ({ children }) => {
         toggleTrackInPlaylist,
         fetchPlaylistDetails,
 
+        // Liked Songs
+        likedTrackIds,
+        isTrackLiked,
+        toggleLike,
+
         // YouTube Player Handlers
         setYoutubeCurrentTime, 
         setYoutubeDuration, 
         setYoutubePlayerObject,
+        handleYoutubeEnded,
 
     }), [
         currentTrack, isPlaying, currentTime, duration, volume, isMuted, playlist,
         currentTrackIndex, isShuffling, repeatMode, sourceType, isVideoViewerOpen,
-        videoViewerSize,
+        videoViewerSize, playbackRange, isLiveStream, streamNowPlaying, streamStation, normalizeVolume, toggleNormalizeVolume, youtubeVolume,
         userPlaylists, isPlaylistsLoading,
         fetchUserPlaylists, createPlaylist, updatePlaylist, deletePlaylist, toggleTrackInPlaylist, fetchPlaylistDetails,
+        likedTrackIds, isTrackLiked, toggleLike,
         togglePlayPause, handleSeek, playTrack, setAudioVolume, toggleMute, 
         setPlaylist, playNextStable, playPreviousStable, toggleShuffle, toggleRepeat,
         toggleVideoViewer, resizeVideoViewer, setYoutubeCurrentTime, setYoutubeDuration, 
-        setYoutubePlayerObject, playNewQueue, playSingleTrack
+        setYoutubePlayerObject, handleYoutubeEnded, playNewQueue, playSingleTrack
     ]);
 
-    const isLocalActive = sourceType === 'local' || sourceType === 'external_url';
+    const isLocalActive = NATIVE_SOURCE_TYPES.includes(sourceType);
     const playerKey = currentTrack?._id || currentTrack?.id || currentTrack?.audioSrc;
 
     const getYoutubeVideoId = (url) => {
@@ -478,19 +917,16 @@ export const MusicProvider = ({ children }) => {
                 {/* NATIVE AUDIO Player */}
                 {(isLocalActive && currentTrack?.audioSrc) && (
                     <audio
-                        key={`native-${playerKey}`} 
+                        key={`native-${playerKey}${isCorsBlocked ? '-no-cors' : ''}`} 
                         ref={nativePlayerRef} 
-                        src={currentTrack.audioSrc} 
+                        src={needsHlsJs ? undefined : currentTrack.audioSrc} 
+                        crossOrigin={isCorsBlocked ? undefined : 'anonymous'}
                         volume={volume} 
                         muted={isMuted}
                         onLoadedMetadata={handleNativeReady} 
                         onTimeUpdate={handleNativeProgress} 
                         onEnded={handleAudioEnded}
-                        onError={(e) => {
-                            console.error("Native Audio Player Failed to load:", e);
-                            setIsPlaying(false);
-                            setDuration(0);
-                        }}
+                        onError={handleNativeError}
                         preload="auto"
                     />
                 )}
@@ -502,13 +938,13 @@ export const MusicProvider = ({ children }) => {
                         videoUrl={currentTrack.audioSrc}
                         type="audio"
                         isPlaying={isPlaying}
-                        volume={volume}
+                        volume={youtubeVolume}
                         isMuted={isMuted}
                         initialTime={currentTime}
                         setDuration={setYoutubeDuration}
                         setCurrentTime={setYoutubeCurrentTime}
                         setPlayerObject={setYoutubePlayerObject}
-                        onEnded={playNextStable}
+                        onEnded={handleYoutubeEnded}
                     />
                 )}
             </div>
@@ -1,6 +1,6 @@
 import { useState, useEffect, useContext, createContext, useMemo, useCallback } from 'react';
 
-import { login as loginApi, register as registerApi, logout as logoutApi } from '../api/auth'; 
+import { login as loginApi, register as registerApi, logout as logoutApi, updateSettings as updateSettingsApi } from '../api/auth'; 
 
 const AuthContext = createContext();
 
@@ -44,6 +44,7 @@ const useAuthProvider = () => {
                     userId: data._id || data.userId, 
                     username: data.username, 
                     email: data.email,
+                    settings: data.settings || {},
                 };
                 
                 if (!userData.username) {
@@ -101,7 +102,37 @@ const useAuthProvider = () => {
         setIsAuthenticated(false);
     }, []); // 🚀 Stable useCallback
 
-    // 4. Memoize the returned context value
+    // 4. Update Settings Function (Stable: Dependencies [])
+    // Applied right away and rolled back if the server rejects them
+    const updateSettings = useCallback(async (changes) => {
+        const applyUser = (nextUser) => {
+            localStorage.setItem('user', JSON.stringify(nextUser));
+            setUser(nextUser);
+        };
+
+        // localStorage always holds the latest user, so this callback needs no dependencies
+        let previousUser;
+        try {
+            previousUser = JSON.parse(localStorage.getItem('user'));
+        } catch {
+            previousUser = null;
+        }
+        if (!previousUser) return false;
+
+        applyUser({ ...previousUser, settings: { ...previousUser.settings, ...changes } });
+
+        const response = await updateSettingsApi(changes);
+        if (response.success) {
+            applyUser({ ...previousUser, settings: response.settings });
+            return true;
+        }
+
+        console.error("Failed to save settings:", response.error);
+        applyUser(previousUser);
+        return false;
+    }, []); // 🚀 Stable useCallback
+
+    // 5. Memoize the returned context value
     const value = useMemo(
         () => ({
             isAuthenticated,
@@ -113,10 +144,11 @@ const useAuthProvider = () => {
             login,
             register,
             logout,
+            updateSettings,
         }),
-        // 🚀 FIX: Only state variables are included as dependencies.
-        // Functions (login, register, logout, setError) are guaranteed stable.
-        [isAuthenticated, user, loading, isAuthReady, error] 
+        // The functions are memoized above (setError is a state setter), so in practice
+        // only the state variables change the value.
+        [isAuthenticated, user, loading, isAuthReady, error, login, register, logout, updateSettings]
     );
 
     return value;
@@ -0,0 +1,40 @@
+import { useEffect, useRef } from 'react';
+
+// Start loading the next page this far before the end of the list comes into view
+const PRELOAD_MARGIN = '400px';
+
+/**
+ * Calls `onLoadMore` when the returned sentinel ref scrolls into view.
+ * Put the sentinel element after the last item of the list.
+ * @param {object} options
+ * @param {boolean} options.hasMore - Whether another page exists (the last response had a nextCursor).
+ * @param {boolean} options.loading - A page is being fetched; no new request is made meanwhile.
+ * @param {function} options.onLoadMore - Fetches and appends the next page.
+ * @returns {import('react').RefObject} Ref for the sentinel element.
+ */
+const useInfiniteScroll = ({ hasMore, loading, onLoadMore }) => {
+    const sentinelRef = useRef(null);
+    const onLoadMoreRef = useRef(onLoadMore);
+
+    useEffect(() => {
+        onLoadMoreRef.current = onLoadMore;
+    }, [onLoadMore]);
+
+    useEffect(() => {
+        const sentinel = sentinelRef.current;
+        if (!sentinel || !hasMore || loading) return undefined;
+
+        const observer = new IntersectionObserver((entries) => {
+            if (entries.some((entry) => entry.isIntersecting)) {
+                onLoadMoreRef.current();
+            }
+        }, { rootMargin: PRELOAD_MARGIN });
+
+        observer.observe(sentinel);
+        return () => observer.disconnect();
+    }, [hasMore, loading]);
+
+    return sentinelRef;
+};
+
+export default useInfiniteScroll;
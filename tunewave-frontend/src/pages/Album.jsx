@@ -0,0 +1,186 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import useAuth from '../hooks/useAuth';
+import useMusic from '../context/MusicContext';
+import { fetchAlbumV2 as fetchAlbum } from '../api/musicService';
+import LikeButton from '../components/music/LikeButton';
+import { Loader2, Disc3, Music, Clock, Play } from 'lucide-react';
+
+import { getCoverImageUrl } from './../utils/urlUtils';
+import { formatDuration } from './../utils/trackFormat';
+
+const AlbumPage = ({ darkMode }) => {
+  const { isAuthenticated, isAuthReady } = useAuth();
+  const { albumId } = useParams();
+  const { playNewQueue } = useMusic();
+
+  // The loaded album; it is loading while it belongs to another ID
+  const [result, setResult] = useState({ albumId: null, data: null, error: null });
+
+  const headerColor = darkMode ? 'text-white' : 'text-gray-900';
+  const textColor = darkMode ? 'text-gray-400' : 'text-gray-600';
+  const hoverBg = darkMode ? 'hover:bg-gray-700' : 'hover:bg-gray-100';
+
+  useEffect(() => {
+    if (!isAuthReady || !isAuthenticated) return undefined;
+    let cancelled = false;
+
+    fetchAlbum(albumId)
+      .then((data) => {
+        if (!cancelled) setResult({ albumId, data, error: null });
+      })
+      .catch((err) => {
+        console.error('Failed to fetch album:', err);
+        if (!cancelled) {
+          setResult({ albumId, data: null, error: err.response?.data?.msg || 'Could not load this album.' });
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [albumId, isAuthenticated, isAuthReady]);
+
+  const loading = result.albumId !== albumId;
+  const { album, tracks = [] } = result.data || {};
+
+  const handlePlayTrack = (index) => {
+    playNewQueue(tracks, index, { source: 'album', id: albumId });
+  };
+
+  // Loading State
+  if (loading) {
+    return (
+      <div className={`flex justify-center items-center h-full ${darkMode ? 'bg-gray-900' : 'bg-gray-50'}`}>
+        <Loader2 className="h-10 w-10 text-indigo-500 animate-spin" />
+        <p className={`ml-4 text-xl ${headerColor}`}>Loading album...</p>
+      </div>
+    );
+  }
+
+  // Error State
+  if (result.error || !album) {
+    return (
+      <div className={`p-8 w-full h-full ${darkMode ? 'bg-gray-900 text-white' : 'bg-gray-50 text-gray-900'}`}>
+        <h1 className="text-4xl font-extrabold mb-4">Album Error</h1>
+        <div className="p-4 bg-red-800 text-white rounded-lg shadow-md">
+          <p className="font-semibold">Error:</p>
+          <p>{result.error || 'Album not found.'}</p>
+        </div>
+      </div>
+    );
+  }
+
+  const imageSrc = getCoverImageUrl(album, 'full');
+  // Disc headings only for albums spread over several discs
+  const hasSeveralDiscs = new Set(tracks.map((track) => track.discNumber || 1)).size > 1;
+
+  return (
+    <div className={`p-8 w-full h-full overflow-y-auto ${darkMode ? 'bg-gray-900' : 'bg-gray-50'}`}>
+
+      {/* Album Header Section */}
+      <div className="flex items-end mb-10 pb-6 border-b border-gray-700/30">
+        <div className="w-48 h-48 flex-shrink-0 mr-6 shadow-2xl rounded-lg overflow-hidden">
+          {imageSrc ? (
+            <img src={imageSrc} alt={album.title} className="w-full h-full object-cover" />
+          ) : (
+            <div className={`w-full h-full flex items-center justify-center ${darkMode ? 'bg-indigo-700' : 'bg-indigo-400'}`}>
+              <Disc3 className="h-12 w-12 text-white opacity-80" />
+            </div>
+          )}
+        </div>
+
+        <div className="flex flex-col min-w-0">
+          <p className={`text-sm font-light uppercase ${textColor}`}>Album</p>
+          <h1 className={`text-5xl font-extrabold md:text-7xl mb-2 truncate ${headerColor}`}>{album.title}</h1>
+
+          {/* Metadata */}
+          <div className="flex items-center text-sm font-medium">
+            <Link to={`/artist/${album.artist}`} className={`mr-4 font-semibold hover:underline ${headerColor}`}>
+              {album.artistName}
+            </Link>
+            {album.year && <span className={`mr-4 ${textColor}`}>{album.year}</span>}
+            <Music className={`h-4 w-4 mr-1 ${textColor}`} />
+            <span className={`mr-4 ${textColor}`}>{tracks.length} songs</span>
+            {album.duration > 0 && (
+              <>
+                <Clock className={`h-4 w-4 mr-1 ${textColor}`} />
+                <span className={`mr-4 ${textColor}`}>{formatDuration(album.duration)}</span>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+
+      {/* Action Bar */}
+      <div className="flex items-center mb-8">
+        <button
+          onClick={() => handlePlayTrack(0)}
+          disabled={tracks.length === 0}
+          className="flex items-center px-6 py-3 bg-green-600 hover:bg-green-700 text-white font-bold rounded-full shadow-lg transition-transform transform hover:scale-105 disabled:bg-gray-500 disabled:cursor-not-allowed"
+        >
+          <Play className="h-6 w-6 mr-2 fill-white" />
+          PLAY
+        </button>
+      </div>
+
+      {/* Track List */}
+      <div
+        className={`grid grid-cols-12 gap-4 py-2 px-4 border-b ${
+          darkMode ? 'border-gray-700 text-gray-400' : 'border-gray-300 text-gray-700'
+        } text-xs font-semibold uppercase`}
+      >
+        <div className="col-span-1">#</div>
+        <div className="col-span-9">Title</div>
+        <div className="col-span-2 flex justify-end">
+          <Clock className="h-4 w-4" />
+        </div>
+      </div>
+
+      <div className="space-y-1 mt-2">
+        {tracks.map((track, index) => (
+          <React.Fragment key={track._id}>
+            {hasSeveralDiscs && (index === 0 || (track.discNumber || 1) !== (tracks[index - 1].discNumber || 1)) && (
+              <div className={`pt-4 pb-1 px-4 text-sm font-semibold ${textColor}`}>
+                Disc {track.discNumber || 1}
+              </div>
+            )}
+            <div
+              onClick={() => handlePlayTrack(index)}
+              className={`grid grid-cols-12 gap-4 items-center py-2 px-4 rounded-lg cursor-pointer transition-colors ${hoverBg} ${
+                darkMode ? 'text-white' : 'text-gray-900'
+              }`}
+            >
+              <div className="col-span-1 text-sm text-center opacity-70">{track.trackNumber || index + 1}</div>
+              <div className="col-span-9 min-w-0">
+                <div className="text-base font-medium truncate">{track.title}</div>
+                {/* Tracks by someone other than the album artist, or with guests */}
+                {(track.artistIds?.length > 1 || track.artistIds?.[0] !== album.artist) && (
+                  <div className="text-xs opacity-70 truncate">
+                    {track.artistIds?.[0] ? (
+                      <Link
+                        to={`/artist/${track.artistIds[0]}`}
+                        onClick={(e) => e.stopPropagation()}
+                        className="hover:underline"
+                      >
+                        {track.artist}
+                      </Link>
+                    ) : (
+                      track.artist
+                    )}
+                  </div>
+                )}
+              </div>
+              <div className="col-span-2 flex items-center justify-end space-x-3 text-sm opacity-80">
+                <LikeButton track={track} darkMode={darkMode} iconClassName="h-4 w-4" />
+                <span>{formatDuration(track.duration)}</span>
+              </div>
+            </div>
+          </React.Fragment>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default AlbumPage;
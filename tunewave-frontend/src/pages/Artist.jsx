@@ -0,0 +1,274 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import useAuth from '../hooks/useAuth';
+import useMusic from '../context/MusicContext';
+import { fetchArtistV2 as fetchArtist, renameArtistV2 as renameArtist } from '../api/musicService';
+import AlbumCard from '../components/music/AlbumCard';
+import ArtistMergePanel from '../components/music/ArtistMergePanel';
+import LikeButton from '../components/music/LikeButton';
+import { Loader2, Mic2, Music, Clock, Play, Pencil, Merge, Check, X } from 'lucide-react';
+
+import { getCoverImageUrl } from './../utils/urlUtils';
+import { formatDuration } from './../utils/trackFormat';
+
+const ArtistPage = ({ darkMode }) => {
+  const { isAuthenticated, isAuthReady } = useAuth();
+  const { artistId } = useParams();
+  const { playNewQueue } = useMusic();
+
+  // The loaded artist page; it is loading while it belongs to another ID
+  const [result, setResult] = useState({ artistId: null, data: null, error: null });
+  const [reloadKey, setReloadKey] = useState(0);
+  const [isRenaming, setIsRenaming] = useState(false);
+  const [newName, setNewName] = useState('');
+  const [renameError, setRenameError] = useState(null);
+  const [isMerging, setIsMerging] = useState(false);
+  const [mergeMessage, setMergeMessage] = useState(null);
+
+  const headerColor = darkMode ? 'text-white' : 'text-gray-900';
+  const textColor = darkMode ? 'text-gray-400' : 'text-gray-600';
+  const hoverBg = darkMode ? 'hover:bg-gray-700' : 'hover:bg-gray-100';
+
+  useEffect(() => {
+    if (!isAuthReady || !isAuthenticated) return undefined;
+    let cancelled = false;
+
+    fetchArtist(artistId)
+      .then((data) => {
+        if (!cancelled) setResult({ artistId, data, error: null });
+      })
+      .catch((err) => {
+        console.error('Failed to fetch artist:', err);
+        if (!cancelled) {
+          setResult({ artistId, data: null, error: err.response?.data?.msg || 'Could not load this artist.' });
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [artistId, isAuthenticated, isAuthReady, reloadKey]);
+
+  const loading = result.artistId !== artistId;
+  const { artist, albums = [], appearsOn = [], tracks = [] } = result.data || {};
+
+  const handlePlayTrack = (index) => {
+    playNewQueue(tracks, index, { source: 'artist', id: artistId });
+  };
+
+  const handleRename = async (e) => {
+    e.preventDefault();
+    setRenameError(null);
+    try {
+      await renameArtist(artistId, newName);
+      setIsRenaming(false);
+      setReloadKey((key) => key + 1);
+    } catch (err) {
+      setRenameError(err.response?.data?.msg || 'Could not rename this artist.');
+    }
+  };
+
+  const handleMerged = (mergeResult) => {
+    setIsMerging(false);
+    setMergeMessage(mergeResult.msg);
+    setReloadKey((key) => key + 1);
+  };
+
+  // Loading State
+  if (loading) {
+    return (
+      <div className={`flex justify-center items-center h-full ${darkMode ? 'bg-gray-900' : 'bg-gray-50'}`}>
+        <Loader2 className="h-10 w-10 text-indigo-500 animate-spin" />
+        <p className={`ml-4 text-xl ${headerColor}`}>Loading artist...</p>
+      </div>
+    );
+  }
+
+  // Error State
+  if (result.error || !artist) {
+    return (
+      <div className={`p-8 w-full h-full ${darkMode ? 'bg-gray-900 text-white' : 'bg-gray-50 text-gray-900'}`}>
+        <h1 className="text-4xl font-extrabold mb-4">Artist Error</h1>
+        <div className="p-4 bg-red-800 text-white rounded-lg shadow-md">
+          <p className="font-semibold">Error:</p>
+          <p>{result.error || 'Artist not found.'}</p>
+        </div>
+      </div>
+    );
+  }
+
+  const imageSrc = getCoverImageUrl(albums[0] || tracks[0], 'full');
+  const totalDuration = tracks.reduce((sum, track) => sum + (track.duration || 0), 0);
+
+  return (
+    <div className={`p-8 w-full h-full overflow-y-auto ${darkMode ? 'bg-gray-900' : 'bg-gray-50'}`}>
+
+      {/* Artist Header Section */}
+      <div className="flex items-end mb-10 pb-6 border-b border-gray-700/30">
+        <div className="w-48 h-48 flex-shrink-0 mr-6 shadow-2xl rounded-full overflow-hidden">
+          {imageSrc ? (
+            <img src={imageSrc} alt={artist.name} className="w-full h-full object-cover" />
+          ) : (
+            <div className={`w-full h-full flex items-center justify-center ${darkMode ? 'bg-indigo-700' : 'bg-indigo-400'}`}>
+              <Mic2 className="h-12 w-12 text-white opacity-80" />
+            </div>
+          )}
+        </div>
+
+        <div className="flex flex-col min-w-0">
+          <p className={`text-sm font-light uppercase ${textColor}`}>Artist</p>
+          {isRenaming ? (
+            <form onSubmit={handleRename} className="flex items-center mb-2">
+              <input
+                type="text"
+                value={newName}
+                onChange={(e) => setNewName(e.target.value)}
+                className={`text-3xl font-extrabold p-2 rounded-lg border focus:outline-none focus:ring-2 focus:ring-indigo-500 ${
+                  darkMode ? 'bg-gray-700 border-gray-600 text-white' : 'bg-white border-gray-300 text-gray-900'
+                }`}
+                autoFocus
+              />
+              <button type="submit" disabled={!newName.trim()} className="ml-2 p-2 rounded-full text-green-500 hover:bg-green-500/10 disabled:opacity-50" aria-label="Save name">
+                <Check className="h-6 w-6" />
+              </button>
+              <button type="button" onClick={() => setIsRenaming(false)} className={`p-2 rounded-full ${textColor} ${hoverBg}`} aria-label="Cancel rename">
+                <X className="h-6 w-6" />
+              </button>
+            </form>
+          ) : (
+            <h1 className={`text-5xl font-extrabold md:text-7xl mb-2 truncate ${headerColor}`}>{artist.name}</h1>
+          )}
+          {renameError && <p className="mb-2 text-sm text-red-400">{renameError}</p>}
+
+          {/* Metadata */}
+          <div className="flex items-center text-sm font-medium">
+            <Music className={`h-4 w-4 mr-1 ${textColor}`} />
+            <span className={`mr-4 ${textColor}`}>
+              {artist.trackCount} songs
+              {artist.featuredCount > 0 && ` (${artist.featuredCount} featured)`}
+              {artist.albumCount > 0 && ` · ${artist.albumCount} ${artist.albumCount === 1 ? 'album' : 'albums'}`}
+            </span>
+            {totalDuration > 0 && (
+              <>
+                <Clock className={`h-4 w-4 mr-1 ${textColor}`} />
+                <span className={`mr-4 ${textColor}`}>{formatDuration(totalDuration)}</span>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+
+      {/* Action Bar */}
+      <div className="flex items-center space-x-3 mb-8">
+        <button
+          onClick={() => handlePlayTrack(0)}
+          disabled={tracks.length === 0}
+          className="flex items-center px-6 py-3 bg-green-600 hover:bg-green-700 text-white font-bold rounded-full shadow-lg transition-transform transform hover:scale-105 disabled:bg-gray-500 disabled:cursor-not-allowed"
+        >
+          <Play className="h-6 w-6 mr-2 fill-white" />
+          PLAY
+        </button>
+        <button
+          onClick={() => {
+            setNewName(artist.name);
+            setRenameError(null);
+            setIsRenaming(true);
+          }}
+          className={`flex items-center px-4 py-2 text-sm font-semibold rounded-full shadow ${darkMode ? 'bg-gray-700 hover:bg-gray-600 text-gray-200' : 'bg-gray-200 hover:bg-gray-300 text-gray-800'}`}
+        >
+          <Pencil className="h-4 w-4 mr-2" />
+          Rename
+        </button>
+        {!isMerging && (
+          <button
+            onClick={() => {
+              setMergeMessage(null);
+              setIsMerging(true);
+            }}
+            className="flex items-center px-4 py-2 bg-indigo-600 hover:bg-indigo-700 text-white text-sm font-semibold rounded-full shadow"
+          >
+            <Merge className="h-4 w-4 mr-2" />
+            Merge spellings
+          </button>
+        )}
+      </div>
+
+      {isMerging && (
+        <ArtistMergePanel artist={artist} onMerged={handleMerged} onCancel={() => setIsMerging(false)} darkMode={darkMode} />
+      )}
+      {mergeMessage && <p className="mb-6 text-sm text-green-500">{mergeMessage}</p>}
+
+      {/* Discography */}
+      {albums.length > 0 && (
+        <>
+          <h2 className={`text-2xl font-bold mb-4 ${headerColor}`}>Albums</h2>
+          <div className="flex flex-wrap gap-2 mb-10">
+            {albums.map((album) => (
+              <AlbumCard key={album._id} album={album} showArtist={false} darkMode={darkMode} />
+            ))}
+          </div>
+        </>
+      )}
+
+      {appearsOn.length > 0 && (
+        <>
+          <h2 className={`text-2xl font-bold mb-4 ${headerColor}`}>Appears On</h2>
+          <div className="flex flex-wrap gap-2 mb-10">
+            {appearsOn.map((album) => (
+              <AlbumCard key={album._id} album={album} darkMode={darkMode} />
+            ))}
+          </div>
+        </>
+      )}
+
+      {/* Track List */}
+      <h2 className={`text-2xl font-bold mb-4 ${headerColor}`}>Songs</h2>
+      <div className="space-y-1">
+        {tracks.map((track, index) => (
+          <div
+            key={track._id}
+            onClick={() => handlePlayTrack(index)}
+            className={`grid grid-cols-12 gap-4 items-center py-2 px-4 rounded-lg cursor-pointer transition-colors ${hoverBg} ${
+              darkMode ? 'text-white' : 'text-gray-900'
+            }`}
+          >
+            <div className="col-span-1 text-sm text-center opacity-70">{index + 1}</div>
+            <div className="col-span-6 flex items-center min-w-0">
+              {getCoverImageUrl(track, 'player') && (
+                <img
+                  src={getCoverImageUrl(track, 'player')}
+                  alt=""
+                  loading="lazy"
+                  decoding="async"
+                  className="w-10 h-10 object-cover rounded-md mr-3"
+                />
+              )}
+              <div className="min-w-0">
+                <div className="text-base font-medium truncate">{track.title}</div>
+                {/* Featured on another artist's track */}
+                {track.artistIds?.[0] !== artist._id && (
+                  <div className="text-xs opacity-70 truncate">{track.artist}</div>
+                )}
+              </div>
+            </div>
+            <div className="col-span-3 text-sm truncate opacity-80">
+              {track.albumId ? (
+                <Link to={`/album/${track.albumId}`} onClick={(e) => e.stopPropagation()} className="hover:underline">
+                  {track.album}
+                </Link>
+              ) : (
+                track.album
+              )}
+            </div>
+            <div className="col-span-2 flex items-center justify-end space-x-3 text-sm opacity-80">
+              <LikeButton track={track} darkMode={darkMode} iconClassName="h-4 w-4" />
+              <span>{formatDuration(track.duration)}</span>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default ArtistPage;
@@ -1,10 +1,12 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import useAuth from '../hooks/useAuth.jsx';
+import useInfiniteScroll from '../hooks/useInfiniteScroll.js';
 import {
-  fetchRecommendedTracks,
+  fetchRecommendedTracksV2,
   fetchTrackDetails,
   deleteTrackV2,
   updateTrackV2,
+  revertTrackRevisionV2,
 } from '../api/musicService.js';
 import {
   Disc3,
@@ -14,11 +16,15 @@ import {
   Trash2,
   Edit2,
 } from 'lucide-react';
-import { getFullImageUrl } from '../utils/urlUtils.js';
+import { getCoverImageUrl } from '../utils/urlUtils.js';
+import { formatAlbumLine, formatDuration } from '../utils/trackFormat.js';
 import { useMusic } from '../context/MusicContext.jsx';
 
 import Header from '../components/common/Header.jsx';
 import UploadTrackModal from '../components/music/UploadTrackModal.jsx';
+import EditTrackModal from '../components/music/EditTrackModal.jsx';
+import LikeButton from '../components/music/LikeButton.jsx';
+import UndoToast from '../components/common/UndoToast.jsx';
 
 // --- Placeholder Data ---
 const placeholderTracks = [
@@ -82,113 +88,6 @@ const getGreetingData = () => {
   };
 };
 
-// --- Edit Track Modal ---
-const EditTrackModal = ({ track, onSave, onClose, darkMode }) => {
-  const [title, setTitle] = useState(track.title);
-  const [artist, setArtist] = useState(track.artist);
-  const [isSaving, setIsSaving] = useState(false);
-
-  const handleSubmit = async (e) => {
-    e.preventDefault();
-    setIsSaving(true);
-    try {
-      await onSave(track._id, { title, artist });
-      onClose();
-    } catch (err) {
-      console.error('Failed to update track:', err);
-      alert('Failed to update track. Please try again.');
-    } finally {
-      setIsSaving(false);
-    }
-  };
-
-  return (
-    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4">
-      <div
-        className={`w-full max-w-md rounded-2xl p-6 shadow-2xl ${
-          darkMode ? 'bg-gray-800 text-white' : 'bg-white text-gray-900'
-        }`}
-      >
-        <div className="flex items-center justify-between mb-4">
-          <h2 className="text-xl font-bold">Edit Track</h2>
-          <button
-            onClick={onClose}
-            className={`p-2 rounded-full ${
-              darkMode ? 'hover:bg-gray-700' : 'hover:bg-gray-200'
-            }`}
-          >
-            ✕
-          </button>
-        </div>
-
-        <form onSubmit={handleSubmit} className="space-y-4">
-          <div>
-            <label
-              className={`block text-sm mb-1 ${
-                darkMode ? 'text-gray-300' : 'text-gray-700'
-              }`}
-            >
-              Title
-            </label>
-            <input
-              className={`w-full px-3 py-2 rounded-lg border text-sm ${
-                darkMode
-                  ? 'bg-gray-700 border-gray-600 text-white'
-                  : 'bg-white border-gray-300 text-gray-900'
-              }`}
-              value={title}
-              onChange={(e) => setTitle(e.target.value)}
-              required
-            />
-          </div>
-
-          <div>
-            <label
-              className={`block text-sm mb-1 ${
-                darkMode ? 'text-gray-300' : 'text-gray-700'
-              }`}
-            >
-              Artist
-            </label>
-            <input
-              className={`w-full px-3 py-2 rounded-lg border text-sm ${
-                darkMode
-                  ? 'bg-gray-700 border-gray-600 text-white'
-                  : 'bg-white border-gray-300 text-gray-900'
-              }`}
-              value={artist}
-              onChange={(e) => setArtist(e.target.value)}
-              required
-            />
-          </div>
-
-          <div className="flex space-x-3 pt-2">
-            <button
-              type="button"
-              onClick={onClose}
-              disabled={isSaving}
-              className={`flex-1 py-2 rounded-lg text-sm font-medium ${
-                darkMode
-                  ? 'bg-gray-700 hover:bg-gray-600'
-                  : 'bg-gray-200 hover:bg-gray-300'
-              } disabled:opacity-50`}
-            >
-              Cancel
-            </button>
-            <button
-              type="submit"
-              disabled={isSaving}
-              className="flex-1 py-2 rounded-lg text-sm font-medium bg-indigo-600 hover:bg-indigo-700 text-white disabled:opacity-50 flex items-center justify-center"
-            >
-              {isSaving ? 'Saving...' : 'Save'}
-            </button>
-          </div>
-        </form>
-      </div>
-    </div>
-  );
-};
-
 // --- TrackCard Component ---
 const TrackCard = React.memo(
   ({ track, darkMode, onEdit, onDelete }) => {
@@ -197,7 +96,7 @@ const TrackCard = React.memo(
     const [isLoading, setIsLoading] = useState(false);
 
     const imageSrc =
-      getFullImageUrl(track.cover_photo) ||
+      getCoverImageUrl(track, 'card') ||
       'https://via.placeholder.com/150/4f46e5/ffffff?text=Track';
 
     const handlePlayClick = async (e) => {
@@ -208,7 +107,7 @@ const TrackCard = React.memo(
       try {
         const trackId = track._id || track.id;
         const fullTrackData = await fetchTrackDetails(trackId);
-        playTrack(fullTrackData);
+        playTrack(fullTrackData, { source: 'home', id: null });
       } catch (error) {
         console.error('Failed to load track for playback:', error);
       } finally {
@@ -227,6 +126,8 @@ const TrackCard = React.memo(
           <img
             src={imageSrc}
             alt={`Album art for ${track.title}`}
+            loading="lazy"
+            decoding="async"
             className="w-full h-auto aspect-square rounded-lg object-cover shadow-md"
           />
           <button
@@ -246,7 +147,7 @@ const TrackCard = React.memo(
         </div>
 
         <div className="flex justify-between items-start">
-          <div>
+          <div className="overflow-hidden">
             <h3
               className={`text-base font-semibold truncate ${
                 darkMode ? 'text-white' : 'text-gray-900'
@@ -254,12 +155,18 @@ const TrackCard = React.memo(
             >
               {track.title}
             </h3>
-            <p className={`text-sm ${textColor} opacity-70`}>
+            <p className={`text-sm ${textColor} opacity-70 truncate`}>
               {track.artist}
             </p>
+            <p className={`text-xs ${textColor} opacity-50 truncate`}>
+              {[formatAlbumLine(track), track.duration ? formatDuration(track.duration) : null]
+                .filter(Boolean)
+                .join(' · ')}
+            </p>
           </div>
 
           <div className="flex items-center space-x-1">
+            <LikeButton track={track} darkMode={darkMode} className="p-1 rounded-full" iconClassName="h-4 w-4" />
             <button
               onClick={(e) => {
                 e.stopPropagation();
@@ -300,21 +207,32 @@ const Home = ({ darkMode, setDarkMode }) => {
   const [error, setError] = useState(null);
   const [isUploadModalOpen, setIsUploadModalOpen] = useState(false);
   const [editingTrack, setEditingTrack] = useState(null);
+  // The last saved edit, offered for undo: { trackId, revisionId, title }
+  const [undoableEdit, setUndoableEdit] = useState(null);
+  // Paging state: the library is loaded one page at a time as the user scrolls
+  const [sortBy, setSortBy] = useState('recently_added');
+  const [nextCursor, setNextCursor] = useState(null);
+  const [totalTracks, setTotalTracks] = useState(0);
+  const [loadingMore, setLoadingMore] = useState(false);
 
   const fetchTracks = useCallback(
     async (sort = 'recently_added') => {
       setLoading(true);
       setError(null);
+      setSortBy(sort);
+      setNextCursor(null);
 
       try {
-        const data = await fetchRecommendedTracks(sort);
+        const data = await fetchRecommendedTracksV2(sort);
         const tracksData =
-          Array.isArray(data) && data.length > 0
-            ? data
+          data.tracks?.length > 0
+            ? data.tracks
             : placeholderTracks;
 
         setTracks(tracksData);
         setPlaylist(tracksData);
+        setNextCursor(data.nextCursor || null);
+        setTotalTracks(data.total || 0);
       } catch (err) {
         console.error('Failed to fetch recommended tracks:', err);
 
@@ -346,17 +264,58 @@ const Home = ({ darkMode, setDarkMode }) => {
     }
   }, [isAuthReady, fetchTracks]);
 
+  // Appends the next page to the grid and to the play queue
+  const loadMoreTracks = useCallback(async () => {
+    if (!nextCursor || loadingMore) return;
+    setLoadingMore(true);
+
+    try {
+      const data = await fetchRecommendedTracksV2(sortBy, { cursor: nextCursor });
+      const appendNew = (prev) => {
+        const knownIds = new Set(prev.map((track) => track._id));
+        return [...prev, ...data.tracks.filter((track) => !knownIds.has(track._id))];
+      };
+      setTracks(appendNew);
+      setPlaylist(appendNew);
+      setNextCursor(data.nextCursor || null);
+      setTotalTracks(data.total || 0);
+    } catch (err) {
+      console.error('Failed to load more tracks:', err);
+      setNextCursor(null);
+    } finally {
+      setLoadingMore(false);
+    }
+  }, [nextCursor, loadingMore, sortBy, setPlaylist]);
+
+  const loadMoreRef = useInfiniteScroll({
+    hasMore: Boolean(nextCursor),
+    loading: loading || loadingMore,
+    onLoadMore: loadMoreTracks,
+  });
+
+  // Replacing a duplicate returns the existing track, so drop its old entry first
+  const prependTracks = (newTracks) => (prev) => {
+    const newIds = new Set(newTracks.map((track) => track._id));
+    return [...newTracks, ...prev.filter((track) => !newIds.has(track._id))];
+  };
+
   const handleUploadSuccess = (newTrack) => {
-    setTracks((prev) => [newTrack, ...prev]);
-    setPlaylist((prev) => [newTrack, ...prev]);
+    setTracks(prependTracks([newTrack]));
+    setPlaylist(prependTracks([newTrack]));
     setIsUploadModalOpen(false);
   };
 
+  // Batch uploads keep the modal open so the per-file results stay visible
+  const handleBatchUploadComplete = (newTracks) => {
+    setTracks(prependTracks(newTracks));
+    setPlaylist(prependTracks(newTracks));
+  };
+
   const handleDeleteTrack = async (track) => {
     if (!track._id) return;
     if (
       !window.confirm(
-        `Delete "${track.title}"? This cannot be undone.`
+        `Move "${track.title}" to the Trash? You can restore it from there.`
       )
     ) {
       return;
@@ -376,16 +335,36 @@ const Home = ({ darkMode, setDarkMode }) => {
     }
   };
 
-  const handleUpdateTrack = async (trackId, updates) => {
-    const updated = await updateTrackV2(trackId, updates);
+  const replaceTrack = (updated) => {
     setTracks((prev) =>
-      prev.map((t) => (t._id === trackId ? updated : t))
+      prev.map((t) => (t._id === updated._id ? updated : t))
     );
     setPlaylist((prev) =>
-      prev.map((t) => (t._id === trackId ? updated : t))
+      prev.map((t) => (t._id === updated._id ? updated : t))
     );
   };
 
+  const handleUpdateTrack = async (trackId, updates) => {
+    const { revisionId, ...updated } = await updateTrackV2(trackId, updates);
+    replaceTrack(updated);
+    if (revisionId) {
+      setUndoableEdit({ trackId, revisionId, title: updated.title });
+    }
+  };
+
+  const handleUndoEdit = async () => {
+    try {
+      // The revert's own revision is not offered for undo
+      const { revisionId: _revertRevisionId, ...reverted } = await revertTrackRevisionV2(undoableEdit.trackId, undoableEdit.revisionId);
+      replaceTrack(reverted);
+    } catch (err) {
+      console.error('Failed to undo track edit:', err);
+      alert('Failed to undo the edit. Please try again.');
+    }
+  };
+
+  const dismissUndo = useCallback(() => setUndoableEdit(null), []);
+
   const headerColor = darkMode ? 'text-white' : 'text-gray-900';
 
   return (
@@ -443,10 +422,24 @@ const Home = ({ darkMode, setDarkMode }) => {
         ))}
       </div>
 
+      {/* Next page loads when this comes into view */}
+      <div ref={loadMoreRef} className="h-1" />
+      {loadingMore && (
+        <div className="flex justify-center items-center py-6 text-indigo-500">
+          <Loader2 className="h-6 w-6 animate-spin" />
+        </div>
+      )}
+      {!loading && !error && !nextCursor && totalTracks > 0 && (
+        <p className={`text-center text-sm py-6 ${darkMode ? 'text-gray-500' : 'text-gray-400'}`}>
+          All {tracks.length} tracks loaded
+        </p>
+      )}
+
       <UploadTrackModal
         isOpen={isUploadModalOpen}
         onClose={() => setIsUploadModalOpen(false)}
         onUploadSuccess={handleUploadSuccess}
+        onBatchUploadComplete={handleBatchUploadComplete}
       />
 
       {editingTrack && (
@@ -457,6 +450,16 @@ const Home = ({ darkMode, setDarkMode }) => {
           darkMode={darkMode}
         />
       )}
+
+      {undoableEdit && (
+        <UndoToast
+          key={undoableEdit.revisionId}
+          message={`Saved changes to "${undoableEdit.title}"`}
+          onUndo={handleUndoEdit}
+          onDismiss={dismissUndo}
+          darkMode={darkMode}
+        />
+      )}
     </div>
   );
 };
@@ -1,16 +1,36 @@
-import React, { useState, useEffect } from 'react';
-import { Link } from 'react-router-dom'; // 🆕 Import Link for navigation
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { Link, useNavigate } from 'react-router-dom'; // 🆕 Import Link for navigation
 import useAuth from '../hooks/useAuth';
-import { fetchUserPlaylistsV3 as fetchUserPlaylists, createPlaylist } from '../api/musicService'; 
-import { Disc3, PlusCircle, ListMusic, Music, ChevronRight, Loader2, Check } from 'lucide-react'; 
+import useInfiniteScroll from '../hooks/useInfiniteScroll';
+import { useMusic } from '../context/MusicContext';
+import { fetchUserPlaylistsV3 as fetchUserPlaylists, createPlaylist, createSmartPlaylistV3, fetchArtistsV2, fetchAlbumsV2, fetchTracksV2, updateTrackV2, deleteTrackV2, rateTrackV2 } from '../api/musicService'; 
+import { Disc3, PlusCircle, ListMusic, Music, ChevronRight, Loader2, Check, Play, Heart, Sparkles } from 'lucide-react'; 
+import TrackFilterSidebar from '../components/music/TrackFilterSidebar';
+import TrackMenu from '../components/music/TrackMenu';
+import LikeButton from '../components/music/LikeButton';
+import StarRating from '../components/music/StarRating';
+import ArtistCard from '../components/music/ArtistCard';
+import AlbumCard from '../components/music/AlbumCard';
+import EditTrackModal from '../components/music/EditTrackModal';
 
-import { getFullImageUrl } from './../utils/urlUtils'; 
+import { getFullImageUrl, getCoverImageUrl } from './../utils/urlUtils'; 
+import { formatAlbumLine, formatDuration } from './../utils/trackFormat';
+import { EMPTY_TRACK_FILTERS, countActiveFilters } from './../utils/trackFilters';
+import { DEFAULT_SMART_RULES } from './../utils/smartRules';
+
+// Filter changes (e.g. a typed year) wait this long before the list is refetched
+const FILTER_DEBOUNCE_MS = 250;
 
 // --- Component: PlaylistCard ---
 
 const PlaylistCard = ({ playlist, darkMode }) => {
     const textColor = darkMode ? 'text-gray-300' : 'text-gray-800';
-    const PlaylistIcon = ListMusic; 
+    const PlaylistIcon = playlist.system ? Heart : playlist.type === 'smart' ? Sparkles : ListMusic; 
+    // Liked Songs changes with every heart click, so its count comes from the context
+    const { likedTrackIds } = useMusic();
+    const trackCount = playlist.type === 'liked'
+        ? likedTrackIds.size
+        : playlist.trackCount || playlist.tracks?.length || 0;
 
     const imageSrc = getFullImageUrl(playlist.image);
 
@@ -26,7 +46,9 @@ const PlaylistCard = ({ playlist, darkMode }) => {
         >
             <div className={`
                 w-16 h-16 flex items-center justify-center rounded-lg mr-4 flex-shrink-0
-                ${darkMode ? 'bg-indigo-700/50' : 'bg-indigo-500/10'}
+                ${playlist.system
+                    ? 'bg-gradient-to-br from-indigo-600 to-pink-500'
+                    : darkMode ? 'bg-indigo-700/50' : 'bg-indigo-500/10'}
             `}>
                 {imageSrc ? (
                     <img 
@@ -35,7 +57,10 @@ const PlaylistCard = ({ playlist, darkMode }) => {
                         className="w-full h-full object-cover rounded-lg" 
                     />
                 ) : (
-                    <PlaylistIcon className="h-8 w-8 text-indigo-400" />
+                    <PlaylistIcon
+                        className={`h-8 w-8 ${playlist.system ? 'text-white' : 'text-indigo-400'}`}
+                        fill={playlist.system ? 'currentColor' : 'none'}
+                    />
                 )}
             </div>
 
@@ -44,7 +69,7 @@ const PlaylistCard = ({ playlist, darkMode }) => {
                     {playlist.name}
                 </h3>
                 <p className={`text-sm ${textColor} opacity-70 truncate`}>
-                    {playlist.trackCount || playlist.tracks?.length || 0} songs
+                    {trackCount} songs
                 </p>
             </div>
 
@@ -53,10 +78,62 @@ const PlaylistCard = ({ playlist, darkMode }) => {
     );
 };
 
+// --- Component: LibraryTrackRow ---
+
+const LibraryTrackRow = ({ track, onPlay, onEdit, onDelete, onTagsChange, onRate, darkMode }) => {
+    const textColor = darkMode ? 'text-gray-300' : 'text-gray-800';
+    const imageSrc = getCoverImageUrl(track, 'player');
+
+    return (
+        <li className={`flex items-center rounded-lg transition-colors ${darkMode ? 'hover:bg-gray-800' : 'hover:bg-gray-100'}`}>
+            <button
+                type="button"
+                onClick={onPlay}
+                className="flex-grow min-w-0 flex items-center p-2 text-left group"
+            >
+                <div className="relative w-12 h-12 mr-4 flex-shrink-0">
+                    {imageSrc ? (
+                        <img src={imageSrc} alt="" loading="lazy" decoding="async" className="w-full h-full object-cover rounded-md" />
+                    ) : (
+                        <div className={`w-full h-full rounded-md flex items-center justify-center ${darkMode ? 'bg-gray-700' : 'bg-gray-200'}`}>
+                            <Music className="h-5 w-5 text-indigo-400" />
+                        </div>
+                    )}
+                    <div className="absolute inset-0 flex items-center justify-center rounded-md bg-black/40 opacity-0 group-hover:opacity-100 transition-opacity">
+                        <Play className="h-5 w-5 text-white fill-white" />
+                    </div>
+                </div>
+                <div className="flex-grow min-w-0">
+                    <p className={`font-medium truncate ${darkMode ? 'text-white' : 'text-gray-900'}`}>{track.title}</p>
+                    <p className={`text-sm truncate ${textColor} opacity-70`}>
+                        {[track.artist, formatAlbumLine(track)].filter(Boolean).join(' · ')}
+                    </p>
+                    {track.tags?.length > 0 && (
+                        <p className="mt-1 flex flex-wrap gap-1">
+                            {track.tags.map(tag => (
+                                <span key={tag} className="px-2 rounded-full text-xs bg-indigo-600/20 text-indigo-400">{tag}</span>
+                            ))}
+                        </p>
+                    )}
+                </div>
+                <span className={`ml-4 text-sm tabular-nums ${textColor} opacity-60`}>
+                    {formatDuration(track.duration)}
+                </span>
+            </button>
+            <div className="hidden sm:block ml-2">
+                <StarRating rating={track.rating} onChange={onRate} darkMode={darkMode} />
+            </div>
+            <LikeButton track={track} darkMode={darkMode} className="p-2 rounded-full" />
+            <TrackMenu track={track} onEdit={onEdit} onDelete={onDelete} onTagsChange={onTagsChange} darkMode={darkMode} />
+        </li>
+    );
+};
+
 // --- Main Library Component ---
 
 const LibraryPage = ({ darkMode }) => {
     const { isAuthenticated, isAuthReady } = useAuth();
+    const navigate = useNavigate();
 
     const [playlists, setPlaylists] = useState([]);
     const [loading, setLoading] = useState(true);
@@ -64,9 +141,29 @@ const LibraryPage = ({ darkMode }) => {
 
     const [showCreateForm, setShowCreateForm] = useState(false);
     const [isSubmitting, setIsSubmitting] = useState(false);
+    const [isSmart, setIsSmart] = useState(false);
     const [newPlaylistName, setNewPlaylistName] = useState('');
     const [createError, setCreateError] = useState(null);
 
+    // Tracks: one page at a time, with the sidebar's filters and sort
+    const { playNewQueue, fetchUserPlaylists: refreshSidebarPlaylists } = useMusic();
+    const [tracks, setTracks] = useState([]);
+    const [totalTracks, setTotalTracks] = useState(0);
+    const [nextCursor, setNextCursor] = useState(null);
+    const [tracksLoading, setTracksLoading] = useState(true);
+    const [loadingMore, setLoadingMore] = useState(false);
+    const [tracksError, setTracksError] = useState(null);
+    const [filters, setFilters] = useState(EMPTY_TRACK_FILTERS);
+    const [sort, setSort] = useState('createdAt');
+    const [order, setOrder] = useState('desc');
+    const [facets, setFacets] = useState(null);
+    const [editingTrack, setEditingTrack] = useState(null);
+    const [artists, setArtists] = useState([]);
+    const [albums, setAlbums] = useState([]);
+    const tracksRequestRef = useRef(null);
+
+    const listOptions = useMemo(() => ({ filters, sort, order }), [filters, sort, order]);
+
     const fetchPlaylists = () => {
         setLoading(true);
         setError(null);
@@ -92,10 +189,120 @@ const LibraryPage = ({ darkMode }) => {
     useEffect(() => {
         if (isAuthReady && isAuthenticated) {
             fetchPlaylists();
+            // Artists and albums to browse; their sections stay hidden if they fail to load
+            Promise.all([fetchArtistsV2({ sort: 'tracks' }), fetchAlbumsV2({ sort: 'year' })])
+                .then(([artistData, albumData]) => {
+                    setArtists(artistData.artists || []);
+                    setAlbums(albumData.albums || []);
+                })
+                .catch(err => console.error("Failed to fetch artists and albums:", err));
         } else if (isAuthReady) {
             setLoading(false);
         }
     }, [isAuthenticated, isAuthReady]); 
+
+    // First page of tracks, again whenever the filters or sort change
+    useEffect(() => {
+        if (!isAuthReady || !isAuthenticated) return undefined;
+
+        const handler = setTimeout(() => {
+            const request = listOptions;
+            tracksRequestRef.current = request;
+            setTracksLoading(true);
+            setTracksError(null);
+
+            fetchTracksV2({ ...request, facets: true })
+                .then(data => {
+                    if (tracksRequestRef.current !== request) return;
+                    setTracks(data.tracks || []);
+                    setTotalTracks(data.total || 0);
+                    setNextCursor(data.nextCursor || null);
+                    setFacets(data.facets || null);
+                })
+                .catch(err => {
+                    if (tracksRequestRef.current !== request) return;
+                    console.error("Failed to fetch tracks:", err);
+                    setTracksError(err.response?.status === 400 ? err.response.data?.msg : "Could not load your tracks.");
+                    setTracks([]);
+                    setNextCursor(null);
+                })
+                .finally(() => {
+                    if (tracksRequestRef.current === request) setTracksLoading(false);
+                });
+        }, FILTER_DEBOUNCE_MS);
+
+        return () => clearTimeout(handler);
+    }, [isAuthenticated, isAuthReady, listOptions]);
+
+    const loadMoreTracks = useCallback(async () => {
+        const request = tracksRequestRef.current;
+        if (!nextCursor || loadingMore || !request) return;
+        setLoadingMore(true);
+
+        try {
+            const data = await fetchTracksV2(request, { cursor: nextCursor });
+            // The filters changed while this page was loading
+            if (tracksRequestRef.current !== request) return;
+            setTracks(prev => {
+                const knownIds = new Set(prev.map(track => track._id));
+                return [...prev, ...data.tracks.filter(track => !knownIds.has(track._id))];
+            });
+            setNextCursor(data.nextCursor || null);
+        } catch (err) {
+            console.error("Failed to load more tracks:", err);
+            setNextCursor(null);
+        } finally {
+            setLoadingMore(false);
+        }
+    }, [nextCursor, loadingMore]);
+
+    const loadMoreRef = useInfiniteScroll({
+        hasMore: Boolean(nextCursor),
+        loading: tracksLoading || loadingMore,
+        onLoadMore: loadMoreTracks,
+    });
+
+    const handleSortChange = (field, direction) => {
+        setSort(field);
+        setOrder(direction);
+    };
+
+    const handleUpdateTrack = async (trackId, updates) => {
+        const updated = await updateTrackV2(trackId, updates);
+        setTracks(prev => prev.map(track => (track._id === trackId ? { ...track, ...updated } : track)));
+    };
+
+    // Rate a track (clicking its current rating clears it)
+    const handleRateTrack = async (track, rating) => {
+        const setRating = (value) =>
+            setTracks(prev => prev.map(item => (item._id === track._id ? { ...item, rating: value } : item)));
+
+        const previous = track.rating ?? null;
+        setRating(rating);
+        try {
+            await rateTrackV2(track._id, rating);
+        } catch (err) {
+            console.error("Failed to rate track:", err);
+            setRating(previous);
+        }
+    };
+
+    const handleTagsChange = (changedTrack, tags) => {
+        setTracks(prev => prev.map(track => (track._id === changedTrack._id ? { ...track, tags } : track)));
+    };
+
+    const handleDeleteTrack = async (track) => {
+        if (!window.confirm(`Move "${track.title}" to the Trash? You can restore it from there.`)) return;
+
+        try {
+            await deleteTrackV2(track._id);
+            setTracks(prev => prev.filter(item => item._id !== track._id));
+            setTotalTracks(prev => Math.max(prev - 1, 0));
+        } catch (err) {
+            console.error("Failed to delete track:", err);
+            alert("Failed to delete track. Please try again.");
+        }
+    };
     
     const handleCreatePlaylist = async () => {
         if (isSubmitting || !newPlaylistName.trim()) {
@@ -106,9 +313,18 @@ const LibraryPage = ({ darkMode }) => {
         setIsSubmitting(true);
 
         try {
+            if (isSmart) {
+                // A smart playlist opens with its rule builder
+                const newPlaylist = await createSmartPlaylistV3(newPlaylistName.trim(), DEFAULT_SMART_RULES);
+                refreshSidebarPlaylists().catch(() => {});
+                navigate(`/playlist/${newPlaylist._id}`, { state: { editRules: true } });
+                return;
+            }
+
             const newPlaylist = await createPlaylist(newPlaylistName);
             
-            setPlaylists(prev => [newPlaylist, ...prev]);
+            // After the built-in collections, which always come first
+            setPlaylists(prev => [...prev.filter(p => p.system), newPlaylist, ...prev.filter(p => !p.system)]);
             
             setNewPlaylistName('');
             setCreateError(null);
@@ -116,7 +332,7 @@ const LibraryPage = ({ darkMode }) => {
 
         } catch (err) {
             console.error("Error creating playlist:", err);
-            setCreateError(err.message || "Failed to create playlist. Please try again.");
+            setCreateError(err.response?.data?.msg || err.message || "Failed to create playlist. Please try again.");
         } finally {
             setIsSubmitting(false);
         }
@@ -126,11 +342,13 @@ const LibraryPage = ({ darkMode }) => {
         if (showCreateForm) {
             setShowCreateForm(false);
             setNewPlaylistName('');
+            setIsSmart(false);
             setCreateError(null);
             setIsSubmitting(false);
         } else {
             setShowCreateForm(true);
             setNewPlaylistName('');
+            setIsSmart(false);
             setCreateError(null);
             setIsSubmitting(false);
         }
@@ -231,6 +449,16 @@ const LibraryPage = ({ darkMode }) => {
                             )}
                         </button>
                     </div>
+                    <label className={`flex items-center mt-3 text-sm cursor-pointer ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                        <input
+                            type="checkbox"
+                            checked={isSmart}
+                            onChange={(e) => setIsSmart(e.target.checked)}
+                            className="mr-2 accent-indigo-600"
+                        />
+                        <Sparkles className="h-4 w-4 mr-1 text-indigo-400" />
+                        Smart playlist (filled by rules, e.g. rating and genre)
+                    </label>
                     {createError && (
                         <p className="mt-3 text-red-400 text-sm">{createError}</p>
                     )}
@@ -266,16 +494,100 @@ const LibraryPage = ({ darkMode }) => {
                     )}
                 </div>
             )}
+
+            {artists.length > 0 && (
+                <>
+                    <h2 className={`text-2xl font-bold mt-12 mb-4 ${headerColor}`}>Artists</h2>
+                    <div className="flex gap-2 overflow-x-auto pb-2">
+                        {artists.map(artist => (
+                            <ArtistCard key={artist._id} artist={artist} darkMode={darkMode} />
+                        ))}
+                    </div>
+                </>
+            )}
+
+            {albums.length > 0 && (
+                <>
+                    <h2 className={`text-2xl font-bold mt-12 mb-4 ${headerColor}`}>Albums</h2>
+                    <div className="flex gap-2 overflow-x-auto pb-2">
+                        {albums.map(album => (
+                            <AlbumCard key={album._id} album={album} darkMode={darkMode} />
+                        ))}
+                    </div>
+                </>
+            )}
             
             <h2 className={`text-2xl font-bold mt-12 mb-4 ${headerColor}`}>
-                Saved Tracks
+                Your Tracks{!tracksLoading && ` (${totalTracks})`}
             </h2>
-            <div className={`
-                p-6 rounded-xl shadow-inner 
-                ${darkMode ? 'bg-gray-800/50 text-gray-400' : 'bg-gray-200/50 text-gray-600'}
-            `}>
-                <p>This section will list tracks you've marked as favorites. Functionality coming soon!</p>
+            <div className="flex flex-col lg:flex-row gap-8">
+                <TrackFilterSidebar
+                    filters={filters}
+                    onFiltersChange={setFilters}
+                    sort={sort}
+                    order={order}
+                    onSortChange={handleSortChange}
+                    facets={facets}
+                    darkMode={darkMode}
+                />
+
+                <div className="flex-grow min-w-0">
+                    {tracksLoading && (
+                        <div className="flex justify-center items-center h-48">
+                            <Loader2 className="h-8 w-8 text-indigo-500 animate-spin" />
+                        </div>
+                    )}
+
+                    {tracksError && (
+                        <div className="p-4 mb-6 bg-red-800 text-white rounded-lg shadow-md">
+                            <p>{tracksError}</p>
+                        </div>
+                    )}
+
+                    {!tracksLoading && !tracksError && tracks.length === 0 && (
+                        <div className={`text-center py-16 ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                            <Music className="h-12 w-12 mx-auto mb-4" />
+                            <p className="text-xl">
+                                {countActiveFilters(filters) > 0 ? "No tracks match these filters." : "Your library has no tracks yet."}
+                            </p>
+                        </div>
+                    )}
+
+                    {!tracksLoading && tracks.length > 0 && (
+                        <ul className="space-y-1">
+                            {tracks.map((track, index) => (
+                                <LibraryTrackRow
+                                    key={track._id}
+                                    track={track}
+                                    onPlay={() => playNewQueue(tracks, index, { source: 'library', id: null })}
+                                    onEdit={setEditingTrack}
+                                    onDelete={handleDeleteTrack}
+                                    onTagsChange={handleTagsChange}
+                                    onRate={(rating) => handleRateTrack(track, rating)}
+                                    darkMode={darkMode}
+                                />
+                            ))}
+                        </ul>
+                    )}
+
+                    {/* Next page loads when this comes into view */}
+                    <div ref={loadMoreRef} className="h-1" />
+                    {loadingMore && (
+                        <div className="flex justify-center items-center py-6">
+                            <Loader2 className="h-6 w-6 text-indigo-500 animate-spin" />
+                        </div>
+                    )}
+                </div>
             </div>
+
+            {editingTrack && (
+                <EditTrackModal
+                    track={editingTrack}
+                    onSave={handleUpdateTrack}
+                    onClose={() => setEditingTrack(null)}
+                    darkMode={darkMode}
+                />
+            )}
         </div>
     );
 };
@@ -0,0 +1,253 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import useAuth from '../hooks/useAuth';
+import {
+  fetchLibraryHealthV2 as fetchLibraryHealth,
+  checkTrackLinkV2 as checkTrackLink,
+  updateTrackSourceV2 as updateTrackSource,
+  deleteTrackV2 as deleteTrack,
+} from '../api/musicService';
+import { Loader2, HeartPulse, Link2Off, TriangleAlert, RefreshCw, Link, Upload, Trash2, Youtube } from 'lucide-react';
+
+const SOURCE_OPTIONS = [
+  { value: 'youtube', label: 'YouTube' },
+  { value: 'external_url', label: 'Link' },
+];
+
+const formatCheckedAt = (date) => (date ? new Date(date).toLocaleString() : 'never');
+
+/**
+ * One broken (or failing) link with the ways to fix it.
+ */
+const HealthTrackRow = ({ track, darkMode, onChanged }) => {
+  const [isFixing, setIsFixing] = useState(false);
+  const [sourceType, setSourceType] = useState(track.sourceType);
+  const [sourceUrl, setSourceUrl] = useState(track.sourceUrl || '');
+  const [busyAction, setBusyAction] = useState(null);
+  const [error, setError] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const textColor = darkMode ? 'text-gray-400' : 'text-gray-600';
+  const headerColor = darkMode ? 'text-white' : 'text-gray-900';
+  const inputClass = darkMode ? 'bg-gray-700 text-white border-gray-600' : 'bg-white text-gray-900 border-gray-300';
+  const buttonClass = `flex items-center px-3 py-1.5 text-sm rounded-lg transition-colors disabled:opacity-50 ${
+    darkMode ? 'bg-gray-700 hover:bg-gray-600 text-gray-200' : 'bg-gray-100 hover:bg-gray-200 text-gray-700'
+  }`;
+
+  const isBroken = track.linkStatus === 'broken';
+
+  const runAction = async (action, request) => {
+    setBusyAction(action);
+    setError(null);
+    try {
+      await request();
+      setIsFixing(false);
+      onChanged();
+    } catch (err) {
+      console.error(`Failed to ${action} track source:`, err);
+      setError(err.response?.data?.msg || 'Something went wrong. Please try again.');
+    } finally {
+      setBusyAction(null);
+    }
+  };
+
+  const handleCheck = () => runAction('check', () => checkTrackLink(track._id));
+
+  const handleFix = (e) => {
+    e.preventDefault();
+    if (!sourceUrl.trim()) return;
+    runAction('fix', () => updateTrackSource(track._id, { sourceType, sourceUrl: sourceUrl.trim() }));
+  };
+
+  const handleFileChange = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (file) runAction('upload', () => updateTrackSource(track._id, { file }));
+  };
+
+  const handleDelete = () => {
+    if (!window.confirm(`Move "${track.title}" to the Trash? You can restore it from there.`)) return;
+    runAction('delete', () => deleteTrack(track._id));
+  };
+
+  const SourceIcon = track.sourceType === 'youtube' ? Youtube : Link;
+
+  return (
+    <li className={`p-4 rounded-lg ${darkMode ? 'bg-gray-800' : 'bg-white shadow-sm'}`}>
+      <div className="flex items-start gap-4">
+        <div className="mt-1">
+          {isBroken
+            ? <Link2Off className="h-5 w-5 text-red-500" />
+            : <TriangleAlert className="h-5 w-5 text-yellow-500" />}
+        </div>
+
+        <div className="flex-1 min-w-0">
+          <div className="flex items-center gap-2">
+            <p className={`font-semibold truncate ${headerColor}`}>{track.title}</p>
+            <span className={`px-2 py-0.5 text-xs font-semibold rounded-full ${
+              isBroken ? 'bg-red-600/20 text-red-500' : 'bg-yellow-500/20 text-yellow-600'
+            }`}>
+              {isBroken ? 'Broken' : 'Failing'}
+            </span>
+          </div>
+          <p className={`text-sm truncate ${textColor}`}>{track.artist}</p>
+          <p className={`text-sm mt-1 ${isBroken ? 'text-red-500' : 'text-yellow-600'}`}>
+            {track.linkError || 'The link does not work.'}
+          </p>
+          <p className={`flex items-center text-xs mt-1 truncate ${textColor}`}>
+            <SourceIcon className="h-3 w-3 mr-1 flex-shrink-0" />
+            <span className="truncate">{track.sourceUrl}</span>
+            <span className="ml-2 flex-shrink-0">· checked {formatCheckedAt(track.linkCheckedAt)}</span>
+          </p>
+
+          {isFixing && (
+            <form onSubmit={handleFix} className="flex items-center gap-2 mt-3">
+              <select
+                value={sourceType}
+                onChange={(e) => setSourceType(e.target.value)}
+                className={`px-2 py-1.5 text-sm rounded-lg border ${inputClass}`}
+              >
+                {SOURCE_OPTIONS.map((option) => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+              <input
+                type="url"
+                value={sourceUrl}
+                onChange={(e) => setSourceUrl(e.target.value)}
+                placeholder={sourceType === 'youtube' ? 'https://www.youtube.com/watch?v=...' : 'https://example.com/song.mp3'}
+                className={`flex-1 px-3 py-1.5 text-sm rounded-lg border ${inputClass}`}
+                autoFocus
+              />
+              <button
+                type="submit"
+                disabled={busyAction !== null || !sourceUrl.trim()}
+                className="px-3 py-1.5 text-sm font-semibold rounded-lg bg-indigo-600 hover:bg-indigo-700 text-white disabled:opacity-50"
+              >
+                {busyAction === 'fix' ? <Loader2 className="h-4 w-4 animate-spin" /> : 'Save'}
+              </button>
+              <button type="button" onClick={() => setIsFixing(false)} className={buttonClass}>
+                Cancel
+              </button>
+            </form>
+          )}
+
+          {error && <p className="text-sm text-red-500 mt-2">{error}</p>}
+        </div>
+
+        <div className="flex items-center gap-2 flex-shrink-0">
+          <button onClick={handleCheck} disabled={busyAction !== null} className={buttonClass} title="Check the link again">
+            <RefreshCw className={`h-4 w-4 mr-1 ${busyAction === 'check' ? 'animate-spin' : ''}`} />
+            Check
+          </button>
+          <button onClick={() => setIsFixing(!isFixing)} disabled={busyAction !== null} className={buttonClass} title="Replace the link">
+            <Link className="h-4 w-4 mr-1" />
+            Fix URL
+          </button>
+          <button onClick={() => fileInputRef.current?.click()} disabled={busyAction !== null} className={buttonClass} title="Upload an audio file instead">
+            {busyAction === 'upload' ? <Loader2 className="h-4 w-4 mr-1 animate-spin" /> : <Upload className="h-4 w-4 mr-1" />}
+            Upload
+          </button>
+          <input ref={fileInputRef} type="file" accept="audio/*" onChange={handleFileChange} className="hidden" />
+          <button onClick={handleDelete} disabled={busyAction !== null} className={`${buttonClass} hover:text-red-500`} title="Move to the Trash">
+            <Trash2 className="h-4 w-4" />
+          </button>
+        </div>
+      </div>
+    </li>
+  );
+};
+
+const LibraryHealthPage = ({ darkMode }) => {
+  const { isAuthenticated, isAuthReady } = useAuth();
+
+  const [data, setData] = useState(null);
+  const [error, setError] = useState(null);
+
+  const headerColor = darkMode ? 'text-white' : 'text-gray-900';
+  const textColor = darkMode ? 'text-gray-400' : 'text-gray-600';
+
+  const loadHealth = useCallback(async () => {
+    try {
+      setData(await fetchLibraryHealth());
+      setError(null);
+    } catch (err) {
+      console.error('Failed to fetch library health:', err);
+      setError(err.response?.data?.msg || 'Could not load library health.');
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!isAuthReady || !isAuthenticated) return;
+    loadHealth();
+  }, [isAuthenticated, isAuthReady, loadHealth]);
+
+  // Loading State
+  if (!data && !error) {
+    return (
+      <div className={`flex justify-center items-center h-full ${darkMode ? 'bg-gray-900' : 'bg-gray-50'}`}>
+        <Loader2 className="h-10 w-10 text-indigo-500 animate-spin" />
+        <p className={`ml-4 text-xl ${headerColor}`}>Checking your library...</p>
+      </div>
+    );
+  }
+
+  // Error State
+  if (!data) {
+    return (
+      <div className={`p-8 w-full h-full ${darkMode ? 'bg-gray-900 text-white' : 'bg-gray-50 text-gray-900'}`}>
+        <h1 className="text-4xl font-extrabold mb-4">Library Health</h1>
+        <div className="p-4 bg-red-800 text-white rounded-lg shadow-md">
+          <p className="font-semibold">Error:</p>
+          <p>{error}</p>
+        </div>
+      </div>
+    );
+  }
+
+  const { summary, tracks } = data;
+  const stats = [
+    { label: 'Links', value: summary.links, color: headerColor },
+    { label: 'Working', value: summary.ok, color: 'text-green-500' },
+    { label: 'Broken', value: summary.broken, color: 'text-red-500' },
+    { label: 'Not checked yet', value: summary.unchecked, color: textColor },
+  ];
+
+  return (
+    <div className={`p-8 w-full h-full overflow-y-auto ${darkMode ? 'bg-gray-900' : 'bg-gray-50'}`}>
+
+      {/* Header Section */}
+      <div className="flex items-center mb-6">
+        <HeartPulse className="h-10 w-10 text-indigo-500 mr-4" />
+        <div>
+          <h1 className={`text-4xl font-extrabold ${headerColor}`}>Library Health</h1>
+          <p className={`text-sm ${textColor}`}>
+            YouTube videos and external links are checked once a day. Last check: {formatCheckedAt(summary.lastCheckedAt)}
+          </p>
+        </div>
+      </div>
+
+      {/* Summary */}
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-8">
+        {stats.map((stat) => (
+          <div key={stat.label} className={`p-4 rounded-lg ${darkMode ? 'bg-gray-800' : 'bg-white shadow-sm'}`}>
+            <p className={`text-3xl font-bold ${stat.color}`}>{stat.value}</p>
+            <p className={`text-sm ${textColor}`}>{stat.label}</p>
+          </div>
+        ))}
+      </div>
+
+      {/* Broken Links */}
+      {tracks.length === 0 ? (
+        <p className={`text-center py-12 ${textColor}`}>All your links work.</p>
+      ) : (
+        <ul className="space-y-3">
+          {tracks.map((track) => (
+            <HealthTrackRow key={track._id} track={track} darkMode={darkMode} onChanged={loadHealth} />
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default LibraryHealthPage;
@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import { useParams, useNavigate, useLocation, Link } from 'react-router-dom';
 import useAuth from '../hooks/useAuth';
 import useMusic from '../context/MusicContext';
 import { 
@@ -8,7 +8,11 @@ import {
   addTrackToPlaylistV3 as addTrackToPlaylist,
   toggleTrackInPlaylistV3 as toggleTrackInPlaylist,
   deletePlaylistV3 as deletePlaylist,
+  updatePlaylistV3 as updatePlaylist,
+  rateTrackV2 as rateTrack,
 } from '../api/musicService';
+import SmartRuleBuilder from '../components/music/SmartRuleBuilder';
+import StarRating from '../components/music/StarRating';
 import {
   Loader2,
   ListMusic,
@@ -20,22 +24,28 @@ import {
   Search,
   Plus,
   Trash2,
+  Sparkles,
+  SlidersHorizontal,
 } from 'lucide-react';
 
-import { getFullImageUrl } from './../utils/urlUtils';
+import { getFullImageUrl, getCoverImageUrl } from './../utils/urlUtils';
+import { formatAlbumLine, formatDuration } from './../utils/trackFormat';
 
 const PlaylistPage = ({ darkMode }) => {
   const { isAuthenticated, isAuthReady } = useAuth();
   const { playlistId } = useParams();
   const navigate = useNavigate();
+  const location = useLocation();
 
   // 🎵 Get playback function from Music context
-  const { playNewQueue } = useMusic();
+  const { playNewQueue, likedTrackIds, toggleLike, fetchUserPlaylists } = useMusic();
 
   const [playlist, setPlaylist] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [isDeletingPlaylist, setIsDeletingPlaylist] = useState(false);
+  // A new smart playlist opens with its rule builder (see Library)
+  const [isEditingRules, setIsEditingRules] = useState(Boolean(location.state?.editRules));
 
   // States for Track Search/Add
   const [searchTerm, setSearchTerm] = useState('');
@@ -49,6 +59,15 @@ const PlaylistPage = ({ darkMode }) => {
   const cardBg = darkMode ? 'bg-gray-800' : 'bg-white';
   const hoverBg = darkMode ? 'hover:bg-gray-700' : 'hover:bg-gray-100';
 
+  // Built-in Liked Songs: filled by the heart buttons, so it has no track search and cannot be
+  // deleted. Tracks unliked elsewhere (e.g. in the player) leave the list at once.
+  const isLikedSongs = playlist?.type === 'liked';
+  // Smart playlists are filled by their rules on the server, so tracks are not added or removed here
+  const isSmart = playlist?.type === 'smart';
+  const tracks = (playlist?.tracks || []).filter(
+    (track) => !isLikedSongs || likedTrackIds.has(track.id || track._id)
+  );
+
   // Fetch playlist details
   const fetchPlaylistData = (id) => {
     setLoading(true);
@@ -86,6 +105,14 @@ const PlaylistPage = ({ darkMode }) => {
     const trackId = track.id || track._id;
 
     try {
+      if (isLikedSongs) {
+        await toggleLike(track);
+        setPlaylist((prev) => ({
+          ...prev,
+          tracks: prev.tracks.filter((t) => (t.id || t._id) !== trackId),
+        }));
+        return;
+      }
       const result = await toggleTrackInPlaylist(playlistId, trackId);
       const updated = result.playlist || result;
       setPlaylist(updated);
@@ -95,11 +122,38 @@ const PlaylistPage = ({ darkMode }) => {
     }
   };
 
+  // Save the rules of a smart playlist and reload its tracks
+  const handleSaveRules = async (smartRules) => {
+    await updatePlaylist(playlistId, { smartRules });
+    setIsEditingRules(false);
+    fetchPlaylistData(playlistId);
+    fetchUserPlaylists().catch(() => {});
+  };
+
+  // Rate a track (clicking its current rating clears it)
+  const handleRateTrack = async (track, rating) => {
+    const trackId = track.id || track._id;
+    const setRating = (value) =>
+      setPlaylist((prev) => ({
+        ...prev,
+        tracks: prev.tracks.map((t) => ((t.id || t._id) === trackId ? { ...t, rating: value } : t)),
+      }));
+
+    const previous = track.rating ?? null;
+    setRating(rating);
+    try {
+      await rateTrack(trackId, rating);
+    } catch (err) {
+      console.error('Failed to rate track:', err);
+      setRating(previous);
+    }
+  };
+
   // Delete entire playlist
   const handleDeletePlaylist = async () => {
     if (!playlistId) return;
     if (
-      !window.confirm('Delete this playlist? This cannot be undone.')
+      !window.confirm('Move this playlist to the Trash? You can restore it from there.')
     )
       return;
 
@@ -117,16 +171,7 @@ const PlaylistPage = ({ darkMode }) => {
 
   // Helper Functions
   const getArtistName = (track) => {
-    return track.artist?.name || 'Unknown Artist';
-  };
-
-  const formatDuration = (seconds) => {
-    if (!seconds) return '--:--';
-    const minutes = Math.floor(seconds / 60);
-    const remainingSeconds = Math.floor(seconds % 60);
-    return `${minutes}:${remainingSeconds
-      .toString()
-      .padStart(2, '0')}`;
+    return track.artist?.name || track.artist || 'Unknown Artist';
   };
 
   // Track Search Logic
@@ -142,7 +187,7 @@ const PlaylistPage = ({ darkMode }) => {
 
     try {
       const results = await searchTracks(searchTerm);
-      setSearchResults(Array.isArray(results) ? results : []);
+      setSearchResults(results.tracks || []);
     } catch (err) {
       setSearchError(err.message || 'Failed to perform search.');
       setSearchResults([]);
@@ -181,8 +226,8 @@ const PlaylistPage = ({ darkMode }) => {
 
   // Play Playlist Handler
   const handlePlayPlaylist = () => {
-    if (playlist && playlist.tracks && playlist.tracks.length > 0) {
-      playNewQueue(playlist.tracks, 0);
+    if (tracks.length > 0) {
+      playNewQueue(tracks, 0, { source: 'playlist', id: playlistId });
     } else {
       console.log('Playlist is empty, cannot start playback.');
     }
@@ -190,8 +235,8 @@ const PlaylistPage = ({ darkMode }) => {
 
   // Play Single Track Handler
   const handlePlayTrack = (index) => {
-    if (playlist && playlist.tracks && playlist.tracks.length > 0) {
-      playNewQueue(playlist.tracks, index);
+    if (tracks.length > 0) {
+      playNewQueue(tracks, index, { source: 'playlist', id: playlistId });
     }
   };
 
@@ -230,11 +275,10 @@ const PlaylistPage = ({ darkMode }) => {
     );
   }
 
-  const totalDuration =
-    playlist?.tracks?.reduce(
-      (sum, track) => sum + (track.duration || 0),
-      0
-    ) || 0;
+  const totalDuration = tracks.reduce(
+    (sum, track) => sum + (track.duration || 0),
+    0
+  );
   const totalDurationFormatted = formatDuration(totalDuration);
 
 return (
@@ -253,24 +297,37 @@ return (
         ) : (
           <div
             className={`w-full h-full flex items-center justify-center ${
-              darkMode ? 'bg-indigo-700' : 'bg-indigo-400'
+              isLikedSongs
+                ? 'bg-gradient-to-br from-indigo-600 to-pink-500'
+                : darkMode ? 'bg-indigo-700' : 'bg-indigo-400'
             }`}
           >
-            <ListMusic className="h-12 w-12 text-white opacity-80" />
+            {isLikedSongs ? (
+              <Heart className="h-16 w-16 text-white" fill="currentColor" />
+            ) : isSmart ? (
+              <Sparkles className="h-12 w-12 text-white opacity-80" />
+            ) : (
+              <ListMusic className="h-12 w-12 text-white opacity-80" />
+            )}
           </div>
         )}
       </div>
 
       {/* Details */}
       <div className="flex flex-col">
-        <p className={`text-sm font-light uppercase ${textColor}`}>Playlist</p>
+        <p className={`text-sm font-light uppercase ${textColor}`}>
+          {playlist.system ? 'Collection' : isSmart ? 'Smart playlist' : 'Playlist'}
+        </p>
         <h1
           className={`text-5xl font-extrabold md:text-7xl mb-2 ${headerColor}`}
         >
           {playlist.name}
         </h1>
         <p className={`text-lg font-medium ${textColor} mb-3`}>
-          {playlist.description || 'A collection of great music.'}
+          {playlist.description ||
+            (isSmart
+              ? `Tracks where ${playlist.ruleDescriptions?.join(playlist.smartRules?.match === 'any' ? ' or ' : ' and ')}.`
+              : 'A collection of great music.')}
         </p>
 
         {/* Metadata */}
@@ -281,7 +338,7 @@ return (
           </span>
           <Music className={`h-4 w-4 mr-1 ${textColor}`} />
           <span className={`mr-4 ${textColor}`}>
-            {playlist.tracks?.length || 0} songs
+            {tracks.length} songs
           </span>
           {totalDuration > 0 && (
             <>
@@ -301,54 +358,77 @@ return (
         {/* PLAY */}
         <button
           onClick={handlePlayPlaylist}
-          disabled={
-            !playlist || !playlist.tracks || playlist.tracks.length === 0
-          }
+          disabled={tracks.length === 0}
           className="flex items-center px-6 py-3 bg-green-600 hover:bg-green-700 text-white font-bold rounded-full shadow-lg transition-transform transform hover:scale-105 disabled:bg-gray-500 disabled:cursor-not-allowed"
         >
           <Play className="h-6 w-6 mr-2 fill-white" />
           PLAY
         </button>
 
-        {/* Delete playlist */}
-        <button
-          onClick={handleDeletePlaylist}
-          disabled={isDeletingPlaylist}
-          className="flex items-center px-4 py-2 bg-red-600 hover:bg-red-700 text-white text-sm font-semibold rounded-full shadow disabled:bg-gray-600 disabled:cursor-not-allowed"
-        >
-          <Trash2 className="h-4 w-4 mr-2" />
-          {isDeletingPlaylist ? 'Deleting…' : 'Delete playlist'}
-        </button>
+        {/* Edit the rules of a smart playlist */}
+        {isSmart && !isEditingRules && (
+          <button
+            onClick={() => setIsEditingRules(true)}
+            className="flex items-center px-4 py-2 bg-indigo-600 hover:bg-indigo-700 text-white text-sm font-semibold rounded-full shadow"
+          >
+            <SlidersHorizontal className="h-4 w-4 mr-2" />
+            Edit rules
+          </button>
+        )}
+
+        {/* Delete playlist (built-in collections cannot be deleted) */}
+        {!playlist.system && (
+          <button
+            onClick={handleDeletePlaylist}
+            disabled={isDeletingPlaylist}
+            className="flex items-center px-4 py-2 bg-red-600 hover:bg-red-700 text-white text-sm font-semibold rounded-full shadow disabled:bg-gray-600 disabled:cursor-not-allowed"
+          >
+            <Trash2 className="h-4 w-4 mr-2" />
+            {isDeletingPlaylist ? 'Deleting…' : 'Delete playlist'}
+          </button>
+        )}
       </div>
 
       {/* Track Search Input */}
-      <form
-        onSubmit={handleSearch}
-        className="relative w-full max-w-sm ml-8"
-      >
-        <input
-          type="text"
-          placeholder="Search tracks to add..."
-          value={searchTerm}
-          onChange={(e) => setSearchTerm(e.target.value)}
-          className={`w-full p-2 pl-10 rounded-full border focus:outline-none focus:ring-2 focus:ring-indigo-500 ${
-            darkMode
-              ? 'bg-gray-700 border-gray-600 text-white placeholder-gray-400'
-              : 'bg-white border-gray-300 text-gray-900 placeholder-gray-500'
-          }`}
-          disabled={isSearching}
-        />
-        <Search
-          className={`absolute left-3 top-1/2 transform -translate-y-1/2 h-5 w-5 ${
-            darkMode ? 'text-gray-400' : 'text-gray-500'
-          }`}
-        />
-        {isSearching && (
-          <Loader2 className="absolute right-3 top-1/2 transform -translate-y-1/2 h-5 w-5 text-indigo-500 animate-spin" />
-        )}
-      </form>
+      {!playlist.system && !isSmart && (
+        <form
+          onSubmit={handleSearch}
+          className="relative w-full max-w-sm ml-8"
+        >
+          <input
+            type="text"
+            placeholder="Search tracks to add..."
+            value={searchTerm}
+            onChange={(e) => setSearchTerm(e.target.value)}
+            className={`w-full p-2 pl-10 rounded-full border focus:outline-none focus:ring-2 focus:ring-indigo-500 ${
+              darkMode
+                ? 'bg-gray-700 border-gray-600 text-white placeholder-gray-400'
+                : 'bg-white border-gray-300 text-gray-900 placeholder-gray-500'
+            }`}
+            disabled={isSearching}
+          />
+          <Search
+            className={`absolute left-3 top-1/2 transform -translate-y-1/2 h-5 w-5 ${
+              darkMode ? 'text-gray-400' : 'text-gray-500'
+            }`}
+          />
+          {isSearching && (
+            <Loader2 className="absolute right-3 top-1/2 transform -translate-y-1/2 h-5 w-5 text-indigo-500 animate-spin" />
+          )}
+        </form>
+      )}
     </div>
 
+    {/* Rule builder of a smart playlist */}
+    {isSmart && isEditingRules && (
+      <SmartRuleBuilder
+        smartRules={playlist.smartRules}
+        onSave={handleSaveRules}
+        onCancel={() => setIsEditingRules(false)}
+        darkMode={darkMode}
+      />
+    )}
+
     {/* Search Results Display */}
     {searchResults.length > 0 && (
       <div
@@ -381,10 +461,12 @@ return (
                 } transition-colors`}
               >
                 <div className="flex items-center min-w-0">
-                  {track.image && (
+                  {getCoverImageUrl(track, 'player') && (
                     <img
-                      src={getFullImageUrl(track.image)}
+                      src={getCoverImageUrl(track, 'player')}
                       alt={track.title}
+                      loading="lazy"
+                      decoding="async"
                       className="w-10 h-10 object-cover rounded-md mr-3 flex-shrink-0"
                     />
                   )}
@@ -456,8 +538,8 @@ return (
 
     {/* Track List Items with playback + remove */}
     <div className="space-y-1 mt-2">
-      {playlist.tracks && playlist.tracks.length > 0 ? (
-        playlist.tracks.map((track, index) => (
+      {tracks.length > 0 ? (
+        tracks.map((track, index) => (
           <div
             key={track.id || track._id}
             onClick={() => handlePlayTrack(index)}
@@ -470,10 +552,12 @@ return (
             </div>
 
             <div className="col-span-5 flex items-center">
-              {track.image && (
+              {getCoverImageUrl(track, 'player') && (
                 <img
-                  src={getFullImageUrl(track.image)}
+                  src={getCoverImageUrl(track, 'player')}
                   alt={track.title}
+                  loading="lazy"
+                  decoding="async"
                   className="w-10 h-10 object-cover rounded-md mr-3"
                 />
               )}
@@ -481,36 +565,82 @@ return (
                 <div className="text-base font-medium truncate">
                   {track.title}
                 </div>
-                <div className="text-xs opacity-70">
-                  Album Placeholder
+                <div className="text-xs opacity-70 truncate">
+                  {track.albumId ? (
+                    <Link to={`/album/${track.albumId}`} onClick={(e) => e.stopPropagation()} className="hover:underline">
+                      {formatAlbumLine(track)}
+                    </Link>
+                  ) : (
+                    formatAlbumLine(track) || 'Unknown Album'
+                  )}
                 </div>
+                {/* Which rules brought the track into a smart playlist */}
+                {isSmart && track.matchedRules?.length > 0 && (
+                  <div className="mt-1 flex flex-wrap gap-1">
+                    {track.matchedRules.map((ruleIndex) => (
+                      <span
+                        key={ruleIndex}
+                        className="px-2 rounded-full text-xs bg-indigo-600/20 text-indigo-400"
+                      >
+                        {playlist.ruleDescriptions?.[ruleIndex]}
+                      </span>
+                    ))}
+                  </div>
+                )}
               </div>
             </div>
 
-            <div className="col-span-4 text-sm font-medium truncate opacity-90">
-              {getArtistName(track)}
+            <div className="col-span-4 min-w-0">
+              <div className="text-sm font-medium truncate opacity-90">
+                {track.artistIds?.[0] ? (
+                  <Link to={`/artist/${track.artistIds[0]}`} onClick={(e) => e.stopPropagation()} className="hover:underline">
+                    {getArtistName(track)}
+                  </Link>
+                ) : (
+                  getArtistName(track)
+                )}
+              </div>
+              <StarRating
+                rating={track.rating}
+                onChange={(rating) => handleRateTrack(track, rating)}
+                darkMode={darkMode}
+                size="h-3.5 w-3.5"
+              />
             </div>
 
             <div className="col-span-2 flex items-center justify-end space-x-3 text-sm opacity-80">
               <span>{formatDuration(track.duration)}</span>
-              <button
-                onClick={(e) => {
-                  e.stopPropagation();
-                  handleRemoveTrackFromPlaylist(track);
-                }}
-                className="p-1 rounded-full text-red-400 hover:text-red-300 hover:bg-red-500/10 transition-colors"
-                title="Remove from playlist"
-              >
-                <Trash2 className="h-4 w-4" />
-              </button>
+              {!isSmart && (
+                <button
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    handleRemoveTrackFromPlaylist(track);
+                  }}
+                  className={`p-1 rounded-full transition-colors ${
+                    isLikedSongs
+                      ? 'text-pink-500 hover:text-pink-400 hover:bg-pink-500/10'
+                      : 'text-red-400 hover:text-red-300 hover:bg-red-500/10'
+                  }`}
+                  title={isLikedSongs ? 'Remove from Liked Songs' : 'Remove from playlist'}
+                >
+                  {isLikedSongs ? (
+                    <Heart className="h-4 w-4" fill="currentColor" />
+                  ) : (
+                    <Trash2 className="h-4 w-4" />
+                  )}
+                </button>
+              )}
             </div>
           </div>
         ))
         ) : (
         <div className={`py-12 text-center ${textColor}`}>
           <p>
-            This playlist is currently empty. Use the search bar to add
-            some tracks!
+            {isSmart
+              ? 'No tracks match these rules yet.'
+              : isLikedSongs
+              ? 'Songs you like will appear here. Tap the heart on any track to save it.'
+              : 'This playlist is currently empty. Use the search bar to add some tracks!'}
           </p>
         </div>
         )}
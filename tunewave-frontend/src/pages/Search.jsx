@@ -1,17 +1,25 @@
-import React, { useState, useEffect, useCallback, useRef } from 'react';
+import React, { useState, useEffect, useCallback, useRef, useMemo } from 'react';
 import { Search as SearchIcon, Disc3, MoreVertical, Loader2, X, Edit2, Trash2 } from 'lucide-react';
 
 import {
-  fetchRecommendedTracks,
-  searchTracks,
+  fetchTracksV2,
+  searchTracksV2,
   fetchTrackDetails,
   deleteTrackV2,
   updateTrackV2,
+  revertTrackRevisionV2,
 } from '../api/musicService.js';
 import AddToPlaylistMenu from '../components/music/AddToPlaylistMenu.jsx';
+import EditTrackModal from '../components/music/EditTrackModal.jsx';
+import LikeButton from '../components/music/LikeButton.jsx';
+import UndoToast from '../components/common/UndoToast.jsx';
+import TrackFilterSidebar from '../components/music/TrackFilterSidebar.jsx';
 
-import { getFullImageUrl } from './../utils/urlUtils.js';
+import { getCoverImageUrl } from './../utils/urlUtils.js';
+import { formatAlbumLine, formatDuration } from './../utils/trackFormat.js';
 import { useMusic } from './../context/MusicContext.jsx';
+import useInfiniteScroll from './../hooks/useInfiniteScroll.js';
+import { EMPTY_TRACK_FILTERS, countActiveFilters } from './../utils/trackFilters.js';
 
 // --- Stable Placeholder Data ---
 const placeholderTracks = [
@@ -21,117 +29,31 @@ const placeholderTracks = [
   { id: 104, title: 'Future Funk', artist: 'Neon City', cover_photo: 'https://via.placeholder.com/150/a5b4fc/ffffff?text=Funk' },
 ];
 
-// --- Edit Track Modal (simple inline) ---
-const EditTrackModal = ({ track, onSave, onClose, darkMode }) => {
-  const [title, setTitle] = useState(track.title);
-  const [artist, setArtist] = useState(track.artist);
-  const [isSaving, setIsSaving] = useState(false);
-
-  const handleSubmit = async (e) => {
-    e.preventDefault();
-    setIsSaving(true);
-    try {
-      await onSave(track._id, { title, artist });
-      onClose();
-    } catch (err) {
-      console.error('Failed to update track:', err);
-      alert('Failed to update track. Please try again.');
-    } finally {
-      setIsSaving(false);
-    }
-  };
-
-  return (
-    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4">
-      <div
-        className={`w-full max-w-md rounded-2xl p-6 shadow-2xl ${
-          darkMode ? 'bg-gray-800 text-white' : 'bg-white text-gray-900'
-        }`}
-      >
-        <div className="flex items-center justify-between mb-4">
-          <h2 className="text-xl font-bold">Edit Track</h2>
-          <button
-            onClick={onClose}
-            className={`p-2 rounded-full ${
-              darkMode ? 'hover:bg-gray-700' : 'hover:bg-gray-200'
-            }`}
-          >
-            ✕
-          </button>
-        </div>
-
-        <form onSubmit={handleSubmit} className="space-y-4">
-          <div>
-            <label
-              className={`block text-sm mb-1 ${
-                darkMode ? 'text-gray-300' : 'text-gray-700'
-              }`}
-            >
-              Title
-            </label>
-            <input
-              className={`w-full px-3 py-2 rounded-lg border text-sm ${
-                darkMode
-                  ? 'bg-gray-700 border-gray-600 text-white'
-                  : 'bg-white border-gray-300 text-gray-900'
-              }`}
-              value={title}
-              onChange={(e) => setTitle(e.target.value)}
-              required
-            />
-          </div>
-
-          <div>
-            <label
-              className={`block text-sm mb-1 ${
-                darkMode ? 'text-gray-300' : 'text-gray-700'
-              }`}
-            >
-              Artist
-            </label>
-            <input
-              className={`w-full px-3 py-2 rounded-lg border text-sm ${
-                darkMode
-                  ? 'bg-gray-700 border-gray-600 text-white'
-                  : 'bg-white border-gray-300 text-gray-900'
-              }`}
-              value={artist}
-              onChange={(e) => setArtist(e.target.value)}
-              required
-            />
-          </div>
-
-          <div className="flex space-x-3 pt-2">
-            <button
-              type="button"
-              onClick={onClose}
-              disabled={isSaving}
-              className={`flex-1 py-2 rounded-lg text-sm font-medium ${
-                darkMode
-                  ? 'bg-gray-700 hover:bg-gray-600'
-                  : 'bg-gray-200 hover:bg-gray-300'
-              } disabled:opacity-50`}
-            >
-              Cancel
-            </button>
-            <button
-              type="submit"
-              disabled={isSaving}
-              className="flex-1 py-2 rounded-lg text-sm font-medium bg-indigo-600 hover:bg-indigo-700 text-white disabled:opacity-50 flex items-center justify-center"
-            >
-              {isSaving ? 'Saving...' : 'Save'}
-            </button>
-          </div>
-        </form>
-      </div>
-    </div>
+// Typing pauses before a search request; filter changes (e.g. typed years) wait less
+const SEARCH_DEBOUNCE_MS = 500;
+const FILTER_DEBOUNCE_MS = 250;
+
+// Qualifiers understood by the search box (see GET /api/tracks/search)
+const SEARCH_TIPS = ['artist:queen', 'album:"abbey road"', 'genre:jazz', 'source:youtube', 'year:1990..1999'];
+
+// --- Highlighted search match (fragments come from the server) ---
+const HighlightedText = ({ fragments, text }) => {
+  if (!fragments) return text;
+  return fragments.map((fragment, index) =>
+    fragment.match ? (
+      <mark key={index} className="bg-indigo-500/20 text-inherit rounded-sm">
+        {fragment.text}
+      </mark>
+    ) : (
+      <React.Fragment key={index}>{fragment.text}</React.Fragment>
+    )
   );
 };
 
 // --- TrackCard Component (with playlist + edit/delete) ---
 const TrackCard = React.memo(({ track, darkMode, onEdit, onDelete }) => {
   const textColor = darkMode ? 'text-gray-300' : 'text-gray-800';
-  const imageSrc = getFullImageUrl(track.cover_photo);
+  const imageSrc = getCoverImageUrl(track, 'card');
   const { playTrack } = useMusic();
   const [isLoading, setIsLoading] = useState(false);
   const [isMenuOpen, setIsMenuOpen] = useState(false);
@@ -161,7 +83,7 @@ const TrackCard = React.memo(({ track, darkMode, onEdit, onDelete }) => {
     try {
       const trackId = track._id || track.id;
       const fullTrackData = await fetchTrackDetails(trackId);
-      playTrack(fullTrackData);
+      playTrack(fullTrackData, { source: 'search', id: null });
     } catch (error) {
       console.error('Failed to load track for playback:', error);
     } finally {
@@ -186,6 +108,8 @@ const TrackCard = React.memo(({ track, darkMode, onEdit, onDelete }) => {
         <img
           src={imageSrc || 'https://via.placeholder.com/150/4f46e5/ffffff?text=Track'}
           alt={`Album art for ${track.title}`}
+          loading="lazy"
+          decoding="async"
           className="w-full h-auto aspect-square rounded-lg object-cover shadow-md"
         />
         <button
@@ -208,14 +132,26 @@ const TrackCard = React.memo(({ track, darkMode, onEdit, onDelete }) => {
               darkMode ? 'text-white' : 'text-gray-900'
             }`}
           >
-            {track.title}
+            <HighlightedText fragments={track.highlights?.title} text={track.title} />
           </h3>
           <p className={`text-sm ${textColor} opacity-70 truncate`}>
-            {track.artist}
+            <HighlightedText fragments={track.highlights?.artist} text={track.artist} />
+          </p>
+          {track.highlights?.album && (
+            <p className={`text-xs ${textColor} opacity-60 truncate`}>
+              <HighlightedText fragments={track.highlights.album} text={track.album} />
+            </p>
+          )}
+          <p className={`text-xs ${textColor} opacity-50 truncate`}>
+            {[formatAlbumLine(track), track.duration ? formatDuration(track.duration) : null]
+              .filter(Boolean)
+              .join(' · ')}
           </p>
         </div>
 
-        <div ref={menuRef} className="relative z-10">
+        <div ref={menuRef} className="relative z-10 flex items-center">
+          {/* Placeholder cards have no _id and cannot be liked */}
+          {track._id && <LikeButton track={track} darkMode={darkMode} className="p-1" iconClassName="h-4 w-4" />}
           <button
             onClick={handleMenuClick}
             className={`menu-button p-1 rounded-full transition-colors duration-150 ${
@@ -228,7 +164,7 @@ const TrackCard = React.memo(({ track, darkMode, onEdit, onDelete }) => {
 
           {isMenuOpen && (
             <div
-              className={`absolute right-0 mt-2 w-48 origin-top-right rounded-lg shadow-2xl ${
+              className={`absolute right-0 top-full mt-2 w-48 origin-top-right rounded-lg shadow-2xl ${
                 darkMode ? 'bg-gray-800 border border-gray-700' : 'bg-white border border-gray-200'
               }`}
             >
@@ -304,17 +240,44 @@ const SearchPage = ({ darkMode }) => {
   const [error, setError] = useState(null);
   const [isSearching, setIsSearching] = useState(false);
   const [editingTrack, setEditingTrack] = useState(null);
-
-  // Initial data fetch
-  const fetchInitialTracks = useCallback(() => {
+  // The last saved edit, offered for undo: { trackId, revisionId, title }
+  const [undoableEdit, setUndoableEdit] = useState(null);
+  // Sidebar filters and sort ('' keeps the ranking, or newest first without a query)
+  const [filters, setFilters] = useState(EMPTY_TRACK_FILTERS);
+  const [sort, setSort] = useState('');
+  const [order, setOrder] = useState('');
+  const [facets, setFacets] = useState(null);
+  // Paging: the request the shown tracks belong to ({ query, options }; query '' = all tracks)
+  // and where the next page starts
+  const [nextCursor, setNextCursor] = useState(null);
+  const [totalResults, setTotalResults] = useState(0);
+  // Only the best candidates were ranked (see searchTracksV2), so the total is a lower bound
+  const [resultsTruncated, setResultsTruncated] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const resultsRequestRef = useRef(null);
+
+  const listOptions = useMemo(() => ({ filters, sort, order }), [filters, sort, order]);
+  const hasFilters = countActiveFilters(filters) > 0;
+
+  // All tracks (empty search box)
+  const fetchInitialTracks = useCallback((options) => {
     setLoading(true);
     setError(null);
+    setNextCursor(null);
+    const request = { query: '', options };
+    resultsRequestRef.current = request;
 
-    fetchRecommendedTracks()
+    fetchTracksV2({ ...options, facets: true })
       .then((data) => {
+        if (resultsRequestRef.current !== request) return;
+        // Placeholders stand in for an empty library, not for filters that match nothing
         const initialTracks =
-          Array.isArray(data) && data.length > 0 ? data : placeholderTracks;
+          data.tracks?.length > 0 || countActiveFilters(options.filters) > 0 ? data.tracks : placeholderTracks;
         setTracks(initialTracks);
+        setNextCursor(data.nextCursor || null);
+        setTotalResults(data.total || 0);
+        setResultsTruncated(false);
+        setFacets(data.facets || null);
       })
       .catch((err) => {
         console.error('[FETCH] Initial track load error:', err);
@@ -329,20 +292,34 @@ const SearchPage = ({ darkMode }) => {
   }, []);
 
   // Search
-  const debounceSearch = useCallback((query) => {
+  const debounceSearch = useCallback((query, options) => {
     setIsSearching(true);
     setLoading(true);
     setError(null);
+    setNextCursor(null);
+    const request = { query, options };
+    resultsRequestRef.current = request;
 
-    searchTracks(query)
+    searchTracksV2(query, {}, { ...options, facets: true })
       .then((data) => {
+        if (resultsRequestRef.current !== request) return;
         const results =
-          Array.isArray(data) && data.length > 0 ? data : placeholderTracks;
+          data.tracks?.length > 0 || countActiveFilters(options.filters) > 0 ? data.tracks : placeholderTracks;
         setTracks(results);
+        setNextCursor(data.nextCursor || null);
+        setTotalResults(data.total || 0);
+        setResultsTruncated(Boolean(data.truncated));
+        setFacets(data.facets || null);
         setError(null);
       })
       .catch((err) => {
         console.error('[SEARCH] API Error:', err);
+        // 400 means the query itself is invalid (e.g. a bad year: or source: qualifier, or filter)
+        if (err.response?.status === 400) {
+          setError(err.response.data?.msg || 'Invalid search query.');
+          setTracks([]);
+          return;
+        }
         setError('Failed to perform search. Displaying placeholders.');
         setTracks(placeholderTracks);
       })
@@ -352,38 +329,65 @@ const SearchPage = ({ darkMode }) => {
       });
   }, []);
 
-  // Initial load
-  useEffect(() => {
-    fetchInitialTracks();
-  }, [fetchInitialTracks]);
+  // Next page of the search results (or of all tracks when the box is empty)
+  const loadMoreTracks = useCallback(async () => {
+    const request = resultsRequestRef.current;
+    if (!nextCursor || loadingMore || !request) return;
+    setLoadingMore(true);
 
-  // Debounce search term
-  useEffect(() => {
-    if (searchTerm === '') {
-      return;
+    try {
+      const data = request.query
+        ? await searchTracksV2(request.query, { cursor: nextCursor }, request.options)
+        : await fetchTracksV2(request.options, { cursor: nextCursor });
+      // The query or filters changed while this page was loading
+      if (resultsRequestRef.current !== request) return;
+
+      setTracks((prev) => {
+        const knownIds = new Set(prev.map((track) => track._id));
+        return [...prev, ...data.tracks.filter((track) => !knownIds.has(track._id))];
+      });
+      setNextCursor(data.nextCursor || null);
+    } catch (err) {
+      console.error('[SEARCH] Failed to load more tracks:', err);
+      setNextCursor(null);
+    } finally {
+      setLoadingMore(false);
     }
+  }, [nextCursor, loadingMore]);
 
+  const loadMoreRef = useInfiniteScroll({
+    hasMore: Boolean(nextCursor),
+    loading: loading || loadingMore,
+    onLoadMore: loadMoreTracks,
+  });
+
+  // All tracks while the box is empty, otherwise a debounced search; both rerun when the filters change
+  useEffect(() => {
     const handler = setTimeout(() => {
-      debounceSearch(searchTerm);
-    }, 500);
+      if (searchTerm === '') {
+        fetchInitialTracks(listOptions);
+      } else {
+        debounceSearch(searchTerm, listOptions);
+      }
+    }, searchTerm === '' ? FILTER_DEBOUNCE_MS : SEARCH_DEBOUNCE_MS);
 
     return () => clearTimeout(handler);
-  }, [searchTerm, debounceSearch]);
+  }, [searchTerm, listOptions, fetchInitialTracks, debounceSearch]);
 
   const handleInputChange = (e) => {
-    const query = e.target.value;
-    setSearchTerm(query);
+    setSearchTerm(e.target.value);
+  };
 
-    if (query === '') {
-      fetchInitialTracks();
-    }
+  const handleSortChange = (field, direction) => {
+    setSort(field);
+    setOrder(direction);
   };
 
   // Delete handler
   const handleDeleteTrack = async (track) => {
     const id = track._id || track.id;
     if (!id) return;
-    if (!window.confirm(`Delete "${track.title}"? This cannot be undone.`)) return;
+    if (!window.confirm(`Move "${track.title}" to the Trash? You can restore it from there.`)) return;
 
     try {
       await deleteTrackV2(id);
@@ -396,10 +400,27 @@ const SearchPage = ({ darkMode }) => {
 
   // Update handler
   const handleUpdateTrack = async (trackId, updates) => {
-    const updated = await updateTrackV2(trackId, updates);
+    const { revisionId, ...updated } = await updateTrackV2(trackId, updates);
     setTracks((prev) => prev.map((t) => (t._id === trackId ? updated : t)));
+    if (revisionId) {
+      setUndoableEdit({ trackId, revisionId, title: updated.title });
+    }
+  };
+
+  const handleUndoEdit = async () => {
+    const { trackId } = undoableEdit;
+    try {
+      // The revert's own revision is not offered for undo
+      const { revisionId: _revertRevisionId, ...reverted } = await revertTrackRevisionV2(trackId, undoableEdit.revisionId);
+      setTracks((prev) => prev.map((t) => (t._id === trackId ? reverted : t)));
+    } catch (err) {
+      console.error('Failed to undo track edit:', err);
+      alert('Failed to undo the edit. Please try again.');
+    }
   };
 
+  const dismissUndo = useCallback(() => setUndoableEdit(null), []);
+
   const containerBg = darkMode ? 'bg-gray-900' : 'bg-gray-50';
   const inputBg = darkMode ? 'bg-gray-800 text-white' : 'bg-white text-gray-900';
   const headerColor = darkMode ? 'text-white' : 'text-gray-900';
@@ -409,7 +430,7 @@ const SearchPage = ({ darkMode }) => {
     <div className={`p-8 w-full h-full overflow-y-auto ${containerBg}`}>
       <h1 className={`text-4xl font-extrabold mb-2 ${headerColor}`}>Search</h1>
       <p className={`text-lg mb-8 ${textColor}`}>
-        Find your favorite music by title or artist.
+        Find your favorite music by title, artist, album or genre.
       </p>
 
       <div className="mb-8 relative max-w-xl">
@@ -427,55 +448,97 @@ const SearchPage = ({ darkMode }) => {
             ${inputBg} border ${darkMode ? 'border-gray-700' : 'border-gray-200'}
           `}
         />
+        <p className={`mt-2 ml-4 text-xs ${textColor}`}>
+          Narrow it down with {SEARCH_TIPS.map((tip, index) => (
+            <React.Fragment key={tip}>
+              {index > 0 && ', '}
+              <code className="font-mono">{tip}</code>
+            </React.Fragment>
+          ))}
+        </p>
       </div>
 
       <h2 className={`text-2xl font-semibold mb-4 ${headerColor}`}>
         {searchTerm
           ? isSearching
             ? 'Searching...'
-            : `Results for "${searchTerm}"`
-          : 'All Tracks (Recently Added)'}
+            : `Results for "${searchTerm}"${totalResults ? ` (${totalResults}${resultsTruncated ? '+' : ''})` : ''}`
+          : sort
+            ? `All Tracks${totalResults ? ` (${totalResults})` : ''}`
+            : 'All Tracks (Recently Added)'}
       </h2>
-
-      {loading && (searchTerm === '' || isSearching) && (
-        <div className="flex justify-center items-center h-48">
-          <Loader2 className="h-10 w-10 text-indigo-500 animate-spin" />
-          <p className={`ml-4 text-xl ${headerColor}`}>
-            {searchTerm === '' ? 'Loading initial tracks...' : 'Searching...'}
-          </p>
-        </div>
+      {searchTerm && !isSearching && resultsTruncated && (
+        <p className={`text-sm -mt-2 mb-4 ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+          Only the best matches are shown. Add words or filters to narrow the search.
+        </p>
       )}
 
-      {error && (
-        <div className="p-4 bg-red-800 text-white rounded-lg shadow-md">
-          <p className="font-semibold">Error:</p>
-          <p>{error}</p>
-        </div>
-      )}
+      <div className="flex flex-col lg:flex-row gap-8">
+        <TrackFilterSidebar
+          filters={filters}
+          onFiltersChange={setFilters}
+          sort={sort}
+          order={order}
+          onSortChange={handleSortChange}
+          facets={facets}
+          allowRelevance={searchTerm !== ''}
+          darkMode={darkMode}
+        />
 
-      {!loading && !error && (
-        tracks.length === 0 && searchTerm ? (
-          <p className={textColor}>
-            No results found for your query. Try a different search term.
-          </p>
-        ) : tracks.length === 0 && !searchTerm ? (
-          <p className={textColor}>
-            No tracks are available on the server. Try uploading one!
-          </p>
-        ) : (
-          <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 lg:grid-cols-5 xl:grid-cols-6 gap-6">
-            {tracks.map((track) => (
-              <TrackCard
-                key={track._id || track.id}
-                track={track}
-                darkMode={darkMode}
-                onEdit={(t) => setEditingTrack(t)}
-                onDelete={handleDeleteTrack}
-              />
-            ))}
-          </div>
-        )
-      )}
+        <div className="flex-grow min-w-0">
+          {loading && (searchTerm === '' || isSearching) && (
+            <div className="flex justify-center items-center h-48">
+              <Loader2 className="h-10 w-10 text-indigo-500 animate-spin" />
+              <p className={`ml-4 text-xl ${headerColor}`}>
+                {searchTerm === '' ? 'Loading initial tracks...' : 'Searching...'}
+              </p>
+            </div>
+          )}
+
+          {error && (
+            <div className="p-4 bg-red-800 text-white rounded-lg shadow-md">
+              <p className="font-semibold">Error:</p>
+              <p>{error}</p>
+            </div>
+          )}
+
+          {!loading && !error && (
+            tracks.length === 0 && hasFilters ? (
+              <p className={textColor}>
+                No tracks match these filters. Try removing some of them.
+              </p>
+            ) : tracks.length === 0 && searchTerm ? (
+              <p className={textColor}>
+                No results found for your query. Try a different search term.
+              </p>
+            ) : tracks.length === 0 && !searchTerm ? (
+              <p className={textColor}>
+                No tracks are available on the server. Try uploading one!
+              </p>
+            ) : (
+              <div className="grid grid-cols-2 sm:grid-cols-3 xl:grid-cols-4 2xl:grid-cols-5 gap-6">
+                {tracks.map((track) => (
+                  <TrackCard
+                    key={track._id || track.id}
+                    track={track}
+                    darkMode={darkMode}
+                    onEdit={(t) => setEditingTrack(t)}
+                    onDelete={handleDeleteTrack}
+                  />
+                ))}
+              </div>
+            )
+          )}
+
+          {/* Next page loads when this comes into view */}
+          <div ref={loadMoreRef} className="h-1" />
+          {loadingMore && (
+            <div className="flex justify-center items-center py-6">
+              <Loader2 className="h-6 w-6 text-indigo-500 animate-spin" />
+            </div>
+          )}
+        </div>
+      </div>
 
       {editingTrack && (
         <EditTrackModal
@@ -485,6 +548,16 @@ const SearchPage = ({ darkMode }) => {
           darkMode={darkMode}
         />
       )}
+
+      {undoableEdit && (
+        <UndoToast
+          key={undoableEdit.revisionId}
+          message={`Saved changes to "${undoableEdit.title}"`}
+          onUndo={handleUndoEdit}
+          onDismiss={dismissUndo}
+          darkMode={darkMode}
+        />
+      )}
     </div>
   );
 };
@@ -0,0 +1,248 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import useAuth from '../hooks/useAuth';
+import useMusic from '../context/MusicContext';
+import {
+  fetchTrashV2 as fetchTrash,
+  restoreTrackV2 as restoreTrack,
+  restorePlaylistV2 as restorePlaylist,
+  deleteTrackForeverV2 as deleteTrackForever,
+  deletePlaylistForeverV2 as deletePlaylistForever,
+  emptyTrashV2 as emptyTrash,
+} from '../api/musicService';
+import { getCoverImageUrl } from '../utils/urlUtils';
+import { Loader2, Trash2, Undo2, Music, ListMusic } from 'lucide-react';
+
+const formatDate = (date) => new Date(date).toLocaleDateString();
+
+/**
+ * One trashed track or playlist, with Restore and Delete forever.
+ */
+const TrashRow = ({ item, title, subtitle, image, darkMode, onRestore, onDelete }) => {
+  const [busyAction, setBusyAction] = useState(null);
+  const [error, setError] = useState(null);
+
+  const textColor = darkMode ? 'text-gray-400' : 'text-gray-600';
+  const headerColor = darkMode ? 'text-white' : 'text-gray-900';
+  const buttonClass = `flex items-center px-3 py-1.5 text-sm rounded-lg transition-colors disabled:opacity-50 ${
+    darkMode ? 'bg-gray-700 hover:bg-gray-600 text-gray-200' : 'bg-gray-100 hover:bg-gray-200 text-gray-700'
+  }`;
+
+  const runAction = async (action, request) => {
+    setBusyAction(action);
+    setError(null);
+    try {
+      await request();
+    } catch (err) {
+      console.error(`Failed to ${action} trashed item:`, err);
+      setError(err.response?.data?.msg || 'Something went wrong. Please try again.');
+      setBusyAction(null);
+    }
+  };
+
+  const handleDelete = () => {
+    if (!window.confirm(`Delete "${title}" for good? This cannot be undone.`)) return;
+    runAction('delete', onDelete);
+  };
+
+  return (
+    <li className={`flex items-center gap-4 p-4 rounded-lg ${darkMode ? 'bg-gray-800' : 'bg-white shadow-sm'}`}>
+      {image}
+
+      <div className="flex-1 min-w-0">
+        <p className={`font-semibold truncate ${headerColor}`}>{title}</p>
+        <p className={`text-sm truncate ${textColor}`}>{subtitle}</p>
+        <p className={`text-xs mt-1 ${textColor}`}>
+          Deleted {formatDate(item.deletedAt)} · deleted for good on {formatDate(item.purgeAt)}
+        </p>
+        {error && <p className="text-sm text-red-500 mt-1">{error}</p>}
+      </div>
+
+      <div className="flex items-center gap-2 flex-shrink-0">
+        <button onClick={() => runAction('restore', onRestore)} disabled={busyAction !== null} className={buttonClass} title="Restore">
+          {busyAction === 'restore' ? <Loader2 className="h-4 w-4 mr-1 animate-spin" /> : <Undo2 className="h-4 w-4 mr-1" />}
+          Restore
+        </button>
+        <button onClick={handleDelete} disabled={busyAction !== null} className={`${buttonClass} hover:text-red-500`} title="Delete forever">
+          {busyAction === 'delete' ? <Loader2 className="h-4 w-4 mr-1 animate-spin" /> : <Trash2 className="h-4 w-4 mr-1" />}
+          Delete forever
+        </button>
+      </div>
+    </li>
+  );
+};
+
+const TrashPage = ({ darkMode }) => {
+  const { isAuthenticated, isAuthReady } = useAuth();
+  const { fetchUserPlaylists } = useMusic();
+
+  const [data, setData] = useState(null);
+  const [error, setError] = useState(null);
+  const [isEmptying, setIsEmptying] = useState(false);
+
+  const headerColor = darkMode ? 'text-white' : 'text-gray-900';
+  const textColor = darkMode ? 'text-gray-400' : 'text-gray-600';
+
+  const loadTrash = useCallback(async () => {
+    try {
+      setData(await fetchTrash());
+      setError(null);
+    } catch (err) {
+      console.error('Failed to fetch the trash:', err);
+      setError(err.response?.data?.msg || 'Could not load the Trash.');
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!isAuthReady || !isAuthenticated) return;
+    loadTrash();
+  }, [isAuthenticated, isAuthReady, loadTrash]);
+
+  const removeItem = (key, id) => {
+    setData((prev) => ({ ...prev, [key]: prev[key].filter((item) => item._id !== id) }));
+  };
+
+  const handleDeleteTrack = async (track) => {
+    const result = await deleteTrackForever(track._id);
+    removeItem('tracks', track._id);
+    if (result?.partial) {
+      alert(`"${track.title}" was deleted, but some of its stored files could not be removed.`);
+    }
+  };
+
+  const handleRestorePlaylist = async (playlist) => {
+    await restorePlaylist(playlist._id);
+    removeItem('playlists', playlist._id);
+    fetchUserPlaylists();
+  };
+
+  const handleEmptyTrash = async () => {
+    if (!window.confirm('Delete everything in the Trash for good? This cannot be undone.')) return;
+
+    setIsEmptying(true);
+    try {
+      const result = await emptyTrash();
+      if (result?.tracksFailed > 0) {
+        // The tracks that could not be deleted are still in the Trash
+        loadTrash();
+      } else {
+        setData((prev) => ({ ...prev, tracks: [], playlists: [] }));
+      }
+      if (result?.partial) {
+        alert(result.msg);
+      }
+    } catch (err) {
+      console.error('Failed to empty the trash:', err);
+      alert(err.response?.data?.msg || 'Could not empty the Trash.');
+      loadTrash();
+    } finally {
+      setIsEmptying(false);
+    }
+  };
+
+  // Loading State
+  if (!data && !error) {
+    return (
+      <div className={`flex justify-center items-center h-full ${darkMode ? 'bg-gray-900' : 'bg-gray-50'}`}>
+        <Loader2 className="h-10 w-10 text-indigo-500 animate-spin" />
+        <p className={`ml-4 text-xl ${headerColor}`}>Loading the Trash...</p>
+      </div>
+    );
+  }
+
+  // Error State
+  if (!data) {
+    return (
+      <div className={`p-8 w-full h-full ${darkMode ? 'bg-gray-900 text-white' : 'bg-gray-50 text-gray-900'}`}>
+        <h1 className="text-4xl font-extrabold mb-4">Trash</h1>
+        <div className="p-4 bg-red-800 text-white rounded-lg shadow-md">
+          <p className="font-semibold">Error:</p>
+          <p>{error}</p>
+        </div>
+      </div>
+    );
+  }
+
+  const { retentionDays, tracks, playlists } = data;
+  const isEmpty = tracks.length === 0 && playlists.length === 0;
+  const placeholderClass = `h-12 w-12 flex-shrink-0 rounded flex items-center justify-center ${darkMode ? 'bg-gray-700' : 'bg-gray-200'}`;
+
+  return (
+    <div className={`p-8 w-full h-full overflow-y-auto ${darkMode ? 'bg-gray-900' : 'bg-gray-50'}`}>
+
+      {/* Header Section */}
+      <div className="flex items-center mb-8">
+        <Trash2 className="h-10 w-10 text-indigo-500 mr-4" />
+        <div className="flex-1">
+          <h1 className={`text-4xl font-extrabold ${headerColor}`}>Trash</h1>
+          <p className={`text-sm ${textColor}`}>
+            Deleted tracks and playlists stay here for {retentionDays} days, then they are deleted for good.
+          </p>
+        </div>
+        {!isEmpty && (
+          <button
+            onClick={handleEmptyTrash}
+            disabled={isEmptying}
+            className="flex items-center px-4 py-2 text-sm font-semibold rounded-lg bg-red-600 hover:bg-red-700 text-white disabled:opacity-50"
+          >
+            {isEmptying ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <Trash2 className="h-4 w-4 mr-2" />}
+            Empty Trash
+          </button>
+        )}
+      </div>
+
+      {isEmpty && <p className={`text-center py-12 ${textColor}`}>The Trash is empty.</p>}
+
+      {/* Tracks */}
+      {tracks.length > 0 && (
+        <section className="mb-8">
+          <h2 className={`text-2xl font-bold mb-4 ${headerColor}`}>Tracks</h2>
+          <ul className="space-y-3">
+            {tracks.map((track) => (
+              <TrashRow
+                key={track._id}
+                item={track}
+                title={track.title}
+                subtitle={track.artist}
+                image={track.cover_photo
+                  ? <img src={getCoverImageUrl(track, 'player')} alt={track.title} className="h-12 w-12 flex-shrink-0 rounded object-cover" />
+                  : <div className={placeholderClass}><Music className={`h-5 w-5 ${textColor}`} /></div>}
+                darkMode={darkMode}
+                onRestore={async () => {
+                  await restoreTrack(track._id);
+                  removeItem('tracks', track._id);
+                }}
+                onDelete={() => handleDeleteTrack(track)}
+              />
+            ))}
+          </ul>
+        </section>
+      )}
+
+      {/* Playlists */}
+      {playlists.length > 0 && (
+        <section>
+          <h2 className={`text-2xl font-bold mb-4 ${headerColor}`}>Playlists</h2>
+          <ul className="space-y-3">
+            {playlists.map((playlist) => (
+              <TrashRow
+                key={playlist._id}
+                item={playlist}
+                title={playlist.name}
+                subtitle={playlist.type === 'smart' ? 'Smart playlist' : `${playlist.trackCount} track${playlist.trackCount === 1 ? '' : 's'}`}
+                image={<div className={placeholderClass}><ListMusic className={`h-5 w-5 ${textColor}`} /></div>}
+                darkMode={darkMode}
+                onRestore={() => handleRestorePlaylist(playlist)}
+                onDelete={async () => {
+                  await deletePlaylistForever(playlist._id);
+                  removeItem('playlists', playlist._id);
+                }}
+              />
+            ))}
+          </ul>
+        </section>
+      )}
+    </div>
+  );
+};
+
+export default TrashPage;
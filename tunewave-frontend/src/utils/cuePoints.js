@@ -0,0 +1,32 @@
+// --- Start/end cue points (Track.startTime / Track.endTime, in seconds) ---
+
+/**
+ * The part of a track that is played: from its start cue to its end cue,
+ * limited to the media duration once it is known.
+ * @param {object | null} track
+ * @param {number} duration - Media duration in seconds (0 while unknown).
+ * @returns {{start: number, end: number}} end is the duration when there is no end cue.
+ */
+export const getPlaybackRange = (track, duration) => {
+    const startCue = Math.max(0, track?.startTime || 0);
+    const start = duration > 0 ? Math.min(startCue, duration) : startCue;
+    const endCue = track?.endTime;
+    const end = endCue > start && (!duration || endCue < duration) ? endCue : duration || 0;
+    return { start, end };
+};
+
+/**
+ * Formats a cue point for editing, e.g. 90 -> "1:30", 3723.5 -> "1:02:03.5".
+ * @param {number | null | undefined} seconds
+ * @returns {string} An empty string when there is no cue point.
+ */
+export const formatCueTime = (seconds) => {
+    if (seconds === null || seconds === undefined) return '';
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    const rest = Math.round((seconds % 60) * 1000) / 1000;
+    const secondsText = `${rest < 10 ? '0' : ''}${rest}`;
+    return hours > 0
+        ? `${hours}:${minutes.toString().padStart(2, '0')}:${secondsText}`
+        : `${minutes}:${secondsText}`;
+};
@@ -0,0 +1,37 @@
+// --- Playback gain for loudness normalization (values come from the server's analysis) ---
+
+// YouTube already plays at about -14 LUFS; this brings it down to the -18 LUFS reference
+export const YOUTUBE_GAIN_DB = -4;
+
+/**
+ * Converts decibels to a linear gain factor (0 dB -> 1).
+ * @param {number} db
+ * @returns {number}
+ */
+export const dbToGain = (db) => 10 ** (db / 20);
+
+/**
+ * Gain to apply to a track in dB: its measured track gain (when normalization
+ * is on) plus the owner's manual offset. Boosts are limited so the true peak
+ * never goes above full scale.
+ * @param {object | null} track
+ * @param {boolean} normalize - The user's "normalize volume" setting.
+ * @returns {number} 0 when nothing is known about the track.
+ */
+export const getTrackGainDb = (track, normalize = true) => {
+    if (!track) return 0;
+
+    let gainDb = track.gainOffset || 0;
+    if (normalize) {
+        if (track.sourceType === 'youtube') {
+            gainDb += YOUTUBE_GAIN_DB;
+        } else if (typeof track.trackGain === 'number') {
+            gainDb += track.trackGain;
+        }
+    }
+
+    if (gainDb > 0 && track.trackPeak > 0) {
+        gainDb = Math.min(gainDb, Math.max(0, -20 * Math.log10(track.trackPeak)));
+    }
+    return gainDb;
+};
@@ -0,0 +1,37 @@
+// --- Lyrics helpers (synced lines come parsed from GET /api/tracks/:id/lyrics) ---
+
+// Files that can be loaded as lyrics in the upload and edit forms
+export const LYRICS_FILE_ACCEPT = '.lrc,.txt,text/plain';
+
+// A timestamp at the start of a line, e.g. "[01:02.50]"; the server detects LRC the same way
+const LRC_TIMESTAMP_REGEX = /^\s*\[\d{1,3}:\d{1,2}(?:[.:]\d{1,3})?\]/m;
+
+/**
+ * Whether lyrics text is time-synced LRC (at least one timestamped line).
+ * @param {string} text
+ * @returns {boolean}
+ */
+export const isSyncedLyrics = (text) => LRC_TIMESTAMP_REGEX.test(text || '');
+
+/**
+ * Index of the line being sung at `time`: the last line that started at or before it.
+ * @param {Array<{time: number}>} lines - Sorted by time.
+ * @param {number} time - Playback position in seconds.
+ * @returns {number} -1 before the first line.
+ */
+export const findCurrentLineIndex = (lines, time) => {
+    let low = 0;
+    let high = lines.length - 1;
+    let found = -1;
+
+    while (low <= high) {
+        const middle = Math.floor((low + high) / 2);
+        if (lines[middle].time <= time) {
+            found = middle;
+            low = middle + 1;
+        } else {
+            high = middle - 1;
+        }
+    }
+    return found;
+};
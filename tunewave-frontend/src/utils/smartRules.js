@@ -0,0 +1,82 @@
+// --- Smart playlist rules for the rule builder (see server/utils/smartPlaylists.js) ---
+
+// Operators per kind of field, with their labels
+export const SMART_OPERATORS = {
+    number: [
+        { value: 'gte', label: 'at least' },
+        { value: 'lte', label: 'at most' },
+        { value: 'eq', label: 'exactly' },
+    ],
+    text: [
+        { value: 'is', label: 'is' },
+        { value: 'is_not', label: 'is not' },
+        { value: 'contains', label: 'contains' },
+    ],
+    list: [
+        { value: 'is', label: 'is' },
+        { value: 'is_not', label: 'is not' },
+    ],
+    choice: [
+        { value: 'is', label: 'is' },
+        { value: 'is_not', label: 'is not' },
+    ],
+    boolean: [
+        { value: 'is', label: 'is' },
+    ],
+    recency: [
+        { value: 'in_last', label: 'in the last (days)' },
+        { value: 'not_in_last', label: 'not in the last (days)' },
+    ],
+};
+
+// Fields a rule can test, in the order of the field menu
+export const SMART_RULE_FIELDS = [
+    { value: 'rating', label: 'Rating', kind: 'number', min: 1, max: 5, defaultValue: 4 },
+    { value: 'genre', label: 'Genre', kind: 'list', defaultValue: '' },
+    { value: 'tag', label: 'Tag', kind: 'list', defaultValue: '' },
+    { value: 'artist', label: 'Artist', kind: 'text', defaultValue: '' },
+    { value: 'album', label: 'Album', kind: 'text', defaultValue: '' },
+    { value: 'title', label: 'Title', kind: 'text', defaultValue: '' },
+    { value: 'year', label: 'Year', kind: 'number', min: 0, defaultValue: 2000 },
+    { value: 'duration', label: 'Duration (seconds)', kind: 'number', min: 0, defaultValue: 180 },
+    { value: 'play_count', label: 'Play count', kind: 'number', min: 0, defaultValue: 1 },
+    { value: 'skip_count', label: 'Skip count', kind: 'number', min: 0, defaultValue: 1 },
+    { value: 'last_played', label: 'Played', kind: 'recency', defaultValue: 30 },
+    { value: 'added', label: 'Added', kind: 'recency', defaultValue: 30 },
+    { value: 'liked', label: 'Liked', kind: 'boolean', defaultValue: true },
+    {
+        value: 'source',
+        label: 'Source',
+        kind: 'choice',
+        choices: [
+            { value: 'local', label: 'Upload' },
+            { value: 'youtube', label: 'YouTube' },
+            { value: 'external_url', label: 'Link' },
+            { value: 'stream', label: 'Radio stream' },
+        ],
+        defaultValue: 'local',
+    },
+];
+
+// Most tracks a smart playlist can hold (the server's limit)
+export const MAX_SMART_LIMIT = 500;
+
+export const findRuleField = (field) => SMART_RULE_FIELDS.find(({ value }) => value === field);
+
+/**
+ * A new rule on `field` with its first operator and default value.
+ * @returns {{field: string, operator: string, value: *}}
+ */
+export const createRule = (field = 'rating') => {
+    const definition = findRuleField(field);
+    return { field, operator: SMART_OPERATORS[definition.kind][0].value, value: definition.defaultValue };
+};
+
+// Rules of a new smart playlist, edited right after it is created
+export const DEFAULT_SMART_RULES = {
+    match: 'all',
+    rules: [createRule('rating')],
+    limit: 100,
+    sort: 'rating',
+    order: 'desc',
+};
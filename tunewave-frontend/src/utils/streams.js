@@ -0,0 +1,48 @@
+// --- Live radio streams (sourceType 'stream': Icecast/Shoutcast or HLS) ---
+
+// Station files the server can import (HLS .m3u8 playlists are streams themselves)
+export const STATION_FILE_ACCEPT = '.pls,.m3u,audio/x-scpls,audio/x-mpegurl';
+
+const STATION_FILE_REGEX = /\.(?:pls|m3u)$/i;
+const HLS_REGEX = /\.m3u8$/i;
+
+const getPathname = (url) => {
+    try {
+        return new URL(url).pathname;
+    } catch {
+        return '';
+    }
+};
+
+/**
+ * Whether a link points at a .pls or .m3u station file rather than a stream.
+ * @param {string} url
+ * @returns {boolean}
+ */
+export const isStationFileUrl = (url) => STATION_FILE_REGEX.test(getPathname(url));
+
+/**
+ * Whether a stream is HLS (.m3u8), which only Safari plays in <audio> natively.
+ * @param {string} url
+ * @returns {boolean}
+ */
+export const isHlsUrl = (url) => HLS_REGEX.test(getPathname(url));
+
+/**
+ * Whether this browser plays HLS without hls.js.
+ * @returns {boolean}
+ */
+export const canPlayHlsNatively = () => (
+    typeof document !== 'undefined'
+    && document.createElement('audio').canPlayType('application/vnd.apple.mpegurl') !== ''
+);
+
+/**
+ * "Artist - Title" of what a station is playing.
+ * @param {{artist: string|null, title: string} | null} nowPlaying
+ * @returns {string}
+ */
+export const formatNowPlaying = (nowPlaying) => {
+    if (!nowPlaying?.title) return '';
+    return nowPlaying.artist ? `${nowPlaying.artist} - ${nowPlaying.title}` : nowPlaying.title;
+};
@@ -0,0 +1,49 @@
+// --- Library filter and sort options shared by the Library and Search pages ---
+
+// Filters understood by the track list endpoints (see GET /api/tracks in the server README)
+export const EMPTY_TRACK_FILTERS = {
+    source: [],
+    genre: [],
+    tag: [],
+    yearMin: '',
+    yearMax: '',
+    durationMin: '',
+    durationMax: '',
+    addedAfter: '',
+    addedBefore: '',
+    played: '',
+    liked: '',
+    hasCover: '',
+};
+
+// Longest tag the server keeps (see server/utils/tags.js)
+export const MAX_TAG_LENGTH = 40;
+
+// Sort fields of the track lists and their default direction
+export const TRACK_SORT_OPTIONS = [
+    { value: 'createdAt', label: 'Date added', order: 'desc' },
+    { value: 'title', label: 'Title', order: 'asc' },
+    { value: 'artist', label: 'Artist', order: 'asc' },
+    { value: 'album', label: 'Album', order: 'asc' },
+    { value: 'year', label: 'Year', order: 'desc' },
+    { value: 'duration', label: 'Duration', order: 'desc' },
+    { value: 'recently_listened', label: 'Recently played', order: 'desc' },
+    { value: 'play_count', label: 'Play count', order: 'desc' },
+    { value: 'skip_count', label: 'Skip count', order: 'desc' },
+    { value: 'likedAt', label: 'Date liked', order: 'desc' },
+    { value: 'rating', label: 'Rating', order: 'desc' },
+];
+
+/**
+ * Number of filters that are set (shown on the reset button).
+ * @returns {number}
+ */
+export const countActiveFilters = (filters) =>
+    Object.values(filters).filter(value => (Array.isArray(value) ? value.length > 0 : value !== '')).length;
+
+/**
+ * Normalizes a tag the way the server stores it: "  Demo   Takes" -> "demo takes".
+ * @returns {string} An empty string when nothing is left.
+ */
+export const normalizeTag = (value) =>
+    String(value ?? '').replace(/,/g, ' ').replace(/\s+/g, ' ').trim().toLowerCase().slice(0, MAX_TAG_LENGTH).trim();
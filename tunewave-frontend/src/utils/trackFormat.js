@@ -0,0 +1,42 @@
+// --- Display helpers for track metadata (album, year, duration, audio format) ---
+
+/**
+ * Formats a duration in seconds as m:ss (or h:mm:ss for long durations).
+ * @param {number | null | undefined} seconds
+ * @returns {string} '--:--' when the duration is unknown.
+ */
+export const formatDuration = (seconds) => {
+    if (!seconds) return '--:--';
+    const total = Math.floor(seconds);
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const remainingSeconds = (total % 60).toString().padStart(2, '0');
+
+    if (hours > 0) {
+        return `${hours}:${minutes.toString().padStart(2, '0')}:${remainingSeconds}`;
+    }
+    return `${minutes}:${remainingSeconds}`;
+};
+
+/**
+ * Builds the secondary line shown under a track's title, e.g. "Discovery · 2001".
+ * @returns {string} An empty string when the track has no album or year.
+ */
+export const formatAlbumLine = (track) => {
+    if (!track) return '';
+    return [track.album, track.year].filter(Boolean).join(' · ');
+};
+
+/**
+ * Describes the audio format, e.g. "MPEG 1 Layer 3 · 320 kbps · 44.1 kHz".
+ * @returns {string} An empty string when nothing is known about the format.
+ */
+export const formatAudioQuality = (track) => {
+    if (!track) return '';
+    const parts = [
+        track.codec,
+        track.bitrate ? `${Math.round(track.bitrate / 1000)} kbps` : null,
+        track.sampleRate ? `${track.sampleRate / 1000} kHz` : null,
+    ];
+    return parts.filter(Boolean).join(' · ');
+};
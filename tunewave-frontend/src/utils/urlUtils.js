@@ -30,4 +30,15 @@ export const getFullImageUrl = (relativePath) => {
     // This literal path is necessary for native HTML5 audio/video elements when the file path
     // contains characters that would otherwise be URI encoded (like spaces or parentheses).
     return `${cleanBase}/${cleanPath}`;
-};
\ No newline at end of file
+};
+/**
+ * Picks the stored cover thumbnail that fits where the image is shown.
+ * Falls back to `cover_photo` for tracks without thumbnails (links, default covers).
+ * @param {object | null | undefined} track - A track from the API.
+ * @param {'player' | 'card' | 'full'} size - 'player' for the mini player, 'card' for track cards, 'full' for full-screen artwork.
+ * @returns {string} The complete URL or an empty string if the track has no cover.
+ */
+export const getCoverImageUrl = (track, size = 'card') => {
+    if (!track) return '';
+    return getFullImageUrl(track.coverSizes?.[size]?.url || track.cover_photo);
+};